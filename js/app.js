@@ -53,6 +53,17 @@ const state = {
   priorities: [],
   labels: [],
   files: [],
+  comments: [],
+  activities: [],
+  wikiPages: [],
+  wikiPageTaskLinks: [],
+  views: [],
+  taskLinks: [],
+  canvasFrames: [],
+  checklists: [],
+  checklistItems: [],
+  timeEntries: [],
+  customFields: [],
 
   // UI State
   currentView: 'grid', // 'grid' or 'list'
@@ -65,16 +76,27 @@ const state = {
   showArchivedTasks: {}, // { projectId: boolean }
   assignedToMe: {}, // { projectId: boolean } - filter to show only tasks assigned to current user
   assigneeFilter: {}, // { projectId: [userId1, userId2, ...] } - filter by selected assignees
+  taskFilters: {}, // { projectId: { $and|$or: [{ field: { operator: value } }] } } - filter builder conditions
   projectFields: {}, // { projectId: { status: bool, priority: bool, ... } }
   taskSearch: {}, // { projectId: string } - search query for filtering tasks
+  canvasViewport: {}, // { projectId: { x, y, zoom } } - canvas pan offset and zoom
+  canvasSelection: new Set(), // taskIds selected on the canvas
+  activeViewId: {}, // { projectId: viewId } - saved view currently applied
+  defaultViewApplied: new Set(), // projectIds whose default view was applied this session
   collapsedGroups: new Set(),
+  collapsedSubtasks: new Set(), // parent taskIds whose subtasks are hidden in the list and roadmap
   selectedFiles: new Set(),
   selectedTasks: new Set(),
+  lastSelectedTaskId: null, // anchor row for shift-click range selection
   selectedMembers: new Set(),
 
   // Pagination state
   filesPagination: { page: 1, pageSize: 10 },
   membersPagination: { page: 1, pageSize: 10 },
+  activityPagination: { page: 1, pageSize: 20 },
+
+  // Reports state
+  reportFilters: { range: 'all', from: '', to: '', projectIds: [] }, // empty projectIds = all active projects
 
   // Roadmap state
   roadmapScale: 'month', // 'week' | 'month' | 'quarter' | 'year'
@@ -89,6 +111,12 @@ const state = {
   // Task detail panel state
   openTaskId: null,
   openTaskProjectSlug: null,
+  editingCommentId: null,
+
+  // Wiki state
+  wikiEditingPageId: null,
+  wikiSearch: '',
+  collapsedWikiPages: new Set(),
 
   // File preview panel state
   openFileId: null,
@@ -135,6903 +163,15879 @@ async function loadJSON(filename) {
   }
 }
 
+/**
+ * Load all data into state through the active repository (see Data Repository)
+ */
 async function loadAllData() {
-  const [workspace, projects, tasks, statuses, users, priorities, labels, files] = await Promise.all([
-    loadJSON('workspace.json'),
-    loadJSON('projects.json'),
-    loadJSON('tasks.json'),
-    loadJSON('statuses.json'),
-    loadJSON('users.json'),
-    loadJSON('priorities.json'),
-    loadJSON('labels.json'),
-    loadJSON('files.json'),
-  ]);
-
-  state.workspace = workspace;
-  state.projects = projects || [];
-  state.tasks = tasks || [];
-  state.statuses = statuses || [];
-  state.users = users || [];
-  state.priorities = priorities || [];
-  state.labels = labels || [];
-  state.files = files || [];
-}
+  dataRepository = createRepository();
 
-// ==========================================================================
-// Data Helpers
-// ==========================================================================
+  let data;
+  try {
+    data = await dataRepository.loadAll();
+  } catch (error) {
+    console.error('Failed to load data:', error);
+    showToast('Could not load data from the server', 'error');
+    data = { workspace: null };
+  }
 
-function getProjectById(id) {
-  return state.projects.find(p => p.id === id);
+  state.workspace = data.workspace || null;
+  state.projects = data.projects || [];
+  state.tasks = data.tasks || [];
+  state.statuses = data.statuses || [];
+  state.users = data.users || [];
+  state.priorities = data.priorities || [];
+  state.labels = data.labels || [];
+  state.files = data.files || [];
+  state.comments = data.comments || [];
+  state.activities = data.activities || [];
+  state.wikiPages = data.wikiPages || [];
+  state.wikiPageTaskLinks = data.wikiPageTaskLinks || [];
+  state.views = data.views || [];
+  state.taskLinks = data.taskLinks || [];
+  state.canvasFrames = data.canvasFrames || [];
+  state.checklists = data.checklists || [];
+  state.checklistItems = data.checklistItems || [];
+  state.timeEntries = data.timeEntries || [];
+  state.customFields = data.customFields || [];
+
+  repairTaskReferences();
 }
 
-function getProjectBySlug(slug) {
-  return state.projects.find(p => p.slug === slug);
+/**
+ * Fix task references to statuses, priorities, labels and users that no
+ * longer exist, e.g. records deleted by another client. A task whose status
+ * is missing or belongs to another project moves to its project's default
+ * status; other dangling references are cleared.
+ */
+function repairTaskReferences() {
+  const statusesByProject = new Map();
+  state.statuses.forEach(status => {
+    if (!statusesByProject.has(status.project_id)) statusesByProject.set(status.project_id, []);
+    statusesByProject.get(status.project_id).push(status);
+  });
+  const priorityIds = new Set(state.priorities.map(p => p.id));
+  const userIds = new Set(state.users.map(u => u.id));
+  const labelProjects = new Map(state.labels.map(l => [l.id, l.project_id]));
+
+  const repaired = state.tasks.filter(task => {
+    let changed = false;
+
+    const statuses = statusesByProject.get(task.project_id) || [];
+    if (statuses.length > 0 && !statuses.some(s => s.id === task.status_id)) {
+      const fallback = statuses.find(s => s.is_default) || statuses.find(s => s.category === 'todo') ||
+        [...statuses].sort((a, b) => a.sort_order - b.sort_order)[0];
+      task.status_id = fallback.id;
+      syncStatusTimestamps(task, null);
+      changed = true;
+    }
+    if (task.priority_id && !priorityIds.has(task.priority_id)) {
+      task.priority_id = null;
+      changed = true;
+    }
+    if (task.assignee_id && !userIds.has(task.assignee_id)) {
+      task.assignee_id = null;
+      changed = true;
+    }
+    const labelIds = (task.label_ids || []).filter(id => labelProjects.get(id) === task.project_id);
+    if (labelIds.length !== (task.label_ids || []).length) {
+      task.label_ids = labelIds;
+      changed = true;
+    }
+    return changed;
+  });
+
+  if (repaired.length > 0) persistRecords('tasks', repaired);
 }
 
-function getTasksForProject(projectId, includeArchived = null) {
-  // If includeArchived is not specified, use the project's showArchivedTasks setting
-  const showArchived = includeArchived !== null ? includeArchived : (state.showArchivedTasks[projectId] || false);
-  const searchQuery = (state.taskSearch[projectId] || '').toLowerCase().trim();
-  const filterAssignedToMe = state.assignedToMe[projectId] || false;
-  const currentUser = getCurrentUser();
+// ==========================================================================
+// Persistent Storage (IndexedDB)
+// ==========================================================================
 
-  return state.tasks.filter(t => {
-    // Project filter
-    if (t.project_id !== projectId) return false;
+const STORAGE_DB_NAME = 'task-canvas';
+const STORAGE_SCHEMA_VERSION = 9;
+
+// Entity collections persisted locally, mapped to the JSON file they are seeded from
+const STORAGE_COLLECTIONS = {
+  workspace: 'workspace.json',
+  projects: 'projects.json',
+  tasks: 'tasks.json',
+  statuses: 'statuses.json',
+  users: 'users.json',
+  priorities: 'priorities.json',
+  labels: 'labels.json',
+  files: 'files.json',
+  comments: 'comments.json',
+  activities: 'activities.json',
+  wikiPages: 'wiki-pages.json',
+  wikiPageTaskLinks: 'wiki-page-task-links.json',
+  views: 'views.json',
+  taskLinks: 'task-links.json',
+  canvasFrames: 'canvas-frames.json',
+  checklists: 'checklists.json',
+  checklistItems: 'checklist-items.json',
+  timeEntries: 'time-entries.json',
+  customFields: 'custom-fields.json',
+};
 
-    // Archived filter
-    if (!showArchived && t.is_archived) return false;
+/**
+ * Schema migrations keyed by the version they upgrade to.
+ * When a store or a record field changes, bump STORAGE_SCHEMA_VERSION and add
+ * an entry here. Each migration runs once, in order, inside the upgrade
+ * transaction (use migrateRecords() to backfill fields on existing records).
+ */
+const STORAGE_MIGRATIONS = {
+  1: (db) => {
+    ['workspace', 'projects', 'tasks', 'statuses', 'users', 'priorities', 'labels', 'files'].forEach(name => {
+      db.createObjectStore(name, { keyPath: 'id' });
+    });
+    db.createObjectStore('meta', { keyPath: 'key' });
+  },
+  2: (db, transaction) => {
+    db.createObjectStore('comments', { keyPath: 'id' });
+
+    // Version 1 stored a single seeded flag; seeding is now tracked per collection
+    const meta = transaction.objectStore('meta');
+    meta.get('seeded').onsuccess = (e) => {
+      const record = e.target.result;
+      if (record?.value) {
+        meta.put({
+          key: 'seeded',
+          collections: ['workspace', 'projects', 'tasks', 'statuses', 'users', 'priorities', 'labels', 'files'],
+          seeded_at: record.seeded_at,
+        });
+      }
+    };
+  },
+  3: (db) => {
+    db.createObjectStore('activities', { keyPath: 'id' });
+  },
+  4: (db) => {
+    db.createObjectStore('wikiPages', { keyPath: 'id' });
+    db.createObjectStore('wikiPageTaskLinks', { keyPath: 'id' });
+  },
+  5: (db) => {
+    db.createObjectStore('views', { keyPath: 'id' });
+  },
+  6: (db) => {
+    db.createObjectStore('taskLinks', { keyPath: 'id' });
+    db.createObjectStore('canvasFrames', { keyPath: 'id' });
+  },
+  7: (db) => {
+    db.createObjectStore('checklists', { keyPath: 'id' });
+    db.createObjectStore('checklistItems', { keyPath: 'id' });
+  },
+  8: (db) => {
+    db.createObjectStore('timeEntries', { keyPath: 'id' });
+  },
+  9: (db) => {
+    db.createObjectStore('customFields', { keyPath: 'id' });
+  },
+};
 
-    // Assigned to me filter
-    if (filterAssignedToMe && currentUser) {
-      if (t.assignee_id !== currentUser.id) return false;
-    }
+// Open database handle, or null when IndexedDB is unavailable (in-memory only)
+let storageDb = null;
 
-    // Assignee filter (multi-select)
-    const selectedAssignees = state.assigneeFilter[projectId] || [];
-    if (selectedAssignees.length > 0) {
-      // Check if task's assignee is in selected list, or if 'unassigned' is selected and task has no assignee
-      const hasUnassigned = selectedAssignees.includes('unassigned');
-      const taskAssigneeSelected = t.assignee_id && selectedAssignees.includes(t.assignee_id);
-      const taskIsUnassigned = !t.assignee_id && hasUnassigned;
-      if (!taskAssigneeSelected && !taskIsUnassigned) return false;
+function openStorage() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not supported'));
+      return;
     }
 
-    // Search filter
-    if (searchQuery) {
-      const titleMatch = t.title.toLowerCase().includes(searchQuery);
-      const descMatch = t.description?.toLowerCase().includes(searchQuery);
-      const keyMatch = t.key?.toLowerCase().includes(searchQuery);
-
-      // Also search in assignee name
-      const assignee = t.assignee_id ? state.users.find(u => u.id === t.assignee_id) : null;
-      const assigneeMatch = assignee?.name?.toLowerCase().includes(searchQuery);
-
-      // Search in labels
-      const taskLabels = t.label_ids?.map(id => state.labels.find(l => l.id === id)?.name?.toLowerCase()) || [];
-      const labelMatch = taskLabels.some(name => name?.includes(searchQuery));
+    const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_SCHEMA_VERSION);
 
-      if (!titleMatch && !descMatch && !keyMatch && !assigneeMatch && !labelMatch) return false;
-    }
+    request.onupgradeneeded = (e) => {
+      const db = request.result;
+      const transaction = request.transaction;
+      for (let version = e.oldVersion + 1; version <= STORAGE_SCHEMA_VERSION; version++) {
+        STORAGE_MIGRATIONS[version]?.(db, transaction);
+      }
+    };
 
-    return true;
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema - release our handle so it can proceed
+      db.onversionchange = () => {
+        db.close();
+        storageDb = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Storage upgrade blocked by another open tab'));
   });
 }
 
-function getDefaultFields() {
-  return {
-    taskKey: true,
-    status: true,
-    priority: true,
-    assignee: true,
-    dueDate: true,
-    labels: true,
-    progress: false
+/**
+ * Apply an updater to every record of a store during a migration
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {string} storeName
+ * @param {function(Object): Object} updater - Returns the migrated record
+ */
+function migrateRecords(transaction, storeName, updater) {
+  const store = transaction.objectStore(storeName);
+  store.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    cursor.update(updater(cursor.value));
+    cursor.continue();
   };
 }
 
-function getProjectFields(projectId) {
-  return state.projectFields[projectId] || getDefaultFields();
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
 }
 
-function getStatusById(id) {
-  return state.statuses.find(s => s.id === id);
+function storageTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
 }
 
-function getStatusesForProject(projectId) {
-  return state.statuses.filter(s => s.project_id === projectId).sort((a, b) => a.sort_order - b.sort_order);
+async function getSeededCollections(db) {
+  const store = db.transaction('meta', 'readonly').objectStore('meta');
+  const record = await promisifyRequest(store.get('seeded'));
+  return record?.collections || [];
 }
 
-function getUserById(id) {
-  return state.users.find(u => u.id === id);
-}
+/**
+ * Seed every collection that has not been seeded yet from its JSON file.
+ * Runs on first start and again whenever a schema upgrade adds a collection.
+ */
+async function seedMissingCollections(db) {
+  const seeded = await getSeededCollections(db);
+  const missing = Object.keys(STORAGE_COLLECTIONS).filter(name => !seeded.includes(name));
+  if (missing.length === 0) return;
 
-function getCurrentUser() {
-  // In a real app, this would come from auth state
-  // For demo, we use the first user (Sarah Chen) as the current user
-  return state.users[0];
-}
+  const results = await Promise.all(missing.map(name => loadJSON(STORAGE_COLLECTIONS[name])));
 
-function getPriorityById(id) {
-  return state.priorities.find(p => p.id === id);
-}
+  // Only mark collections as seeded when their seed file actually loaded
+  const loaded = missing.filter((name, i) => results[i] !== null);
+  if (loaded.length === 0) return;
 
-function getPriorityIcon(priorityName) {
-  if (!priorityName) return '';
-  const name = priorityName.toLowerCase();
-  if (name === 'highest' || name === 'urgent' || name === 'critical') return icons.priorityHighest;
-  if (name === 'high') return icons.priorityHigh;
-  if (name === 'medium' || name === 'normal') return icons.priorityMedium;
-  if (name === 'low') return icons.priorityLow;
-  if (name === 'lowest' || name === 'trivial') return icons.priorityLowest;
-  return icons.priorityMedium; // Default fallback
-}
+  const transaction = db.transaction([...loaded, 'meta'], 'readwrite');
+  loaded.forEach(name => {
+    const records = results[missing.indexOf(name)];
+    const store = transaction.objectStore(name);
+    (Array.isArray(records) ? records : [records]).forEach(record => store.put(record));
+  });
+  transaction.objectStore('meta').put({
+    key: 'seeded',
+    collections: [...seeded, ...loaded],
+    seeded_at: new Date().toISOString(),
+  });
 
-function getLabelById(id) {
-  return state.labels.find(l => l.id === id);
+  await storageTransactionDone(transaction);
 }
 
-function getLabelsForProject(projectId) {
-  return state.labels.filter(l => l.project_id === projectId);
-}
+async function readAllFromStorage(db) {
+  const names = Object.keys(STORAGE_COLLECTIONS);
+  const transaction = db.transaction(names, 'readonly');
+  const results = await Promise.all(
+    names.map(name => promisifyRequest(transaction.objectStore(name).getAll()))
+  );
 
-function getFilesForProject(projectId) {
-  return state.files.filter(f => f.project_id === projectId);
+  const data = {};
+  names.forEach((name, i) => {
+    data[name] = results[i];
+  });
+  data.workspace = data.workspace[0] || null;
+  return data;
 }
 
-function getTaskById(id) {
-  return state.tasks.find(t => t.id === id);
-}
+function writeToStorage(storeName, operation) {
+  if (!storageDb) return Promise.resolve();
 
-function getFileById(id) {
-  return state.files.find(f => f.id === id);
+  const transaction = storageDb.transaction(storeName, 'readwrite');
+  operation(transaction.objectStore(storeName));
+  return storageTransactionDone(transaction);
 }
 
-function formatFileSize(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
-}
+// ==========================================================================
+// Data Repository
+// ==========================================================================
 
-function getFileTypeFromName(filename) {
-  const ext = filename.split('.').pop().toLowerCase();
-  const typeMap = {
-    pdf: 'pdf',
-    jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', webp: 'image', svg: 'image',
-    doc: 'document', docx: 'document', txt: 'document', rtf: 'document',
-    xls: 'spreadsheet', xlsx: 'spreadsheet', csv: 'spreadsheet',
-    zip: 'archive', rar: 'archive', '7z': 'archive', tar: 'archive', gz: 'archive',
-    dwg: 'cad', dxf: 'cad', step: 'cad', stp: 'cad'
-  };
-  return typeMap[ext] || 'document';
+/**
+ * Every data source implements the same repository interface:
+ *
+ *   loadAll()                -> Promise<{ workspace, projects, tasks, statuses, ... }>
+ *   getWorkspace()           -> Promise<Object|null>
+ *   getAll(collection)       -> Promise<Object[]>
+ *   save(collection, record) -> Promise<Object>   (create or replace by id)
+ *   remove(collection, id)   -> Promise<void>
+ *
+ * plus entity shortcuts derived from REPOSITORY_ENTITIES, e.g. getTasks(),
+ * saveTask(task), deleteTask(id), getProjects(), saveProject(project).
+ *
+ * The static repository reads data/*.json and keeps edits in IndexedDB. The
+ * HTTP repository talks to the REST API in documentation/api.md and is used
+ * when index.html sets <meta name="task-canvas-api" content="<base url>">.
+ */
+const REPOSITORY_ENTITIES = {
+  projects: 'Project',
+  tasks: 'Task',
+  statuses: 'Status',
+  users: 'User',
+  priorities: 'Priority',
+  labels: 'Label',
+  files: 'File',
+  comments: 'Comment',
+  activities: 'Activity',
+  wikiPages: 'WikiPage',
+  wikiPageTaskLinks: 'WikiPageTaskLink',
+  views: 'View',
+  taskLinks: 'TaskLink',
+  canvasFrames: 'CanvasFrame',
+  checklists: 'Checklist',
+  checklistItems: 'ChecklistItem',
+  timeEntries: 'TimeEntry',
+  customFields: 'CustomField',
+};
+
+// Active repository, created by loadAllData()
+let dataRepository = null;
+
+function withEntityMethods(repository) {
+  Object.entries(REPOSITORY_ENTITIES).forEach(([collection, entity]) => {
+    const plural = collection.charAt(0).toUpperCase() + collection.slice(1);
+    repository[`get${plural}`] = () => repository.getAll(collection);
+    repository[`save${entity}`] = (record) => repository.save(collection, record);
+    repository[`delete${entity}`] = (id) => repository.remove(collection, id);
+  });
+  return repository;
 }
 
-function generateId() {
-  return 'file-' + Date.now() + '-' + Math.random().toString(36).substring(2, 11);
+async function loadSeedData() {
+  const names = Object.keys(STORAGE_COLLECTIONS);
+  const results = await Promise.all(names.map(name => loadJSON(STORAGE_COLLECTIONS[name])));
+
+  const data = {};
+  names.forEach((name, i) => {
+    data[name] = name === 'workspace' ? results[i] : (results[i] || []);
+  });
+  return data;
 }
 
-function handleFileUpload(fileList, projectId, taskId) {
-  const currentUser = getCurrentUser();
-  const newFiles = [];
+/**
+ * Repository backed by the bundled data/*.json files. The first run seeds
+ * IndexedDB from the JSON files; later runs read from IndexedDB so local
+ * edits survive a reload. Falls back to the JSON files (in-memory only)
+ * when IndexedDB cannot be opened.
+ */
+function createStaticJsonRepository() {
+  return withEntityMethods({
+    async loadAll() {
+      try {
+        storageDb = await openStorage();
+        await seedMissingCollections(storageDb);
+        return await readAllFromStorage(storageDb);
+      } catch (error) {
+        console.warn('Local storage unavailable, changes will not persist:', error);
+        storageDb = null;
+        return loadSeedData();
+      }
+    },
 
-  for (const file of fileList) {
-    const newFile = {
-      id: generateId(),
-      project_id: projectId,
-      task_id: taskId,
-      name: file.name,
-      file_type: getFileTypeFromName(file.name),
-      size_bytes: file.size,
-      uploaded_by: currentUser?.id || null,
-      uploaded_at: new Date().toISOString()
-    };
-    newFiles.push(newFile);
-    state.files.push(newFile);
-  }
+    async getWorkspace() {
+      if (!storageDb) return loadJSON(STORAGE_COLLECTIONS.workspace);
+      const store = storageDb.transaction('workspace', 'readonly').objectStore('workspace');
+      const records = await promisifyRequest(store.getAll());
+      return records[0] || null;
+    },
 
-  const fileCount = newFiles.length;
-  const message = fileCount === 1
-    ? `"${newFiles[0].name}" uploaded successfully`
-    : `${fileCount} files uploaded successfully`;
+    async getAll(collection) {
+      if (!storageDb) return (await loadJSON(STORAGE_COLLECTIONS[collection])) || [];
+      const store = storageDb.transaction(collection, 'readonly').objectStore(collection);
+      return promisifyRequest(store.getAll());
+    },
 
-  showToast(message, 'success');
+    async save(collection, record) {
+      await writeToStorage(collection, store => store.put(record));
+      return record;
+    },
 
-  // Re-render the current view
-  if (state.openTaskId) {
-    const task = getTaskById(state.openTaskId);
-    if (task) {
-      renderTaskPanel(task, state.openTaskProjectSlug);
-      attachTaskPanelEventListeners(state.openTaskId, state.openTaskProjectSlug);
+    async remove(collection, id) {
+      await writeToStorage(collection, store => store.delete(id));
+    },
+  });
+}
+
+/**
+ * Repository backed by the REST API described in documentation/api.md
+ * @param {string} baseUrl - API root, e.g. '/api' or 'https://tasks.example.com/api'
+ */
+function createHttpRepository(baseUrl) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function request(method, path, body) {
+    const response = await fetch(`${root}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => null);
+      throw new Error(payload?.error?.message || `${method} ${path} failed (${response.status})`);
     }
+    return response.status === 204 ? null : response.json();
   }
 
-  const currentPath = window.location.hash.slice(1);
-  const projectMatch = currentPath.match(/^\/projects\/([^/]+)/);
-  if (projectMatch) {
-    renderProjectDetail(projectMatch[1]);
-  }
-}
+  const recordPath = (collection, id) => `/${collection}/${encodeURIComponent(id)}`;
 
-function calculateProjectProgress(projectId) {
-  const tasks = getTasksForProject(projectId);
-  if (tasks.length === 0) return { done: 0, total: 0, percentage: 0 };
+  return withEntityMethods({
+    async loadAll() {
+      const names = Object.keys(REPOSITORY_ENTITIES);
+      const [workspace, ...lists] = await Promise.all([
+        request('GET', '/workspace'),
+        ...names.map(name => request('GET', `/${name}`)),
+      ]);
 
-  const statuses = getStatusesForProject(projectId);
-  const doneStatusIds = statuses.filter(s => s.category === 'done').map(s => s.id);
+      const data = { workspace };
+      names.forEach((name, i) => {
+        data[name] = lists[i];
+      });
+      return data;
+    },
 
-  const doneTasks = tasks.filter(t => doneStatusIds.includes(t.status_id));
-  const percentage = Math.round((doneTasks.length / tasks.length) * 100);
+    getWorkspace: () => request('GET', '/workspace'),
+    getAll: (collection) => request('GET', `/${collection}`),
+    save: (collection, record) => request('PUT', recordPath(collection, record.id), record),
+    remove: (collection, id) => request('DELETE', recordPath(collection, id)).then(() => {}),
+  });
+}
 
-  return {
-    done: doneTasks.length,
-    total: tasks.length,
-    percentage
-  };
+function getApiBaseUrl() {
+  const meta = document.querySelector('meta[name="task-canvas-api"]');
+  return meta?.content.trim() || '';
 }
 
-function getProjectMembers(projectId) {
-  const tasks = getTasksForProject(projectId);
-  const memberIds = [...new Set(tasks.map(t => t.assignee_id).filter(Boolean))];
-  return memberIds.map(id => getUserById(id)).filter(Boolean);
+function createRepository() {
+  const apiBaseUrl = getApiBaseUrl();
+  return apiBaseUrl ? createHttpRepository(apiBaseUrl) : createStaticJsonRepository();
 }
 
-function getFilteredProjects() {
-  return state.projects.filter(project => {
-    switch (state.currentFilter) {
-      case 'favorites':
-        return project.is_favorite && !project.is_archived;
-      case 'archived':
-        return project.is_archived;
-      default:
-        return !project.is_archived;
-    }
-  });
+function handleRepositoryError(error) {
+  console.error('Error saving changes:', error);
+  showToast('Changes could not be saved', 'error');
+}
+
+/**
+ * Write one or more records through the active repository.
+ * Call after mutating an entity in state so the change survives a reload.
+ * @param {string} collection - Collection name (e.g. 'tasks')
+ * @param {Object|Object[]} records
+ */
+function persistRecords(collection, records) {
+  invalidateSearchIndex();
+  const list = (Array.isArray(records) ? records : [records]).filter(Boolean);
+  list.forEach(record => trackHistoryChange(collection, record.id, record));
+  if (!dataRepository) return;
+  Promise.all(list.map(record => dataRepository.save(collection, record))).catch(handleRepositoryError);
+}
+
+/**
+ * Remove one or more records through the active repository
+ * @param {string} collection - Collection name (e.g. 'tasks')
+ * @param {string|string[]} ids
+ */
+function removeRecords(collection, ids) {
+  invalidateSearchIndex();
+  const list = Array.isArray(ids) ? ids : [ids];
+  list.forEach(id => trackHistoryChange(collection, id, null));
+  if (!dataRepository) return;
+  Promise.all(list.map(id => dataRepository.remove(collection, id))).catch(handleRepositoryError);
 }
 
 // ==========================================================================
-// Routing
+// Undo History
 // ==========================================================================
 
-function parseRoute() {
-  const hash = window.location.hash || '#/projects';
-  const parts = hash.slice(2).split('/'); // Remove '#/'
+const HISTORY_LIMIT = 50;
+// Entries that change the same records as the previous one within this many
+// ms (e.g. dragging the same cards again) are merged into it
+const HISTORY_MERGE_WINDOW = 1500;
+// Activity is an audit log, so undo must not take its events back
+const HISTORY_UNTRACKED_COLLECTIONS = ['activities'];
 
-  return {
-    page: parts[0] || 'projects',
-    param: parts[1] || null
-  };
-}
+/**
+ * Undo/redo works on persisted records: every persistRecords()/removeRecords()
+ * call made in one synchronous turn becomes one history entry, holding the
+ * record as it was last persisted and as it is now (JSON, null when absent).
+ * Collections without a snapshot are not tracked.
+ */
+const historyState = {
+  snapshot: null, // { collection: Map(id → JSON) } - last persisted copy of every record
+  pending: null, // entry collecting the current turn's changes
+  undo: [],
+  redo: [],
+  applying: false, // set while an entry is replayed, so it isn't recorded again
+};
 
-function navigate(path) {
-  window.location.hash = path;
-}
+// Take the baseline copy of all collections once the data is loaded
+function initHistory() {
+  historyState.snapshot = {};
+  Object.keys(STORAGE_COLLECTIONS).forEach(collection => {
+    if (!Array.isArray(state[collection]) || HISTORY_UNTRACKED_COLLECTIONS.includes(collection)) return;
+    historyState.snapshot[collection] = new Map(state[collection].map(r => [r.id, JSON.stringify(r)]));
+  });
 
-function handleRouteChange() {
-  const route = parseRoute();
+  document.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    // Text fields keep their own undo
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
 
-  // Update nav active state
-  document.querySelectorAll('.nav-link').forEach(link => {
-    link.classList.toggle('active', link.dataset.nav === route.page);
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+      redoLastChange();
+    } else {
+      undoLastChange();
+    }
   });
+}
 
-  // Render appropriate view
-  switch (route.page) {
-    case 'projects':
-      if (route.param) {
-        renderProjectDetail(route.param);
-      } else {
-        renderProjectsLanding();
-      }
-      break;
-    case 'reports':
-      renderPlaceholderPage('Reports', 'Analytics and reporting features coming soon.');
-      break;
-    case 'wiki':
-      renderPlaceholderPage('Wiki', 'Documentation and wiki features coming soon.');
-      break;
-    case 'ai-assistant':
-      renderPlaceholderPage('AI Assistant', 'Intelligent task suggestions and automation coming soon.');
-      break;
-    default:
-      renderProjectsLanding();
+/**
+ * The entry that collects this turn's changes. It is pushed onto the undo
+ * stack at the end of the turn if anything actually changed.
+ */
+function beginHistoryEntry() {
+  if (!historyState.pending) {
+    const entry = { label: null, changes: new Map() };
+    historyState.pending = entry;
+    queueMicrotask(() => flushHistoryEntry(entry));
   }
+  return historyState.pending;
 }
 
-// ==========================================================================
-// Icons (SVG)
-// ==========================================================================
+function flushHistoryEntry(entry) {
+  if (historyState.pending === entry) historyState.pending = null;
 
-const icons = {
-  grid: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/>
-    <rect x="14" y="14" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/>
-  </svg>`,
-  list: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/>
-    <line x1="8" y1="18" x2="21" y2="18"/><line x1="3" y1="6" x2="3.01" y2="6"/>
-    <line x1="3" y1="12" x2="3.01" y2="12"/><line x1="3" y1="18" x2="3.01" y2="18"/>
-  </svg>`,
-  plus: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
-  </svg>`,
-  star: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
-  </svg>`,
-  starFilled: `<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2">
-    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
-  </svg>`,
-  check: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polyline points="20 6 9 17 4 12"/>
-  </svg>`,
-  tasks: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/>
-  </svg>`,
-  users: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/>
-    <path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/>
-  </svg>`,
-  chevronDown: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polyline points="6 9 12 15 18 9"/>
-  </svg>`,
-  chevronRight: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polyline points="9 18 15 12 9 6"/>
-  </svg>`,
-  chevronLeft: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polyline points="15 18 9 12 15 6"/>
-  </svg>`,
-  search: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/>
-  </svg>`,
-  filter: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"/>
-  </svg>`,
-  sort: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="4" y1="6" x2="20" y2="6"/><line x1="4" y1="12" x2="16" y2="12"/><line x1="4" y1="18" x2="12" y2="18"/>
-  </svg>`,
-  arrowUp: `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="12" y1="19" x2="12" y2="5"/><polyline points="5 12 12 5 19 12"/>
-  </svg>`,
-  arrowDown: `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="12" y1="5" x2="12" y2="19"/><polyline points="19 12 12 19 5 12"/>
-  </svg>`,
-  grip: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <circle cx="9" cy="5" r="1"/><circle cx="9" cy="12" r="1"/><circle cx="9" cy="19" r="1"/>
-    <circle cx="15" cy="5" r="1"/><circle cx="15" cy="12" r="1"/><circle cx="15" cy="19" r="1"/>
-  </svg>`,
-  folder: `<svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
-  </svg>`,
-  moreHorizontal: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <circle cx="12" cy="12" r="1"/><circle cx="5" cy="12" r="1"/><circle cx="19" cy="12" r="1"/>
-  </svg>`,
-  settings: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1 0 2.83 2 2 0 0 1-2.83 0l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-2 2 2 2 0 0 1-2-2v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83 0 2 2 0 0 1 0-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1-2-2 2 2 0 0 1 2-2h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 0-2.83 2 2 0 0 1 2.83 0l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 2-2 2 2 0 0 1 2 2v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 0 2 2 0 0 1 0 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 2 2 2 2 0 0 1-2 2h-.09a1.65 1.65 0 0 0-1.51 1z"/>
-  </svg>`,
-  tag: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" y1="7" x2="7.01" y2="7"/>
-  </svg>`,
-  file: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><polyline points="10 9 9 9 8 9"/>
-  </svg>`,
-  filePdf: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><path d="M9 15v-2h2c.6 0 1 .4 1 1s-.4 1-1 1H9z"/>
-  </svg>`,
-  fileImage: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/>
-  </svg>`,
-  fileArchive: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="12" y1="11" x2="12" y2="11"/><line x1="12" y1="15" x2="12" y2="15"/><line x1="12" y1="19" x2="12" y2="19"/>
-  </svg>`,
-  fileSpreadsheet: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="8" y1="13" x2="16" y2="13"/><line x1="8" y1="17" x2="16" y2="17"/><line x1="12" y1="9" x2="12" y2="21"/>
-  </svg>`,
-  download: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>
-  </svg>`,
-  eye: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/>
-  </svg>`,
-  trash: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
-  </svg>`,
-  upload: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" y1="3" x2="12" y2="15"/>
-  </svg>`,
-  link: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
-  </svg>`,
-  x: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
-  </svg>`,
-  close: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
-  </svg>`,
-  mail: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/><polyline points="22,6 12,13 2,6"/>
-  </svg>`,
-  calendar: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/>
-  </svg>`,
-  flag: `<svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2">
-    <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" y1="22" x2="4" y2="15"/>
-  </svg>`,
-  flagOutline: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" y1="22" x2="4" y2="15"/>
-  </svg>`,
-  hash: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="4" y1="9" x2="20" y2="9"/><line x1="4" y1="15" x2="20" y2="15"/><line x1="10" y1="3" x2="8" y2="21"/><line x1="16" y1="3" x2="14" y2="21"/>
-  </svg>`,
-  barChart: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="12" y1="20" x2="12" y2="10"/><line x1="18" y1="20" x2="18" y2="4"/><line x1="6" y1="20" x2="6" y2="16"/>
-  </svg>`,
-  user: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/>
-  </svg>`,
-  userPlus: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="8.5" cy="7" r="4"/><line x1="20" y1="8" x2="20" y2="14"/><line x1="23" y1="11" x2="17" y2="11"/>
-  </svg>`,
-  edit: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
-  </svg>`,
-  checkCircle: `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>
-  </svg>`,
-  clock: `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/>
-  </svg>`,
-  warning: `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/>
-  </svg>`,
-  // Priority arrows (Jira-style)
-  priorityHighest: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
-    <path d="M3 10l5-6 5 6H3z"/><path d="M3 14l5-6 5 6H3z"/>
-  </svg>`,
-  priorityHigh: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
-    <path d="M3 12l5-6 5 6H3z"/>
-  </svg>`,
-  priorityMedium: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
-    <rect x="2" y="7" width="12" height="2" rx="1"/>
-  </svg>`,
-  priorityLow: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
-    <path d="M3 4l5 6 5-6H3z"/>
-  </svg>`,
-  priorityLowest: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
-    <path d="M3 2l5 6 5-6H3z"/><path d="M3 6l5 6 5-6H3z"/>
-  </svg>`,
-};
+  entry.changes.forEach((change, key) => {
+    if (change.before === change.after) entry.changes.delete(key);
+  });
+  if (entry.changes.size === 0) return;
 
-// ==========================================================================
-// Render Functions - Projects Landing
-// ==========================================================================
+  const last = historyState.undo[historyState.undo.length - 1];
+  if (last && canMergeHistoryEntries(last, entry)) {
+    entry.changes.forEach((change, key) => {
+      last.changes.get(key).after = change.after;
+    });
+    last.changes.forEach((change, key) => {
+      if (change.before === change.after) last.changes.delete(key);
+    });
+    // Changed back to where it started: nothing left to undo
+    if (last.changes.size === 0) historyState.undo.pop();
+    last.recordedAt = Date.now();
+    entry.mergedInto = last;
+    return;
+  }
 
-function renderProjectsLanding() {
-  // Clean up previous event listeners to prevent memory leaks
-  cleanupViewListeners();
+  entry.recordedAt = Date.now();
+  historyState.undo.push(entry);
+  if (historyState.undo.length > HISTORY_LIMIT) historyState.undo.shift();
+  historyState.redo = [];
+}
 
-  updateBreadcrumb([{ label: 'Projects', href: '#/projects' }]);
+function canMergeHistoryEntries(last, entry) {
+  return historyState.redo.length === 0 &&
+    Date.now() - (last.recordedAt || 0) < HISTORY_MERGE_WINDOW &&
+    last.changes.size === entry.changes.size &&
+    [...entry.changes.keys()].every(key => last.changes.has(key));
+}
 
-  const projects = getFilteredProjects();
-  const mainContent = document.getElementById('main-content');
+function trackHistoryChange(collection, id, record) {
+  const snapshot = historyState.snapshot?.[collection];
+  if (!snapshot || id == null) return;
 
-  mainContent.innerHTML = `
-    <div class="page-header">
-      <h1 class="page-title">
-        <span class="page-title-count">${projects.length}</span> Projects
-      </h1>
-      <div class="page-actions">
-        <div class="view-toggle">
-          <button class="view-toggle-btn ${state.currentView === 'grid' ? 'active' : ''}" data-view="grid">
-            ${icons.grid} Grid
-          </button>
-          <button class="view-toggle-btn ${state.currentView === 'list' ? 'active' : ''}" data-view="list">
-            ${icons.list} List
-          </button>
-        </div>
-        <div class="filter-tabs">
-          <button class="filter-tab ${state.currentFilter === 'all' ? 'active' : ''}" data-filter="all">All</button>
-          <button class="filter-tab ${state.currentFilter === 'favorites' ? 'active' : ''}" data-filter="favorites">Favorites</button>
-          <button class="filter-tab ${state.currentFilter === 'archived' ? 'active' : ''}" data-filter="archived">Archived</button>
-        </div>
-        <button class="btn-primary" data-action="create-project">
-          ${icons.plus} Create Project
-        </button>
-      </div>
-    </div>
+  const before = snapshot.get(id) ?? null;
+  const after = record ? JSON.stringify(record) : null;
+  if (record) {
+    snapshot.set(id, after);
+  } else {
+    snapshot.delete(id);
+  }
+  if (historyState.applying || before === after) return;
 
-    ${projects.length === 0
-      ? renderEmptyState()
-      : state.currentView === 'grid'
-        ? renderProjectsGrid(projects)
-        : renderProjectsList(projects)
-    }
-  `;
+  const key = `${collection}/${id}`;
+  const changes = beginHistoryEntry().changes;
+  if (changes.has(key)) {
+    changes.get(key).after = after;
+  } else {
+    changes.set(key, { collection, id, before, after });
+  }
+}
 
-  // Attach event listeners
-  attachProjectsEventListeners();
+/**
+ * Called by showToast: once the turn's changes are recorded, give the toast
+ * an Undo button for them, labelled with the toast message
+ */
+function offerUndoOnToast(message, setAction) {
+  if (!historyState.snapshot || historyState.applying) return;
+
+  const entry = beginHistoryEntry();
+  queueMicrotask(() => {
+    const recorded = entry.mergedInto || entry;
+    if (!historyState.undo.includes(recorded)) return;
+    recorded.label = recorded.label || message;
+    setAction({ label: 'Undo', onClick: () => undoHistoryEntry(recorded) });
+  });
 }
 
-function renderEmptyState() {
-  return `
-    <div class="empty-state">
-      <div class="empty-state-icon">${icons.folder}</div>
-      <h2 class="empty-state-title">No projects found</h2>
-      <p class="empty-state-description">
-        ${state.currentFilter === 'favorites'
-          ? 'You haven\'t favorited any projects yet.'
-          : state.currentFilter === 'archived'
-            ? 'No archived projects.'
-            : 'Get started by creating your first project.'}
-      </p>
-      ${state.currentFilter === 'all'
-        ? `<button class="btn-primary" data-action="create-project">${icons.plus} Create Project</button>`
-        : ''}
-    </div>
-  `;
-}
+/**
+ * Write one side ('before' or 'after') of an entry back into state. Records
+ * are updated in place, so open panels and closures keep valid references.
+ */
+function applyHistoryEntry(entry, side) {
+  // Later changes must not merge into an entry that was just undone or redone
+  entry.recordedAt = 0;
+  historyState.applying = true;
+  try {
+    entry.changes.forEach(change => {
+      const records = state[change.collection];
+      const index = records.findIndex(r => r.id === change.id);
+      const json = change[side];
+
+      if (json === null) {
+        if (index !== -1) records.splice(index, 1);
+        removeRecords(change.collection, change.id);
+        return;
+      }
 
-function renderProjectsGrid(projects) {
-  return `
-    <div class="projects-grid">
-      ${projects.map(project => {
-        const progress = calculateProjectProgress(project.id);
-        const members = getProjectMembers(project.id);
+      const record = JSON.parse(json);
+      if (index === -1) {
+        records.push(record);
+        persistRecords(change.collection, record);
+      } else {
+        const current = records[index];
+        Object.keys(current).forEach(key => delete current[key]);
+        Object.assign(current, record);
+        persistRecords(change.collection, current);
+      }
+    });
+  } finally {
+    historyState.applying = false;
+  }
 
-        return `
-          <div class="card card--project project-card" data-project-slug="${project.slug}" style="--project-color: ${project.color}">
-            <div class="project-card-header">
-              <div>
-                <h3 class="project-name">${escapeHtml(project.name)}</h3>
-                <span class="project-identifier">${escapeHtml(project.identifier)}</span>
-              </div>
-              <button class="project-favorite ${project.is_favorite ? 'is-favorite' : ''}" data-project-id="${project.id}">
-                ${project.is_favorite ? icons.starFilled : icons.star}
-              </button>
-            </div>
-            <div class="project-progress">
-              <div class="progress-label">
-                <span>Progress</span>
-                <span>${progress.percentage}%</span>
-              </div>
-              <div class="progress-bar">
-                <div class="progress-fill" style="width: ${progress.percentage}%"></div>
-              </div>
-            </div>
-            <div class="project-meta">
-              <div class="project-stat">
-                ${icons.tasks}
-                <span>${progress.done}/${progress.total} tasks</span>
-              </div>
-              <div class="project-stat">
-                ${icons.users}
-                <span>${members.length} members</span>
-              </div>
-            </div>
-          </div>
-        `;
-      }).join('')}
-    </div>
-  `;
+  refreshAfterHistoryChange();
 }
 
-function renderProjectsList(projects) {
-  return `
-    <div class="projects-list">
-      ${projects.map(project => {
-        const progress = calculateProjectProgress(project.id);
-        const members = getProjectMembers(project.id);
+function undoHistoryEntry(entry) {
+  if (historyState.undo[historyState.undo.length - 1] !== entry) {
+    showToast('Undo the newer changes first (Ctrl+Z)', 'error');
+    return;
+  }
 
-        return `
-          <div class="project-list-item" data-project-slug="${project.slug}">
-            <div class="project-list-color" style="--project-color: ${project.color}"></div>
-            <div class="project-list-info">
-              <div class="project-list-name">${escapeHtml(project.name)}</div>
-              <div class="project-identifier">${escapeHtml(project.identifier)}</div>
-            </div>
-            <div class="project-list-progress">
-              <div class="progress-label">
-                <span>Progress</span>
-                <span>${progress.percentage}%</span>
-              </div>
-              <div class="progress-bar">
-                <div class="progress-fill" style="width: ${progress.percentage}%; background: ${project.color}"></div>
-              </div>
-            </div>
-            <div class="project-stat">
-              ${icons.tasks}
-              <span>${progress.done}/${progress.total}</span>
-            </div>
-            <div class="project-stat">
-              ${icons.users}
-              <span>${members.length}</span>
-            </div>
-            <button class="project-favorite ${project.is_favorite ? 'is-favorite' : ''}" data-project-id="${project.id}">
-              ${project.is_favorite ? icons.starFilled : icons.star}
-            </button>
-          </div>
-        `;
-      }).join('')}
-    </div>
-  `;
+  historyState.undo.pop();
+  applyHistoryEntry(entry, 'before');
+  historyState.redo.push(entry);
+  showToast(`Undone: ${entry.label || 'last change'}`, 'default', {
+    label: 'Redo',
+    onClick: () => redoHistoryEntry(entry),
+  });
 }
 
-function attachProjectsEventListeners() {
-  const signal = getViewSignal();
+function redoHistoryEntry(entry) {
+  if (historyState.redo[historyState.redo.length - 1] !== entry) {
+    showToast('Redo the earlier changes first (Ctrl+Shift+Z)', 'error');
+    return;
+  }
 
-  // Filter tabs
-  document.querySelectorAll('.filter-tab').forEach(tab => {
-    tab.addEventListener('click', () => {
-      state.currentFilter = tab.dataset.filter;
-      renderProjectsLanding();
-    }, { signal });
+  historyState.redo.pop();
+  applyHistoryEntry(entry, 'after');
+  historyState.undo.push(entry);
+  showToast(`Redone: ${entry.label || 'last change'}`, 'default', {
+    label: 'Undo',
+    onClick: () => undoHistoryEntry(entry),
   });
+}
 
-  // View toggle
-  document.querySelectorAll('.view-toggle-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      state.currentView = btn.dataset.view;
-      renderProjectsLanding();
-    }, { signal });
-  });
+function undoLastChange() {
+  const entry = historyState.undo[historyState.undo.length - 1];
+  if (entry) {
+    undoHistoryEntry(entry);
+  } else {
+    showToast('Nothing to undo');
+  }
+}
 
-  // Create Project button
-  document.querySelectorAll('[data-action="create-project"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      showCreateProjectModal();
-    }, { signal });
-  });
+function redoLastChange() {
+  const entry = historyState.redo[historyState.redo.length - 1];
+  if (entry) {
+    redoHistoryEntry(entry);
+  } else {
+    showToast('Nothing to redo');
+  }
+}
 
-  // Project cards/items - navigate to project detail
-  document.querySelectorAll('.project-card, .project-list-item').forEach(card => {
-    card.addEventListener('click', (e) => {
-      // Don't navigate if clicking the favorite button
-      if (e.target.closest('.project-favorite')) return;
+// Re-render whatever shows the restored records
+function refreshAfterHistoryChange() {
+  closeDropdown();
 
-      const slug = card.dataset.projectSlug;
-      navigate(`#/projects/${slug}`);
-    }, { signal });
-  });
+  if (state.openTaskId) {
+    const task = getTaskById(state.openTaskId);
+    if (task) {
+      renderTaskPanel(task, state.openTaskProjectSlug);
+    } else {
+      closeTaskPanel();
+    }
+  }
+  if (state.openFileId && !getFileById(state.openFileId)) {
+    closeFilePreview();
+  }
 
-  // Favorite buttons (prevent propagation is handled above)
-  document.querySelectorAll('.project-favorite').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      // Toggle favorite (in real app, this would persist)
-      const projectId = btn.dataset.projectId;
-      const project = getProjectById(projectId);
-      if (project) {
-        project.is_favorite = !project.is_favorite;
-        renderProjectsLanding();
-      }
-    }, { signal });
-  });
+  // The workflow modal edits statuses in place, so redraw it
+  const workflowSlug = document.querySelector('[data-action="save-workflow"]')?.dataset.projectSlug;
+  if (workflowSlug) redrawWorkflowModal(workflowSlug);
+
+  handleRouteChange();
 }
 
 // ==========================================================================
-// Render Functions - Project Detail (Task List & Board)
+// Data Helpers
 // ==========================================================================
 
-function renderProjectDetail(slug) {
-  // Clean up previous event listeners to prevent memory leaks
-  cleanupViewListeners();
+function getProjectById(id) {
+  return state.projects.find(p => p.id === id);
+}
 
-  const project = getProjectBySlug(slug);
+function getProjectBySlug(slug) {
+  return state.projects.find(p => p.slug === slug);
+}
 
-  if (!project) {
-    renderNotFound();
-    return;
-  }
+function getTasksForProject(projectId, includeArchived = null) {
+  // If includeArchived is not specified, use the project's showArchivedTasks setting
+  const showArchived = includeArchived !== null ? includeArchived : (state.showArchivedTasks[projectId] || false);
+  const searchQuery = (state.taskSearch[projectId] || '').toLowerCase().trim();
+  const filterAssignedToMe = state.assignedToMe[projectId] || false;
+  const currentUser = getCurrentUser();
+  const taskFilter = state.taskFilters[projectId];
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
 
-  updateBreadcrumb([
-    { label: 'Projects', href: '#/projects' },
-    { label: project.name, href: `#/projects/${slug}` }
-  ]);
+  return state.tasks.filter(t => {
+    // Project filter
+    if (t.project_id !== projectId) return false;
 
-  const tasks = getTasksForProject(project.id);
-  const statuses = getStatusesForProject(project.id);
-  const mainContent = document.getElementById('main-content');
+    // Archived filter
+    if (!showArchived && t.is_archived) return false;
 
-  // Group tasks by status and sort by sort_order
-  const tasksByStatus = {};
-  statuses.forEach(status => {
-    tasksByStatus[status.id] = tasks
-      .filter(t => t.status_id === status.id)
-      .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+    // Assigned to me filter
+    if (filterAssignedToMe && currentUser) {
+      if (t.assignee_id !== currentUser.id) return false;
+    }
+
+    // Assignee filter (multi-select)
+    const selectedAssignees = state.assigneeFilter[projectId] || [];
+    if (selectedAssignees.length > 0) {
+      // Check if task's assignee is in selected list, or if 'unassigned' is selected and task has no assignee
+      const hasUnassigned = selectedAssignees.includes('unassigned');
+      const taskAssigneeSelected = t.assignee_id && selectedAssignees.includes(t.assignee_id);
+      const taskIsUnassigned = !t.assignee_id && hasUnassigned;
+      if (!taskAssigneeSelected && !taskIsUnassigned) return false;
+    }
+
+    // Search filter
+    if (searchQuery && !taskMatchesSearch(t, searchQuery)) return false;
+
+    // Filter builder conditions
+    if (taskFilter && !matchesTaskFilter(t, taskFilter, today)) return false;
+
+    return true;
   });
+}
 
-  const currentTab = state.currentProjectTab;
+/**
+ * Match a task's title, description, key, assignee name or label names
+ * @param {Object} task
+ * @param {string} query - Lowercased search text
+ */
+function taskMatchesSearch(task, query) {
+  const titleMatch = task.title.toLowerCase().includes(query);
+  const descMatch = task.description?.toLowerCase().includes(query);
+  const project = getProjectById(task.project_id);
+  const keyMatch = project && `${project.identifier}-${task.sequence_id}`.toLowerCase().includes(query);
 
-  mainContent.innerHTML = `
-    <div class="page-header">
-      <h1 class="page-title">${escapeHtml(project.name)}</h1>
-      <div class="page-actions">
-        <button class="btn-secondary" data-action="invite-member" data-project-slug="${slug}">
-          ${icons.users} Invite
-        </button>
-        <button class="btn-primary" data-action="create-task" data-project-slug="${slug}">
-          ${icons.plus} Create Task
-        </button>
-      </div>
-    </div>
+  // Also search in assignee name
+  const assignee = task.assignee_id ? state.users.find(u => u.id === task.assignee_id) : null;
+  const assigneeMatch = assignee?.name?.toLowerCase().includes(query);
 
-    <nav class="project-tabs">
-      <button class="project-tab ${currentTab === 'tasks' ? 'active' : ''}" data-tab="tasks">Task List</button>
-      <button class="project-tab ${currentTab === 'board' ? 'active' : ''}" data-tab="board">Board</button>
-      <button class="project-tab ${currentTab === 'roadmap' ? 'active' : ''}" data-tab="roadmap">Roadmap</button>
-      <button class="project-tab ${currentTab === 'insights' ? 'active' : ''}" data-tab="insights">Insights</button>
-      <button class="project-tab ${currentTab === 'files' ? 'active' : ''}" data-tab="files">Files</button>
-      <button class="project-tab ${currentTab === 'members' ? 'active' : ''}" data-tab="members">Members</button>
-      <button class="project-tab ${currentTab === 'settings' ? 'active' : ''}" data-tab="settings">Settings</button>
-    </nav>
+  // Search in labels
+  const taskLabels = task.label_ids?.map(id => state.labels.find(l => l.id === id)?.name?.toLowerCase()) || [];
+  const labelMatch = taskLabels.some(name => name?.includes(query));
 
-    ${renderTabContent(currentTab, statuses, tasksByStatus, tasks, project)}
-  `;
+  return Boolean(titleMatch || descMatch || keyMatch || assigneeMatch || labelMatch);
+}
 
-  // Attach event listeners
-  attachProjectDetailEventListeners(slug);
+/**
+ * Read a filterable field from a task. Besides task columns this supports the
+ * virtual fields status_category, labels and text.
+ */
+function getTaskFilterValue(task, field) {
+  switch (field) {
+    case 'status_category':
+      return getStatusById(task.status_id)?.category || null;
+    case 'labels':
+      return task.label_ids || [];
+    default:
+      return task[field] ?? null;
+  }
 }
 
-function renderTabContent(tab, statuses, tasksByStatus, tasks, project) {
-  const groupBy = state.projectGroupBy[project.id] || 'none';
-  const swimlane = state.boardSwimlane[project.id] || 'none';
+/**
+ * Evaluate View.filters JSON against a task (see View in documentation/data-model.md).
+ * Top-level fields and the operators on one field must all match; "$and" and "$or"
+ * hold arrays of nested filters. Conditions with an empty value are still being
+ * edited and are ignored.
+ * @param {Object} task
+ * @param {Object} filter
+ * @param {Date} today - Midnight today, for the overdue operator
+ * @returns {boolean}
+ */
+function matchesTaskFilter(task, filter, today) {
+  return Object.entries(filter || {}).every(([field, condition]) => {
+    if (field === '$and' || field === '$or') {
+      const clauses = condition.filter(clause => isTaskFilterComplete(clause));
+      if (clauses.length === 0) return true;
+      return field === '$and'
+        ? clauses.every(clause => matchesTaskFilter(task, clause, today))
+        : clauses.some(clause => matchesTaskFilter(task, clause, today));
+    }
+    return Object.entries(condition).every(([operator, value]) =>
+      value === '' || matchesTaskFilterOperator(task, field, operator, value, today)
+    );
+  });
+}
 
-  switch (tab) {
-    case 'board':
-      return `<div class="board-view">${renderBoardToolbar(project)}${renderBoardView(statuses, tasksByStatus, tasks, project, swimlane)}</div>`;
-    case 'roadmap':
-      return renderRoadmapView(tasks, project);
-    case 'insights':
-      return renderInsightsView(tasks, project);
-    case 'members':
-      return renderMembersView(tasks, project);
-    case 'files':
-      return renderFilesView(project);
-    case 'settings':
-      return renderSettingsView(project);
+function isTaskFilterComplete(filter) {
+  return Object.entries(filter).some(([field, condition]) =>
+    field === '$and' || field === '$or'
+      ? condition.some(clause => isTaskFilterComplete(clause))
+      : Object.values(condition).some(value => value !== '')
+  );
+}
+
+function matchesTaskFilterOperator(task, field, operator, value, today) {
+  const currentUserId = getCurrentUser()?.id;
+  const resolve = v => (v === VIEW_CURRENT_USER ? currentUserId : v);
+  const actual = getTaskFilterValue(task, field);
+  // Dates compare on the calendar day so timestamps and plain dates mix
+  const comparable = v => (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}/.test(v) ? v.slice(0, 10) : v);
+
+  if (field === 'text') {
+    const query = String(value).toLowerCase().trim();
+    const matches = !query || taskMatchesSearch(task, query);
+    return operator === 'not_contains' ? !matches : matches;
+  }
+
+  switch (operator) {
+    case 'eq':
+      return actual === resolve(value);
+    case 'neq':
+      return actual !== resolve(value);
+    case 'in':
+      return value.map(resolve).includes(actual);
+    case 'not_in':
+      return !value.map(resolve).includes(actual);
+    case 'lt':
+      return actual !== null && comparable(actual) < comparable(value);
+    case 'lte':
+      return actual !== null && comparable(actual) <= comparable(value);
+    case 'gt':
+      return actual !== null && comparable(actual) > comparable(value);
+    case 'gte':
+      return actual !== null && comparable(actual) >= comparable(value);
+    case 'is_null': {
+      const isEmpty = actual === null || (Array.isArray(actual) && actual.length === 0);
+      return value ? isEmpty : !isEmpty;
+    }
+    case 'is_not_null': {
+      const isEmpty = actual === null || (Array.isArray(actual) && actual.length === 0);
+      return value ? !isEmpty : isEmpty;
+    }
+    case 'contains': {
+      const wanted = Array.isArray(value) ? value : [value];
+      return Array.isArray(actual)
+        ? wanted.every(v => actual.includes(v))
+        : String(actual ?? '').toLowerCase().includes(String(value).toLowerCase());
+    }
+    case 'not_contains': {
+      const unwanted = Array.isArray(value) ? value : [value];
+      return Array.isArray(actual)
+        ? !unwanted.some(v => actual.includes(v))
+        : !String(actual ?? '').toLowerCase().includes(String(value).toLowerCase());
+    }
+    case 'overdue':
+      return field === 'due_date' && isTaskOverdue(task, today) === Boolean(value);
     default:
-      return `<div class="task-list-view">${renderTaskListToolbar(project, groupBy)}${renderTaskListView(statuses, tasksByStatus, tasks, project, groupBy)}</div>`;
+      console.warn(`Unknown filter operator "${operator}" on ${field}`);
+      return true;
   }
 }
 
-function getProjectSort(projectId) {
-  return state.projectSort[projectId] || { field: 'manual', direction: 'asc' };
+function getDefaultFields() {
+  return {
+    taskKey: true,
+    status: true,
+    priority: true,
+    assignee: true,
+    dueDate: true,
+    labels: true,
+    progress: false,
+    timeSpent: true
+  };
 }
 
-function renderTaskListToolbar(project, groupBy) {
-  const showArchived = state.showArchivedTasks[project.id] || false;
-  const assignedToMe = state.assignedToMe[project.id] || false;
-  const selectedAssignees = state.assigneeFilter[project.id] || [];
-  const assigneeFilterCount = selectedAssignees.length;
-  const sort = getProjectSort(project.id);
-  const groupByLabels = {
-    none: 'None',
-    status: 'Status',
-    priority: 'Priority',
-    assignee: 'Assignee'
-  };
-  const sortLabels = {
-    manual: 'Manual',
-    title: 'Title',
-    priority: 'Priority',
-    dueDate: 'Due Date',
-    created: 'Created',
-    updated: 'Updated'
-  };
-  const sortLabel = sortLabels[sort.field] || 'Manual';
-  const directionIcon = sort.field !== 'manual' ? (sort.direction === 'asc' ? icons.arrowUp : icons.arrowDown) : '';
+function getProjectFields(projectId) {
+  return state.projectFields[projectId] || getDefaultFields();
+}
 
-  const searchQuery = state.taskSearch[project.id] || '';
-  const searchExpanded = searchQuery.length > 0;
+function getStatusById(id) {
+  return state.statuses.find(s => s.id === id);
+}
 
-  return `
-    <div class="view-toolbar view-toolbar--wrap">
-      <div class="toolbar-filters">
-        <div class="toolbar-search ${searchExpanded ? 'expanded' : ''}" data-project-id="${project.id}">
-          <button class="filter-btn toolbar-search-toggle" data-action="toggle-search" aria-label="Search tasks" aria-expanded="${searchExpanded}">
-            ${icons.search}
-            <span class="toolbar-search-label">Search</span>
-          </button>
-          <div class="toolbar-search-input-wrapper">
-            <span class="toolbar-search-icon">${icons.search}</span>
-            <input type="text"
-                   class="toolbar-search-input"
-                   placeholder="Search tasks..."
-                   value="${escapeHtml(searchQuery)}"
-                   data-action="search-tasks"
-                   aria-label="Search tasks">
-            <button class="toolbar-search-clear" data-action="clear-search" aria-label="Clear search">
-              ${icons.x}
-            </button>
-          </div>
-        </div>
-        <button class="filter-btn" data-action="toggle-sort">
-          ${icons.sort} ${sortLabel}
-          ${directionIcon}
-          ${icons.chevronDown}
-        </button>
-        <button class="filter-btn" data-action="toggle-group-by">
-          ${icons.grid} Group by ${groupByLabels[groupBy]}
-          ${icons.chevronDown}
-        </button>
-        <button class="filter-btn ${assigneeFilterCount > 0 ? 'active' : ''}" data-action="toggle-assignee-filter">
-          ${icons.user} Assignee${assigneeFilterCount > 0 ? ` (${assigneeFilterCount})` : ''}
-          ${icons.chevronDown}
-        </button>
-        <label class="checkbox-label">
-          <input type="checkbox" class="checkbox-input" data-action="toggle-assigned-to-me" ${assignedToMe ? 'checked' : ''}>
-          <span class="checkbox-custom"></span>
-          <span class="checkbox-text">Assigned to me</span>
-        </label>
-      </div>
-      <div class="toolbar-actions">
-        <label class="checkbox-label">
-          <input type="checkbox" class="checkbox-input" data-action="toggle-archived" ${showArchived ? 'checked' : ''}>
-          <span class="checkbox-custom"></span>
-          <span class="checkbox-text">Show archived</span>
-        </label>
-        <button class="filter-btn" data-action="toggle-fields">
-          ${icons.settings} Fields
-          ${icons.chevronDown}
-        </button>
-        <button class="btn-manage-workflow">
-          ${icons.settings} Manage Workflow
-        </button>
-      </div>
-    </div>
-  `;
+function getStatusesForProject(projectId) {
+  return state.statuses.filter(s => s.project_id === projectId).sort((a, b) => a.sort_order - b.sort_order);
 }
 
-function renderBoardToolbar(project) {
-  const showArchived = state.showArchivedTasks[project.id] || false;
-  const assignedToMe = state.assignedToMe[project.id] || false;
-  const swimlane = state.boardSwimlane[project.id] || 'none';
-  const selectedAssignees = state.assigneeFilter[project.id] || [];
-  const assigneeFilterCount = selectedAssignees.length;
-  const swimlaneLabels = {
-    none: 'None',
-    priority: 'Priority',
-    assignee: 'Assignee'
-  };
+function getUserById(id) {
+  return state.users.find(u => u.id === id);
+}
 
-  const searchQuery = state.taskSearch[project.id] || '';
-  const searchExpanded = searchQuery.length > 0;
+function getCurrentUser() {
+  // In a real app, this would come from auth state
+  // For demo, we use the first user (Sarah Chen) as the current user
+  return state.users[0];
+}
 
-  return `
-    <div class="view-toolbar view-toolbar--wrap">
-      <div class="toolbar-filters">
-        <div class="toolbar-search ${searchExpanded ? 'expanded' : ''}" data-project-id="${project.id}">
-          <button class="filter-btn toolbar-search-toggle" data-action="toggle-search" aria-label="Search tasks" aria-expanded="${searchExpanded}">
-            ${icons.search}
-            <span class="toolbar-search-label">Search</span>
-          </button>
-          <div class="toolbar-search-input-wrapper">
-            <span class="toolbar-search-icon">${icons.search}</span>
-            <input type="text"
-                   class="toolbar-search-input"
-                   placeholder="Search tasks..."
-                   value="${escapeHtml(searchQuery)}"
-                   data-action="search-tasks"
-                   aria-label="Search tasks">
-            <button class="toolbar-search-clear" data-action="clear-search" aria-label="Clear search">
-              ${icons.x}
-            </button>
-          </div>
-        </div>
-        <button class="filter-btn" data-action="toggle-swimlane">
-          ${icons.grid} Group by ${swimlaneLabels[swimlane]}
-          ${icons.chevronDown}
-        </button>
-        <button class="filter-btn ${assigneeFilterCount > 0 ? 'active' : ''}" data-action="toggle-assignee-filter">
-          ${icons.user} Assignee${assigneeFilterCount > 0 ? ` (${assigneeFilterCount})` : ''}
-          ${icons.chevronDown}
-        </button>
-        <label class="checkbox-label">
-          <input type="checkbox" class="checkbox-input" data-action="toggle-assigned-to-me" ${assignedToMe ? 'checked' : ''}>
-          <span class="checkbox-custom"></span>
-          <span class="checkbox-text">Assigned to me</span>
-        </label>
-      </div>
-      <div class="toolbar-actions">
-        <label class="checkbox-label">
-          <input type="checkbox" class="checkbox-input" data-action="toggle-archived" ${showArchived ? 'checked' : ''}>
-          <span class="checkbox-custom"></span>
-          <span class="checkbox-text">Show archived</span>
-        </label>
-        <button class="filter-btn" data-action="toggle-fields">
-          ${icons.settings} Fields
-          ${icons.chevronDown}
-        </button>
-        <button class="btn-manage-workflow">
-          ${icons.settings} Manage Workflow
-        </button>
-      </div>
-    </div>
-  `;
+function getPriorityById(id) {
+  return state.priorities.find(p => p.id === id);
 }
 
-function getGroupsForTasks(tasks, project, groupBy) {
-  const groups = [];
-  const tasksByGroup = {};
+function getPriorityIcon(priorityName) {
+  if (!priorityName) return '';
+  const name = priorityName.toLowerCase();
+  if (name === 'highest' || name === 'urgent' || name === 'critical') return icons.priorityHighest;
+  if (name === 'high') return icons.priorityHigh;
+  if (name === 'medium' || name === 'normal') return icons.priorityMedium;
+  if (name === 'low') return icons.priorityLow;
+  if (name === 'lowest' || name === 'trivial') return icons.priorityLowest;
+  return icons.priorityMedium; // Default fallback
+}
 
-  if (groupBy === 'none') {
-    // No grouping - single flat list
-    groups.push({
-      id: 'all-tasks',
-      name: 'All Tasks',
-      color: null,
-      type: 'none'
-    });
-    tasksByGroup['all-tasks'] = [...tasks];
-  } else if (groupBy === 'status') {
-    // Group by workflow status
-    const statuses = getStatusesForProject(project.id);
-    statuses.forEach(status => {
-      groups.push({
-        id: status.id,
-        name: status.name,
-        color: status.color,
-        type: 'status'
-      });
-      tasksByGroup[status.id] = [];
-    });
-    tasks.forEach(task => {
-      if (tasksByGroup[task.status_id]) {
-        tasksByGroup[task.status_id].push(task);
-      }
-    });
-  } else if (groupBy === 'priority') {
-    // Group by priority
-    const priorityOrder = ['priority-high', 'priority-medium', 'priority-low', 'priority-none'];
-    const priorityGroups = [
-      { id: 'priority-high', name: 'High', color: COLOR_PALETTE.red.hex, type: 'priority', priorityId: 'priority-high' },
-      { id: 'priority-medium', name: 'Medium', color: COLOR_PALETTE.amber.hex, type: 'priority', priorityId: 'priority-medium' },
-      { id: 'priority-low', name: 'Low', color: COLOR_PALETTE.emerald.hex, type: 'priority', priorityId: 'priority-low' },
-      { id: 'priority-none', name: 'No Priority', color: COLOR_PALETTE.gray.hex, type: 'priority', priorityId: null }
-    ];
-    priorityGroups.forEach(pg => {
-      groups.push(pg);
-      tasksByGroup[pg.id] = [];
-    });
-    tasks.forEach(task => {
-      const groupId = task.priority_id || 'priority-none';
-      if (tasksByGroup[groupId]) {
-        tasksByGroup[groupId].push(task);
-      } else {
-        tasksByGroup['priority-none'].push(task);
-      }
-    });
-  } else if (groupBy === 'assignee') {
-    // Group by assignee
-    const projectMembers = getProjectMembers(project.id);
+function getLabelById(id) {
+  return state.labels.find(l => l.id === id);
+}
 
-    // Add unassigned group first
-    groups.push({
-      id: 'unassigned',
-      name: 'Unassigned',
-      color: FALLBACK_COLOR,
-      type: 'assignee',
-      assigneeId: null
-    });
-    tasksByGroup['unassigned'] = [];
+function getLabelsForProject(projectId) {
+  return state.labels.filter(l => l.project_id === projectId);
+}
 
-    // Add member groups
-    projectMembers.forEach(member => {
-      groups.push({
-        id: `assignee-${member.id}`,
-        name: member.name,
-        color: stringToColor(member.name),
-        type: 'assignee',
-        assigneeId: member.id
-      });
-      tasksByGroup[`assignee-${member.id}`] = [];
-    });
+function getFilesForProject(projectId) {
+  return state.files.filter(f => f.project_id === projectId);
+}
 
-    tasks.forEach(task => {
-      if (task.assignee_id) {
-        const groupId = `assignee-${task.assignee_id}`;
-        if (tasksByGroup[groupId]) {
-          tasksByGroup[groupId].push(task);
-        } else {
-          tasksByGroup['unassigned'].push(task);
-        }
-      } else {
-        tasksByGroup['unassigned'].push(task);
-      }
-    });
-  }
+function getTaskById(id) {
+  return state.tasks.find(t => t.id === id);
+}
 
-  return { groups, tasksByGroup };
+function getFileById(id) {
+  return state.files.find(f => f.id === id);
 }
 
-function renderTaskListView(statuses, tasksByStatus, tasks, project, groupBy) {
-  const { groups, tasksByGroup } = getGroupsForTasks(tasks, project, groupBy);
+function getCommentById(id) {
+  return state.comments.find(c => c.id === id);
+}
 
-  return `
-    <div class="task-table-container">
-      ${groups.map(group => renderTaskGroup(group, tasksByGroup[group.id] || [], project, groupBy)).join('')}
-    </div>
-  `;
+function getCommentsForTask(taskId) {
+  return state.comments
+    .filter(c => c.task_id === taskId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
 }
 
-function renderBoardView(statuses, tasksByStatus, tasks, project, swimlane) {
-  // Board always uses Status for columns
-  return `
-    <div class="board-container">
-      ${statuses.map(status => {
-        const statusTasks = tasks.filter(t => t.status_id === status.id);
-        return renderBoardColumn(status, statusTasks, project, swimlane);
-      }).join('')}
-    </div>
-  `;
+/**
+ * Find a task by its display key, e.g. 'CON-12'
+ */
+function getTaskByKey(key) {
+  const match = String(key).toUpperCase().match(/^([A-Z0-9]+)-(\d+)$/);
+  if (!match) return null;
+  const project = state.projects.find(p => (p.identifier || '').toUpperCase() === match[1]);
+  if (!project) return null;
+  return state.tasks.find(t => t.project_id === project.id && t.sequence_id === Number(match[2])) || null;
 }
 
-function renderBoardColumn(status, tasks, project, swimlane) {
-  const isQuickAdding = state.quickAddStatus === status.id;
-  const isEmpty = tasks.length === 0;
+function getWikiPageById(id) {
+  return state.wikiPages.find(p => p.id === id);
+}
 
-  // Get swimlanes if enabled
-  const swimlanes = getSwimlanes(tasks, project, swimlane);
+function getWikiPagesForProject(projectId) {
+  return state.wikiPages
+    .filter(p => p.project_id === projectId)
+    .sort((a, b) => a.sort_order - b.sort_order);
+}
 
-  return `
-    <div class="board-column" data-group-id="${status.id}" data-group-type="status" style="--column-color: ${status.color}">
-      <div class="board-column-header">
-        <div class="board-column-title">
-          <span class="board-column-name">${escapeHtml(status.name)}</span>
-          <span class="count-badge">${tasks.length}</span>
-        </div>
-        <div class="board-column-actions">
-          <button class="icon-btn board-column-btn" title="Add task">
-            ${icons.plus}
-          </button>
-          <button class="icon-btn board-column-btn" title="More options">
-            ${icons.moreHorizontal}
-          </button>
-        </div>
-      </div>
-      <div class="board-column-content">
-        ${isEmpty && !isQuickAdding ? `
-          <div class="board-column-empty">
-            <span class="board-column-empty-text">No tasks yet</span>
-            <span class="board-column-empty-hint">Drag tasks here or click below to add</span>
-          </div>
-        ` : swimlane === 'none' ? `
-          ${tasks.map(task => renderBoardCard(task, project)).join('')}
-        ` : `
-          ${swimlanes.map(lane => renderBoardSwimlane(lane, tasks.filter(t => lane.filter(t)), project, status)).join('')}
-        `}
-      </div>
-      ${isQuickAdding ? `
-        <div class="quick-add-input">
-          <input type="text" placeholder="Task title..." autofocus>
-          <div class="quick-add-actions">
-            <button class="quick-add-btn save">Save</button>
-            <button class="quick-add-btn cancel">Cancel</button>
-          </div>
-        </div>
-      ` : `
-        <div class="board-add-card">
-          ${icons.plus} Add Task
-        </div>
-      `}
-    </div>
-  `;
+function getWikiPagesForTask(taskId) {
+  const pageIds = new Set(state.wikiPageTaskLinks.filter(l => l.task_id === taskId).map(l => l.page_id));
+  return state.wikiPages
+    .filter(p => pageIds.has(p.id))
+    .sort((a, b) => a.title.localeCompare(b.title));
 }
 
-function getSwimlanes(tasks, project, swimlane) {
-  if (swimlane === 'none') return [];
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
 
-  if (swimlane === 'priority') {
-    const lanes = state.priorities
-      .slice()
-      .sort((a, b) => b.sort_order - a.sort_order)
-      .map(priority => ({
-        id: priority.id,
-        name: priority.name,
-        color: priority.color,
-        filter: t => t.priority_id === priority.id
-      }));
-    lanes.push({ id: 'priority-none', name: 'No Priority', color: FALLBACK_COLOR, filter: t => !t.priority_id });
-    return lanes;
+function getFileTypeFromName(filename) {
+  const ext = filename.split('.').pop().toLowerCase();
+  const typeMap = {
+    pdf: 'pdf',
+    jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', webp: 'image', svg: 'image',
+    doc: 'document', docx: 'document', txt: 'document', rtf: 'document',
+    xls: 'spreadsheet', xlsx: 'spreadsheet', csv: 'spreadsheet',
+    zip: 'archive', rar: 'archive', '7z': 'archive', tar: 'archive', gz: 'archive',
+    dwg: 'cad', dxf: 'cad', step: 'cad', stp: 'cad'
+  };
+  return typeMap[ext] || 'document';
+}
+
+function generateId() {
+  return 'file-' + Date.now() + '-' + Math.random().toString(36).substring(2, 11);
+}
+
+function handleFileUpload(fileList, projectId, taskId) {
+  const currentUser = getCurrentUser();
+  const newFiles = [];
+
+  for (const file of fileList) {
+    const newFile = {
+      id: generateId(),
+      project_id: projectId,
+      task_id: taskId,
+      name: file.name,
+      file_type: getFileTypeFromName(file.name),
+      size_bytes: file.size,
+      uploaded_by: currentUser?.id || null,
+      uploaded_at: new Date().toISOString()
+    };
+    newFiles.push(newFile);
+    state.files.push(newFile);
   }
+  persistRecords('files', newFiles);
 
-  if (swimlane === 'assignee') {
-    const projectMembers = getProjectMembers(project.id);
-    const lanes = [
-      { id: 'unassigned', name: 'Unassigned', color: FALLBACK_COLOR, filter: t => !t.assignee_id }
-    ];
-    projectMembers.forEach(member => {
-      lanes.push({
-        id: `assignee-${member.id}`,
-        name: member.name,
-        color: stringToColor(member.name),
-        filter: t => t.assignee_id === member.id
-      });
-    });
-    return lanes;
+  const fileCount = newFiles.length;
+  const message = fileCount === 1
+    ? `"${newFiles[0].name}" uploaded successfully`
+    : `${fileCount} files uploaded successfully`;
+
+  showToast(message, 'success');
+
+  // Re-render the current view
+  if (state.openTaskId) {
+    const task = getTaskById(state.openTaskId);
+    if (task) {
+      renderTaskPanel(task, state.openTaskProjectSlug);
+      attachTaskPanelEventListeners(state.openTaskId, state.openTaskProjectSlug);
+    }
   }
 
-  return [];
+  const currentPath = window.location.hash.slice(1);
+  const projectMatch = currentPath.match(/^\/projects\/([^/]+)/);
+  if (projectMatch) {
+    renderProjectDetail(projectMatch[1]);
+  }
 }
 
-function renderBoardSwimlane(lane, tasks, project, status) {
-  if (tasks.length === 0) return '';
+function calculateProjectProgress(projectId) {
+  const tasks = getTasksForProject(projectId);
+  if (tasks.length === 0) return { done: 0, total: 0, percentage: 0 };
 
-  return `
-    <div class="board-swimlane" data-swimlane-id="${lane.id}">
-      <div class="board-swimlane-header">
-        <span class="board-swimlane-color" style="background: ${lane.color}"></span>
-        <span class="board-swimlane-name">${escapeHtml(lane.name)}</span>
-        <span class="board-swimlane-count">${tasks.length}</span>
-      </div>
-      <div class="board-swimlane-cards">
-        ${tasks.map(task => renderBoardCard(task, project)).join('')}
-      </div>
-    </div>
-  `;
-}
+  const statuses = getStatusesForProject(projectId);
+  const doneStatusIds = statuses.filter(s => s.category === 'done').map(s => s.id);
 
-function renderBoardCard(task, project) {
-  const fields = getProjectFields(project.id);
-  const assignee = task.assignee_id ? getUserById(task.assignee_id) : null;
-  const taskLabels = (task.label_ids || []).map(id => getLabelById(id)).filter(Boolean);
-  const firstLabel = taskLabels[0];
-  const status = getStatusById(task.status_id);
-  const priority = task.priority_id ? getPriorityById(task.priority_id) : null;
-  const priorityBg = priority ? hexToRgba(priority.color, 0.15) : '';
-  const taskKey = `${project.identifier}-${task.sequence_id}`;
-  const dueDateOverdue = isOverdue(task.due_date);
-  const isArchived = task.is_archived;
+  const doneTasks = tasks.filter(t => doneStatusIds.includes(t.status_id));
+  const percentage = Math.round((doneTasks.length / tasks.length) * 100);
 
-  // Check if footer has any visible content
-  const hasFooterContent = (fields.dueDate && task.due_date) || fields.assignee || fields.progress;
+  return {
+    done: doneTasks.length,
+    total: tasks.length,
+    percentage
+  };
+}
 
-  return `
-    <div class="card card--board board-card ${isArchived ? 'archived' : ''}" data-task-id="${task.id}" draggable="true">
-      <div class="board-card-header">
-        ${fields.taskKey ? `<span class="task-key">${escapeHtml(taskKey)}</span>` : ''}
-        ${fields.priority && priority ? `
-          <span class="task-priority" style="background: ${priorityBg}; color: var(--color-text-secondary)">
-            ${getPriorityIcon(priority.name)} ${escapeHtml(priority.name)}
-          </span>
-        ` : ''}
-      </div>
-      <div class="task-title">${escapeHtml(task.title)}</div>
-      ${fields.labels && taskLabels.length > 0 ? `
-        <div class="board-card-labels">
-          ${taskLabels.map(label => `<span class="task-label">${escapeHtml(label.name)}</span>`).join('')}
-        </div>
-      ` : ''}
-      ${hasFooterContent ? `
-        <div class="board-card-footer">
-          <div class="board-card-meta">
-            ${fields.progress ? `<span class="task-progress">0%</span>` : ''}
-            ${fields.dueDate && task.due_date ? `
-              <span class="task-due-date ${dueDateOverdue ? 'overdue' : ''}">
-                ${formatDate(task.due_date)}
-              </span>
-            ` : ''}
-          </div>
-          <div class="board-card-actions">
-            ${fields.assignee ? `
-              ${assignee
-                ? `<div class="table-avatar board-card-assignee" style="background: ${stringToColor(assignee.name)}" title="${escapeHtml(assignee.name)}">
-                    ${getInitials(assignee.name)}
-                  </div>`
-                : ''}
-              <button class="add-icon-btn" title="Assign">+</button>
-            ` : ''}
-          </div>
-        </div>
-      ` : ''}
-    </div>
-  `;
+function getProjectMembers(projectId) {
+  const tasks = getTasksForProject(projectId);
+  const memberIds = [...new Set(tasks.map(t => t.assignee_id).filter(Boolean))];
+  return memberIds.map(id => getUserById(id)).filter(Boolean);
 }
 
-function attachProjectDetailEventListeners(slug) {
-  const signal = getViewSignal();
-
-  // Tab switching
-  document.querySelectorAll('.project-tab').forEach(tab => {
-    tab.addEventListener('click', () => {
-      if (tab.classList.contains('placeholder')) {
-        return;
-      }
-      const tabName = tab.dataset.tab;
-      state.currentProjectTab = tabName;
-      // Clear selections when switching tabs
-      state.selectedFiles.clear();
-      state.selectedMembers.clear();
-      renderProjectDetail(slug);
-    }, { signal });
-  });
-
-  // Sort dropdown (list view)
-  document.querySelectorAll('[data-action="toggle-sort"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      showSortDropdown(btn, slug);
-    }, { signal });
-  });
-
-  // Group by dropdown (list view)
-  document.querySelectorAll('[data-action="toggle-group-by"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      showGroupByDropdown(btn, slug);
-    }, { signal });
+function getFilteredProjects() {
+  return state.projects.filter(project => {
+    switch (state.currentFilter) {
+      case 'favorites':
+        return project.is_favorite && !project.is_archived;
+      case 'archived':
+        return project.is_archived;
+      default:
+        return !project.is_archived;
+    }
   });
+}
 
-  // Swimlane dropdown (board view)
-  document.querySelectorAll('[data-action="toggle-swimlane"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      showSwimlaneDropdown(btn, slug);
-    }, { signal });
-  });
+// ==========================================================================
+// Routing
+// ==========================================================================
 
-  // Show archived toggle
-  document.querySelectorAll('[data-action="toggle-archived"]').forEach(checkbox => {
-    checkbox.addEventListener('change', (e) => {
-      const project = getProjectBySlug(slug);
-      if (project) {
-        state.showArchivedTasks[project.id] = e.target.checked;
-        renderProjectDetail(slug);
-      }
-    }, { signal });
-  });
+function parseRoute() {
+  const hash = window.location.hash || '#/projects';
+  const parts = hash.slice(2).split('/'); // Remove '#/'
 
-  // Assigned to me toggle
-  document.querySelectorAll('[data-action="toggle-assigned-to-me"]').forEach(checkbox => {
-    checkbox.addEventListener('change', (e) => {
-      const project = getProjectBySlug(slug);
-      if (project) {
-        state.assignedToMe[project.id] = e.target.checked;
-        renderProjectDetail(slug);
-      }
-    }, { signal });
-  });
+  return {
+    page: parts[0] || 'projects',
+    param: parts[1] || null,
+    subparam: parts[2] ? decodeRouteSegment(parts[2]) : null
+  };
+}
 
-  // Search toggle
-  document.querySelectorAll('[data-action="toggle-search"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const searchContainer = btn.closest('.toolbar-search');
-      if (searchContainer) {
-        searchContainer.classList.add('expanded');
-        const input = searchContainer.querySelector('.toolbar-search-input');
-        if (input) {
-          input.focus();
-        }
-      }
-    }, { signal });
-  });
+// A malformed escape (e.g. a stray "%") is kept as typed, so the route shows
+// its not-found state instead of failing
+function decodeRouteSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
 
-  // Search input
-  document.querySelectorAll('[data-action="search-tasks"]').forEach(input => {
-    let debounceTimer;
-    input.addEventListener('input', (e) => {
-      const project = getProjectBySlug(slug);
-      if (project) {
-        clearTimeout(debounceTimer);
-        const cursorPosition = e.target.selectionStart;
-        debounceTimer = setTimeout(() => {
-          state.taskSearch[project.id] = e.target.value;
-          renderProjectDetail(slug);
-          // Restore focus to search input after re-render
-          const newInput = document.querySelector('.toolbar-search-input');
-          if (newInput) {
-            newInput.focus();
-            // Restore cursor position
-            newInput.setSelectionRange(cursorPosition, cursorPosition);
-          }
-        }, 200);
-      }
-    }, { signal });
+function navigate(path) {
+  window.location.hash = path;
+}
 
-    // Handle escape key to clear and close search
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        const project = getProjectBySlug(slug);
-        if (project) {
-          state.taskSearch[project.id] = '';
-          const searchContainer = input.closest('.toolbar-search');
-          if (searchContainer) {
-            searchContainer.classList.remove('expanded');
-          }
-          renderProjectDetail(slug);
-        }
-      }
-    }, { signal });
+function handleRouteChange() {
+  const route = parseRoute();
 
-    // Close search on blur if empty - only if not actively typing
-    input.addEventListener('blur', (e) => {
-      const searchContainer = input.closest('.toolbar-search');
-      // Use setTimeout to allow click on clear button to register and re-focus after render
-      setTimeout(() => {
-        const activeElement = document.activeElement;
-        const isSearchInputFocused = activeElement && activeElement.classList.contains('toolbar-search-input');
-        if (searchContainer && !input.value && !searchContainer.contains(document.activeElement) && !isSearchInputFocused) {
-          searchContainer.classList.remove('expanded');
-        }
-      }, 250);
-    }, { signal });
+  // Update nav active state
+  document.querySelectorAll('.nav-link').forEach(link => {
+    link.classList.toggle('active', link.dataset.nav === route.page);
   });
 
-  // Clear search
-  document.querySelectorAll('[data-action="clear-search"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const project = getProjectBySlug(slug);
-      if (project) {
-        state.taskSearch[project.id] = '';
-        const searchContainer = btn.closest('.toolbar-search');
-        if (searchContainer) {
-          searchContainer.classList.remove('expanded');
-        }
-        renderProjectDetail(slug);
+  // Render appropriate view
+  switch (route.page) {
+    case 'projects':
+      if (route.param) {
+        applyDefaultProjectView(route.param);
+        renderProjectDetail(route.param);
+      } else {
+        renderProjectsLanding();
       }
-    }, { signal });
-  });
-
-  // Fields dropdown
-  document.querySelectorAll('[data-action="toggle-fields"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      showFieldsDropdown(btn, slug);
-    }, { signal });
-  });
-
-  // Assignee filter dropdown
-  document.querySelectorAll('[data-action="toggle-assignee-filter"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      showAssigneeFilterDropdown(btn, slug);
-    }, { signal });
-  });
-
-  // Create Task button
-  document.querySelectorAll('[data-action="create-task"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      showCreateTaskModal(slug);
-    }, { signal });
-  });
-
-  // Invite Member button
-  document.querySelectorAll('[data-action="invite-member"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      showInviteMemberModal(slug);
-    }, { signal });
-  });
+      break;
+    case 'reports':
+      renderReportsPage();
+      break;
+    case 'wiki':
+      renderWiki(route.param, route.subparam);
+      break;
+    case 'ai-assistant':
+      renderPlaceholderPage('AI Assistant', 'Intelligent task suggestions and automation coming soon.');
+      break;
+    default:
+      renderProjectsLanding();
+  }
+}
 
-  // Manage Workflow button
-  document.querySelectorAll('.btn-manage-workflow').forEach(btn => {
-    btn.addEventListener('click', () => {
-      showManageWorkflowModal(slug);
-    }, { signal });
-  });
+// ==========================================================================
+// Icons (SVG)
+// ==========================================================================
 
-  // Group toggle (for task list view)
-  document.querySelectorAll('[data-toggle-group]').forEach(header => {
-    header.addEventListener('click', () => {
-      const statusId = header.dataset.toggleGroup;
-      if (state.collapsedGroups.has(statusId)) {
+const icons = {
+  grid: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/>
+    <rect x="14" y="14" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/>
+  </svg>`,
+  list: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/>
+    <line x1="8" y1="18" x2="21" y2="18"/><line x1="3" y1="6" x2="3.01" y2="6"/>
+    <line x1="3" y1="12" x2="3.01" y2="12"/><line x1="3" y1="18" x2="3.01" y2="18"/>
+  </svg>`,
+  plus: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
+  </svg>`,
+  star: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+  </svg>`,
+  starFilled: `<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2">
+    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+  </svg>`,
+  check: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polyline points="20 6 9 17 4 12"/>
+  </svg>`,
+  tasks: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/>
+  </svg>`,
+  users: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/>
+    <path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/>
+  </svg>`,
+  chevronDown: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polyline points="6 9 12 15 18 9"/>
+  </svg>`,
+  chevronRight: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polyline points="9 18 15 12 9 6"/>
+  </svg>`,
+  chevronLeft: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polyline points="15 18 9 12 15 6"/>
+  </svg>`,
+  search: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/>
+  </svg>`,
+  filter: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"/>
+  </svg>`,
+  sort: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="4" y1="6" x2="20" y2="6"/><line x1="4" y1="12" x2="16" y2="12"/><line x1="4" y1="18" x2="12" y2="18"/>
+  </svg>`,
+  arrowUp: `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="12" y1="19" x2="12" y2="5"/><polyline points="5 12 12 5 19 12"/>
+  </svg>`,
+  arrowDown: `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="12" y1="5" x2="12" y2="19"/><polyline points="19 12 12 19 5 12"/>
+  </svg>`,
+  grip: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="9" cy="5" r="1"/><circle cx="9" cy="12" r="1"/><circle cx="9" cy="19" r="1"/>
+    <circle cx="15" cy="5" r="1"/><circle cx="15" cy="12" r="1"/><circle cx="15" cy="19" r="1"/>
+  </svg>`,
+  folder: `<svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+  </svg>`,
+  moreHorizontal: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="12" cy="12" r="1"/><circle cx="5" cy="12" r="1"/><circle cx="19" cy="12" r="1"/>
+  </svg>`,
+  settings: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1 0 2.83 2 2 0 0 1-2.83 0l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-2 2 2 2 0 0 1-2-2v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83 0 2 2 0 0 1 0-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1-2-2 2 2 0 0 1 2-2h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 0-2.83 2 2 0 0 1 2.83 0l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 2-2 2 2 0 0 1 2 2v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 0 2 2 0 0 1 0 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 2 2 2 2 0 0 1-2 2h-.09a1.65 1.65 0 0 0-1.51 1z"/>
+  </svg>`,
+  tag: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" y1="7" x2="7.01" y2="7"/>
+  </svg>`,
+  file: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><polyline points="10 9 9 9 8 9"/>
+  </svg>`,
+  filePdf: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><path d="M9 15v-2h2c.6 0 1 .4 1 1s-.4 1-1 1H9z"/>
+  </svg>`,
+  fileImage: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/>
+  </svg>`,
+  fileArchive: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="12" y1="11" x2="12" y2="11"/><line x1="12" y1="15" x2="12" y2="15"/><line x1="12" y1="19" x2="12" y2="19"/>
+  </svg>`,
+  fileSpreadsheet: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="8" y1="13" x2="16" y2="13"/><line x1="8" y1="17" x2="16" y2="17"/><line x1="12" y1="9" x2="12" y2="21"/>
+  </svg>`,
+  download: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>
+  </svg>`,
+  eye: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/>
+  </svg>`,
+  trash: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+  </svg>`,
+  upload: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" y1="3" x2="12" y2="15"/>
+  </svg>`,
+  merge: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="18" cy="18" r="3"/><circle cx="6" cy="6" r="3"/><path d="M6 21V9a9 9 0 0 0 9 9"/>
+  </svg>`,
+  link: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+  </svg>`,
+  x: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+  </svg>`,
+  close: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+  </svg>`,
+  mail: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/><polyline points="22,6 12,13 2,6"/>
+  </svg>`,
+  calendar: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/>
+  </svg>`,
+  flag: `<svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2">
+    <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" y1="22" x2="4" y2="15"/>
+  </svg>`,
+  flagOutline: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" y1="22" x2="4" y2="15"/>
+  </svg>`,
+  hash: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="4" y1="9" x2="20" y2="9"/><line x1="4" y1="15" x2="20" y2="15"/><line x1="10" y1="3" x2="8" y2="21"/><line x1="16" y1="3" x2="14" y2="21"/>
+  </svg>`,
+  barChart: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="12" y1="20" x2="12" y2="10"/><line x1="18" y1="20" x2="18" y2="4"/><line x1="6" y1="20" x2="6" y2="16"/>
+  </svg>`,
+  user: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/>
+  </svg>`,
+  userPlus: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="8.5" cy="7" r="4"/><line x1="20" y1="8" x2="20" y2="14"/><line x1="23" y1="11" x2="17" y2="11"/>
+  </svg>`,
+  edit: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+  </svg>`,
+  lock: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+  </svg>`,
+  unlock: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 9.9-1"/>
+  </svg>`,
+  zoomIn: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="11" y1="8" x2="11" y2="14"/><line x1="8" y1="11" x2="14" y2="11"/>
+  </svg>`,
+  zoomOut: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="8" y1="11" x2="14" y2="11"/>
+  </svg>`,
+  maximize: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M8 3H5a2 2 0 0 0-2 2v3m18 0V5a2 2 0 0 0-2-2h-3m0 18h3a2 2 0 0 0 2-2v-3M3 16v3a2 2 0 0 0 2 2h3"/>
+  </svg>`,
+  crosshair: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="12" cy="12" r="10"/><line x1="22" y1="12" x2="18" y2="12"/><line x1="6" y1="12" x2="2" y2="12"/>
+    <line x1="12" y1="6" x2="12" y2="2"/><line x1="12" y1="22" x2="12" y2="18"/>
+  </svg>`,
+  checkCircle: `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>
+  </svg>`,
+  clock: `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/>
+  </svg>`,
+  warning: `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/>
+  </svg>`,
+  // Priority arrows (Jira-style)
+  priorityHighest: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
+    <path d="M3 10l5-6 5 6H3z"/><path d="M3 14l5-6 5 6H3z"/>
+  </svg>`,
+  priorityHigh: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
+    <path d="M3 12l5-6 5 6H3z"/>
+  </svg>`,
+  priorityMedium: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
+    <rect x="2" y="7" width="12" height="2" rx="1"/>
+  </svg>`,
+  priorityLow: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
+    <path d="M3 4l5 6 5-6H3z"/>
+  </svg>`,
+  priorityLowest: `<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
+    <path d="M3 2l5 6 5-6H3z"/><path d="M3 6l5 6 5-6H3z"/>
+  </svg>`,
+};
+
+// ==========================================================================
+// Render Functions - Projects Landing
+// ==========================================================================
+
+function renderProjectsLanding() {
+  // Clean up previous event listeners to prevent memory leaks
+  cleanupViewListeners();
+
+  updateBreadcrumb([{ label: 'Projects', href: '#/projects' }]);
+
+  const projects = getFilteredProjects();
+  const mainContent = document.getElementById('main-content');
+
+  mainContent.innerHTML = `
+    <div class="page-header">
+      <h1 class="page-title">
+        <span class="page-title-count">${projects.length}</span> Projects
+      </h1>
+      <div class="page-actions">
+        <div class="view-toggle">
+          <button class="view-toggle-btn ${state.currentView === 'grid' ? 'active' : ''}" data-view="grid">
+            ${icons.grid} Grid
+          </button>
+          <button class="view-toggle-btn ${state.currentView === 'list' ? 'active' : ''}" data-view="list">
+            ${icons.list} List
+          </button>
+        </div>
+        <div class="filter-tabs">
+          <button class="filter-tab ${state.currentFilter === 'all' ? 'active' : ''}" data-filter="all">All</button>
+          <button class="filter-tab ${state.currentFilter === 'favorites' ? 'active' : ''}" data-filter="favorites">Favorites</button>
+          <button class="filter-tab ${state.currentFilter === 'archived' ? 'active' : ''}" data-filter="archived">Archived</button>
+        </div>
+        <button class="btn-primary" data-action="create-project">
+          ${icons.plus} Create Project
+        </button>
+      </div>
+    </div>
+
+    ${projects.length === 0
+      ? renderEmptyState()
+      : state.currentView === 'grid'
+        ? renderProjectsGrid(projects)
+        : renderProjectsList(projects)
+    }
+  `;
+
+  // Attach event listeners
+  attachProjectsEventListeners();
+}
+
+function renderEmptyState() {
+  return `
+    <div class="empty-state">
+      <div class="empty-state-icon">${icons.folder}</div>
+      <h2 class="empty-state-title">No projects found</h2>
+      <p class="empty-state-description">
+        ${state.currentFilter === 'favorites'
+          ? 'You haven\'t favorited any projects yet.'
+          : state.currentFilter === 'archived'
+            ? 'No archived projects.'
+            : 'Get started by creating your first project.'}
+      </p>
+      ${state.currentFilter === 'all'
+        ? `<button class="btn-primary" data-action="create-project">${icons.plus} Create Project</button>`
+        : ''}
+    </div>
+  `;
+}
+
+function renderProjectsGrid(projects) {
+  return `
+    <div class="projects-grid">
+      ${projects.map(project => {
+        const progress = calculateProjectProgress(project.id);
+        const members = getProjectMembers(project.id);
+
+        return `
+          <div class="card card--project project-card" data-project-slug="${project.slug}" style="--project-color: ${project.color}">
+            <div class="project-card-header">
+              <div>
+                <h3 class="project-name">${escapeHtml(project.name)}</h3>
+                <span class="project-identifier">${escapeHtml(project.identifier)}</span>
+              </div>
+              <button class="project-favorite ${project.is_favorite ? 'is-favorite' : ''}" data-project-id="${project.id}">
+                ${project.is_favorite ? icons.starFilled : icons.star}
+              </button>
+            </div>
+            <div class="project-progress">
+              <div class="progress-label">
+                <span>Progress</span>
+                <span>${progress.percentage}%</span>
+              </div>
+              <div class="progress-bar">
+                <div class="progress-fill" style="width: ${progress.percentage}%"></div>
+              </div>
+            </div>
+            <div class="project-meta">
+              <div class="project-stat">
+                ${icons.tasks}
+                <span>${progress.done}/${progress.total} tasks</span>
+              </div>
+              <div class="project-stat">
+                ${icons.users}
+                <span>${members.length} members</span>
+              </div>
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+function renderProjectsList(projects) {
+  return `
+    <div class="projects-list">
+      ${projects.map(project => {
+        const progress = calculateProjectProgress(project.id);
+        const members = getProjectMembers(project.id);
+
+        return `
+          <div class="project-list-item" data-project-slug="${project.slug}">
+            <div class="project-list-color" style="--project-color: ${project.color}"></div>
+            <div class="project-list-info">
+              <div class="project-list-name">${escapeHtml(project.name)}</div>
+              <div class="project-identifier">${escapeHtml(project.identifier)}</div>
+            </div>
+            <div class="project-list-progress">
+              <div class="progress-label">
+                <span>Progress</span>
+                <span>${progress.percentage}%</span>
+              </div>
+              <div class="progress-bar">
+                <div class="progress-fill" style="width: ${progress.percentage}%; background: ${project.color}"></div>
+              </div>
+            </div>
+            <div class="project-stat">
+              ${icons.tasks}
+              <span>${progress.done}/${progress.total}</span>
+            </div>
+            <div class="project-stat">
+              ${icons.users}
+              <span>${members.length}</span>
+            </div>
+            <button class="project-favorite ${project.is_favorite ? 'is-favorite' : ''}" data-project-id="${project.id}">
+              ${project.is_favorite ? icons.starFilled : icons.star}
+            </button>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+function attachProjectsEventListeners() {
+  const signal = getViewSignal();
+
+  // Filter tabs
+  document.querySelectorAll('.filter-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      state.currentFilter = tab.dataset.filter;
+      renderProjectsLanding();
+    }, { signal });
+  });
+
+  // View toggle
+  document.querySelectorAll('.view-toggle-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.currentView = btn.dataset.view;
+      renderProjectsLanding();
+    }, { signal });
+  });
+
+  // Create Project button
+  document.querySelectorAll('[data-action="create-project"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      showCreateProjectModal();
+    }, { signal });
+  });
+
+  // Project cards/items - navigate to project detail
+  document.querySelectorAll('.project-card, .project-list-item').forEach(card => {
+    card.addEventListener('click', (e) => {
+      // Don't navigate if clicking the favorite button
+      if (e.target.closest('.project-favorite')) return;
+
+      const slug = card.dataset.projectSlug;
+      navigate(`#/projects/${slug}`);
+    }, { signal });
+  });
+
+  // Favorite buttons (prevent propagation is handled above)
+  document.querySelectorAll('.project-favorite').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const projectId = btn.dataset.projectId;
+      const project = getProjectById(projectId);
+      if (project) {
+        project.is_favorite = !project.is_favorite;
+        persistRecords('projects', project);
+        renderProjectsLanding();
+      }
+    }, { signal });
+  });
+}
+
+// ==========================================================================
+// Render Functions - Project Detail (Task List & Board)
+// ==========================================================================
+
+// Tabs shown in the project detail view, in display order
+const PROJECT_TABS = [
+  { id: 'tasks', label: 'Task List' },
+  { id: 'board', label: 'Board' },
+  { id: 'canvas', label: 'Canvas' },
+  { id: 'roadmap', label: 'Roadmap' },
+  { id: 'insights', label: 'Insights' },
+  { id: 'activity', label: 'Activity' },
+  { id: 'files', label: 'Files' },
+  { id: 'members', label: 'Members' },
+  { id: 'settings', label: 'Settings' },
+];
+
+function renderProjectDetail(slug) {
+  // Clean up previous event listeners to prevent memory leaks
+  cleanupViewListeners();
+
+  const project = getProjectBySlug(slug);
+
+  if (!project) {
+    renderNotFound();
+    return;
+  }
+
+  updateBreadcrumb([
+    { label: 'Projects', href: '#/projects' },
+    { label: project.name, href: `#/projects/${slug}` }
+  ]);
+
+  const tasks = getTasksForProject(project.id);
+  const statuses = getStatusesForProject(project.id);
+  const mainContent = document.getElementById('main-content');
+
+  // Group tasks by status and sort by sort_order
+  const tasksByStatus = {};
+  statuses.forEach(status => {
+    tasksByStatus[status.id] = tasks
+      .filter(t => t.status_id === status.id)
+      .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+  });
+
+  const currentTab = state.currentProjectTab;
+
+  mainContent.innerHTML = `
+    <div class="page-header">
+      <h1 class="page-title">${escapeHtml(project.name)}</h1>
+      <div class="page-actions">
+        <button class="btn-secondary" data-action="invite-member" data-project-slug="${slug}">
+          ${icons.users} Invite
+        </button>
+        <button class="btn-primary" data-action="create-task" data-project-slug="${slug}">
+          ${icons.plus} Create Task
+        </button>
+      </div>
+    </div>
+
+    <nav class="project-tabs">
+      ${PROJECT_TABS.map(tab => `
+        <button class="project-tab ${currentTab === tab.id ? 'active' : ''}" data-tab="${tab.id}">${tab.label}</button>
+      `).join('')}
+    </nav>
+
+    ${renderTabContent(currentTab, statuses, tasksByStatus, tasks, project)}
+  `;
+
+  // Attach event listeners
+  attachProjectDetailEventListeners(slug);
+}
+
+function renderTabContent(tab, statuses, tasksByStatus, tasks, project) {
+  const groupBy = state.projectGroupBy[project.id] || 'none';
+  const swimlane = state.boardSwimlane[project.id] || 'none';
+
+  switch (tab) {
+    case 'board':
+      return `<div class="board-view">${renderBoardToolbar(project)}${renderBoardView(statuses, tasksByStatus, tasks, project, swimlane)}</div>`;
+    case 'canvas':
+      return renderCanvasView(tasks, project);
+    case 'roadmap':
+      return renderRoadmapView(tasks, project);
+    case 'insights':
+      return renderInsightsView(tasks, project);
+    case 'members':
+      return renderMembersView(tasks, project);
+    case 'files':
+      return renderFilesView(project);
+    case 'activity':
+      return renderActivityView(project);
+    case 'settings':
+      return renderSettingsView(project);
+    default:
+      return `<div class="task-list-view">${renderTaskListToolbar(project, groupBy)}${renderTaskListView(statuses, tasksByStatus, tasks, project, groupBy)}</div>`;
+  }
+}
+
+function getProjectSort(projectId) {
+  return state.projectSort[projectId] || { field: 'manual', direction: 'asc' };
+}
+
+/**
+ * Order tasks by a sort setting (see getProjectSort). Manual keeps the given
+ * order; tasks without a value sort last in either direction.
+ */
+function sortTasks(tasks, sort) {
+  if (sort.field === 'manual') return tasks;
+
+  const customField = getCustomFieldForKey(sort.field);
+  const valueOf = (task) => {
+    if (customField) return getCustomSortValue(customField, getTaskCustomValue(task, customField));
+    switch (sort.field) {
+      case 'title':
+        return task.title.toLowerCase();
+      case 'priority': {
+        // Most urgent first when ascending
+        const priority = task.priority_id ? getPriorityById(task.priority_id) : null;
+        return priority ? -priority.sort_order : null;
+      }
+      case 'dueDate':
+        return task.due_date || null;
+      case 'created':
+        return task.created_at || null;
+      case 'updated':
+        return task.updated_at || null;
+      default:
+        return null;
+    }
+  };
+  const direction = sort.direction === 'desc' ? -1 : 1;
+
+  return tasks
+    .map(task => ({ task, value: valueOf(task) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+      const order = typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+      return order * direction;
+    })
+    .map(entry => entry.task);
+}
+
+function renderTaskListToolbar(project, groupBy) {
+  const showArchived = state.showArchivedTasks[project.id] || false;
+  const assignedToMe = state.assignedToMe[project.id] || false;
+  const selectedAssignees = state.assigneeFilter[project.id] || [];
+  const assigneeFilterCount = selectedAssignees.length;
+  const taskFilterCount = getTaskFilterCount(project.id);
+  const sort = getProjectSort(project.id);
+  const groupByLabels = {
+    none: 'None',
+    status: 'Status',
+    priority: 'Priority',
+    assignee: 'Assignee'
+  };
+  const sortLabels = {
+    manual: 'Manual',
+    title: 'Title',
+    priority: 'Priority',
+    dueDate: 'Due Date',
+    created: 'Created',
+    updated: 'Updated'
+  };
+  const sortLabel = getCustomFieldForKey(sort.field)?.name || sortLabels[sort.field] || 'Manual';
+  const groupByLabel = getCustomFieldForKey(groupBy)?.name || groupByLabels[groupBy] || 'None';
+  const directionIcon = sort.field !== 'manual' ? (sort.direction === 'asc' ? icons.arrowUp : icons.arrowDown) : '';
+
+  const searchQuery = state.taskSearch[project.id] || '';
+  const searchExpanded = searchQuery.length > 0;
+
+  return `
+    <div class="view-toolbar view-toolbar--wrap">
+      <div class="toolbar-filters">
+        ${renderSavedViewsButton(project, 'list')}
+        <div class="toolbar-search ${searchExpanded ? 'expanded' : ''}" data-project-id="${project.id}">
+          <button class="filter-btn toolbar-search-toggle" data-action="toggle-search" aria-label="Search tasks" aria-expanded="${searchExpanded}">
+            ${icons.search}
+            <span class="toolbar-search-label">Search</span>
+          </button>
+          <div class="toolbar-search-input-wrapper">
+            <span class="toolbar-search-icon">${icons.search}</span>
+            <input type="text"
+                   class="toolbar-search-input"
+                   placeholder="Search tasks..."
+                   value="${escapeHtml(searchQuery)}"
+                   data-action="search-tasks"
+                   aria-label="Search tasks">
+            <button class="toolbar-search-clear" data-action="clear-search" aria-label="Clear search">
+              ${icons.x}
+            </button>
+          </div>
+        </div>
+        <button class="filter-btn" data-action="toggle-sort">
+          ${icons.sort} ${escapeHtml(sortLabel)}
+          ${directionIcon}
+          ${icons.chevronDown}
+        </button>
+        <button class="filter-btn" data-action="toggle-group-by">
+          ${icons.grid} Group by ${escapeHtml(groupByLabel)}
+          ${icons.chevronDown}
+        </button>
+        <button class="filter-btn ${assigneeFilterCount > 0 ? 'active' : ''}" data-action="toggle-assignee-filter">
+          ${icons.user} Assignee${assigneeFilterCount > 0 ? ` (${assigneeFilterCount})` : ''}
+          ${icons.chevronDown}
+        </button>
+        <button class="filter-btn ${taskFilterCount > 0 ? 'active' : ''}" data-action="toggle-task-filter">
+          ${icons.filter} Filter${taskFilterCount > 0 ? ` (${taskFilterCount})` : ''}
+          ${icons.chevronDown}
+        </button>
+        <label class="checkbox-label">
+          <input type="checkbox" class="checkbox-input" data-action="toggle-assigned-to-me" ${assignedToMe ? 'checked' : ''}>
+          <span class="checkbox-custom"></span>
+          <span class="checkbox-text">Assigned to me</span>
+        </label>
+      </div>
+      <div class="toolbar-actions">
+        <label class="checkbox-label">
+          <input type="checkbox" class="checkbox-input" data-action="toggle-archived" ${showArchived ? 'checked' : ''}>
+          <span class="checkbox-custom"></span>
+          <span class="checkbox-text">Show archived</span>
+        </label>
+        <button class="filter-btn" data-action="toggle-fields">
+          ${icons.settings} Fields
+          ${icons.chevronDown}
+        </button>
+        <button class="btn-manage-workflow">
+          ${icons.settings} Manage Workflow
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+function renderBoardToolbar(project) {
+  const showArchived = state.showArchivedTasks[project.id] || false;
+  const assignedToMe = state.assignedToMe[project.id] || false;
+  const swimlane = state.boardSwimlane[project.id] || 'none';
+  const selectedAssignees = state.assigneeFilter[project.id] || [];
+  const assigneeFilterCount = selectedAssignees.length;
+  const taskFilterCount = getTaskFilterCount(project.id);
+  const swimlaneLabels = {
+    none: 'None',
+    priority: 'Priority',
+    assignee: 'Assignee'
+  };
+
+  const searchQuery = state.taskSearch[project.id] || '';
+  const searchExpanded = searchQuery.length > 0;
+
+  return `
+    <div class="view-toolbar view-toolbar--wrap">
+      <div class="toolbar-filters">
+        ${renderSavedViewsButton(project, 'board')}
+        <div class="toolbar-search ${searchExpanded ? 'expanded' : ''}" data-project-id="${project.id}">
+          <button class="filter-btn toolbar-search-toggle" data-action="toggle-search" aria-label="Search tasks" aria-expanded="${searchExpanded}">
+            ${icons.search}
+            <span class="toolbar-search-label">Search</span>
+          </button>
+          <div class="toolbar-search-input-wrapper">
+            <span class="toolbar-search-icon">${icons.search}</span>
+            <input type="text"
+                   class="toolbar-search-input"
+                   placeholder="Search tasks..."
+                   value="${escapeHtml(searchQuery)}"
+                   data-action="search-tasks"
+                   aria-label="Search tasks">
+            <button class="toolbar-search-clear" data-action="clear-search" aria-label="Clear search">
+              ${icons.x}
+            </button>
+          </div>
+        </div>
+        <button class="filter-btn" data-action="toggle-swimlane">
+          ${icons.grid} Group by ${swimlaneLabels[swimlane]}
+          ${icons.chevronDown}
+        </button>
+        <button class="filter-btn ${assigneeFilterCount > 0 ? 'active' : ''}" data-action="toggle-assignee-filter">
+          ${icons.user} Assignee${assigneeFilterCount > 0 ? ` (${assigneeFilterCount})` : ''}
+          ${icons.chevronDown}
+        </button>
+        <button class="filter-btn ${taskFilterCount > 0 ? 'active' : ''}" data-action="toggle-task-filter">
+          ${icons.filter} Filter${taskFilterCount > 0 ? ` (${taskFilterCount})` : ''}
+          ${icons.chevronDown}
+        </button>
+        <label class="checkbox-label">
+          <input type="checkbox" class="checkbox-input" data-action="toggle-assigned-to-me" ${assignedToMe ? 'checked' : ''}>
+          <span class="checkbox-custom"></span>
+          <span class="checkbox-text">Assigned to me</span>
+        </label>
+      </div>
+      <div class="toolbar-actions">
+        <label class="checkbox-label">
+          <input type="checkbox" class="checkbox-input" data-action="toggle-archived" ${showArchived ? 'checked' : ''}>
+          <span class="checkbox-custom"></span>
+          <span class="checkbox-text">Show archived</span>
+        </label>
+        <button class="filter-btn" data-action="toggle-fields">
+          ${icons.settings} Fields
+          ${icons.chevronDown}
+        </button>
+        <button class="btn-manage-workflow">
+          ${icons.settings} Manage Workflow
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+function getGroupsForTasks(tasks, project, groupBy) {
+  const groups = [];
+  const tasksByGroup = {};
+  const customField = getCustomFieldForKey(groupBy);
+
+  if (customField) {
+    return getCustomFieldGroups(customField, tasks, project);
+  }
+
+  if (groupBy === 'none' || groupBy.startsWith(CUSTOM_FIELD_KEY_PREFIX)) {
+    // No grouping - single flat list (also when grouped by a deleted custom field)
+    groups.push({
+      id: 'all-tasks',
+      name: 'All Tasks',
+      color: null,
+      type: 'none'
+    });
+    tasksByGroup['all-tasks'] = [...tasks];
+  } else if (groupBy === 'status') {
+    // Group by workflow status
+    const statuses = getStatusesForProject(project.id);
+    statuses.forEach(status => {
+      groups.push({
+        id: status.id,
+        name: status.name,
+        color: status.color,
+        type: 'status'
+      });
+      tasksByGroup[status.id] = [];
+    });
+    tasks.forEach(task => {
+      if (tasksByGroup[task.status_id]) {
+        tasksByGroup[task.status_id].push(task);
+      }
+    });
+  } else if (groupBy === 'priority') {
+    // Group by priority
+    const priorityOrder = ['priority-high', 'priority-medium', 'priority-low', 'priority-none'];
+    const priorityGroups = [
+      { id: 'priority-high', name: 'High', color: COLOR_PALETTE.red.hex, type: 'priority', priorityId: 'priority-high' },
+      { id: 'priority-medium', name: 'Medium', color: COLOR_PALETTE.amber.hex, type: 'priority', priorityId: 'priority-medium' },
+      { id: 'priority-low', name: 'Low', color: COLOR_PALETTE.emerald.hex, type: 'priority', priorityId: 'priority-low' },
+      { id: 'priority-none', name: 'No Priority', color: COLOR_PALETTE.gray.hex, type: 'priority', priorityId: null }
+    ];
+    priorityGroups.forEach(pg => {
+      groups.push(pg);
+      tasksByGroup[pg.id] = [];
+    });
+    tasks.forEach(task => {
+      const groupId = task.priority_id || 'priority-none';
+      if (tasksByGroup[groupId]) {
+        tasksByGroup[groupId].push(task);
+      } else {
+        tasksByGroup['priority-none'].push(task);
+      }
+    });
+  } else if (groupBy === 'assignee') {
+    // Group by assignee
+    const projectMembers = getProjectMembers(project.id);
+
+    // Add unassigned group first
+    groups.push({
+      id: 'unassigned',
+      name: 'Unassigned',
+      color: FALLBACK_COLOR,
+      type: 'assignee',
+      assigneeId: null
+    });
+    tasksByGroup['unassigned'] = [];
+
+    // Add member groups
+    projectMembers.forEach(member => {
+      groups.push({
+        id: `assignee-${member.id}`,
+        name: member.name,
+        color: stringToColor(member.name),
+        type: 'assignee',
+        assigneeId: member.id
+      });
+      tasksByGroup[`assignee-${member.id}`] = [];
+    });
+
+    tasks.forEach(task => {
+      if (task.assignee_id) {
+        const groupId = `assignee-${task.assignee_id}`;
+        if (tasksByGroup[groupId]) {
+          tasksByGroup[groupId].push(task);
+        } else {
+          tasksByGroup['unassigned'].push(task);
+        }
+      } else {
+        tasksByGroup['unassigned'].push(task);
+      }
+    });
+  }
+
+  return { groups, tasksByGroup };
+}
+
+function renderTaskListView(statuses, tasksByStatus, tasks, project, groupBy) {
+  const { groups, tasksByGroup } = getGroupsForTasks(sortTasks(tasks, getProjectSort(project.id)), project, groupBy);
+
+  return `
+    ${renderTaskBulkBar(project)}
+    <div class="task-table-container ${getSelectedTasks(project.id).length > 0 ? 'has-selection' : ''}">
+      ${groups.map(group => renderTaskGroup(group, tasksByGroup[group.id] || [], project, groupBy)).join('')}
+    </div>
+  `;
+}
+
+function renderBoardView(statuses, tasksByStatus, tasks, project, swimlane) {
+  // Board always uses Status for columns
+  return `
+    <div class="board-container">
+      ${statuses.map(status => {
+        const statusTasks = tasks.filter(t => t.status_id === status.id);
+        return renderBoardColumn(status, statusTasks, project, swimlane);
+      }).join('')}
+    </div>
+  `;
+}
+
+function renderBoardColumn(status, tasks, project, swimlane) {
+  const isQuickAdding = state.quickAddStatus === status.id;
+  const isEmpty = tasks.length === 0;
+
+  // Get swimlanes if enabled
+  const swimlanes = getSwimlanes(tasks, project, swimlane);
+
+  // WIP limits count every active task in the status, not just the filtered ones
+  const hasLimit = Number.isInteger(status.wip_limit) && status.wip_limit > 0;
+  const overLimit = hasLimit && isStatusOverLimit(status);
+
+  return `
+    <div class="board-column ${overLimit ? 'over-limit' : ''}" data-group-id="${status.id}" data-group-type="status" style="--column-color: ${status.color}">
+      <div class="board-column-header">
+        <div class="board-column-title">
+          <span class="board-column-name">${escapeHtml(status.name)}</span>
+          ${hasLimit ? `
+            <span class="count-badge" title="WIP limit ${status.wip_limit}${status.wip_policy === 'block' ? ' (blocking)' : ''}">${getStatusTaskCount(status.id)}/${status.wip_limit}</span>
+          ` : `
+            <span class="count-badge">${tasks.length}</span>
+          `}
+        </div>
+        <div class="board-column-actions">
+          <button class="icon-btn board-column-btn" title="Add task">
+            ${icons.plus}
+          </button>
+          <button class="icon-btn board-column-btn" title="More options">
+            ${icons.moreHorizontal}
+          </button>
+        </div>
+      </div>
+      <div class="board-column-content">
+        ${isEmpty && !isQuickAdding ? `
+          <div class="board-column-empty">
+            <span class="board-column-empty-text">No tasks yet</span>
+            <span class="board-column-empty-hint">Drag tasks here or click below to add</span>
+          </div>
+        ` : swimlane === 'none' ? `
+          ${tasks.map(task => renderBoardCard(task, project)).join('')}
+        ` : `
+          ${swimlanes.map(lane => renderBoardSwimlane(lane, tasks.filter(t => lane.filter(t)), project, status)).join('')}
+        `}
+      </div>
+      ${isQuickAdding ? `
+        <div class="quick-add-input">
+          <input type="text" placeholder="Task title..." autofocus>
+          <div class="quick-add-actions">
+            <button class="quick-add-btn save">Save</button>
+            <button class="quick-add-btn cancel">Cancel</button>
+          </div>
+        </div>
+      ` : `
+        <div class="board-add-card">
+          ${icons.plus} Add Task
+        </div>
+      `}
+    </div>
+  `;
+}
+
+function getSwimlanes(tasks, project, swimlane) {
+  if (swimlane === 'none') return [];
+
+  if (swimlane === 'priority') {
+    const lanes = state.priorities
+      .slice()
+      .sort((a, b) => b.sort_order - a.sort_order)
+      .map(priority => ({
+        id: priority.id,
+        name: priority.name,
+        color: priority.color,
+        filter: t => t.priority_id === priority.id
+      }));
+    lanes.push({ id: 'priority-none', name: 'No Priority', color: FALLBACK_COLOR, filter: t => !t.priority_id });
+    return lanes;
+  }
+
+  if (swimlane === 'assignee') {
+    const projectMembers = getProjectMembers(project.id);
+    const lanes = [
+      { id: 'unassigned', name: 'Unassigned', color: FALLBACK_COLOR, filter: t => !t.assignee_id }
+    ];
+    projectMembers.forEach(member => {
+      lanes.push({
+        id: `assignee-${member.id}`,
+        name: member.name,
+        color: stringToColor(member.name),
+        filter: t => t.assignee_id === member.id
+      });
+    });
+    return lanes;
+  }
+
+  return [];
+}
+
+function renderBoardSwimlane(lane, tasks, project, status) {
+  if (tasks.length === 0) return '';
+
+  return `
+    <div class="board-swimlane" data-swimlane-id="${lane.id}">
+      <div class="board-swimlane-header">
+        <span class="board-swimlane-color" style="background: ${lane.color}"></span>
+        <span class="board-swimlane-name">${escapeHtml(lane.name)}</span>
+        <span class="board-swimlane-count">${tasks.length}</span>
+      </div>
+      <div class="board-swimlane-cards">
+        ${tasks.map(task => renderBoardCard(task, project)).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function renderBoardCard(task, project) {
+  const fields = getProjectFields(project.id);
+  const assignee = task.assignee_id ? getUserById(task.assignee_id) : null;
+  const taskLabels = (task.label_ids || []).map(id => getLabelById(id)).filter(Boolean);
+  const firstLabel = taskLabels[0];
+  const status = getStatusById(task.status_id);
+  const priority = task.priority_id ? getPriorityById(task.priority_id) : null;
+  const priorityBg = priority ? hexToRgba(priority.color, 0.15) : '';
+  const taskKey = `${project.identifier}-${task.sequence_id}`;
+  const dueDateOverdue = isOverdue(task.due_date);
+  const isArchived = task.is_archived;
+  const parent = task.parent_id ? getTaskById(task.parent_id) : null;
+  const progress = getTaskProgress(task);
+  const checklistBadge = renderChecklistBadge(task.id);
+
+  // Check if footer has any visible content
+  const hasFooterContent = (fields.dueDate && task.due_date) || fields.assignee || fields.progress || progress.total > 0 || checklistBadge;
+
+  return `
+    <div class="card card--board board-card ${isArchived ? 'archived' : ''}" data-task-id="${task.id}" draggable="true">
+      <div class="board-card-header">
+        ${fields.taskKey ? `<span class="task-key">${escapeHtml(taskKey)}</span>` : ''}
+        ${fields.priority && priority ? `
+          <span class="task-priority" style="background: ${priorityBg}; color: var(--color-text-secondary)">
+            ${getPriorityIcon(priority.name)} ${escapeHtml(priority.name)}
+          </span>
+        ` : ''}
+      </div>
+      ${parent ? `<div class="board-card-parent" title="Subtask of ${escapeHtml(parent.title)}">${escapeHtml(parent.title)}</div>` : ''}
+      <div class="task-title">${escapeHtml(task.title)}</div>
+      ${fields.labels && taskLabels.length > 0 ? `
+        <div class="board-card-labels">
+          ${taskLabels.map(label => `<span class="task-label">${escapeHtml(label.name)}</span>`).join('')}
+        </div>
+      ` : ''}
+      ${hasFooterContent ? `
+        <div class="board-card-footer">
+          <div class="board-card-meta">
+            ${fields.progress ? `<span class="task-progress">${progress.percentage}%</span>` : ''}
+            ${progress.total > 0 ? `<span class="subtask-count" title="Subtasks done">${icons.checkCircle} ${progress.done}/${progress.total}</span>` : ''}
+            ${checklistBadge}
+            ${fields.dueDate && task.due_date ? `
+              <span class="task-due-date ${dueDateOverdue ? 'overdue' : ''}">
+                ${formatDate(task.due_date)}
+              </span>
+            ` : ''}
+          </div>
+          <div class="board-card-actions">
+            ${fields.assignee ? `
+              ${assignee
+                ? `<div class="table-avatar board-card-assignee" style="background: ${stringToColor(assignee.name)}" title="${escapeHtml(assignee.name)}">
+                    ${getInitials(assignee.name)}
+                  </div>`
+                : ''}
+              <button class="add-icon-btn" title="Assign">+</button>
+            ` : ''}
+          </div>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function attachProjectDetailEventListeners(slug) {
+  const signal = getViewSignal();
+
+  // Tab switching
+  document.querySelectorAll('.project-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      if (tab.classList.contains('placeholder')) {
+        return;
+      }
+      const tabName = tab.dataset.tab;
+      state.currentProjectTab = tabName;
+      // Clear selections when switching tabs
+      state.selectedFiles.clear();
+      state.selectedMembers.clear();
+      clearTaskSelection();
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Sort dropdown (list view)
+  document.querySelectorAll('[data-action="toggle-sort"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showSortDropdown(btn, slug);
+    }, { signal });
+  });
+
+  // Saved views dropdown (list, board and roadmap)
+  document.querySelectorAll('[data-action="toggle-saved-views"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showSavedViewsDropdown(btn, slug);
+    }, { signal });
+  });
+
+  // Group by dropdown (list view)
+  document.querySelectorAll('[data-action="toggle-group-by"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showGroupByDropdown(btn, slug);
+    }, { signal });
+  });
+
+  // Swimlane dropdown (board view)
+  document.querySelectorAll('[data-action="toggle-swimlane"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showSwimlaneDropdown(btn, slug);
+    }, { signal });
+  });
+
+  // Show archived toggle
+  document.querySelectorAll('[data-action="toggle-archived"]').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const project = getProjectBySlug(slug);
+      if (project) {
+        state.showArchivedTasks[project.id] = e.target.checked;
+        renderProjectDetail(slug);
+      }
+    }, { signal });
+  });
+
+  // Assigned to me toggle
+  document.querySelectorAll('[data-action="toggle-assigned-to-me"]').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const project = getProjectBySlug(slug);
+      if (project) {
+        state.assignedToMe[project.id] = e.target.checked;
+        renderProjectDetail(slug);
+      }
+    }, { signal });
+  });
+
+  // Search toggle
+  document.querySelectorAll('[data-action="toggle-search"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const searchContainer = btn.closest('.toolbar-search');
+      if (searchContainer) {
+        searchContainer.classList.add('expanded');
+        const input = searchContainer.querySelector('.toolbar-search-input');
+        if (input) {
+          input.focus();
+        }
+      }
+    }, { signal });
+  });
+
+  // Search input
+  document.querySelectorAll('[data-action="search-tasks"]').forEach(input => {
+    let debounceTimer;
+    input.addEventListener('input', (e) => {
+      const project = getProjectBySlug(slug);
+      if (project) {
+        clearTimeout(debounceTimer);
+        const cursorPosition = e.target.selectionStart;
+        debounceTimer = setTimeout(() => {
+          state.taskSearch[project.id] = e.target.value;
+          renderProjectDetail(slug);
+          // Restore focus to search input after re-render
+          const newInput = document.querySelector('.toolbar-search-input');
+          if (newInput) {
+            newInput.focus();
+            // Restore cursor position
+            newInput.setSelectionRange(cursorPosition, cursorPosition);
+          }
+        }, 200);
+      }
+    }, { signal });
+
+    // Handle escape key to clear and close search
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        const project = getProjectBySlug(slug);
+        if (project) {
+          state.taskSearch[project.id] = '';
+          const searchContainer = input.closest('.toolbar-search');
+          if (searchContainer) {
+            searchContainer.classList.remove('expanded');
+          }
+          renderProjectDetail(slug);
+        }
+      }
+    }, { signal });
+
+    // Close search on blur if empty - only if not actively typing
+    input.addEventListener('blur', (e) => {
+      const searchContainer = input.closest('.toolbar-search');
+      // Use setTimeout to allow click on clear button to register and re-focus after render
+      setTimeout(() => {
+        const activeElement = document.activeElement;
+        const isSearchInputFocused = activeElement && activeElement.classList.contains('toolbar-search-input');
+        if (searchContainer && !input.value && !searchContainer.contains(document.activeElement) && !isSearchInputFocused) {
+          searchContainer.classList.remove('expanded');
+        }
+      }, 250);
+    }, { signal });
+  });
+
+  // Clear search
+  document.querySelectorAll('[data-action="clear-search"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const project = getProjectBySlug(slug);
+      if (project) {
+        state.taskSearch[project.id] = '';
+        const searchContainer = btn.closest('.toolbar-search');
+        if (searchContainer) {
+          searchContainer.classList.remove('expanded');
+        }
+        renderProjectDetail(slug);
+      }
+    }, { signal });
+  });
+
+  // Fields dropdown
+  document.querySelectorAll('[data-action="toggle-fields"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showFieldsDropdown(btn, slug);
+    }, { signal });
+  });
+
+  // Assignee filter dropdown
+  document.querySelectorAll('[data-action="toggle-assignee-filter"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showAssigneeFilterDropdown(btn, slug);
+    }, { signal });
+  });
+
+  // Filter builder dropdown (list, board and insights views)
+  document.querySelectorAll('[data-action="toggle-task-filter"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showTaskFilterDropdown(btn, slug);
+    }, { signal });
+  });
+
+  // Create Task button
+  document.querySelectorAll('[data-action="create-task"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      showCreateTaskModal(slug);
+    }, { signal });
+  });
+
+  // Invite Member button
+  document.querySelectorAll('[data-action="invite-member"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      showInviteMemberModal(slug);
+    }, { signal });
+  });
+
+  // Manage Workflow button
+  document.querySelectorAll('.btn-manage-workflow').forEach(btn => {
+    btn.addEventListener('click', () => {
+      showManageWorkflowModal(slug);
+    }, { signal });
+  });
+
+  // Group toggle (for task list view)
+  document.querySelectorAll('[data-toggle-group]').forEach(header => {
+    header.addEventListener('click', () => {
+      const statusId = header.dataset.toggleGroup;
+      if (state.collapsedGroups.has(statusId)) {
         state.collapsedGroups.delete(statusId);
       } else {
-        state.collapsedGroups.add(statusId);
+        state.collapsedGroups.add(statusId);
+      }
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Add Task rows (inline quick add)
+  document.querySelectorAll('.add-task-row').forEach(row => {
+    row.addEventListener('click', () => {
+      const taskGroup = row.closest('.task-group');
+      const groupId = taskGroup?.dataset.groupId;
+      const groupType = taskGroup?.dataset.groupType;
+      if (groupId) {
+        showQuickAddTask(groupId, groupType, slug);
+      }
+    }, { signal });
+  });
+
+  // Board add task buttons
+  document.querySelectorAll('.board-add-card').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const column = btn.closest('.board-column');
+      const groupId = column?.dataset.groupId;
+      const groupType = column?.dataset.groupType;
+      if (groupId) {
+        showQuickAddTask(groupId, groupType, slug);
+      }
+    }, { signal });
+  });
+
+  // Board column add buttons (+)
+  document.querySelectorAll('.board-column-btn[title="Add task"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const column = btn.closest('.board-column');
+      const groupId = column?.dataset.groupId;
+      const groupType = column?.dataset.groupType;
+      if (groupId) {
+        showCreateTaskModal(slug, groupId, groupType);
+      }
+    }, { signal });
+  });
+
+  // Task status badges - clickable to change status
+  document.querySelectorAll('.task-status.clickable').forEach(badge => {
+    badge.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const taskId = badge.closest('.task-row')?.dataset.taskId;
+      if (taskId) {
+        showStatusDropdown(taskId, badge, slug);
+      }
+    }, { signal });
+  });
+
+  // Task priority badges - clickable to change priority
+  document.querySelectorAll('.task-priority.clickable').forEach(badge => {
+    badge.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const taskId = badge.closest('.task-row')?.dataset.taskId;
+      if (taskId) {
+        showPriorityDropdown(taskId, badge, slug);
+      }
+    }, { signal });
+  });
+
+  // Task due date - clickable to change date
+  document.querySelectorAll('.task-due-date.clickable').forEach(dateEl => {
+    dateEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const taskId = dateEl.closest('.task-row')?.dataset.taskId;
+      if (taskId) {
+        showDueDatePicker(taskId, dateEl, slug);
+      }
+    }, { signal });
+  });
+
+  // Task labels - clickable to manage labels
+  document.querySelectorAll('.task-labels.clickable').forEach(labelsEl => {
+    labelsEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const taskId = labelsEl.closest('.task-row')?.dataset.taskId;
+      if (taskId) {
+        showLabelPicker(taskId, labelsEl, slug);
+      }
+    }, { signal });
+  });
+
+  // Quick add input handlers
+  document.querySelectorAll('.quick-add-input input').forEach(input => {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        const container = input.closest('.task-group') || input.closest('.board-column');
+        const groupId = container?.dataset.groupId;
+        const groupType = container?.dataset.groupType;
+        if (groupId) {
+          handleQuickAddTask(groupId, groupType, slug);
+        }
+      } else if (e.key === 'Escape') {
+        hideQuickAddTask(slug);
+      }
+    }, { signal });
+  });
+
+  document.querySelectorAll('.quick-add-btn.save').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const container = btn.closest('.task-group') || btn.closest('.board-column');
+      const groupId = container?.dataset.groupId;
+      const groupType = container?.dataset.groupType;
+      if (groupId) {
+        handleQuickAddTask(groupId, groupType, slug);
+      }
+    }, { signal });
+  });
+
+  document.querySelectorAll('.quick-add-btn.cancel').forEach(btn => {
+    btn.addEventListener('click', () => {
+      hideQuickAddTask(slug);
+    }, { signal });
+  });
+
+  // Subtask expand/collapse (task list and roadmap)
+  document.querySelectorAll('[data-action="toggle-subtasks"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const taskId = btn.dataset.taskId;
+      if (state.collapsedSubtasks.has(taskId)) {
+        state.collapsedSubtasks.delete(taskId);
+      } else {
+        state.collapsedSubtasks.add(taskId);
+      }
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Task row clicks - open detail panel
+  document.querySelectorAll('.task-row').forEach(row => {
+    row.addEventListener('click', (e) => {
+      // Don't open panel if clicking on interactive elements
+      if (e.target.closest('.task-status') ||
+          e.target.closest('.task-priority') ||
+          e.target.closest('.task-due-date') ||
+          e.target.closest('.task-labels') ||
+          e.target.closest('.add-icon-btn')) {
+        return;
+      }
+      const taskId = row.dataset.taskId;
+      if (taskId) {
+        openTaskPanel(taskId, slug);
+      }
+    }, { signal });
+  });
+
+  // Board card clicks - open detail panel
+  document.querySelectorAll('.board-card').forEach(card => {
+    card.addEventListener('click', (e) => {
+      // Don't open panel if clicking on interactive elements
+      if (e.target.closest('.add-icon-btn') ||
+          e.target.closest('.board-card-priority-btn')) {
+        return;
+      }
+      const taskId = card.dataset.taskId;
+      if (taskId) {
+        openTaskPanel(taskId, slug);
+      }
+    }, { signal });
+  });
+
+  // Task row "+" assignee button - opens searchable dropdown
+  document.querySelectorAll('.task-row .add-icon-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const taskId = btn.closest('.task-row')?.dataset.taskId;
+      if (taskId) {
+        const task = getTaskById(taskId);
+        showSearchableUserDropdown(btn, task?.assignee_id, (newAssigneeId) => {
+          updateTaskField(taskId, 'assignee_id', newAssigneeId, slug);
+          showToast('Assignee updated', 'success');
+        });
+      }
+    }, { signal });
+  });
+
+  // Board card priority button - opens priority dropdown
+  document.querySelectorAll('.board-card-priority-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const taskId = btn.closest('.board-card')?.dataset.taskId;
+      if (taskId) {
+        showPriorityDropdown(taskId, btn, slug);
+      }
+    }, { signal });
+  });
+
+  // Board card assignee button - opens searchable dropdown
+  document.querySelectorAll('.board-card .add-icon-btn[title="Assign"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const taskId = btn.closest('.board-card')?.dataset.taskId;
+      if (taskId) {
+        const task = getTaskById(taskId);
+        showSearchableUserDropdown(btn, task?.assignee_id, (newAssigneeId) => {
+          updateTaskField(taskId, 'assignee_id', newAssigneeId, slug);
+          showToast('Assignee updated', 'success');
+        });
+      }
+    }, { signal });
+  });
+
+  // Task list selection and bulk actions
+  attachTaskBulkEventListeners(slug);
+
+  // Files view event listeners
+  attachFilesEventListeners(slug);
+
+  // Members view event listeners
+  attachMembersEventListeners(slug);
+
+  // Settings view event listeners
+  attachSettingsEventListeners(slug);
+
+  // Insights view event listeners
+  attachInsightsEventListeners(slug);
+
+  // Roadmap view event listeners
+  attachRoadmapEventListeners(slug);
+
+  // Canvas view event listeners
+  attachCanvasEventListeners(slug);
+
+  // Activity feed event listeners
+  attachActivityEventListeners(slug);
+
+  // Initialize drag and drop for tasks
+  initDragAndDrop(slug);
+}
+
+function attachFilesEventListeners(slug) {
+  const project = getProjectBySlug(slug);
+  if (!project) return;
+
+  const signal = getViewSignal();
+  const files = getFilesForProject(project.id);
+
+  // Select all checkbox
+  document.querySelectorAll('[data-action="select-all"]').forEach(el => {
+    el.addEventListener('click', () => {
+      if (state.selectedFiles.size === files.length) {
+        // Deselect all
+        state.selectedFiles.clear();
+      } else {
+        // Select all
+        files.forEach(f => state.selectedFiles.add(f.id));
+      }
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Individual file checkbox
+  document.querySelectorAll('[data-action="toggle-file"]').forEach(el => {
+    el.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const fileId = el.dataset.fileId;
+      if (state.selectedFiles.has(fileId)) {
+        state.selectedFiles.delete(fileId);
+      } else {
+        state.selectedFiles.add(fileId);
+      }
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Bulk actions
+  document.querySelectorAll('[data-action="download-selected"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      alert(`Downloading ${state.selectedFiles.size} files (demo only)`);
+    }, { signal });
+  });
+
+  document.querySelectorAll('[data-action="delete-selected"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (confirm(`Delete ${state.selectedFiles.size} selected files?`)) {
+        const ids = [...state.selectedFiles];
+        state.files = state.files.filter(f => !state.selectedFiles.has(f.id));
+        removeRecords('files', ids);
+        state.selectedFiles.clear();
+        showToast(`${ids.length} file${ids.length === 1 ? '' : 's'} deleted`, 'success');
+        renderProjectDetail(slug);
+      }
+    }, { signal });
+  });
+
+  // Upload Files button - opens modal
+  document.querySelectorAll('[data-action="open-upload-modal"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      showUploadFilesModal(slug);
+    }, { signal });
+  });
+
+  // Pagination controls
+  const pagination = document.querySelector('[data-pagination-type="files"]');
+  if (pagination) {
+    pagination.querySelector('[data-action="prev-page"]')?.addEventListener('click', () => {
+      if (state.filesPagination.page > 1) {
+        state.filesPagination.page--;
+        renderProjectDetail(slug);
+      }
+    }, { signal });
+
+    pagination.querySelector('[data-action="next-page"]')?.addEventListener('click', () => {
+      state.filesPagination.page++;
+      renderProjectDetail(slug);
+    }, { signal });
+
+    pagination.querySelector('[data-action="change-page-size"]')?.addEventListener('change', (e) => {
+      state.filesPagination.pageSize = parseInt(e.target.value);
+      state.filesPagination.page = 1; // Reset to first page
+      renderProjectDetail(slug);
+    }, { signal });
+  }
+
+  // File preview - clicking on file name opens preview panel
+  document.querySelectorAll('[data-action="preview-file"]').forEach(el => {
+    el.addEventListener('click', (e) => {
+      e.preventDefault();
+      const fileId = el.dataset.fileId;
+      openFilePreview(fileId, slug);
+    }, { signal });
+  });
+}
+
+function attachMembersEventListeners(slug) {
+  const project = getProjectBySlug(slug);
+  if (!project) return;
+
+  const signal = getViewSignal();
+  const tasks = getTasksForProject(project.id);
+  const memberIds = [...new Set(tasks.map(t => t.assignee_id).filter(Boolean))];
+  const members = memberIds.map(id => getUserById(id)).filter(Boolean);
+
+  // Select all members checkbox
+  document.querySelectorAll('[data-action="select-all-members"]').forEach(el => {
+    el.addEventListener('click', () => {
+      if (state.selectedMembers.size === members.length) {
+        // Deselect all
+        state.selectedMembers.clear();
+      } else {
+        // Select all
+        members.forEach(m => state.selectedMembers.add(m.id));
+      }
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Individual member checkbox
+  document.querySelectorAll('[data-action="toggle-member"]').forEach(el => {
+    el.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const memberId = el.dataset.memberId;
+      if (state.selectedMembers.has(memberId)) {
+        state.selectedMembers.delete(memberId);
+      } else {
+        state.selectedMembers.add(memberId);
+      }
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Delete members action
+  document.querySelectorAll('[data-action="delete-members"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (confirm(`Remove ${state.selectedMembers.size} selected members from project?`)) {
+        state.selectedMembers.clear();
+        renderProjectDetail(slug);
+      }
+    }, { signal });
+  });
+
+  // Pagination controls
+  const pagination = document.querySelector('[data-pagination-type="members"]');
+  if (pagination) {
+    pagination.querySelector('[data-action="prev-page"]')?.addEventListener('click', () => {
+      if (state.membersPagination.page > 1) {
+        state.membersPagination.page--;
+        renderProjectDetail(slug);
+      }
+    }, { signal });
+
+    pagination.querySelector('[data-action="next-page"]')?.addEventListener('click', () => {
+      state.membersPagination.page++;
+      renderProjectDetail(slug);
+    }, { signal });
+
+    pagination.querySelector('[data-action="change-page-size"]')?.addEventListener('change', (e) => {
+      state.membersPagination.pageSize = parseInt(e.target.value);
+      state.membersPagination.page = 1; // Reset to first page
+      renderProjectDetail(slug);
+    }, { signal });
+  }
+
+  // Add User button - opens invite modal
+  document.querySelectorAll('[data-action="add-member"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const projectSlug = btn.dataset.projectSlug;
+      showInviteMemberModal(projectSlug);
+    }, { signal });
+  });
+
+  // Edit User button - opens edit modal for selected member
+  document.querySelectorAll('[data-action="edit-member"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (state.selectedMembers.size !== 1) return;
+      const memberId = [...state.selectedMembers][0];
+      const projectSlug = btn.dataset.projectSlug;
+      showEditMemberModal(memberId, projectSlug);
+    }, { signal });
+  });
+}
+
+function attachSettingsEventListeners(slug) {
+  const project = getProjectBySlug(slug);
+  if (!project) return;
+
+  const signal = getViewSignal();
+
+  // Color picker
+  document.querySelectorAll('.color-swatch--lg').forEach(btn => {
+    btn.addEventListener('click', () => {
+      // Update visual selection
+      document.querySelectorAll('.color-swatch--lg').forEach(b => {
+        b.classList.remove('active');
+        b.innerHTML = '';
+      });
+      btn.classList.add('active');
+      btn.innerHTML = icons.check;
+    }, { signal });
+  });
+
+  // Default view toggle
+  document.querySelectorAll('[data-default-view]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('[data-default-view]').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+    }, { signal });
+  });
+
+  // Save settings button
+  const saveBtn = document.getElementById('save-settings');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => {
+      const name = document.getElementById('project-name')?.value?.trim();
+      const description = document.getElementById('project-description')?.value?.trim();
+      const identifier = document.getElementById('project-identifier')?.value?.trim().toUpperCase();
+      const selectedColor = document.querySelector('.color-swatch--lg.active')?.dataset.color;
+      const defaultView = document.querySelector('[data-default-view].active')?.dataset.defaultView;
+
+      // Validation
+      if (!name) {
+        showToast('Project name is required', 'error');
+        return;
+      }
+      if (!identifier) {
+        showToast('Project identifier is required', 'error');
+        return;
+      }
+      if (identifier.length > 5) {
+        showToast('Identifier must be 5 characters or less', 'error');
+        return;
+      }
+
+      // Update project
+      project.name = name;
+      project.description = description;
+      project.identifier = identifier;
+      if (selectedColor) project.color = selectedColor;
+      if (defaultView) project.default_view = defaultView;
+      project.updated_at = new Date().toISOString();
+
+      // Update slug if name changed
+      const newSlug = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+      if (newSlug !== project.slug) {
+        project.slug = newSlug;
+        // Navigate to new slug
+        window.location.hash = `#/projects/${newSlug}`;
+      }
+      persistRecords('projects', project);
+
+      showToast('Project settings saved', 'success');
+      renderProjectDetail(project.slug);
+    }, { signal });
+  }
+
+  // Archive/Restore toggle
+  const archiveBtn = document.getElementById('toggle-archive');
+  if (archiveBtn) {
+    archiveBtn.addEventListener('click', () => {
+      project.is_archived = !project.is_archived;
+      project.updated_at = new Date().toISOString();
+      persistRecords('projects', project);
+
+      if (project.is_archived) {
+        showToast('Project archived', 'success');
+      } else {
+        showToast('Project restored', 'success');
+      }
+      renderProjectDetail(slug);
+    }, { signal });
+  }
+
+  // Delete project button
+  const deleteBtn = document.getElementById('delete-project');
+  if (deleteBtn) {
+    deleteBtn.addEventListener('click', () => {
+      showDeleteProjectModal(project, slug);
+    }, { signal });
+  }
+
+  attachCustomFieldSettingsListeners(project, slug);
+}
+
+function showDeleteProjectModal(project, slug) {
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.id = 'delete-project-modal';
+  modal.innerHTML = `
+    <div class="modal delete-modal">
+      <div class="modal-header">
+        <h2 class="modal-title">Delete Project</h2>
+        <button class="modal-close" data-action="close-modal">
+          ${icons.close}
+        </button>
+      </div>
+      <div class="modal-body">
+        <div class="delete-warning">
+          <div class="delete-warning-icon">
+            ${icons.warning || '<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#ef4444" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'}
+          </div>
+          <p class="delete-warning-text">
+            Are you sure you want to delete <strong>${escapeHtml(project.name)}</strong>?
+          </p>
+          <p class="delete-warning-details">
+            This will permanently delete:
+          </p>
+          <ul class="delete-warning-list">
+            <li>All tasks in this project</li>
+            <li>All files and attachments</li>
+            <li>All comments and activity</li>
+          </ul>
+          <p class="delete-warning-confirm">
+            This action cannot be undone.
+          </p>
+        </div>
+        <div class="delete-confirm-input">
+          <label>Type <strong>${escapeHtml(project.name)}</strong> to confirm:</label>
+          <input type="text" id="delete-confirm-text" placeholder="Project name">
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" data-action="close-modal">Cancel</button>
+        <button class="btn-danger" id="confirm-delete" disabled>Delete Project</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  // Enable delete button only when project name matches
+  const confirmInput = document.getElementById('delete-confirm-text');
+  const confirmBtn = document.getElementById('confirm-delete');
+
+  confirmInput.addEventListener('input', () => {
+    confirmBtn.disabled = confirmInput.value !== project.name;
+  });
+
+  // Close modal handlers
+  modal.querySelectorAll('[data-action="close-modal"]').forEach(el => {
+    el.addEventListener('click', () => {
+      modal.remove();
+    });
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+
+  // Delete confirm handler
+  confirmBtn.addEventListener('click', () => {
+    if (confirmInput.value === project.name) {
+      // Remove project from state
+      const index = state.projects.findIndex(p => p.id === project.id);
+      if (index !== -1) {
+        state.projects.splice(index, 1);
+      }
+
+      // Remove related tasks and their comments
+      const projectTaskIds = new Set(state.tasks.filter(t => t.project_id === project.id).map(t => t.id));
+      removeRecords('comments', state.comments.filter(c => projectTaskIds.has(c.task_id)).map(c => c.id));
+      state.comments = state.comments.filter(c => !projectTaskIds.has(c.task_id));
+      removeRecords('checklistItems', state.checklistItems.filter(i => projectTaskIds.has(i.task_id)).map(i => i.id));
+      state.checklistItems = state.checklistItems.filter(i => !projectTaskIds.has(i.task_id));
+      removeRecords('checklists', state.checklists.filter(c => projectTaskIds.has(c.task_id)).map(c => c.id));
+      state.checklists = state.checklists.filter(c => !projectTaskIds.has(c.task_id));
+      removeRecords('timeEntries', state.timeEntries.filter(e => projectTaskIds.has(e.task_id)).map(e => e.id));
+      state.timeEntries = state.timeEntries.filter(e => !projectTaskIds.has(e.task_id));
+      removeRecords('tasks', [...projectTaskIds]);
+      removeRecords('activities', state.activities.filter(a => a.project_id === project.id).map(a => a.id));
+      state.activities = state.activities.filter(a => a.project_id !== project.id);
+      state.tasks = state.tasks.filter(t => t.project_id !== project.id);
+
+      // Remove related files
+      removeRecords('files', state.files.filter(f => f.project_id === project.id).map(f => f.id));
+      state.files = state.files.filter(f => f.project_id !== project.id);
+
+      // Remove wiki pages and every link to the project's pages or tasks
+      const projectPageIds = new Set(getWikiPagesForProject(project.id).map(p => p.id));
+      const staleLinks = state.wikiPageTaskLinks.filter(l => projectPageIds.has(l.page_id) || projectTaskIds.has(l.task_id));
+      removeRecords('wikiPageTaskLinks', staleLinks.map(l => l.id));
+      state.wikiPageTaskLinks = state.wikiPageTaskLinks.filter(l => !staleLinks.includes(l));
+      removeRecords('wikiPages', [...projectPageIds]);
+      state.wikiPages = state.wikiPages.filter(p => !projectPageIds.has(p.id));
+
+      // Remove custom field definitions
+      removeRecords('customFields', state.customFields.filter(f => f.project_id === project.id).map(f => f.id));
+      state.customFields = state.customFields.filter(f => f.project_id !== project.id);
+
+      // Remove saved views
+      removeRecords('views', state.views.filter(v => v.project_id === project.id).map(v => v.id));
+      state.views = state.views.filter(v => v.project_id !== project.id);
+
+      // Remove canvas connectors and frames
+      removeRecords('taskLinks', getTaskLinksForProject(project.id).map(l => l.id));
+      state.taskLinks = state.taskLinks.filter(l => l.project_id !== project.id);
+      removeRecords('canvasFrames', getCanvasFramesForProject(project.id).map(f => f.id));
+      state.canvasFrames = state.canvasFrames.filter(f => f.project_id !== project.id);
+      removeRecords('projects', project.id);
+
+      modal.remove();
+      showToast('Project deleted successfully', 'success');
+
+      // Navigate to projects list
+      window.location.hash = '#/projects';
+    }
+  });
+
+  // Focus the input
+  confirmInput.focus();
+}
+
+function attachInsightsEventListeners(slug) {
+  const project = getProjectBySlug(slug);
+  if (!project) return;
+
+  const signal = getViewSignal();
+
+  // Insights tab switching
+  document.querySelectorAll('.insights-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      const tabName = tab.dataset.insightsTab;
+      state.currentInsightsTab = tabName;
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Export button
+  const exportBtn = document.getElementById('export-insights');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => {
+      exportInsightsData(project);
+    }, { signal });
+  }
+}
+
+function attachRoadmapEventListeners(slug) {
+  const signal = getViewSignal();
+
+  // Scale toggle buttons
+  document.querySelectorAll('.roadmap-zoom-btn[data-scale]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const newScale = btn.dataset.scale;
+      if (state.roadmapScale !== newScale) {
+        state.roadmapScale = newScale;
+        state.roadmapOffset = 0; // Reset offset when changing scale
+        renderProjectDetail(slug);
+      }
+    }, { signal });
+  });
+
+  // Navigation - Previous
+  document.querySelectorAll('[data-action="roadmap-prev"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.roadmapOffset--;
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Navigation - Next
+  document.querySelectorAll('[data-action="roadmap-next"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.roadmapOffset++;
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Navigation - Today
+  document.querySelectorAll('[data-action="roadmap-today"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.roadmapOffset = 0;
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+
+  // Gantt bar drag and resize
+  initGanttBarDragResize(slug, signal);
+}
+
+function initGanttBarDragResize(slug, signal) {
+  const ganttRows = document.querySelector('.gantt-rows');
+  if (!ganttRows) return;
+
+  const project = getProjectBySlug(slug);
+  const timelineStart = new Date(ganttRows.dataset.timelineStart);
+  const totalDays = parseInt(ganttRows.dataset.totalDays, 10);
+  const roadmap = ganttRows.closest('.roadmap-view');
+  const roadmapTasks = getTasksForProject(project.id);
+  const draftPath = ganttRows.querySelector('.gantt-dependency-draft');
+
+  let dragState = null;
+  let linkState = null;
+
+  drawGanttDependencies(ganttRows);
+  window.addEventListener('resize', () => drawGanttDependencies(ganttRows), { signal });
+
+  // Helper: Convert pixel position to date
+  function pixelToDate(pixelX, containerWidth) {
+    const dayOffset = (pixelX / containerWidth) * totalDays;
+    const date = new Date(timelineStart);
+    date.setDate(date.getDate() + Math.round(dayOffset));
+    return date;
+  }
+
+  // Helper: Format date as YYYY-MM-DD
+  function formatDateISO(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  // Helper: Dates a bar currently spans
+  function getBarDates(bar, containerWidth) {
+    const left = parseFloat(bar.style.left);
+    const width = parseFloat(bar.style.width);
+    return {
+      start_date: formatDateISO(pixelToDate((left / 100) * containerWidth, containerWidth)),
+      due_date: formatDateISO(pixelToDate(((left + width) / 100) * containerWidth, containerWidth)),
+    };
+  }
+
+  // Mouse down on bar or handle
+  document.querySelectorAll('.gantt-bar:not(.no-dates)').forEach(bar => {
+    bar.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      if (e.target.classList.contains('gantt-bar-link-handle')) return;
+      const taskId = bar.dataset.taskId;
+      const task = getTaskById(taskId);
+      if (!task) return;
+
+      const row = bar.closest('.gantt-row');
+      const rowRect = row.getBoundingClientRect();
+      const barRect = bar.getBoundingClientRect();
+
+      // Determine drag type
+      let dragType = 'move';
+      if (e.target.classList.contains('gantt-bar-handle-left')) {
+        dragType = 'resize-left';
+      } else if (e.target.classList.contains('gantt-bar-handle-right')) {
+        dragType = 'resize-right';
+      }
+
+      dragState = {
+        taskId,
+        task,
+        bar,
+        row,
+        rowRect,
+        dragType,
+        startX: e.clientX,
+        initialLeft: parseFloat(bar.style.left) || 0,
+        initialWidth: parseFloat(bar.style.width) || 10,
+        containerWidth: rowRect.width
+      };
+
+      bar.classList.add('dragging');
+      document.body.style.cursor = dragType === 'move' ? 'grabbing' : 'ew-resize';
+    }, { signal });
+  });
+
+  // Mouse down on a bar's link handle - drag to another bar to add a dependency
+  document.querySelectorAll('.gantt-bar-link-handle').forEach(handle => {
+    handle.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      const origin = ganttRows.getBoundingClientRect();
+      const barRect = handle.closest('.gantt-bar').getBoundingClientRect();
+      linkState = {
+        sourceId: handle.closest('.gantt-bar').dataset.taskId,
+        x: barRect.right - origin.left,
+        y: barRect.top + barRect.height / 2 - origin.top,
+      };
+      document.body.style.cursor = 'crosshair';
+    }, { signal });
+  });
+
+  // Mouse move - update bar position/size
+  document.addEventListener('mousemove', (e) => {
+    if (linkState) {
+      const origin = ganttRows.getBoundingClientRect();
+      draftPath.setAttribute('d', `M ${linkState.x} ${linkState.y} L ${e.clientX - origin.left} ${e.clientY - origin.top}`);
+      return;
+    }
+    if (!dragState) return;
+
+    const deltaX = e.clientX - dragState.startX;
+    const deltaPercent = (deltaX / dragState.containerWidth) * 100;
+
+    if (dragState.dragType === 'move') {
+      // Move the entire bar
+      const newLeft = Math.max(0, Math.min(100 - dragState.initialWidth, dragState.initialLeft + deltaPercent));
+      dragState.bar.style.left = `${newLeft}%`;
+    } else if (dragState.dragType === 'resize-left') {
+      // Resize from left edge (changes start date)
+      const newLeft = Math.max(0, dragState.initialLeft + deltaPercent);
+      const newWidth = dragState.initialWidth - deltaPercent;
+      if (newWidth >= 2) { // Minimum width
+        dragState.bar.style.left = `${newLeft}%`;
+        dragState.bar.style.width = `${newWidth}%`;
+      }
+    } else if (dragState.dragType === 'resize-right') {
+      // Resize from right edge (changes end date)
+      const newWidth = Math.max(2, dragState.initialWidth + deltaPercent);
+      const maxWidth = 100 - dragState.initialLeft;
+      dragState.bar.style.width = `${Math.min(newWidth, maxWidth)}%`;
+    }
+
+    drawGanttDependencies(ganttRows);
+    updateRoadmapSchedule(roadmap, roadmapTasks, { [dragState.taskId]: getBarDates(dragState.bar, dragState.containerWidth) });
+  }, { signal });
+
+  // Mouse up - save changes
+  document.addEventListener('mouseup', (e) => {
+    if (linkState) {
+      const { sourceId } = linkState;
+      const targetBar = document.elementFromPoint(e.clientX, e.clientY)?.closest('.gantt-bar');
+      linkState = null;
+      draftPath.removeAttribute('d');
+      document.body.style.cursor = '';
+
+      const targetId = targetBar?.dataset.taskId;
+      if (!targetId || targetId === sourceId) return;
+      if (addTaskDependency(project, sourceId, targetId, 'finish_to_start')) {
+        showToast('Dependency added', 'success');
+        applyDependencyScheduling(getTaskById(sourceId));
+        renderProjectDetail(slug);
+      }
+      return;
+    }
+    if (!dragState) return;
+
+    const { taskId, bar, containerWidth, initialLeft, initialWidth } = dragState;
+
+    // Calculate new dates from final bar position
+    const finalLeft = parseFloat(bar.style.left);
+    const finalWidth = parseFloat(bar.style.width);
+    const { start_date: newStartDate, due_date: newEndDate } = getBarDates(bar, containerWidth);
+
+    // Clean up
+    bar.classList.remove('dragging');
+    document.body.style.cursor = '';
+    dragState = null;
+
+    // A click without dragging keeps the dates as they are
+    if (finalLeft === initialLeft && finalWidth === initialWidth) return;
+
+    // Show feedback, then update the task and its successors
+    showToast('Task dates updated', 'success');
+    updateTaskDates(taskId, newStartDate, newEndDate, slug);
+
+    // Re-render to ensure consistency (a drag may round back to the same dates)
+    renderProjectDetail(slug);
+  }, { signal });
+}
+
+function exportInsightsData(project) {
+  const tasks = getTasksForProject(project.id);
+  const members = getProjectMembers(project.id);
+  const customFields = getCustomFieldsForProject(project.id);
+
+  // Calculate all KPIs
+  const completedTasks = tasks.filter(isTaskCompleted);
+  const incompleteTasks = tasks.filter(isTaskOpen);
+  const cancelledTasks = tasks.filter(isTaskCancelled);
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const overdueTasks = tasks.filter(t => isTaskOverdue(t, today));
+
+  // Status breakdown - include color from workflow settings
+  const statusCounts = {};
+  tasks.forEach(t => {
+    const status = getStatusById(t.status_id);
+    const statusName = status?.name || 'Unknown';
+    const statusColor = status?.color || FALLBACK_COLOR;
+    if (!statusCounts[statusName]) {
+      statusCounts[statusName] = { count: 0, color: statusColor };
+    }
+    statusCounts[statusName].count++;
+  });
+
+  // Priority breakdown
+  const priorityCounts = { 'High': 0, 'Medium': 0, 'Low': 0, 'None': 0 };
+  tasks.forEach(t => {
+    const priority = t.priority_id ? getPriorityById(t.priority_id) : null;
+    const priorityName = priority?.name || 'None';
+    priorityCounts[priorityName] = (priorityCounts[priorityName] || 0) + 1;
+  });
+
+  // Build CSV data
+  const csvData = [
+    ['Project Insights Report'],
+    ['Project:', project.name],
+    ['Generated:', new Date().toLocaleString()],
+    [''],
+    ['Summary'],
+    ['Total Tasks', tasks.length],
+    ['Completed Tasks', completedTasks.length],
+    ['Incomplete Tasks', incompleteTasks.length],
+    ['Cancelled Tasks', cancelledTasks.length],
+    ['Overdue Tasks', overdueTasks.length],
+    [''],
+    ['Status Breakdown'],
+    ...Object.entries(statusCounts).map(([status, data]) => [status, data.count]),
+    [''],
+    ['Priority Breakdown'],
+    ...Object.entries(priorityCounts).map(([priority, count]) => [priority, count]),
+    [''],
+    ['Team Members'],
+    ['Name', 'Tasks Assigned', 'Completed', 'Incomplete'],
+    ...members.map(m => {
+      const memberTasks = tasks.filter(t => t.assignee_id === m.id);
+      return [m.name, memberTasks.length, memberTasks.filter(isTaskCompleted).length, memberTasks.filter(isTaskOpen).length];
+    }),
+    [''],
+    ['Task List'],
+    ['ID', 'Title', 'Status', 'Priority', 'Due Date', 'Assignee', ...customFields.map(f => f.name)],
+    ...tasks.map(t => {
+      const status = getStatusById(t.status_id);
+      const priority = t.priority_id ? getPriorityById(t.priority_id) : null;
+      const assignee = t.assignee_id ? getUserById(t.assignee_id) : null;
+      return [
+        `${project.identifier}-${t.sequence_id}`,
+        t.title,
+        status?.name || 'Unknown',
+        priority?.name || 'None',
+        t.due_date || 'N/A',
+        assignee?.name || 'Unassigned',
+        ...customFields.map(f => formatCustomValue(f, getTaskCustomValue(t, f)))
+      ];
+    })
+  ];
+
+  // Convert to CSV string
+  const csvContent = csvData.map(row =>
+    row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')
+  ).join('\n');
+
+  // Download
+  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${project.slug}-insights-${new Date().toISOString().split('T')[0]}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+
+  showToast('Insights exported successfully', 'success');
+}
+
+function renderTaskGroup(group, tasks, project, groupBy) {
+  const isCollapsed = state.collapsedGroups.has(group.id);
+  const isQuickAdding = state.quickAddStatus === group.id;
+  const isFlat = group.type === 'none';
+  const selectionState = getGroupSelectionState(tasks);
+
+  return `
+    <div class="card card--task-group task-group ${isFlat ? 'flat' : ''}" data-group-id="${group.id}" data-group-type="${group.type}">
+      <div class="task-group-header ${isFlat ? 'flat' : ''}" ${!isFlat ? `data-toggle-group="${group.id}"` : ''}>
+        ${tasks.length > 0 ? `
+          <div class="table-checkbox task-select ${selectionState}" data-action="select-group"
+               data-task-ids="${tasks.map(t => t.id).join(',')}" title="Select all in group">
+            ${selectionState === 'checked' ? icons.check : ''}
+          </div>
+        ` : ''}
+        ${!isFlat ? `
+          <span class="task-group-toggle ${isCollapsed ? 'collapsed' : ''}">
+            ${icons.chevronDown}
+          </span>
+          <div class="task-group-color" style="background: ${group.color}"></div>
+        ` : ''}
+        <span class="task-group-name">${escapeHtml(group.name)}</span>
+        <span class="count-badge">${tasks.length}</span>
+      </div>
+      ${!isCollapsed || isFlat ? `
+        <div class="task-list">
+          ${getTaskTreeRows(tasks).map(row => renderTaskRow(row.task, project, group, groupBy, row)).join('')}
+          ${isQuickAdding ? `
+            <div class="quick-add-input">
+              <input type="text" placeholder="Task title..." autofocus>
+              <div class="quick-add-actions">
+                <button class="quick-add-btn save">Save</button>
+                <button class="quick-add-btn cancel">Cancel</button>
+              </div>
+            </div>
+          ` : `
+            <div class="add-task-row">
+              ${icons.plus} Add Task
+            </div>
+          `}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function renderTaskRow(task, project, group, groupBy, treeRow = { depth: 0, childCount: 0 }) {
+  const fields = getProjectFields(project.id);
+  const customFields = getCustomFieldsForProject(project.id).filter(f => isCustomFieldVisible(fields, f));
+  const progress = treeRow.childCount > 0 || fields.progress ? getTaskProgress(task) : null;
+  const assignee = task.assignee_id ? getUserById(task.assignee_id) : null;
+  const priority = task.priority_id ? getPriorityById(task.priority_id) : null;
+  const taskLabels = (task.label_ids || []).map(id => getLabelById(id)).filter(Boolean);
+  const taskKey = `${project.identifier}-${task.sequence_id}`;
+  const isSelected = state.selectedTasks.has(task.id);
+  const isArchived = task.is_archived;
+
+  // Always get the task's actual status for display
+  const status = getStatusById(task.status_id);
+  const statusBg = status ? hexToRgba(status.color, 0.15) : '';
+
+  // Priority colors
+  const priorityBg = priority ? hexToRgba(priority.color, 0.15) : '';
+
+  return `
+    <div class="task-row ${isSelected ? 'selected' : ''} ${isArchived ? 'archived' : ''} ${fields.progress ? 'has-progress' : ''} ${fields.timeSpent ? 'has-time-spent' : ''}" data-task-id="${task.id}" draggable="true"
+         ${customFields.length > 0 ? `style="--task-custom-columns: repeat(${customFields.length}, 100px)"` : ''}>
+      <div class="task-row-start">
+        <div class="table-checkbox task-select ${isSelected ? 'checked' : ''}" data-action="toggle-task-select" title="Select (Shift-click for a range)">
+          ${isSelected ? icons.check : ''}
+        </div>
+        <span class="task-drag-handle">${icons.grip}</span>
+        ${fields.taskKey ? `<span class="task-key">${escapeHtml(taskKey)}</span>` : ''}
+      </div>
+      <span class="task-title ${treeRow.depth > 0 ? 'subtask' : ''}" style="--task-depth: ${treeRow.depth}">
+        ${renderSubtaskToggle(task, treeRow.childCount)}
+        ${escapeHtml(task.title)}
+        ${progress?.total > 0 ? `<span class="subtask-count" title="Subtasks done">${progress.done}/${progress.total}</span>` : ''}
+        ${renderChecklistBadge(task.id)}
+      </span>
+      ${fields.progress ? `<span class="task-progress">${progress.percentage}%</span>` : ''}
+      ${fields.timeSpent ? renderTimeSpentCell(task) : ''}
+      ${customFields.map(field => renderCustomFieldCell(task, field)).join('')}
+      ${fields.status ? `
+        <span class="task-status clickable" style="background: ${statusBg}; color: var(--color-text-secondary)">
+          ${status ? escapeHtml(status.name) : 'No Status'}
+        </span>
+      ` : ''}
+      ${fields.assignee ? `
+        <div class="task-assignees">
+          ${assignee
+            ? `<div class="task-assignee" style="background: ${stringToColor(assignee.name)}" title="${escapeHtml(assignee.name)}">
+                ${getInitials(assignee.name)}
+              </div>`
+            : `<button class="add-icon-btn" title="Add assignee">+</button>`
+          }
+        </div>
+      ` : ''}
+      ${fields.labels ? `
+        <div class="task-labels clickable" title="Manage labels">
+          ${taskLabels.length > 0 ? `
+            <span class="task-label">${escapeHtml(taskLabels[0].name)}</span>
+            ${taskLabels.length > 1 ? `<span class="task-label more">+${taskLabels.length - 1}</span>` : ''}
+          ` : `
+            <span class="task-add-label">+ Label</span>
+          `}
+        </div>
+      ` : ''}
+      ${fields.priority ? `
+        <span class="task-priority clickable ${priority ? '' : 'empty'}" style="background: ${priorityBg}; color: var(--color-text-secondary)">
+          ${priority ? `${getPriorityIcon(priority.name)} ${escapeHtml(priority.name)}` : '+ Priority'}
+        </span>
+      ` : ''}
+      ${fields.dueDate ? `
+        <span class="task-due-date clickable ${isOverdue(task.due_date) ? 'overdue' : ''} ${!task.due_date ? 'empty' : ''}">
+          ${task.due_date ? formatDate(task.due_date) : 'Set due date'}
+        </span>
+      ` : ''}
+    </div>
+  `;
+}
+
+
+// ==========================================================================
+// Render Functions - Members View
+// ==========================================================================
+
+function renderMembersView(tasks, project) {
+  // Get unique members who have tasks in this project
+  const memberIds = [...new Set(tasks.map(t => t.assignee_id).filter(Boolean))];
+  const members = memberIds.map(id => getUserById(id)).filter(Boolean);
+  const selectedCount = state.selectedMembers.size;
+
+  // Calculate stats for each member
+  const memberStats = members.map(member => {
+    const memberTasks = tasks.filter(t => t.assignee_id === member.id);
+    const statuses = getStatusesForProject(project.id);
+    const doneStatusIds = statuses.filter(s => s.category === 'done').map(s => s.id);
+    const doneTasks = memberTasks.filter(t => doneStatusIds.includes(t.status_id));
+    const progress = memberTasks.length > 0 ? Math.round((doneTasks.length / memberTasks.length) * 100) : 0;
+
+    return {
+      ...member,
+      taskCount: memberTasks.length,
+      doneCount: doneTasks.length,
+      progress
+    };
+  });
+
+  // Pagination
+  const { page, pageSize } = state.membersPagination;
+  const paginatedMembers = getPaginatedItems(memberStats, page, pageSize);
+
+  return `
+    <div class="card members-container">
+      <div class="view-toolbar view-toolbar--card">
+        <div class="toolbar-filters">
+          <span class="toolbar-count">${selectedCount > 0 ? `${selectedCount} selected` : `${members.length} Members`}</span>
+        </div>
+        <div class="toolbar-actions">
+          <button class="btn-bulk danger ${selectedCount === 0 ? 'disabled' : ''}" data-action="delete-members" ${selectedCount === 0 ? 'disabled' : ''}>
+            ${icons.trash} Delete
+          </button>
+          <button class="btn-secondary ${selectedCount !== 1 ? 'disabled' : ''}" data-action="edit-member" data-project-slug="${project.slug}" ${selectedCount !== 1 ? 'disabled' : ''}>
+            ${icons.edit} Edit
+          </button>
+          <button class="btn-secondary" data-action="add-member" data-project-slug="${project.slug}">
+            ${icons.userPlus} Add User
+          </button>
+        </div>
+      </div>
+      <table class="members-table">
+        <thead>
+          <tr>
+            <th class="checkbox-col">
+              <div class="table-checkbox ${getMemberSelectAllState(members)}" data-action="select-all-members">
+                ${selectedCount > 0 && selectedCount === members.length ? icons.check : ''}
+              </div>
+            </th>
+            <th class="sortable">Name <span class="sort-icon">${icons.chevronDown}</span></th>
+            <th class="sortable">Job Title <span class="sort-icon">${icons.chevronDown}</span></th>
+            <th class="sortable">Email <span class="sort-icon">${icons.chevronDown}</span></th>
+            <th class="sortable">Tasks <span class="sort-icon">${icons.chevronDown}</span></th>
+            <th>Task Progress</th>
+            <th class="sortable">Access <span class="sort-icon">${icons.chevronDown}</span></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${paginatedMembers.map(member => renderMemberRow(member)).join('')}
+        </tbody>
+      </table>
+      ${renderPagination({
+        totalItems: memberStats.length,
+        currentPage: page,
+        pageSize: pageSize,
+        itemLabel: 'members',
+        paginationType: 'members'
+      })}
+    </div>
+  `;
+}
+
+function getMemberSelectAllState(members) {
+  if (state.selectedMembers.size === 0) return '';
+  if (state.selectedMembers.size === members.length) return 'checked';
+  return 'indeterminate';
+}
+
+function renderMemberRow(member) {
+  const isSelected = state.selectedMembers.has(member.id);
+
+  return `
+    <tr class="${isSelected ? 'selected' : ''}" data-member-id="${member.id}">
+      <td>
+        <div class="table-checkbox ${isSelected ? 'checked' : ''}" data-action="toggle-member" data-member-id="${member.id}">
+          ${isSelected ? icons.check : ''}
+        </div>
+      </td>
+      <td>
+        <div class="member-name-cell">
+          <div class="table-avatar member-avatar" style="background: ${stringToColor(member.name)}">
+            ${getInitials(member.name)}
+          </div>
+          <span class="member-name">${escapeHtml(member.name)}</span>
+        </div>
+      </td>
+      <td>${member.job_title || '-'}</td>
+      <td><span class="member-email">${escapeHtml(member.email)}</span></td>
+      <td><span class="member-tasks">${member.doneCount}/${member.taskCount}</span></td>
+      <td>
+        <div class="member-progress">
+          <div class="progress-bar member-progress-bar">
+            <div class="progress-fill member-progress-fill" style="width: ${member.progress}%"></div>
+          </div>
+          <span class="member-progress-text">${member.progress}%</span>
+        </div>
+      </td>
+      <td><span class="member-role ${member.role}">${member.role}</span></td>
+    </tr>
+  `;
+}
+
+// ==========================================================================
+// Render Functions - Settings View
+// ==========================================================================
+
+function renderSettingsView(project) {
+  // Use centralized COLOR_PALETTE for settings color options
+  const colorOptions = [
+    { value: COLOR_PALETTE.blue.hex, name: COLOR_PALETTE.blue.name },
+    { value: COLOR_PALETTE.purple.hex, name: COLOR_PALETTE.purple.name },
+    { value: COLOR_PALETTE.emerald.hex, name: COLOR_PALETTE.emerald.name },
+    { value: COLOR_PALETTE.amber.hex, name: COLOR_PALETTE.amber.name },
+    { value: COLOR_PALETTE.red.hex, name: COLOR_PALETTE.red.name },
+    { value: COLOR_PALETTE.pink.hex, name: COLOR_PALETTE.pink.name },
+    { value: COLOR_PALETTE.cyan.hex, name: COLOR_PALETTE.cyan.name },
+    { value: COLOR_PALETTE.lime.hex, name: COLOR_PALETTE.lime.name },
+  ];
+
+  return `
+    <div class="settings-container">
+      <div class="card card--settings settings-card">
+        <div class="settings-card-header">
+          <span class="settings-card-title">General</span>
+        </div>
+        <div class="settings-card-content">
+          <div class="settings-field">
+            <label class="settings-label" for="project-name">Project Name</label>
+            <input type="text" id="project-name" class="settings-input" value="${escapeHtml(project.name)}" data-field="name">
+          </div>
+
+          <div class="settings-field">
+            <label class="settings-label" for="project-description">Description</label>
+            <textarea id="project-description" class="settings-textarea" rows="3" data-field="description">${escapeHtml(project.description || '')}</textarea>
+          </div>
+
+          <div class="settings-row-3">
+            <div class="settings-field">
+              <label class="settings-label" for="project-identifier">Identifier</label>
+              <input type="text" id="project-identifier" class="settings-input" value="${escapeHtml(project.identifier)}" data-field="identifier" maxlength="5">
+              <span class="settings-hint">Prefix: ${project.identifier}-1</span>
+            </div>
+
+            <div class="settings-field">
+              <label class="settings-label">Color</label>
+              <div class="settings-color-picker">
+                ${colorOptions.map(color => `
+                  <button class="color-swatch color-swatch--lg ${project.color === color.value ? 'active' : ''}"
+                          style="background: ${color.value}"
+                          data-color="${color.value}"
+                          title="${color.name}">
+                    ${project.color === color.value ? icons.check : ''}
+                  </button>
+                `).join('')}
+              </div>
+            </div>
+
+            <div class="settings-field">
+              <label class="settings-label">Default View</label>
+              <div class="settings-view-toggle">
+                <button class="view-toggle-btn ${project.default_view === 'list' ? 'active' : ''}" data-default-view="list">
+                  ${icons.list} List
+                </button>
+                <button class="view-toggle-btn ${project.default_view === 'board' ? 'active' : ''}" data-default-view="board">
+                  ${icons.grid} Board
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div class="settings-actions">
+            <button class="btn-primary" id="save-settings">${icons.check} Save Changes</button>
+          </div>
+        </div>
+      </div>
+
+      ${renderCustomFieldsSettings(project)}
+
+      <div class="card card--settings settings-card">
+        <div class="settings-card-header">
+          <span class="settings-card-title">Project Status</span>
+        </div>
+        <div class="settings-card-content">
+          <div class="settings-status-row">
+            <div class="settings-status-info">
+              <span class="settings-status-indicator ${project.is_archived ? 'archived' : 'active'}"></span>
+              <div class="settings-status-text">
+                <span class="settings-status-label">${project.is_archived ? 'Archived' : 'Active'}</span>
+                <span class="settings-status-description">
+                  ${project.is_archived
+                    ? 'This project is archived and won\'t appear in the main list.'
+                    : 'This project is active and visible to all members.'}
+                </span>
+              </div>
+            </div>
+            <button class="btn-secondary" id="toggle-archive">
+              ${project.is_archived ? 'Restore Project' : 'Archive Project'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div class="card card--settings settings-card settings-card-danger">
+        <div class="settings-card-header">
+          <span class="settings-card-title">Danger Zone</span>
+        </div>
+        <div class="settings-card-content">
+          <div class="settings-status-row">
+            <div class="settings-status-info">
+              <div class="settings-status-text">
+                <span class="settings-status-label">Delete Project</span>
+                <span class="settings-status-description">
+                  Permanently delete this project and all of its tasks, files, and data.
+                </span>
+              </div>
+            </div>
+            <button class="btn-danger" id="delete-project">${icons.trash} Delete Project</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// ==========================================================================
+// Render Functions - Files View
+// ==========================================================================
+
+function renderFilesView(project) {
+  const files = getFilesForProject(project.id);
+  const selectedCount = state.selectedFiles.size;
+
+  if (files.length === 0) {
+    return renderFilesEmptyState();
+  }
+
+  // Pagination
+  const { page, pageSize } = state.filesPagination;
+  const paginatedFiles = getPaginatedItems(files, page, pageSize);
+
+  return `
+    <div class="card files-container">
+      <div class="view-toolbar view-toolbar--card">
+        <div class="toolbar-filters">
+          <span class="toolbar-count">${selectedCount > 0 ? `${selectedCount} selected` : `${files.length} Files`}</span>
+        </div>
+        <div class="toolbar-actions">
+          <button class="btn-bulk ${selectedCount === 0 ? 'disabled' : ''}" data-action="download-selected" ${selectedCount === 0 ? 'disabled' : ''}>
+            ${icons.download} Download
+          </button>
+          <button class="btn-bulk danger ${selectedCount === 0 ? 'disabled' : ''}" data-action="delete-selected" ${selectedCount === 0 ? 'disabled' : ''}>
+            ${icons.trash} Delete
+          </button>
+          <button class="btn-secondary" data-action="open-upload-modal">
+            ${icons.upload} Upload Files
+          </button>
+        </div>
+      </div>
+      <table class="files-table">
+        <thead>
+          <tr>
+            <th class="checkbox-col">
+              <div class="table-checkbox ${getSelectAllState(files)}" data-action="select-all">
+                ${selectedCount > 0 && selectedCount === files.length ? icons.check : ''}
+              </div>
+            </th>
+            <th class="sortable">Name <span class="sort-icon">${icons.chevronDown}</span></th>
+            <th class="sortable">Attached Task <span class="sort-icon">${icons.chevronDown}</span></th>
+            <th class="sortable">Size <span class="sort-icon">${icons.chevronDown}</span></th>
+            <th class="sortable">Uploaded By <span class="sort-icon">${icons.chevronDown}</span></th>
+            <th class="sortable">Uploaded At <span class="sort-icon">${icons.chevronDown}</span></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${paginatedFiles.map(file => renderFileRow(file, project)).join('')}
+        </tbody>
+      </table>
+      ${renderPagination({
+        totalItems: files.length,
+        currentPage: page,
+        pageSize: pageSize,
+        itemLabel: 'files',
+        paginationType: 'files'
+      })}
+    </div>
+  `;
+}
+
+function getSelectAllState(files) {
+  if (state.selectedFiles.size === 0) return '';
+  if (state.selectedFiles.size === files.length) return 'checked';
+  return 'indeterminate';
+}
+
+function renderFileRow(file, project) {
+  const uploader = file.uploaded_by ? getUserById(file.uploaded_by) : null;
+  const task = file.task_id ? getTaskById(file.task_id) : null;
+  const isSelected = state.selectedFiles.has(file.id);
+  const taskKey = task ? `${project.identifier}-${task.sequence_id}` : null;
+
+  return `
+    <tr class="${isSelected ? 'selected' : ''}" data-file-id="${file.id}">
+      <td>
+        <div class="table-checkbox ${isSelected ? 'checked' : ''}" data-action="toggle-file" data-file-id="${file.id}">
+          ${isSelected ? icons.check : ''}
+        </div>
+      </td>
+      <td>
+        <div class="file-name-cell">
+          <div class="file-icon ${file.file_type}">
+            ${getFileIcon(file.file_type)}
+          </div>
+          <span class="file-name" data-action="preview-file" data-file-id="${file.id}">
+            ${escapeHtml(file.name)}
+          </span>
+        </div>
+      </td>
+      <td>
+        ${task
+          ? `<a href="#" class="file-task-link" title="${escapeHtml(task.title)}">
+              ${icons.link} ${escapeHtml(taskKey)}
+            </a>`
+          : `<span class="file-task-link unlinked">
+              ${icons.plus} Link task
+            </span>`
+        }
+      </td>
+      <td>
+        <span class="file-size">${formatFileSize(file.size_bytes)}</span>
+      </td>
+      <td>
+        ${uploader
+          ? `<div class="file-uploader">
+              <div class="table-avatar file-uploader-avatar" style="background: ${stringToColor(uploader.name)}">
+                ${getInitials(uploader.name)}
+              </div>
+              <span class="file-uploader-name">${escapeHtml(uploader.name)}</span>
+            </div>`
+          : '-'
+        }
+      </td>
+      <td>
+        <span class="file-date">${formatDateTime(file.uploaded_at)}</span>
+      </td>
+    </tr>
+  `;
+}
+
+function getFileIcon(fileType) {
+  switch (fileType) {
+    case 'pdf':
+      return icons.filePdf;
+    case 'image':
+      return icons.fileImage;
+    case 'archive':
+      return icons.fileArchive;
+    case 'spreadsheet':
+      return icons.fileSpreadsheet;
+    case 'document':
+    case 'cad':
+    default:
+      return icons.file;
+  }
+}
+
+function renderFilesEmptyState() {
+  return `
+    <div class="card files-container">
+      <div class="files-empty">
+        <div class="files-empty-icon">${icons.file}</div>
+        <h3 class="files-empty-title">No files yet</h3>
+        <p class="files-empty-description">
+          Upload files to share documents, images, and other attachments with your team.
+        </p>
+        <button class="btn-primary" data-action="open-upload-modal">
+          ${icons.upload} Upload Files
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+// ==========================================================================
+// Render Functions - Insights View (Dashboard)
+// ==========================================================================
+
+function renderInsightsView(tasks, project) {
+  const currentTab = state.currentInsightsTab || 'overview';
+  const showArchived = state.showArchivedTasks[project.id] || false;
+  const assignedToMe = state.assignedToMe[project.id] || false;
+  const selectedAssignees = state.assigneeFilter[project.id] || [];
+  const assigneeFilterCount = selectedAssignees.length;
+  const taskFilterCount = getTaskFilterCount(project.id);
+
+  // Calculate KPIs by status category, so custom done/cancelled statuses count
+  const completedTasks = tasks.filter(isTaskCompleted);
+  const incompleteTasks = tasks.filter(isTaskOpen);
+
+  // Tasks with due dates that are overdue
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const overdueTasks = tasks.filter(t => isTaskOverdue(t, today));
+
+  // Status breakdown - include color from workflow settings
+  const statusCounts = {};
+  tasks.forEach(t => {
+    const status = getStatusById(t.status_id);
+    const statusName = status?.name || 'Unknown';
+    const statusColor = status?.color || FALLBACK_COLOR;
+    if (!statusCounts[statusName]) {
+      statusCounts[statusName] = { count: 0, color: statusColor };
+    }
+    statusCounts[statusName].count++;
+  });
+
+  // Priority breakdown
+  const priorityCounts = { 'High': 0, 'Medium': 0, 'Low': 0, 'None': 0 };
+  tasks.forEach(t => {
+    const priority = t.priority_id ? getPriorityById(t.priority_id) : null;
+    const priorityName = priority?.name || 'None';
+    priorityCounts[priorityName] = (priorityCounts[priorityName] || 0) + 1;
+  });
+
+  // Members stats
+  const memberStats = {};
+  const projectMembers = getProjectMembers(project.id);
+  projectMembers.forEach(member => {
+    memberStats[member.id] = {
+      user: member,
+      taskCount: 0,
+      completed: 0,
+      incomplete: 0,
+      overdue: 0
+    };
+  });
+
+  tasks.forEach(t => {
+    if (t.assignee_id && memberStats[t.assignee_id]) {
+      memberStats[t.assignee_id].taskCount++;
+      if (isTaskCompleted(t)) {
+        memberStats[t.assignee_id].completed++;
+      } else if (isTaskOpen(t)) {
+        memberStats[t.assignee_id].incomplete++;
+        if (isTaskOverdue(t, today)) {
+          memberStats[t.assignee_id].overdue++;
+        }
+      }
+    }
+  });
+
+  // Last updated tasks (sorted by updated_at)
+  const lastUpdatedTasks = [...tasks]
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+    .slice(0, 10);
+
+  return `
+    <div class="insights-container">
+      <div class="view-toolbar">
+        <div class="toolbar-filters">
+          <nav class="insights-tabs">
+            <button class="insights-tab ${currentTab === 'overview' ? 'active' : ''}" data-insights-tab="overview">Overview</button>
+            <button class="insights-tab ${currentTab === 'members' ? 'active' : ''}" data-insights-tab="members">Members</button>
+            <button class="insights-tab ${currentTab === 'tasks' ? 'active' : ''}" data-insights-tab="tasks">Tasks</button>
+          </nav>
+          <button class="filter-btn ${assigneeFilterCount > 0 ? 'active' : ''}" data-action="toggle-assignee-filter">
+            ${icons.user} Assignee${assigneeFilterCount > 0 ? ` (${assigneeFilterCount})` : ''}
+            ${icons.chevronDown}
+          </button>
+          <button class="filter-btn ${taskFilterCount > 0 ? 'active' : ''}" data-action="toggle-task-filter">
+            ${icons.filter} Filter${taskFilterCount > 0 ? ` (${taskFilterCount})` : ''}
+            ${icons.chevronDown}
+          </button>
+          <label class="checkbox-label">
+            <input type="checkbox" class="checkbox-input" data-action="toggle-assigned-to-me" ${assignedToMe ? 'checked' : ''}>
+            <span class="checkbox-custom"></span>
+            <span class="checkbox-text">Assigned to me</span>
+          </label>
+        </div>
+        <div class="toolbar-actions">
+          <label class="checkbox-label">
+            <input type="checkbox" class="checkbox-input" data-action="toggle-archived" ${showArchived ? 'checked' : ''}>
+            <span class="checkbox-custom"></span>
+            <span class="checkbox-text">Show archived</span>
+          </label>
+          <button class="btn-primary" id="export-insights">
+            ${icons.download} Export
+          </button>
+        </div>
+      </div>
+
+      ${currentTab === 'overview' ? renderInsightsOverview(tasks, completedTasks, incompleteTasks, overdueTasks, statusCounts, priorityCounts, lastUpdatedTasks, project) : ''}
+      ${currentTab === 'members' ? renderInsightsMembers(memberStats, overdueTasks, projectMembers, tasks) : ''}
+      ${currentTab === 'tasks' ? renderInsightsTasks(tasks, completedTasks, incompleteTasks, overdueTasks) : ''}
+    </div>
+  `;
+}
+
+function renderInsightsOverview(tasks, completedTasks, incompleteTasks, overdueTasks, statusCounts, priorityCounts, lastUpdatedTasks, project) {
+  // Calculate donut chart segments using colors from workflow settings
+  const total = tasks.length || 1;
+  const segments = getDonutSegments(statusCounts, total);
+
+  return `
+    <div class="insights-content">
+      <!-- KPI Cards Row -->
+      <div class="insights-kpi-row">
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon success">
+            ${icons.checkCircle}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Completed tasks</span>
+            <span class="insights-kpi-value">${completedTasks.length}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon warning">
+            ${icons.tasks || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M9 12l2 2 4-4"/></svg>'}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Incomplete tasks</span>
+            <span class="insights-kpi-value">${incompleteTasks.length}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon danger">
+            ${icons.warning || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Overdue tasks</span>
+            <span class="insights-kpi-value">${overdueTasks.length}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon info">
+            ${icons.clock || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>'}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Total tasks</span>
+            <span class="insights-kpi-value">${tasks.length}</span>
+          </div>
+        </div>
+      </div>
+
+      <!-- Charts Row -->
+      <div class="insights-charts-row">
+        <div class="card card--insights insights-chart-card">
+          <div class="insights-card-header">
+            <span class="insights-card-title">Status Overview</span>
+          </div>
+          <div class="insights-chart-content">
+            <div class="donut-chart">
+              <svg viewBox="0 0 100 100" class="donut-svg">
+                ${renderDonutSegments(segments, total)}
+                <circle cx="50" cy="50" r="30" fill="white"/>
+              </svg>
+            </div>
+            <div class="donut-legend">
+              ${segments.map(s => `
+                <div class="donut-legend-item">
+                  <span class="donut-legend-color" style="background: ${s.color}"></span>
+                  <span class="donut-legend-label">${s.name} (${s.count})</span>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+
+        <div class="card card--insights insights-chart-card">
+          <div class="insights-card-header">
+            <span class="insights-card-title">Priority Overview</span>
+          </div>
+          <div class="insights-chart-content">
+            <div class="bar-chart">
+              ${renderPriorityBars(priorityCounts, tasks.length)}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Last Updated Tasks -->
+      <div class="card card--insights insights-table-card">
+        <div class="insights-card-header">
+          <span class="insights-card-title">Last Updated Tasks</span>
+          <a href="#" class="insights-see-all">See all</a>
+        </div>
+        <table class="insights-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Status</th>
+              <th>Due Date</th>
+              <th>Last Updated</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${lastUpdatedTasks.map(task => {
+              const status = getStatusById(task.status_id);
+              return `
+                <tr>
+                  <td>${escapeHtml(task.title)}</td>
+                  <td><span class="insights-status-badge" style="background: ${status?.color || FALLBACK_COLOR}">${status?.name || 'Unknown'}</span></td>
+                  <td>${task.due_date ? formatDate(task.due_date) : 'N/A'}</td>
+                  <td>${formatRelativeTime(task.updated_at)}</td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Turn { name: { count, color } } into donut segments with start/end angles
+ */
+function getDonutSegments(counts, total) {
+  let currentAngle = 0;
+  return Object.entries(counts).map(([name, data]) => {
+    const count = data.count;
+    const color = data.color;
+    const percentage = (count / total) * 100;
+    const startAngle = currentAngle;
+    currentAngle += (percentage / 100) * 360;
+    return { name, count, percentage, startAngle, endAngle: currentAngle, color };
+  });
+}
+
+function renderDonutSegments(segments, total) {
+  if (total === 0) {
+    return '<circle cx="50" cy="50" r="40" fill="#e5e7eb"/>';
+  }
+
+  let svgPaths = '';
+  segments.forEach(segment => {
+    if (segment.count === 0) return;
+
+    // A single full segment has no arc to draw
+    if (segment.percentage >= 100) {
+      svgPaths += `<circle cx="50" cy="50" r="40" fill="${segment.color}"/>`;
+      return;
+    }
+
+    const startAngle = (segment.startAngle - 90) * (Math.PI / 180);
+    const endAngle = (segment.endAngle - 90) * (Math.PI / 180);
+
+    const x1 = 50 + 40 * Math.cos(startAngle);
+    const y1 = 50 + 40 * Math.sin(startAngle);
+    const x2 = 50 + 40 * Math.cos(endAngle);
+    const y2 = 50 + 40 * Math.sin(endAngle);
+
+    const largeArc = segment.percentage > 50 ? 1 : 0;
+
+    svgPaths += `<path d="M 50 50 L ${x1} ${y1} A 40 40 0 ${largeArc} 1 ${x2} ${y2} Z" fill="${segment.color}"/>`;
+  });
+
+  return svgPaths;
+}
+
+function renderPriorityBars(priorityCounts, total) {
+  const priorities = [
+    { name: 'Low', color: COLOR_PALETTE.emerald.hex, count: priorityCounts['Low'] || 0 },
+    { name: 'Medium', color: COLOR_PALETTE.amber.hex, count: priorityCounts['Medium'] || 0 },
+    { name: 'High', color: COLOR_PALETTE.red.hex, count: priorityCounts['High'] || 0 }
+  ];
+
+  const maxCount = Math.max(...priorities.map(p => p.count), 1);
+
+  return `
+    <div class="bar-chart-container">
+      <div class="bar-chart-y-axis">
+        ${[...Array(6)].map((_, i) => `<span>${Math.round(maxCount - (maxCount / 5) * i)}</span>`).join('')}
+      </div>
+      <div class="bar-chart-bars">
+        ${priorities.map(p => `
+          <div class="bar-chart-bar-group">
+            <div class="bar-chart-bar" style="height: ${(p.count / maxCount) * 100}%; background: ${p.color}">
+              <span class="bar-chart-value">${p.count}</span>
+            </div>
+            <span class="bar-chart-label">${p.name}</span>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function renderInsightsMembers(memberStats, overdueTasks, projectMembers, tasks) {
+  const accuracyStats = getEstimateAccuracyStats(tasks, projectMembers);
+  const membersWithOverdue = Object.values(memberStats).filter(m => m.overdue > 0).length;
+  const unassignedMembers = projectMembers.filter(m => memberStats[m.id]?.taskCount === 0).length;
+
+  return `
+    <div class="insights-content">
+      <!-- Member KPI Cards -->
+      <div class="insights-kpi-row">
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon info">
+            ${icons.users}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Project Members</span>
+            <span class="insights-kpi-value">${projectMembers.length}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon danger">
+            ${icons.warning || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Assignees with overdue tasks</span>
+            <span class="insights-kpi-value">${membersWithOverdue}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon warning">
+            ${icons.user}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Unassigned Members</span>
+            <span class="insights-kpi-value">${unassignedMembers}</span>
+          </div>
+        </div>
+      </div>
+
+      <!-- Members Table -->
+      <div class="card card--insights insights-table-card">
+        <div class="insights-card-header">
+          <span class="insights-card-title">Tasks by members</span>
+        </div>
+        <table class="insights-table insights-members-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Name</th>
+              <th>Task Count</th>
+              <th>Contribution</th>
+              <th>Completed</th>
+              <th>Incomplete</th>
+              <th>Overdue</th>
+              <th>Progress</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${Object.values(memberStats).map(m => {
+              const totalTasks = Object.values(memberStats).reduce((sum, ms) => sum + ms.taskCount, 0) || 1;
+              const contribution = ((m.taskCount / totalTasks) * 100).toFixed(0);
+              const countable = m.completed + m.incomplete;
+              const progress = countable > 0 ? ((m.completed / countable) * 100).toFixed(0) : 0;
+              return `
+                <tr>
+                  <td>
+                    <button class="insights-expand-btn">${icons.chevronRight}</button>
+                  </td>
+                  <td>
+                    <div class="insights-member-cell">
+                      <div class="insights-member-avatar" style="background: ${stringToColor(m.user.name)}">${getInitials(m.user.name)}</div>
+                      <span>${escapeHtml(m.user.name)}</span>
+                    </div>
+                  </td>
+                  <td class="text-center text-primary">${m.taskCount}</td>
+                  <td class="text-center">${contribution}%</td>
+                  <td class="text-center">${m.completed}</td>
+                  <td class="text-center text-primary">${m.incomplete}</td>
+                  <td class="text-center text-danger">${m.overdue}</td>
+                  <td>
+                    <div class="insights-progress-cell">
+                      <div class="progress-bar insights-progress-bar">
+                        <div class="progress-fill insights-progress-fill" style="width: ${progress}%"></div>
+                      </div>
+                      <span class="insights-progress-text">${progress}%</span>
+                    </div>
+                  </td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+
+      <!-- Estimate Accuracy Table -->
+      <div class="card card--insights insights-table-card">
+        <div class="insights-card-header">
+          <span class="insights-card-title">Estimate accuracy</span>
+          <span class="insights-card-subtitle">Assigned tasks with an estimate and logged time</span>
+        </div>
+        <table class="insights-table insights-accuracy-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Tasks</th>
+              <th>Estimated</th>
+              <th>Logged</th>
+              <th>Variance</th>
+              <th>Over / Under</th>
+              <th>Accuracy</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${accuracyStats.map(m => {
+              const variance = m.logged - m.estimated;
+              return `
+                <tr>
+                  <td>
+                    <div class="insights-member-cell">
+                      <div class="insights-member-avatar" style="background: ${stringToColor(m.user.name)}">${getInitials(m.user.name)}</div>
+                      <span>${escapeHtml(m.user.name)}</span>
+                    </div>
+                  </td>
+                  <td class="text-center">${m.taskCount}</td>
+                  <td class="text-center">${m.taskCount ? formatDuration(m.estimated) : '—'}</td>
+                  <td class="text-center text-primary">${m.taskCount ? formatDuration(m.logged) : '—'}</td>
+                  <td class="text-center ${variance > 0 ? 'text-danger' : ''}">${m.taskCount ? `${variance > 0 ? '+' : variance < 0 ? '-' : ''}${formatDuration(Math.abs(variance))}` : '—'}</td>
+                  <td class="text-center">${m.taskCount ? `${m.over} / ${m.under}` : '—'}</td>
+                  <td>
+                    ${m.accuracy === null ? '<span class="insights-progress-text">—</span>' : `
+                      <div class="insights-progress-cell">
+                        <div class="progress-bar insights-progress-bar">
+                          <div class="progress-fill insights-progress-fill" style="width: ${m.accuracy}%"></div>
+                        </div>
+                        <span class="insights-progress-text">${m.accuracy}%</span>
+                      </div>
+                    `}
+                  </td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+function renderInsightsTasks(tasks, completedTasks, incompleteTasks, overdueTasks) {
+  // Tasks completed early (completed before due date)
+  const tasksCompletedEarly = completedTasks.filter(t => {
+    if (!t.due_date || !t.completed_at) return false;
+    return new Date(t.completed_at) < new Date(`${t.due_date}T00:00:00`);
+  });
+
+  // Tasks completed late (completed after due date)
+  const tasksCompletedLate = completedTasks.filter(t => {
+    if (!t.due_date || !t.completed_at) return false;
+    return new Date(t.completed_at) > new Date(`${t.due_date}T23:59:59.999`);
+  });
+
+  return `
+    <div class="insights-content">
+      <!-- Task KPI Cards -->
+      <div class="insights-kpi-row">
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon success">
+            ${icons.checkCircle}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Completed tasks</span>
+            <span class="insights-kpi-value">${completedTasks.length}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon warning">
+            ${icons.tasks || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M9 12l2 2 4-4"/></svg>'}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Incomplete tasks</span>
+            <span class="insights-kpi-value">${incompleteTasks.length}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon danger">
+            ${icons.warning || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Overdue tasks</span>
+            <span class="insights-kpi-value">${overdueTasks.length}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon info">
+            ${icons.clock || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>'}
+          </div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Total tasks</span>
+            <span class="insights-kpi-value">${tasks.length}</span>
+          </div>
+        </div>
+      </div>
+
+      <!-- Task Tables Row -->
+      <div class="insights-tables-row">
+        <div class="card card--insights insights-table-card insights-table-half">
+          <div class="insights-card-header">
+            <span class="insights-card-title">Overdue Tasks</span>
+            <a href="#" class="insights-see-all">See all</a>
+          </div>
+          ${overdueTasks.length > 0 ? `
+            <table class="insights-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Status</th>
+                  <th>End Date</th>
+                  <th>Days overdue</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${overdueTasks.slice(0, 5).map(task => {
+                  const status = getStatusById(task.status_id);
+                  const daysOverdue = Math.ceil((new Date() - new Date(task.due_date)) / (1000 * 60 * 60 * 24));
+                  return `
+                    <tr>
+                      <td>${escapeHtml(task.title)}</td>
+                      <td><span class="insights-status-badge" style="background: ${status?.color || FALLBACK_COLOR}">${status?.name || 'Unknown'}</span></td>
+                      <td>${formatDate(task.due_date)}</td>
+                      <td class="text-danger">${daysOverdue} days</td>
+                    </tr>
+                  `;
+                }).join('')}
+              </tbody>
+            </table>
+          ` : renderEmptyTableState('No overdue tasks')}
+        </div>
+
+        <div class="card card--insights insights-table-card insights-table-half">
+          <div class="insights-card-header">
+            <span class="insights-card-title">Tasks completed early</span>
+            <a href="#" class="insights-see-all">See all</a>
+          </div>
+          ${tasksCompletedEarly.length > 0 ? `
+            <table class="insights-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Status</th>
+                  <th>End Date</th>
+                  <th>Completed At</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${tasksCompletedEarly.slice(0, 5).map(task => {
+                  const status = getStatusById(task.status_id);
+                  return `
+                    <tr>
+                      <td>${escapeHtml(task.title)}</td>
+                      <td><span class="insights-status-badge" style="background: ${status?.color || FALLBACK_COLOR}">${status?.name || 'Unknown'}</span></td>
+                      <td>${formatDate(task.due_date)}</td>
+                      <td>${formatDate(task.completed_at)}</td>
+                    </tr>
+                  `;
+                }).join('')}
+              </tbody>
+            </table>
+          ` : renderEmptyTableState('No data')}
+        </div>
+      </div>
+
+      <div class="insights-tables-row">
+        <div class="card card--insights insights-table-card insights-table-half">
+          <div class="insights-card-header">
+            <span class="insights-card-title">Tasks completed late</span>
+            <a href="#" class="insights-see-all">See all</a>
+          </div>
+          ${tasksCompletedLate.length > 0 ? `
+            <table class="insights-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Status</th>
+                  <th>End Date</th>
+                  <th>Completed At</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${tasksCompletedLate.slice(0, 5).map(task => {
+                  const status = getStatusById(task.status_id);
+                  return `
+                    <tr>
+                      <td>${escapeHtml(task.title)}</td>
+                      <td><span class="insights-status-badge" style="background: ${status?.color || FALLBACK_COLOR}">${status?.name || 'Unknown'}</span></td>
+                      <td>${formatDate(task.due_date)}</td>
+                      <td>${formatDate(task.completed_at)}</td>
+                    </tr>
+                  `;
+                }).join('')}
+              </tbody>
+            </table>
+          ` : renderEmptyTableState('No data')}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function renderEmptyTableState(message) {
+  return `
+    <div class="insights-empty-state">
+      <div class="insights-empty-icon">
+        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#9ca3af" stroke-width="1.5">
+          <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"/>
+          <polyline points="3.27 6.96 12 12.01 20.73 6.96"/>
+          <line x1="12" y1="22.08" x2="12" y2="12"/>
+        </svg>
+      </div>
+      <p class="insights-empty-text">${message}</p>
+    </div>
+  `;
+}
+
+function formatRelativeTime(dateString) {
+  const date = new Date(dateString);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffMins = Math.floor(diffMs / (1000 * 60));
+  const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
+  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+
+  if (diffMins < 1) return 'just now';
+  if (diffMins < 60) return `${diffMins} minutes ago`;
+  if (diffHours < 24) return `about ${diffHours} hours ago`;
+  if (diffDays < 7) return `${diffDays} days ago`;
+  return formatDate(dateString);
+}
+
+// ==========================================================================
+// Saved Views
+// ==========================================================================
+
+// Saved view type -> project tab that renders it
+const VIEW_TYPE_TABS = {
+  list: 'tasks',
+  board: 'board',
+  canvas: 'canvas',
+  timeline: 'roadmap',
+};
+
+const VIEW_TYPE_LABELS = {
+  list: 'List',
+  board: 'Board',
+  canvas: 'Canvas',
+  timeline: 'Roadmap',
+};
+
+// Stands in for the viewing user in saved filters, so shared views stay personal
+const VIEW_CURRENT_USER = '@me';
+
+function getViewTypeForTab(tab) {
+  return Object.keys(VIEW_TYPE_TABS).find(type => VIEW_TYPE_TABS[type] === tab) || null;
+}
+
+function getViewById(id) {
+  return state.views.find(v => v.id === id);
+}
+
+/**
+ * Views of a project the current user can see: shared ones and their own
+ */
+function getViewsForProject(projectId) {
+  const currentUser = getCurrentUser();
+  return state.views
+    .filter(v => v.project_id === projectId && (v.is_shared || v.created_by === currentUser?.id))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function canEditView(view) {
+  return view.created_by === getCurrentUser()?.id;
+}
+
+/**
+ * Snapshot the project's current filter, sort, grouping and field settings
+ * in the shape of a View record (see View in documentation/data-model.md)
+ */
+function captureViewSettings(project, type) {
+  const filters = {};
+  if (!state.showArchivedTasks[project.id]) {
+    filters.is_archived = { eq: false };
+  }
+
+  // Operators on one field must all match, so "assigned to me" and an assignee list combine
+  const assigneeFilter = {};
+  if (state.assignedToMe[project.id]) {
+    assigneeFilter.eq = VIEW_CURRENT_USER;
+  }
+  const selectedAssignees = state.assigneeFilter[project.id] || [];
+  if (selectedAssignees.length > 0) {
+    assigneeFilter.in = selectedAssignees.map(id => (id === 'unassigned' ? null : id));
+  }
+  if (Object.keys(assigneeFilter).length > 0) {
+    filters.assignee_id = assigneeFilter;
+  }
+
+  const searchQuery = (state.taskSearch[project.id] || '').trim();
+  if (searchQuery) {
+    filters.text = { contains: searchQuery };
+  }
+
+  // Filter builder conditions are already View.filters JSON ($and / $or)
+  Object.assign(filters, structuredClone(state.taskFilters[project.id] || {}));
+
+  return {
+    type,
+    filters,
+    sort_by: type === 'list' ? getProjectSort(project.id) : null,
+    group_by: type === 'list'
+      ? (state.projectGroupBy[project.id] || 'none')
+      : type === 'board' ? (state.boardSwimlane[project.id] || 'none') : null,
+    display_fields: type === 'timeline'
+      ? { scale: state.roadmapScale }
+      : type === 'canvas' ? null : { ...getProjectFields(project.id) },
+  };
+}
+
+/**
+ * Load a saved view into the project's transient filter/sort/group state
+ * @param {Object} project
+ * @param {Object} view
+ * @param {boolean} [switchTab=true] - Also open the tab that renders the view
+ */
+function applyView(project, view, switchTab = true) {
+  const filters = view.filters || {};
+  const assigneeFilter = filters.assignee_id || {};
+
+  state.showArchivedTasks[project.id] = filters.is_archived?.eq !== false;
+  state.assignedToMe[project.id] = assigneeFilter.eq === VIEW_CURRENT_USER;
+  state.assigneeFilter[project.id] = (assigneeFilter.in || []).map(id => (id === null ? 'unassigned' : id));
+  state.taskSearch[project.id] = filters.text?.contains || '';
+  if (filters.$and || filters.$or) {
+    state.taskFilters[project.id] = structuredClone(filters.$or ? { $or: filters.$or } : { $and: filters.$and });
+  } else {
+    delete state.taskFilters[project.id];
+  }
+
+  if (view.type === 'list') {
+    state.projectSort[project.id] = view.sort_by || { field: 'manual', direction: 'asc' };
+    state.projectGroupBy[project.id] = view.group_by || 'none';
+  } else if (view.type === 'board') {
+    state.boardSwimlane[project.id] = view.group_by || 'none';
+  }
+
+  if (view.type === 'timeline') {
+    state.roadmapScale = view.display_fields?.scale || state.roadmapScale;
+    state.roadmapOffset = 0;
+  } else if (view.type !== 'canvas') {
+    state.projectFields[project.id] = { ...getDefaultFields(), ...view.display_fields };
+  }
+
+  state.activeViewId[project.id] = view.id;
+  state.collapsedGroups.clear();
+  if (switchTab) {
+    state.currentProjectTab = VIEW_TYPE_TABS[view.type] || 'tasks';
+  }
+}
+
+/**
+ * Drop the active view and return the project to the built-in settings
+ */
+function clearActiveView(project) {
+  [
+    state.showArchivedTasks, state.assignedToMe, state.assigneeFilter, state.taskSearch, state.taskFilters,
+    state.projectSort, state.projectGroupBy, state.boardSwimlane, state.projectFields, state.activeViewId,
+  ].forEach(settings => {
+    delete settings[project.id];
+  });
+  state.collapsedGroups.clear();
+}
+
+function isViewModified(project, view) {
+  const current = captureViewSettings(project, view.type);
+  return ['filters', 'sort_by', 'group_by', 'display_fields'].some(key =>
+    JSON.stringify(current[key] ?? null) !== JSON.stringify(view[key] ?? null)
+  );
+}
+
+/**
+ * Apply the project's default view the first time the project is opened in
+ * this session. The tab only changes when a view tab is showing, so links to
+ * e.g. the Files tab still land there.
+ */
+function applyDefaultProjectView(slug) {
+  const project = getProjectBySlug(slug);
+  if (!project || state.defaultViewApplied.has(project.id)) return;
+  state.defaultViewApplied.add(project.id);
+
+  const defaultView = getViewsForProject(project.id).find(v => v.is_default);
+  if (defaultView && !state.activeViewId[project.id]) {
+    applyView(project, defaultView, Boolean(getViewTypeForTab(state.currentProjectTab)));
+  }
+}
+
+function renderSavedViewsButton(project, type) {
+  const activeView = getViewById(state.activeViewId[project.id]);
+  const isActive = activeView && activeView.type === type;
+  const modified = isActive && isViewModified(project, activeView);
+
+  return `
+    <button class="filter-btn saved-views-btn ${isActive ? 'active' : ''}" data-action="toggle-saved-views" data-view-type="${type}">
+      ${icons.eye}
+      <span class="saved-views-btn-label">${isActive ? escapeHtml(activeView.name) : 'Views'}</span>
+      ${modified ? '<span class="saved-views-modified" title="Unsaved changes"></span>' : ''}
+      ${icons.chevronDown}
+    </button>
+  `;
+}
+
+function showSavedViewsDropdown(buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const type = buttonElement.dataset.viewType;
+  const views = getViewsForProject(project.id);
+  const activeView = getViewById(state.activeViewId[project.id]);
+  const canUpdate = activeView && activeView.type === type && canEditView(activeView) && isViewModified(project, activeView);
+
+  const dropdown = createDropdown({
+    id: 'saved-views-dropdown',
+    anchor: buttonElement,
+    className: 'saved-views-dropdown',
+    content: `
+      <div class="dropdown-header label-uppercase">Saved Views</div>
+      ${views.length > 0 ? views.map(view => `
+        <div class="saved-view-item ${view.id === activeView?.id ? 'active' : ''}" data-view-id="${view.id}">
+          <button class="saved-view-select" data-action="apply-view">
+            <span class="saved-view-type">${VIEW_TYPE_LABELS[view.type] || view.type}</span>
+            <span class="saved-view-text">
+              <span class="saved-view-name">${escapeHtml(view.name)}</span>
+              ${view.description ? `<span class="saved-view-description">${escapeHtml(view.description)}</span>` : ''}
+            </span>
+            ${view.is_shared ? `<span class="saved-view-shared" title="Shared with project members">${icons.users}</span>` : ''}
+          </button>
+          <button class="saved-view-action ${view.is_default ? 'active' : ''}"
+                  data-action="set-default-view"
+                  title="${view.is_default ? 'Default view - click to unset' : 'Make default view'}">
+            ${view.is_default ? icons.starFilled : icons.star}
+          </button>
+          ${canEditView(view) ? `
+            <button class="saved-view-action" data-action="edit-view" title="Edit view">${icons.edit}</button>
+            <button class="saved-view-action" data-action="delete-view" title="Delete view">${icons.trash}</button>
+          ` : ''}
+        </div>
+      `).join('') : '<div class="dropdown-empty">No saved views yet</div>'}
+      <div class="dropdown-divider"></div>
+      ${canUpdate ? `
+        <button class="dropdown-item" data-action="update-view">${icons.check} Save changes to "${escapeHtml(activeView.name)}"</button>
+      ` : ''}
+      <button class="dropdown-item" data-action="save-view">${icons.plus} Save as new view</button>
+      ${activeView ? `<button class="dropdown-item" data-action="clear-view">${icons.x} Reset to default settings</button>` : ''}
+    `
+  });
+
+  if (!dropdown) return;
+
+  addListeners(dropdown, '[data-action]', 'click', (btn, e) => {
+    e.stopPropagation();
+    const view = getViewById(btn.closest('[data-view-id]')?.dataset.viewId);
+
+    switch (btn.dataset.action) {
+      case 'apply-view':
+        closeDropdown();
+        applyView(project, view);
+        renderProjectDetail(projectSlug);
+        break;
+      case 'set-default-view':
+        closeDropdown();
+        toggleDefaultView(project, view);
+        renderProjectDetail(projectSlug);
+        break;
+      case 'edit-view':
+        closeDropdown();
+        showSaveViewModal(projectSlug, view.type, view);
+        break;
+      case 'delete-view':
+        closeDropdown();
+        deleteView(project, view);
+        renderProjectDetail(projectSlug);
+        break;
+      case 'update-view':
+        closeDropdown();
+        updateViewSettings(project, activeView);
+        renderProjectDetail(projectSlug);
+        break;
+      case 'save-view':
+        closeDropdown();
+        showSaveViewModal(projectSlug, type);
+        break;
+      case 'clear-view':
+        closeDropdown();
+        clearActiveView(project);
+        renderProjectDetail(projectSlug);
+        break;
+    }
+  });
+}
+
+/**
+ * Create a view from the current settings, or edit an existing view's name,
+ * description and sharing
+ */
+function showSaveViewModal(projectSlug, type, view = null) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const bodyHtml = `
+    <form id="save-view-form">
+      <div class="form-group">
+        <label class="form-label required">Name</label>
+        <input type="text" class="form-input" name="name" value="${escapeHtml(view?.name || '')}" placeholder="e.g. Overdue this sprint" required>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Description</label>
+        <textarea class="form-textarea" name="description" placeholder="What is this view for?">${escapeHtml(view?.description || '')}</textarea>
+      </div>
+
+      <div class="form-group">
+        <label class="checkbox-label">
+          <input type="checkbox" class="checkbox-input" name="is_shared" ${view?.is_shared ? 'checked' : ''}>
+          <span class="checkbox-custom"></span>
+          <span class="checkbox-text">Share with project members</span>
+        </label>
+      </div>
+
+      <div class="form-group">
+        <label class="checkbox-label">
+          <input type="checkbox" class="checkbox-input" name="is_default" ${view?.is_default ? 'checked' : ''}>
+          <span class="checkbox-custom"></span>
+          <span class="checkbox-text">Open this view by default</span>
+        </label>
+      </div>
+
+      ${view ? '' : `<p class="form-hint">Saves the current ${VIEW_TYPE_LABELS[type]} filters, sorting, grouping and fields.</p>`}
+    </form>
+  `;
+
+  const footerHtml = `
+    <button class="btn-secondary" data-action="close-modal">Cancel</button>
+    <button class="btn-primary" data-action="submit-view">${view ? 'Save' : 'Save View'}</button>
+  `;
+
+  showModal(view ? 'Edit View' : 'Save View', bodyHtml, footerHtml);
+
+  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
+    btn.addEventListener('click', closeModal);
+  });
+
+  const form = document.getElementById('save-view-form');
+  const submit = () => handleSaveView(project, type, view);
+  document.querySelector('[data-action="submit-view"]')?.addEventListener('click', submit);
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submit();
+  });
+}
+
+function handleSaveView(project, type, existingView) {
+  const formData = new FormData(document.getElementById('save-view-form'));
+  const name = formData.get('name')?.trim();
+  if (!name) {
+    showToast('View name is required', 'error');
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const view = existingView || {
+    id: generateId('view'),
+    project_id: project.id,
+    ...captureViewSettings(project, type),
+    created_by: getCurrentUser()?.id || null,
+    created_at: now,
+  };
+
+  view.name = name;
+  view.description = formData.get('description')?.trim() || '';
+  view.is_shared = formData.get('is_shared') === 'on';
+  view.is_default = false;
+  view.updated_at = now;
+
+  if (!existingView) {
+    state.views.push(view);
+  }
+  if (formData.get('is_default') === 'on') {
+    toggleDefaultView(project, view);
+  } else {
+    persistRecords('views', view);
+  }
+
+  state.activeViewId[project.id] = view.id;
+  closeModal();
+  showToast(existingView ? 'View updated' : `View "${name}" saved`, 'success');
+  renderProjectDetail(project.slug);
+}
+
+function updateViewSettings(project, view) {
+  Object.assign(view, captureViewSettings(project, view.type), { updated_at: new Date().toISOString() });
+  persistRecords('views', view);
+  showToast(`View "${view.name}" updated`, 'success');
+}
+
+/**
+ * Make a view the project default (only one per project), or unset it
+ */
+function toggleDefaultView(project, view) {
+  const makeDefault = !view.is_default;
+  const changed = state.views.filter(v => v.project_id === project.id && v.is_default && v !== view);
+  changed.forEach(v => {
+    v.is_default = false;
+  });
+  view.is_default = makeDefault;
+  persistRecords('views', [...changed, view]);
+  showToast(makeDefault ? `"${view.name}" is now the default view` : 'Default view cleared', 'success');
+}
+
+function deleteView(project, view) {
+  if (!confirm(`Delete the view "${view.name}"?`)) return;
+
+  state.views = state.views.filter(v => v.id !== view.id);
+  removeRecords('views', view.id);
+  if (state.activeViewId[project.id] === view.id) {
+    delete state.activeViewId[project.id];
+  }
+  showToast('View deleted', 'success');
+}
+
+// ==========================================================================
+// Render Functions - Reports
+// ==========================================================================
+
+const REPORT_DATE_RANGES = {
+  all: 'All time',
+  '7d': 'Last 7 days',
+  '30d': 'Last 30 days',
+  '90d': 'Last 90 days',
+  year: 'This year',
+  custom: 'Custom range',
+};
+
+// Status categories shown in the cross-project donut, in display order
+const REPORT_STATUS_CATEGORIES = {
+  backlog: { name: 'Backlog', color: COLOR_PALETTE.gray.hex },
+  todo: { name: 'Not Started', color: COLOR_PALETTE.blue.hex },
+  in_progress: { name: 'Active', color: COLOR_PALETTE.amber.hex },
+  done: { name: 'Done', color: COLOR_PALETTE.green.hex },
+  cancelled: { name: 'Cancelled', color: COLOR_PALETTE.red.hex },
+};
+
+function isTaskCompleted(task) {
+  return getStatusById(task.status_id)?.category === 'done';
+}
+
+function isTaskCancelled(task) {
+  return getStatusById(task.status_id)?.category === 'cancelled';
+}
+
+/**
+ * Open tasks are neither done nor cancelled. Only open tasks count as
+ * incomplete or overdue.
+ */
+function isTaskOpen(task) {
+  return !isTaskCompleted(task) && !isTaskCancelled(task);
+}
+
+function isTaskOverdue(task, today) {
+  return Boolean(task.due_date) && isTaskOpen(task) && new Date(task.due_date) < today;
+}
+
+/**
+ * Resolve the selected date range to { from, to } Dates (null = unbounded)
+ */
+function getReportDateRange() {
+  const { range, from, to } = state.reportFilters;
+  const now = new Date();
+
+  switch (range) {
+    case '7d':
+    case '30d':
+    case '90d': {
+      const start = new Date(now);
+      start.setDate(start.getDate() - parseInt(range, 10));
+      start.setHours(0, 0, 0, 0);
+      return { from: start, to: null };
+    }
+    case 'year':
+      return { from: new Date(now.getFullYear(), 0, 1), to: null };
+    case 'custom':
+      return {
+        from: from ? new Date(`${from}T00:00:00`) : null,
+        to: to ? new Date(`${to}T23:59:59.999`) : null,
+      };
+    default:
+      return { from: null, to: null };
+  }
+}
+
+function getReportProjects() {
+  const selected = state.reportFilters.projectIds;
+  return selected.length > 0
+    ? state.projects.filter(p => selected.includes(p.id))
+    : state.projects.filter(p => !p.is_archived);
+}
+
+/**
+ * Non-archived tasks of the selected projects that were open at some point
+ * in the date range: created before it ends and not completed before it starts.
+ */
+function getReportTasks(projects) {
+  const { from, to } = getReportDateRange();
+  const projectIds = new Set(projects.map(p => p.id));
+
+  return state.tasks.filter(task => {
+    if (task.is_archived || !projectIds.has(task.project_id)) return false;
+    if (to && task.created_at && new Date(task.created_at) > to) return false;
+    if (from && task.completed_at && isTaskCompleted(task) && new Date(task.completed_at) < from) return false;
+    return true;
+  });
+}
+
+function getTaskStats(tasks, today) {
+  const completed = tasks.filter(isTaskCompleted).length;
+  const incomplete = tasks.filter(isTaskOpen).length;
+  // Cancelled tasks count towards the total but not the completion rate
+  const countable = completed + incomplete;
+  return {
+    total: tasks.length,
+    completed,
+    incomplete,
+    overdue: tasks.filter(t => isTaskOverdue(t, today)).length,
+    completionRate: countable > 0 ? Math.round((completed / countable) * 100) : 0,
+  };
+}
+
+/**
+ * On track: nothing overdue. At risk: up to a quarter of open tasks overdue.
+ * Off track: more than that.
+ */
+function getProjectHealth(stats) {
+  if (stats.total === 0) return { label: 'No tasks', tone: 'neutral' };
+  if (stats.overdue === 0) return { label: 'On track', tone: 'success' };
+  if (stats.overdue / stats.incomplete <= 0.25) return { label: 'At risk', tone: 'warning' };
+  return { label: 'Off track', tone: 'danger' };
+}
+
+function renderReportsPage() {
+  // Clean up previous event listeners to prevent memory leaks
+  cleanupViewListeners();
+
+  updateBreadcrumb([{ label: 'Reports', href: '#/reports' }]);
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const projects = getReportProjects();
+  const tasks = getReportTasks(projects);
+  const stats = getTaskStats(tasks, today);
+  const { range, from, to, projectIds } = state.reportFilters;
+
+  // Status breakdown by category, since every project has its own statuses
+  const categoryCounts = {};
+  Object.entries(REPORT_STATUS_CATEGORIES).forEach(([category, info]) => {
+    const count = tasks.filter(t => (getStatusById(t.status_id)?.category || 'todo') === category).length;
+    if (count > 0) categoryCounts[info.name] = { count, color: info.color };
+  });
+  const segments = getDonutSegments(categoryCounts, tasks.length || 1);
+
+  const priorityCounts = {};
+  tasks.forEach(t => {
+    const priorityName = (t.priority_id && getPriorityById(t.priority_id)?.name) || 'None';
+    priorityCounts[priorityName] = (priorityCounts[priorityName] || 0) + 1;
+  });
+
+  const mainContent = document.getElementById('main-content');
+  mainContent.innerHTML = `
+    <div class="page-header">
+      <h1 class="page-title">Reports</h1>
+      <div class="page-actions report-filters">
+        <button class="filter-btn ${projectIds.length > 0 ? 'active' : ''}" data-action="toggle-report-projects">
+          ${icons.folder} Projects${projectIds.length > 0 ? ` (${projectIds.length})` : ''}
+          ${icons.chevronDown}
+        </button>
+        <select class="form-select report-range-select" data-action="change-report-range" aria-label="Date range">
+          ${Object.entries(REPORT_DATE_RANGES).map(([value, label]) => `
+            <option value="${value}" ${range === value ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+        ${range === 'custom' ? `
+          <input type="date" class="form-input report-date-input" data-report-date="from" value="${from}" aria-label="From">
+          <span class="report-date-separator">to</span>
+          <input type="date" class="form-input report-date-input" data-report-date="to" value="${to}" aria-label="To">
+        ` : ''}
+      </div>
+    </div>
+
+    <div class="insights-content">
+      <div class="insights-kpi-row">
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon success">${icons.checkCircle}</div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Completion rate</span>
+            <span class="insights-kpi-value">${stats.completionRate}%</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon info">${icons.tasks}</div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Completed / total</span>
+            <span class="insights-kpi-value">${stats.completed} / ${stats.total}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon warning">${icons.clock}</div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Open tasks</span>
+            <span class="insights-kpi-value">${stats.incomplete}</span>
+          </div>
+        </div>
+        <div class="card card--kpi insights-kpi-card">
+          <div class="insights-kpi-icon danger">${icons.warning}</div>
+          <div class="insights-kpi-data">
+            <span class="insights-kpi-label">Overdue tasks</span>
+            <span class="insights-kpi-value">${stats.overdue}</span>
+          </div>
+        </div>
+      </div>
+
+      <div class="insights-charts-row">
+        <div class="card card--insights insights-chart-card">
+          <div class="insights-card-header">
+            <span class="insights-card-title">Status Overview</span>
+          </div>
+          <div class="insights-chart-content">
+            <div class="donut-chart">
+              <svg viewBox="0 0 100 100" class="donut-svg">
+                ${renderDonutSegments(segments, tasks.length)}
+                <circle cx="50" cy="50" r="30" fill="white"/>
+              </svg>
+            </div>
+            <div class="donut-legend">
+              ${segments.map(s => `
+                <div class="donut-legend-item">
+                  <span class="donut-legend-color" style="background: ${s.color}"></span>
+                  <span class="donut-legend-label">${s.name} (${s.count})</span>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+
+        <div class="card card--insights insights-chart-card">
+          <div class="insights-card-header">
+            <span class="insights-card-title">Priority Overview</span>
+          </div>
+          <div class="insights-chart-content">
+            <div class="bar-chart">
+              ${renderPriorityBars(priorityCounts, tasks.length)}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      ${renderReportProjectHealth(projects, tasks, today)}
+      ${renderReportWorkload(projects, tasks, today)}
+    </div>
+  `;
+
+  attachReportsEventListeners();
+}
+
+function renderReportProjectHealth(projects, tasks, today) {
+  return `
+    <div class="card card--insights insights-table-card">
+      <div class="insights-card-header">
+        <span class="insights-card-title">Project Health</span>
+      </div>
+      ${projects.length > 0 ? `
+        <table class="insights-table report-table">
+          <thead>
+            <tr>
+              <th>Project</th>
+              <th>Tasks</th>
+              <th>Completed</th>
+              <th>Open</th>
+              <th>Overdue</th>
+              <th>Progress</th>
+              <th>Health</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${projects.map(project => {
+              const projectStats = getTaskStats(tasks.filter(t => t.project_id === project.id), today);
+              const health = getProjectHealth(projectStats);
+              return `
+                <tr>
+                  <td>
+                    <a href="#/projects/${project.slug}" class="report-project-link" data-action="open-report-project" data-project-slug="${project.slug}">
+                      <span class="report-project-swatch" style="background: ${project.color || FALLBACK_COLOR}"></span>
+                      ${escapeHtml(project.name)}
+                    </a>
+                  </td>
+                  <td class="text-center">${projectStats.total}</td>
+                  <td class="text-center">${projectStats.completed}</td>
+                  <td class="text-center text-primary">${projectStats.incomplete}</td>
+                  <td class="text-center text-danger">${projectStats.overdue}</td>
+                  <td>
+                    <div class="insights-progress-cell">
+                      <div class="progress-bar insights-progress-bar">
+                        <div class="progress-fill insights-progress-fill" style="width: ${projectStats.completionRate}%"></div>
+                      </div>
+                      <span class="insights-progress-text">${projectStats.completionRate}%</span>
+                    </div>
+                  </td>
+                  <td><span class="report-health-badge ${health.tone}">${health.label}</span></td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      ` : renderEmptyTableState('No projects selected')}
+    </div>
+  `;
+}
+
+/**
+ * Open, overdue and completed tasks per assignee across the selected
+ * projects, with the open work split by project
+ */
+function renderReportWorkload(projects, tasks, today) {
+  const rows = new Map();
+  tasks.forEach(task => {
+    const key = task.assignee_id || 'unassigned';
+    if (!rows.has(key)) {
+      rows.set(key, { user: task.assignee_id ? getUserById(task.assignee_id) : null, open: 0, overdue: 0, completed: 0, hours: 0, byProject: {} });
+    }
+    const row = rows.get(key);
+    if (isTaskCompleted(task)) {
+      row.completed++;
+      return;
+    }
+    if (!isTaskOpen(task)) return;
+    row.open++;
+    row.hours += task.estimate_hours || 0;
+    row.byProject[task.project_id] = (row.byProject[task.project_id] || 0) + 1;
+    if (isTaskOverdue(task, today)) row.overdue++;
+  });
+
+  // Assignees by open work; unassigned tasks last
+  const workload = [...rows.entries()]
+    .sort(([a, rowA], [b, rowB]) => (a === 'unassigned') - (b === 'unassigned') || rowB.open - rowA.open)
+    .map(([, row]) => row);
+  const maxOpen = Math.max(...workload.map(row => row.open), 1);
+
+  return `
+    <div class="card card--insights insights-table-card">
+      <div class="insights-card-header">
+        <span class="insights-card-title">Workload by Member</span>
+        <div class="report-legend">
+          ${projects.map(project => `
+            <span class="report-legend-item">
+              <span class="report-project-swatch" style="background: ${project.color || FALLBACK_COLOR}"></span>
+              ${escapeHtml(project.name)}
+            </span>
+          `).join('')}
+        </div>
+      </div>
+      ${workload.length > 0 ? `
+        <table class="insights-table report-table">
+          <thead>
+            <tr>
+              <th>Member</th>
+              <th>Open</th>
+              <th>Overdue</th>
+              <th>Completed</th>
+              <th>Open estimate</th>
+              <th>Open tasks by project</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${workload.map(row => `
+              <tr>
+                <td>
+                  <div class="insights-member-cell">
+                    ${row.user ? `
+                      <div class="insights-member-avatar" style="background: ${stringToColor(row.user.name)}">${getInitials(row.user.name)}</div>
+                      <span>${escapeHtml(row.user.name)}</span>
+                    ` : `
+                      <div class="insights-member-avatar unassigned">${icons.user}</div>
+                      <span>Unassigned</span>
+                    `}
+                  </div>
+                </td>
+                <td class="text-center text-primary">${row.open}</td>
+                <td class="text-center text-danger">${row.overdue}</td>
+                <td class="text-center">${row.completed}</td>
+                <td class="text-center">${row.hours > 0 ? `${row.hours}h` : '—'}</td>
+                <td>
+                  <div class="report-workload-bar" style="width: ${(row.open / maxOpen) * 100}%">
+                    ${projects.filter(p => row.byProject[p.id]).map(project => `
+                      <span class="report-workload-segment"
+                            style="flex: ${row.byProject[project.id]}; background: ${project.color || FALLBACK_COLOR}"
+                            title="${escapeHtml(project.name)}: ${row.byProject[project.id]} open"></span>
+                    `).join('')}
+                  </div>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : renderEmptyTableState('No tasks in this period')}
+    </div>
+  `;
+}
+
+function showReportProjectsDropdown(buttonElement) {
+  const selected = state.reportFilters.projectIds;
+
+  const dropdown = createDropdown({
+    id: 'report-projects-dropdown',
+    anchor: buttonElement,
+    className: 'assignee-filter-dropdown',
+    content: `
+      <div class="dropdown-header label-uppercase">Filter by Project</div>
+      <div class="dropdown-checkbox-list">
+        ${state.projects.map(project => `
+          <label class="dropdown-checkbox-item">
+            <input type="checkbox" data-project-id="${project.id}" ${selected.includes(project.id) ? 'checked' : ''}>
+            <span class="report-project-swatch" style="background: ${project.color || FALLBACK_COLOR}"></span>
+            <span class="dropdown-checkbox-label">${escapeHtml(project.name)}${project.is_archived ? ' (archived)' : ''}</span>
+          </label>
+        `).join('')}
+      </div>
+      <div class="dropdown-footer" ${selected.length === 0 ? 'style="display: none;"' : ''}>
+        <button class="dropdown-clear-btn" data-action="clear-report-projects">Show all active projects</button>
+      </div>
+    `
+  });
+
+  if (!dropdown) return;
+
+  addListeners(dropdown, 'input[data-project-id]', 'change', (checkbox) => {
+    const projectId = checkbox.dataset.projectId;
+    state.reportFilters.projectIds = checkbox.checked
+      ? [...state.reportFilters.projectIds, projectId]
+      : state.reportFilters.projectIds.filter(id => id !== projectId);
+
+    dropdown.querySelector('.dropdown-footer').style.display = state.reportFilters.projectIds.length > 0 ? '' : 'none';
+    renderReportsPage();
+  });
+
+  dropdown.querySelector('[data-action="clear-report-projects"]')?.addEventListener('click', () => {
+    state.reportFilters.projectIds = [];
+    closeDropdown();
+    renderReportsPage();
+  });
+}
+
+function attachReportsEventListeners() {
+  const signal = getViewSignal();
+  const mainContent = document.getElementById('main-content');
+
+  mainContent.querySelector('[data-action="toggle-report-projects"]')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    showReportProjectsDropdown(e.currentTarget);
+  }, { signal });
+
+  mainContent.querySelector('[data-action="change-report-range"]')?.addEventListener('change', (e) => {
+    state.reportFilters.range = e.target.value;
+    renderReportsPage();
+  }, { signal });
+
+  addListeners(mainContent, '[data-report-date]', 'change', (input) => {
+    state.reportFilters[input.dataset.reportDate] = input.value;
+    renderReportsPage();
+  }, { signal });
+
+  // Open the project on its Insights tab
+  addListeners(mainContent, '[data-action="open-report-project"]', 'click', (link, e) => {
+    e.preventDefault();
+    navigateToProject(link.dataset.projectSlug, 'insights');
+  }, { signal });
+}
+
+// ==========================================================================
+// Render Functions - Canvas View
+// ==========================================================================
+
+const CANVAS_CARD_WIDTH = 180;
+const CANVAS_MIN_ZOOM = 0.2;
+const CANVAS_MAX_ZOOM = 2;
+const CANVAS_ZOOM_STEP = 1.2;
+const CANVAS_FIT_PADDING = 48;
+// Pointer travel (px) before a press counts as a drag instead of a click
+const CANVAS_DRAG_THRESHOLD = 4;
+const CANVAS_FRAME_PADDING = 24;
+const CANVAS_FRAME_HEADER = 36;
+const CANVAS_FRAME_MIN_SIZE = 120;
+
+function getCanvasViewport(projectId) {
+  return state.canvasViewport[projectId] || { x: 0, y: 0, zoom: 1 };
+}
+
+function clampCanvasZoom(zoom) {
+  return Math.min(CANVAS_MAX_ZOOM, Math.max(CANVAS_MIN_ZOOM, zoom));
+}
+
+function getTaskLinksForProject(projectId) {
+  return state.taskLinks.filter(l => l.project_id === projectId);
+}
+
+function getCanvasFramesForProject(projectId) {
+  return state.canvasFrames.filter(f => f.project_id === projectId);
+}
+
+/**
+ * Canvas position of every task. Tasks that were never placed are laid out in
+ * a row below the placed ones; they keep that spot only once they are moved.
+ * @returns {Map<string, {x: number, y: number}>}
+ */
+function getCanvasPositions(tasks) {
+  const positions = new Map();
+  const placed = tasks.filter(t => Number.isFinite(t.canvas_x) && Number.isFinite(t.canvas_y));
+  const unplaced = tasks.filter(t => !placed.includes(t));
+
+  placed.forEach(t => positions.set(t.id, { x: t.canvas_x, y: t.canvas_y }));
+
+  const startY = placed.length > 0 ? Math.max(...placed.map(t => t.canvas_y)) + 200 : 0;
+  const columns = 4;
+  unplaced.forEach((t, i) => {
+    positions.set(t.id, {
+      x: (i % columns) * (CANVAS_CARD_WIDTH + 40),
+      y: startY + Math.floor(i / columns) * 160,
+    });
+  });
+
+  return positions;
+}
+
+function renderCanvasView(tasks, project) {
+  const viewport = getCanvasViewport(project.id);
+  const positions = getCanvasPositions(tasks);
+  const taskFilterCount = getTaskFilterCount(project.id);
+  const assignedToMe = state.assignedToMe[project.id] || false;
+  const visibleIds = new Set(tasks.map(t => t.id));
+  const links = getTaskLinksForProject(project.id)
+    .filter(l => visibleIds.has(l.source_task_id) && visibleIds.has(l.target_task_id));
+  const selectedCount = [...state.canvasSelection].filter(id => visibleIds.has(id)).length;
+
+  return `
+    <div class="canvas-view">
+      <div class="view-toolbar view-toolbar--wrap">
+        <div class="toolbar-filters">
+          ${renderSavedViewsButton(project, 'canvas')}
+          <button class="filter-btn ${taskFilterCount > 0 ? 'active' : ''}" data-action="toggle-task-filter">
+            ${icons.filter} Filter${taskFilterCount > 0 ? ` (${taskFilterCount})` : ''}
+            ${icons.chevronDown}
+          </button>
+          <label class="checkbox-label">
+            <input type="checkbox" class="checkbox-input" data-action="toggle-assigned-to-me" ${assignedToMe ? 'checked' : ''}>
+            <span class="checkbox-custom"></span>
+            <span class="checkbox-text">Assigned to me</span>
+          </label>
+        </div>
+        <div class="toolbar-actions">
+          ${selectedCount > 0 ? `
+            <span class="canvas-selection-count">${selectedCount} selected</span>
+            <button class="filter-btn" data-action="canvas-bring-front">${icons.arrowUp} Bring to front</button>
+            <button class="filter-btn" data-action="canvas-send-back">${icons.arrowDown} Send to back</button>
+          ` : ''}
+          <button class="filter-btn" data-action="canvas-add-frame">
+            ${icons.plus} ${selectedCount > 0 ? 'Frame selection' : 'Add frame'}
+          </button>
+          <div class="segmented-control canvas-zoom-controls">
+            <button class="segmented-control__btn" data-action="canvas-zoom-out" title="Zoom out">${icons.zoomOut}</button>
+            <span class="canvas-zoom-level">${Math.round(viewport.zoom * 100)}%</span>
+            <button class="segmented-control__btn" data-action="canvas-zoom-in" title="Zoom in">${icons.zoomIn}</button>
+            <button class="segmented-control__btn" data-action="canvas-fit" title="Zoom to fit">${icons.maximize}</button>
+            <button class="segmented-control__btn" data-action="canvas-reset" title="Reset view">${icons.crosshair}</button>
+          </div>
+        </div>
+      </div>
+      <div class="card canvas-viewport" data-project-id="${project.id}">
+        <div class="canvas-world" style="transform: translate(${viewport.x}px, ${viewport.y}px) scale(${viewport.zoom})">
+          <div class="canvas-frames">
+            ${getCanvasFramesForProject(project.id).map(frame => renderCanvasFrame(frame)).join('')}
+          </div>
+          <svg class="canvas-connectors" width="1" height="1">
+            <defs>
+              <marker id="canvas-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z"/>
+              </marker>
+            </defs>
+            ${links.map(link => `
+              <g class="canvas-connector-group canvas-connector--${link.type}${isDependencyViolated(link) ? ' violated' : ''}" data-link-id="${link.id}">
+                <path class="canvas-connector-hit"/>
+                <path class="canvas-connector" marker-end="url(#canvas-arrow)"/>
+              </g>
+            `).join('')}
+            <path class="canvas-connector canvas-connector-draft" marker-end="url(#canvas-arrow)"/>
+          </svg>
+          <div class="canvas-cards">
+            ${tasks.map(task => renderCanvasCard(task, project, positions.get(task.id))).join('')}
+          </div>
+        </div>
+        <div class="canvas-selection-box"></div>
+        ${tasks.length === 0 ? `
+          <div class="canvas-empty">No tasks to show. Double-click anywhere to create one.</div>
+        ` : ''}
+        <div class="canvas-hint">Drag to pan, Shift+drag to select, scroll to zoom, double-click to add a task</div>
+      </div>
+    </div>
+  `;
+}
+
+function renderCanvasCard(task, project, position) {
+  const status = getStatusById(task.status_id);
+  const priority = task.priority_id ? getPriorityById(task.priority_id) : null;
+  const assignee = task.assignee_id ? getUserById(task.assignee_id) : null;
+  const statusColor = status?.color || FALLBACK_COLOR;
+  const isSelected = state.canvasSelection.has(task.id);
+
+  return `
+    <div class="canvas-card ${task.is_archived ? 'archived' : ''} ${isSelected ? 'selected' : ''}"
+         data-task-id="${task.id}"
+         style="left: ${position.x}px; top: ${position.y}px; z-index: ${task.canvas_z_index || 1}; --canvas-card-color: ${statusColor}; width: ${CANVAS_CARD_WIDTH}px">
+      <div class="canvas-card-header">
+        <span class="task-key">${escapeHtml(`${project.identifier}-${task.sequence_id}`)}</span>
+        ${priority ? `<span class="canvas-card-priority" title="${escapeHtml(priority.name)}">${getPriorityIcon(priority.name)}</span>` : ''}
+      </div>
+      <div class="canvas-card-title">${escapeHtml(task.title)}</div>
+      <div class="canvas-card-footer">
+        <span class="canvas-card-status">
+          <span class="canvas-card-status-dot"></span>
+          ${escapeHtml(status?.name || 'No status')}
+        </span>
+        ${assignee ? `
+          <div class="table-avatar" style="background: ${stringToColor(assignee.name)}" title="${escapeHtml(assignee.name)}">
+            ${getInitials(assignee.name)}
+          </div>
+        ` : ''}
+      </div>
+      <span class="canvas-card-handle" title="Drag to another card to connect"></span>
+    </div>
+  `;
+}
+
+function renderCanvasFrame(frame) {
+  const color = frame.color || FALLBACK_COLOR;
+
+  return `
+    <div class="canvas-frame"
+         data-frame-id="${frame.id}"
+         style="left: ${frame.x}px; top: ${frame.y}px; width: ${frame.width}px; height: ${frame.height}px; --canvas-frame-color: ${color}; --canvas-frame-bg: ${hexToRgba(color, 0.06)}; --canvas-frame-border: ${hexToRgba(color, 0.5)}">
+      <div class="canvas-frame-header" title="Drag to move the frame and its cards, double-click to rename">
+        <span class="canvas-frame-name">${escapeHtml(frame.name)}</span>
+        <button class="canvas-frame-delete" data-action="delete-canvas-frame" title="Delete frame (cards stay)">${icons.x}</button>
+      </div>
+      <div class="canvas-frame-resize" title="Drag to resize"></div>
+    </div>
+  `;
+}
+
+/**
+ * SVG path for a connector between two boxes ({ x, y, width, height } in world
+ * coordinates), leaving and entering on the sides that face each other
+ */
+function getCanvasConnectorPath(from, to) {
+  const fromCenter = { x: from.x + from.width / 2, y: from.y + from.height / 2 };
+  const toCenter = { x: to.x + to.width / 2, y: to.y + to.height / 2 };
+  const dx = toCenter.x - fromCenter.x;
+  const dy = toCenter.y - fromCenter.y;
+
+  let start, end, control;
+  if (Math.abs(dx) >= Math.abs(dy)) {
+    const dir = Math.sign(dx) || 1;
+    start = { x: fromCenter.x + dir * from.width / 2, y: fromCenter.y };
+    end = { x: toCenter.x - dir * to.width / 2, y: toCenter.y };
+    control = { x: dir * Math.max(40, Math.abs(end.x - start.x) / 2), y: 0 };
+  } else {
+    const dir = Math.sign(dy) || 1;
+    start = { x: fromCenter.x, y: fromCenter.y + dir * from.height / 2 };
+    end = { x: toCenter.x, y: toCenter.y - dir * to.height / 2 };
+    control = { x: 0, y: dir * Math.max(40, Math.abs(end.y - start.y) / 2) };
+  }
+
+  return `M ${start.x} ${start.y} C ${start.x + control.x} ${start.y + control.y}, ${end.x - control.x} ${end.y - control.y}, ${end.x} ${end.y}`;
+}
+
+function getCanvasElementBox(element) {
+  return { x: element.offsetLeft, y: element.offsetTop, width: element.offsetWidth, height: element.offsetHeight };
+}
+
+function attachCanvasEventListeners(slug) {
+  const project = getProjectBySlug(slug);
+  const viewportEl = document.querySelector('.canvas-viewport');
+  if (!project || !viewportEl) return;
+
+  const signal = getViewSignal();
+  const world = viewportEl.querySelector('.canvas-world');
+  const zoomLabel = document.querySelector('.canvas-zoom-level');
+  const selectionBox = viewportEl.querySelector('.canvas-selection-box');
+  const draftConnector = viewportEl.querySelector('.canvas-connector-draft');
+  let viewport = getCanvasViewport(project.id);
+  let pointer = null;
+
+  const getCard = taskId => world.querySelector(`.canvas-card[data-task-id="${taskId}"]`);
+
+  // Pan/zoom only touches the transform, so cards are not re-rendered
+  const setViewport = (next) => {
+    viewport = { ...next, zoom: clampCanvasZoom(next.zoom) };
+    state.canvasViewport[project.id] = viewport;
+    world.style.transform = `translate(${viewport.x}px, ${viewport.y}px) scale(${viewport.zoom})`;
+    if (zoomLabel) zoomLabel.textContent = `${Math.round(viewport.zoom * 100)}%`;
+  };
+
+  const toWorld = (clientX, clientY) => {
+    const rect = viewportEl.getBoundingClientRect();
+    return {
+      x: (clientX - rect.left - viewport.x) / viewport.zoom,
+      y: (clientY - rect.top - viewport.y) / viewport.zoom,
+    };
+  };
+
+  // Zoom keeping the given viewport point (default: the centre) in place
+  const zoomAt = (zoom, clientX, clientY) => {
+    const rect = viewportEl.getBoundingClientRect();
+    const px = (clientX ?? rect.left + rect.width / 2) - rect.left;
+    const py = (clientY ?? rect.top + rect.height / 2) - rect.top;
+    const nextZoom = clampCanvasZoom(zoom);
+    const ratio = nextZoom / viewport.zoom;
+    setViewport({ x: px - (px - viewport.x) * ratio, y: py - (py - viewport.y) * ratio, zoom: nextZoom });
+  };
+
+  const zoomToFit = () => {
+    const boxes = [...world.querySelectorAll('.canvas-card, .canvas-frame')].map(getCanvasElementBox);
+    if (boxes.length === 0) {
+      setViewport({ x: 0, y: 0, zoom: 1 });
+      return;
+    }
+    const rect = viewportEl.getBoundingClientRect();
+    const left = Math.min(...boxes.map(b => b.x));
+    const top = Math.min(...boxes.map(b => b.y));
+    const right = Math.max(...boxes.map(b => b.x + b.width));
+    const bottom = Math.max(...boxes.map(b => b.y + b.height));
+    const zoom = clampCanvasZoom(Math.min(
+      (rect.width - CANVAS_FIT_PADDING * 2) / Math.max(right - left, 1),
+      (rect.height - CANVAS_FIT_PADDING * 2) / Math.max(bottom - top, 1),
+      1
+    ));
+    setViewport({
+      x: (rect.width - (right - left) * zoom) / 2 - left * zoom,
+      y: (rect.height - (bottom - top) * zoom) / 2 - top * zoom,
+      zoom,
+    });
+  };
+
+  // Connectors follow the cards' rendered size, so they are drawn after layout
+  const updateConnectors = () => {
+    world.querySelectorAll('.canvas-connector-group').forEach(group => {
+      const link = state.taskLinks.find(l => l.id === group.dataset.linkId);
+      const source = link && getCard(link.source_task_id);
+      const target = link && getCard(link.target_task_id);
+      if (!source || !target) return;
+      const d = getCanvasConnectorPath(getCanvasElementBox(source), getCanvasElementBox(target));
+      group.querySelectorAll('path').forEach(path => path.setAttribute('d', d));
+    });
+  };
+
+  const setSelection = (taskIds) => {
+    state.canvasSelection = new Set(taskIds);
+    renderProjectDetail(slug);
+  };
+
+  updateConnectors();
+
+  // First visit: show every card
+  if (!state.canvasViewport[project.id]) {
+    zoomToFit();
+  }
+
+  addListeners(document, '[data-action="canvas-zoom-in"]', 'click', () => zoomAt(viewport.zoom * CANVAS_ZOOM_STEP), { signal });
+  addListeners(document, '[data-action="canvas-zoom-out"]', 'click', () => zoomAt(viewport.zoom / CANVAS_ZOOM_STEP), { signal });
+  addListeners(document, '[data-action="canvas-fit"]', 'click', zoomToFit, { signal });
+  addListeners(document, '[data-action="canvas-reset"]', 'click', () => setViewport({ x: 0, y: 0, zoom: 1 }), { signal });
+
+  addListeners(document, '[data-action="canvas-bring-front"]', 'click', () => {
+    reorderCanvasCards(project, [...state.canvasSelection], 'front');
+    renderProjectDetail(slug);
+  }, { signal });
+
+  addListeners(document, '[data-action="canvas-send-back"]', 'click', () => {
+    reorderCanvasCards(project, [...state.canvasSelection], 'back');
+    renderProjectDetail(slug);
+  }, { signal });
+
+  addListeners(document, '[data-action="canvas-add-frame"]', 'click', () => {
+    // Frame the selected cards, or drop an empty frame in the middle of the view
+    const selectedCards = [...state.canvasSelection].map(getCard).filter(Boolean).map(getCanvasElementBox);
+    let bounds;
+    if (selectedCards.length > 0) {
+      const left = Math.min(...selectedCards.map(b => b.x)) - CANVAS_FRAME_PADDING;
+      const top = Math.min(...selectedCards.map(b => b.y)) - CANVAS_FRAME_PADDING - CANVAS_FRAME_HEADER;
+      bounds = {
+        x: left,
+        y: top,
+        width: Math.max(...selectedCards.map(b => b.x + b.width)) + CANVAS_FRAME_PADDING - left,
+        height: Math.max(...selectedCards.map(b => b.y + b.height)) + CANVAS_FRAME_PADDING - top,
+      };
+    } else {
+      const rect = viewportEl.getBoundingClientRect();
+      const center = toWorld(rect.left + rect.width / 2, rect.top + rect.height / 2);
+      bounds = { x: center.x - 200, y: center.y - 130, width: 400, height: 260 };
+    }
+    showCanvasFrameModal(slug, null, bounds);
+  }, { signal });
+
+  addListeners(world, '[data-action="delete-canvas-frame"]', 'click', (btn, e) => {
+    e.stopPropagation();
+    deleteCanvasFrame(btn.closest('.canvas-frame').dataset.frameId);
+    renderProjectDetail(slug);
+  }, { signal });
+
+  addListeners(world, '.canvas-frame-header', 'dblclick', (header, e) => {
+    e.stopPropagation();
+    const frame = state.canvasFrames.find(f => f.id === header.closest('.canvas-frame').dataset.frameId);
+    if (frame) showCanvasFrameModal(slug, frame);
+  }, { signal });
+
+  // Clicking a connector offers to remove it
+  addListeners(world, '.canvas-connector-hit', 'click', (hit, e) => {
+    e.stopPropagation();
+    showCanvasConnectorMenu(hit, hit.closest('.canvas-connector-group').dataset.linkId, slug);
+  }, { signal });
+
+  viewportEl.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    // Trackpad pinch arrives as ctrl+wheel with small deltas
+    const factor = Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.0015));
+    zoomAt(viewport.zoom * factor, e.clientX, e.clientY);
+  }, { signal, passive: false });
+
+  viewportEl.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || e.target.closest('button, .canvas-connector-hit')) return;
+    const card = e.target.closest('.canvas-card');
+    const frame = e.target.closest('.canvas-frame');
+    const start = { startX: e.clientX, startY: e.clientY, moved: false };
+
+    if (card && e.target.classList.contains('canvas-card-handle')) {
+      // Drag out a connector
+      pointer = { ...start, mode: 'connect', card };
+    } else if (card) {
+      // Drag the card, or every selected card when it is part of the selection
+      const cards = state.canvasSelection.has(card.dataset.taskId)
+        ? [...state.canvasSelection].map(getCard).filter(Boolean)
+        : [card];
+      pointer = { ...start, mode: 'move', card, items: cards.map(el => ({ el, x: el.offsetLeft, y: el.offsetTop })) };
+    } else if (frame && e.target.classList.contains('canvas-frame-resize')) {
+      pointer = { ...start, mode: 'resize', frame, width: frame.offsetWidth, height: frame.offsetHeight };
+    } else if (frame) {
+      // A frame carries every card whose centre lies inside it
+      const box = getCanvasElementBox(frame);
+      const contained = [...world.querySelectorAll('.canvas-card')].filter(el => {
+        const cx = el.offsetLeft + el.offsetWidth / 2;
+        const cy = el.offsetTop + el.offsetHeight / 2;
+        return cx >= box.x && cx <= box.x + box.width && cy >= box.y && cy <= box.y + box.height;
+      });
+      pointer = {
+        ...start,
+        mode: 'move',
+        frame,
+        items: [frame, ...contained].map(el => ({ el, x: el.offsetLeft, y: el.offsetTop })),
+      };
+    } else if (e.shiftKey) {
+      pointer = { ...start, mode: 'select' };
+    } else {
+      pointer = { ...start, mode: 'pan', originX: viewport.x, originY: viewport.y };
+    }
+
+    viewportEl.setPointerCapture(e.pointerId);
+    viewportEl.classList.add(pointer.mode === 'pan' ? 'panning' : 'dragging-card');
+  }, { signal });
+
+  viewportEl.addEventListener('pointermove', (e) => {
+    if (!pointer) return;
+    const dx = e.clientX - pointer.startX;
+    const dy = e.clientY - pointer.startY;
+    if (!pointer.moved && Math.hypot(dx, dy) < CANVAS_DRAG_THRESHOLD) return;
+    pointer.moved = true;
+
+    switch (pointer.mode) {
+      case 'pan':
+        setViewport({ ...viewport, x: pointer.originX + dx, y: pointer.originY + dy });
+        break;
+      case 'move':
+        pointer.items.forEach(({ el, x, y }) => {
+          el.classList.add('dragging');
+          el.style.left = `${x + dx / viewport.zoom}px`;
+          el.style.top = `${y + dy / viewport.zoom}px`;
+        });
+        updateConnectors();
+        break;
+      case 'resize':
+        pointer.frame.style.width = `${Math.max(CANVAS_FRAME_MIN_SIZE, pointer.width + dx / viewport.zoom)}px`;
+        pointer.frame.style.height = `${Math.max(CANVAS_FRAME_MIN_SIZE, pointer.height + dy / viewport.zoom)}px`;
+        break;
+      case 'connect': {
+        const point = toWorld(e.clientX, e.clientY);
+        draftConnector.setAttribute('d', getCanvasConnectorPath(getCanvasElementBox(pointer.card), { ...point, width: 0, height: 0 }));
+        draftConnector.classList.add('active');
+        break;
+      }
+      case 'select': {
+        const rect = viewportEl.getBoundingClientRect();
+        Object.assign(selectionBox.style, {
+          display: 'block',
+          left: `${Math.min(e.clientX, pointer.startX) - rect.left}px`,
+          top: `${Math.min(e.clientY, pointer.startY) - rect.top}px`,
+          width: `${Math.abs(dx)}px`,
+          height: `${Math.abs(dy)}px`,
+        });
+        break;
+      }
+    }
+  }, { signal });
+
+  const endPointer = (e) => {
+    if (!pointer) return;
+    const current = pointer;
+    pointer = null;
+    viewportEl.classList.remove('dragging-card', 'panning');
+    if (viewportEl.hasPointerCapture(e.pointerId)) {
+      viewportEl.releasePointerCapture(e.pointerId);
+    }
+
+    switch (current.mode) {
+      case 'pan':
+        // A plain click on the background clears the selection
+        if (!current.moved && state.canvasSelection.size > 0) setSelection([]);
+        break;
+      case 'move':
+        current.items.forEach(({ el }) => el.classList.remove('dragging'));
+        if (current.moved) {
+          moveCanvasItems(current.items.map(({ el }) => el));
+        } else if (current.card && e.shiftKey) {
+          const taskId = current.card.dataset.taskId;
+          const selection = new Set(state.canvasSelection);
+          if (selection.has(taskId)) {
+            selection.delete(taskId);
+          } else {
+            selection.add(taskId);
+          }
+          setSelection(selection);
+        } else if (current.card) {
+          openTaskPanel(current.card.dataset.taskId, slug);
+        }
+        break;
+      case 'resize':
+        if (current.moved) resizeCanvasFrame(current.frame.dataset.frameId, current.frame.offsetWidth, current.frame.offsetHeight);
+        break;
+      case 'connect': {
+        draftConnector.classList.remove('active');
+        const target = document.elementFromPoint(e.clientX, e.clientY)?.closest('.canvas-card');
+        if (current.moved && target && target !== current.card) {
+          if (createTaskLink(project, current.card.dataset.taskId, target.dataset.taskId)) {
+            renderProjectDetail(slug);
+          }
+        }
+        break;
+      }
+      case 'select': {
+        selectionBox.style.display = 'none';
+        if (!current.moved) break;
+        const left = Math.min(e.clientX, current.startX);
+        const right = Math.max(e.clientX, current.startX);
+        const top = Math.min(e.clientY, current.startY);
+        const bottom = Math.max(e.clientY, current.startY);
+        const hits = [...world.querySelectorAll('.canvas-card')].filter(el => {
+          const r = el.getBoundingClientRect();
+          return r.left < right && r.right > left && r.top < bottom && r.bottom > top;
+        }).map(el => el.dataset.taskId);
+        setSelection([...state.canvasSelection, ...hits]);
+        break;
+      }
+    }
+  };
+  viewportEl.addEventListener('pointerup', endPointer, { signal });
+  viewportEl.addEventListener('pointercancel', endPointer, { signal });
+
+  // Double-click on empty canvas (or inside a frame) creates a task at that spot
+  viewportEl.addEventListener('dblclick', (e) => {
+    if (e.target.closest('.canvas-card, .canvas-frame-header, button')) return;
+    const point = toWorld(e.clientX, e.clientY);
+    showCreateTaskModal(slug, null, 'status', { x: Math.round(point.x), y: Math.round(point.y) });
+  }, { signal });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && state.canvasSelection.size > 0 && !state.activeModal && !state.openTaskId) {
+      setSelection([]);
+    }
+  }, { signal });
+}
+
+/**
+ * Save the positions of dragged cards and frames. Layout changes are not task
+ * edits, so updated_at and the activity feed are left alone.
+ */
+function moveCanvasItems(elements) {
+  const tasks = [];
+  const frames = [];
+
+  elements.forEach(el => {
+    const x = Math.round(el.offsetLeft);
+    const y = Math.round(el.offsetTop);
+    if (el.dataset.taskId) {
+      const task = getTaskById(el.dataset.taskId);
+      if (!task) return;
+      task.canvas_x = x;
+      task.canvas_y = y;
+      tasks.push(task);
+    } else {
+      const frame = state.canvasFrames.find(f => f.id === el.dataset.frameId);
+      if (!frame) return;
+      Object.assign(frame, { x, y, updated_at: new Date().toISOString() });
+      frames.push(frame);
+    }
+  });
+
+  persistRecords('tasks', tasks);
+  if (frames.length > 0) persistRecords('canvasFrames', frames);
+}
+
+/**
+ * Move cards above or below every other card of the project, keeping their
+ * order relative to each other
+ * @param {Object} project
+ * @param {string[]} taskIds
+ * @param {'front'|'back'} direction
+ */
+function reorderCanvasCards(project, taskIds, direction) {
+  const projectTasks = state.tasks.filter(t => t.project_id === project.id);
+  const moving = projectTasks
+    .filter(t => taskIds.includes(t.id))
+    .sort((a, b) => (a.canvas_z_index || 1) - (b.canvas_z_index || 1));
+  if (moving.length === 0) return;
+
+  const others = projectTasks.filter(t => !taskIds.includes(t.id)).map(t => t.canvas_z_index || 1);
+  if (direction === 'front') {
+    const base = others.length > 0 ? Math.max(...others) : 0;
+    moving.forEach((t, i) => { t.canvas_z_index = base + i + 1; });
+  } else {
+    const base = others.length > 0 ? Math.min(...others) : 1;
+    moving.forEach((t, i) => { t.canvas_z_index = base - moving.length + i; });
+  }
+  persistRecords('tasks', moving);
+}
+
+/**
+ * Connect two tasks. Returns false when they are already linked (either way).
+ */
+function createTaskLink(project, sourceTaskId, targetTaskId, type = 'relates') {
+  const exists = state.taskLinks.some(l =>
+    (l.source_task_id === sourceTaskId && l.target_task_id === targetTaskId) ||
+    (l.source_task_id === targetTaskId && l.target_task_id === sourceTaskId)
+  );
+  if (exists) {
+    showToast('These tasks are already connected', 'error');
+    return false;
+  }
+
+  const link = {
+    id: generateId('link'),
+    project_id: project.id,
+    source_task_id: sourceTaskId,
+    target_task_id: targetTaskId,
+    type,
+    created_by: getCurrentUser()?.id || null,
+    created_at: new Date().toISOString(),
+  };
+  state.taskLinks.push(link);
+  persistRecords('taskLinks', link);
+  return true;
+}
+
+function deleteTaskLink(linkId) {
+  state.taskLinks = state.taskLinks.filter(l => l.id !== linkId);
+  removeRecords('taskLinks', linkId);
+}
+
+function showCanvasConnectorMenu(anchor, linkId, slug) {
+  const link = state.taskLinks.find(l => l.id === linkId);
+  if (!link) return;
+  const source = getTaskById(link.source_task_id);
+  const target = getTaskById(link.target_task_id);
+  const linkTypes = [
+    ['relates', 'Related'],
+    ...Object.entries(TASK_DEPENDENCY_TYPES).map(([type, { label }]) => [type, `${label} dependency`]),
+  ];
+
+  const dropdown = createDropdown({
+    id: 'canvas-connector-dropdown',
+    anchor,
+    content: `
+      <div class="dropdown-header label-uppercase">Connector</div>
+      <div class="dropdown-empty canvas-connector-summary">${escapeHtml(source?.title || '')} → ${escapeHtml(target?.title || '')}</div>
+      <div class="dropdown-divider"></div>
+      ${linkTypes.map(([type, label]) => `
+        <button class="dropdown-item ${link.type === type ? 'active' : ''}" data-link-type="${type}">${label}</button>
+      `).join('')}
+      <div class="dropdown-divider"></div>
+      <button class="dropdown-item" data-action="delete-connector">${icons.trash} Remove connector</button>
+    `
+  });
+  if (!dropdown) return;
+
+  addListeners(dropdown, '[data-link-type]', 'click', (item) => {
+    closeDropdown();
+    if (!setTaskLinkType(linkId, item.dataset.linkType)) return;
+    if (source) applyDependencyScheduling(source);
+    renderProjectDetail(slug);
+  });
+
+  dropdown.querySelector('[data-action="delete-connector"]').addEventListener('click', () => {
+    closeDropdown();
+    deleteTaskLink(linkId);
+    renderProjectDetail(slug);
+  });
+}
+
+/**
+ * Create a frame with the given bounds, or rename an existing one
+ */
+function showCanvasFrameModal(slug, frame = null, bounds = null) {
+  const project = getProjectBySlug(slug);
+  if (!project) return;
+  const currentColor = frame?.color || PROJECT_COLORS[0];
+
+  const bodyHtml = `
+    <form id="canvas-frame-form">
+      <div class="form-group">
+        <label class="form-label required">Name</label>
+        <input type="text" class="form-input" name="name" value="${escapeHtml(frame?.name || '')}" placeholder="e.g. Phase 1" required>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Color</label>
+        <div class="color-picker">
+          ${PROJECT_COLORS.map(color => `
+            <div class="color-swatch ${color === currentColor ? 'selected' : ''}" style="background: ${color}" data-color="${color}"></div>
+          `).join('')}
+        </div>
+      </div>
+    </form>
+  `;
+
+  const footerHtml = `
+    <button class="btn-secondary" data-action="close-modal">Cancel</button>
+    <button class="btn-primary" data-action="submit-frame">${frame ? 'Save' : 'Add Frame'}</button>
+  `;
+
+  showModal(frame ? 'Edit Frame' : 'Add Frame', bodyHtml, footerHtml);
+
+  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
+    btn.addEventListener('click', closeModal);
+  });
+
+  let selectedColor = currentColor;
+  document.querySelectorAll('#canvas-frame-form .color-swatch').forEach(swatch => {
+    swatch.addEventListener('click', () => {
+      document.querySelectorAll('#canvas-frame-form .color-swatch').forEach(s => s.classList.remove('selected'));
+      swatch.classList.add('selected');
+      selectedColor = swatch.dataset.color;
+    });
+  });
+
+  const form = document.getElementById('canvas-frame-form');
+  const submit = () => {
+    const name = new FormData(form).get('name')?.trim();
+    if (!name) {
+      showToast('Frame name is required', 'error');
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const record = frame || {
+      id: generateId('frame'),
+      project_id: project.id,
+      ...Object.fromEntries(Object.entries(bounds).map(([key, value]) => [key, Math.round(value)])),
+      created_at: now,
+    };
+    Object.assign(record, { name, color: selectedColor, updated_at: now });
+    if (!frame) state.canvasFrames.push(record);
+    persistRecords('canvasFrames', record);
+
+    closeModal();
+    renderProjectDetail(slug);
+  };
+
+  document.querySelector('[data-action="submit-frame"]')?.addEventListener('click', submit);
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submit();
+  });
+}
+
+function resizeCanvasFrame(frameId, width, height) {
+  const frame = state.canvasFrames.find(f => f.id === frameId);
+  if (!frame) return;
+
+  Object.assign(frame, { width: Math.round(width), height: Math.round(height), updated_at: new Date().toISOString() });
+  persistRecords('canvasFrames', frame);
+}
+
+function deleteCanvasFrame(frameId) {
+  state.canvasFrames = state.canvasFrames.filter(f => f.id !== frameId);
+  removeRecords('canvasFrames', frameId);
+}
+
+// ==========================================================================
+// Task Dependencies
+// ==========================================================================
+
+// Dependency types stored in TaskLink.type. The link's source task is the
+// predecessor, its target the successor.
+const TASK_DEPENDENCY_TYPES = {
+  finish_to_start: { label: 'Finish to start', short: 'FS', hint: 'Starts after the predecessor is due' },
+  start_to_start: { label: 'Start to start', short: 'SS', hint: 'Starts no earlier than the predecessor' },
+  finish_to_finish: { label: 'Finish to finish', short: 'FF', hint: 'Is due no earlier than the predecessor' },
+};
+
+function isDependencyLink(link) {
+  return Boolean(TASK_DEPENDENCY_TYPES[link.type]);
+}
+
+function getTaskPredecessorLinks(taskId) {
+  return state.taskLinks.filter(l => l.target_task_id === taskId && isDependencyLink(l));
+}
+
+function getTaskSuccessorLinks(taskId) {
+  return state.taskLinks.filter(l => l.source_task_id === taskId && isDependencyLink(l));
+}
+
+// Task dates are whole days (YYYY-MM-DD); calculate in UTC so DST never shifts them
+function shiftDateISO(dateStr, days) {
+  const date = new Date(`${dateStr.slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function daysBetweenISO(fromStr, toStr) {
+  const from = Date.parse(`${fromStr.slice(0, 10)}T00:00:00Z`);
+  const to = Date.parse(`${toStr.slice(0, 10)}T00:00:00Z`);
+  return Math.round((to - from) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Earliest date a dependency allows for its successor, or null when the
+ * predecessor lacks the date the rule is based on
+ * @returns {{field: 'start_date'|'due_date', date: string}|null}
+ */
+function getDependencyConstraint(link) {
+  const predecessor = getTaskById(link.source_task_id);
+  if (!predecessor) return null;
+
+  switch (link.type) {
+    case 'finish_to_start':
+      return predecessor.due_date ? { field: 'start_date', date: shiftDateISO(predecessor.due_date, 1) } : null;
+    case 'start_to_start':
+      return predecessor.start_date ? { field: 'start_date', date: predecessor.start_date.slice(0, 10) } : null;
+    case 'finish_to_finish':
+      return predecessor.due_date ? { field: 'due_date', date: predecessor.due_date.slice(0, 10) } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Days the successor has to move forward to satisfy the dependency (0 if it
+ * already does). A successor with a single date is treated like the Gantt
+ * does: that date stands in for the missing one.
+ */
+function getDependencyShift(link) {
+  const constraint = getDependencyConstraint(link);
+  const successor = getTaskById(link.target_task_id);
+  if (!constraint || !successor) return 0;
+
+  const current = successor[constraint.field] || successor.start_date || successor.due_date;
+  if (!current) return 0;
+  return Math.max(0, daysBetweenISO(current, constraint.date));
+}
+
+function isDependencyViolated(link) {
+  return getDependencyShift(link) > 0;
+}
+
+/**
+ * Whether making predecessorId a predecessor of successorId would close a loop
+ */
+function wouldCreateDependencyCycle(predecessorId, successorId) {
+  const pending = [successorId];
+  const seen = new Set();
+
+  while (pending.length > 0) {
+    const taskId = pending.pop();
+    if (taskId === predecessorId) return true;
+    if (seen.has(taskId)) continue;
+    seen.add(taskId);
+    getTaskSuccessorLinks(taskId).forEach(l => pending.push(l.target_task_id));
+  }
+  return false;
+}
+
+/**
+ * Make one task depend on another. A plain connector between the two (e.g.
+ * drawn on the canvas) is turned into the dependency instead of duplicated.
+ * Returns false, with a toast, when the dependency is not allowed.
+ */
+function addTaskDependency(project, predecessorId, successorId, type = 'finish_to_start') {
+  if (predecessorId === successorId) return false;
+
+  const existing = state.taskLinks.find(l =>
+    (l.source_task_id === predecessorId && l.target_task_id === successorId) ||
+    (l.source_task_id === successorId && l.target_task_id === predecessorId)
+  );
+  if (existing && isDependencyLink(existing)) {
+    showToast('These tasks already depend on each other', 'error');
+    return false;
+  }
+  if (wouldCreateDependencyCycle(predecessorId, successorId)) {
+    showToast('That dependency would create a loop', 'error');
+    return false;
+  }
+
+  if (existing) {
+    Object.assign(existing, { source_task_id: predecessorId, target_task_id: successorId, type });
+    persistRecords('taskLinks', existing);
+    return true;
+  }
+  return createTaskLink(project, predecessorId, successorId, type);
+}
+
+/**
+ * Change a link between 'relates' and the dependency types, keeping its direction
+ */
+function setTaskLinkType(linkId, type) {
+  const link = state.taskLinks.find(l => l.id === linkId);
+  if (!link || link.type === type) return false;
+
+  if (TASK_DEPENDENCY_TYPES[type] && !isDependencyLink(link) &&
+      wouldCreateDependencyCycle(link.source_task_id, link.target_task_id)) {
+    showToast('That dependency would create a loop', 'error');
+    return false;
+  }
+
+  link.type = type;
+  persistRecords('taskLinks', link);
+  return true;
+}
+
+/**
+ * Push the task's successors (and theirs, transitively) later until every
+ * dependency is met. Successors keep their duration and are never moved earlier.
+ * @returns {Object[]} The tasks that moved
+ */
+function rescheduleSuccessors(taskId) {
+  const moved = new Map();
+  const pending = [taskId];
+  // Loops are refused when links are created; the budget guards imported data
+  let budget = state.tasks.length * Math.max(1, state.taskLinks.length);
+
+  while (pending.length > 0 && budget-- > 0) {
+    const currentId = pending.shift();
+    getTaskSuccessorLinks(currentId).forEach(link => {
+      const shift = getDependencyShift(link);
+      const successor = getTaskById(link.target_task_id);
+      if (shift === 0 || !successor) return;
+
+      ['start_date', 'due_date'].forEach(field => {
+        if (!successor[field]) return;
+        const oldValue = successor[field];
+        successor[field] = shiftDateISO(oldValue, shift);
+        recordActivity(successor, 'updated', field, oldValue, successor[field]);
+      });
+      successor.updated_at = new Date().toISOString();
+      moved.set(successor.id, successor);
+      pending.push(successor.id);
+    });
+  }
+
+  if (moved.size > 0) persistRecords('tasks', [...moved.values()]);
+  return [...moved.values()];
+}
+
+/**
+ * Run after a task's dates change: shift its successors and warn when the
+ * task now conflicts with one of its own predecessors
+ */
+function applyDependencyScheduling(task) {
+  const moved = rescheduleSuccessors(task.id);
+  if (moved.length > 0) {
+    showToast(`Moved ${moved.length} dependent task${moved.length === 1 ? '' : 's'}`);
+  }
+
+  const conflict = getTaskPredecessorLinks(task.id).find(isDependencyViolated);
+  if (conflict) {
+    const predecessor = getTaskById(conflict.source_task_id);
+    const type = TASK_DEPENDENCY_TYPES[conflict.type];
+    showToast(`"${task.title}" conflicts with its ${type.label.toLowerCase()} dependency on "${predecessor?.title}"`, 'error');
+  }
+}
+
+function renderTaskDependency(link, otherTaskId, project) {
+  const otherTask = getTaskById(otherTaskId);
+  if (!otherTask) return '';
+  const type = TASK_DEPENDENCY_TYPES[link.type];
+  const violated = isDependencyViolated(link);
+
+  return `
+    <div class="task-panel-dependency${violated ? ' violated' : ''}" data-link-id="${link.id}">
+      <span class="task-panel-dependency-type" title="${type.label}">${type.short}</span>
+      <button class="task-panel-dependency-task" data-action="open-dependency" data-task-id="${otherTask.id}">
+        <span class="task-panel-dependency-key">${escapeHtml(`${project.identifier}-${otherTask.sequence_id}`)}</span>
+        <span class="task-panel-dependency-title">${escapeHtml(otherTask.title)}</span>
+      </button>
+      ${violated ? `<span class="task-panel-dependency-warning" title="Dates conflict with this dependency">${icons.warning}</span>` : ''}
+      <button class="task-panel-dependency-remove" data-action="remove-dependency" title="Remove dependency">${icons.x}</button>
+    </div>
+  `;
+}
+
+function renderTaskDependencies(task, project) {
+  const predecessorLinks = getTaskPredecessorLinks(task.id);
+  const successorLinks = getTaskSuccessorLinks(task.id);
+
+  if (predecessorLinks.length === 0 && successorLinks.length === 0) {
+    return `
+      <div class="task-panel-empty-state">
+        <span>No dependencies</span>
+      </div>
+    `;
+  }
+
+  return `
+    ${predecessorLinks.length > 0 ? `
+      <div class="task-panel-dependency-group">Depends on</div>
+      ${predecessorLinks.map(link => renderTaskDependency(link, link.source_task_id, project)).join('')}
+    ` : ''}
+    ${successorLinks.length > 0 ? `
+      <div class="task-panel-dependency-group">Required by</div>
+      ${successorLinks.map(link => renderTaskDependency(link, link.target_task_id, project)).join('')}
+    ` : ''}
+  `;
+}
+
+function showTaskDependencyPicker(taskId, buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const linkedIds = new Set(state.taskLinks
+    .filter(l => isDependencyLink(l) && (l.source_task_id === taskId || l.target_task_id === taskId))
+    .flatMap(l => [l.source_task_id, l.target_task_id]));
+  const candidates = state.tasks
+    .filter(t => t.project_id === project.id && !t.is_archived && t.id !== taskId && !linkedIds.has(t.id))
+    .sort((a, b) => a.sequence_id - b.sequence_id);
+
+  const dropdown = createDropdown({
+    id: 'dependency-picker',
+    anchor: buttonElement,
+    className: 'dependency-picker',
+    content: `
+      <div class="dropdown-header label-uppercase">Add Dependency</div>
+      <div class="dependency-picker-options">
+        <select class="form-select" data-role="direction">
+          <option value="predecessor">Depends on</option>
+          <option value="successor">Required by</option>
+        </select>
+        <select class="form-select" data-role="type">
+          ${Object.entries(TASK_DEPENDENCY_TYPES).map(([value, type]) => `
+            <option value="${value}" title="${type.hint}">${type.label}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="dropdown-search">
+        <input type="text" class="dropdown-search-input" placeholder="Search tasks...">
+      </div>
+      <div class="dependency-picker-list">
+        ${candidates.length > 0 ? candidates.map(t => `
+          <button class="dropdown-item" data-task-id="${t.id}">
+            <span class="dependency-picker-key">${escapeHtml(`${project.identifier}-${t.sequence_id}`)}</span>
+            <span class="dependency-picker-title">${escapeHtml(t.title)}</span>
+          </button>
+        `).join('') : `
+          <div class="dropdown-empty">No other tasks to link</div>
+        `}
+      </div>
+    `
+  });
+  if (!dropdown) return;
+
+  const searchInput = dropdown.querySelector('.dropdown-search-input');
+  searchInput.focus();
+  searchInput.addEventListener('input', () => {
+    const query = searchInput.value.toLowerCase().trim();
+    dropdown.querySelectorAll('.dependency-picker-list [data-task-id]').forEach(item => {
+      item.style.display = item.textContent.toLowerCase().includes(query) ? '' : 'none';
+    });
+  });
+
+  addListeners(dropdown, '.dependency-picker-list [data-task-id]', 'click', (item) => {
+    const direction = dropdown.querySelector('[data-role="direction"]').value;
+    const type = dropdown.querySelector('[data-role="type"]').value;
+    const predecessorId = direction === 'predecessor' ? item.dataset.taskId : taskId;
+    const successorId = direction === 'predecessor' ? taskId : item.dataset.taskId;
+
+    if (!addTaskDependency(project, predecessorId, successorId, type)) return;
+    closeDropdown();
+    showToast('Dependency added', 'success');
+    applyDependencyScheduling(getTaskById(predecessorId));
+    renderProjectDetail(projectSlug);
+    renderTaskPanel(getTaskById(taskId), projectSlug);
+  });
+}
+
+// ==========================================================================
+// Schedule (Critical Path)
+// ==========================================================================
+
+// Working hours in a day, used to turn estimate_hours into a duration for
+// tasks that only have one of their dates
+const SCHEDULE_HOURS_PER_DAY = 8;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+function toDayNumber(dateStr) {
+  return Math.round(Date.parse(`${dateStr.slice(0, 10)}T00:00:00Z`) / MS_PER_DAY);
+}
+
+function fromDayNumber(day) {
+  return new Date(day * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * Planned first and last day (inclusive) of a task, or null without dates
+ */
+function getTaskScheduleSpan(task) {
+  const { start_date: startDate, due_date: dueDate } = task;
+  if (!startDate && !dueDate) return null;
+
+  if (startDate && dueDate) {
+    const start = toDayNumber(startDate);
+    const due = toDayNumber(dueDate);
+    return { start: Math.min(start, due), finish: Math.max(start, due) };
+  }
+
+  const days = task.estimate_hours ? Math.max(1, Math.ceil(task.estimate_hours / SCHEDULE_HOURS_PER_DAY)) : 1;
+  return startDate
+    ? { start: toDayNumber(startDate), finish: toDayNumber(startDate) + days - 1 }
+    : { start: toDayNumber(dueDate) - days + 1, finish: toDayNumber(dueDate) };
+}
+
+/**
+ * Critical path analysis over the dependencies between the given tasks. A
+ * task's own start is the earliest it can begin; predecessors may push it
+ * later. Slack is the number of days a task can slip without moving the
+ * projected end. Tasks without dates are left out.
+ * @param {Object[]} tasks
+ * @param {Object} [overrides] - {taskId: {start_date, due_date}}, e.g. for a bar being dragged
+ * @returns {{tasks: Map<string, {start: string, finish: string, slack: number, critical: boolean}>, criticalLinks: Set<string>, end: string|null}}
+ *   criticalLinks holds `${sourceId}>${targetId}` for the links on the critical path
+ */
+function computeTaskSchedule(tasks, overrides = {}) {
+  const nodes = new Map();
+  tasks.forEach(task => {
+    const span = getTaskScheduleSpan({ ...task, ...overrides[task.id] });
+    if (!span) return;
+    const duration = span.finish - span.start + 1;
+    nodes.set(task.id, { ...span, duration, es: span.start, ef: span.finish, preds: [], succs: [] });
+  });
+
+  state.taskLinks.forEach(link => {
+    const from = nodes.get(link.source_task_id);
+    const to = nodes.get(link.target_task_id);
+    if (!from || !to || !isDependencyLink(link)) return;
+    from.succs.push({ id: link.target_task_id, type: link.type });
+    to.preds.push({ id: link.source_task_id, type: link.type });
+  });
+
+  // Topological order. Loops are refused when links are created; tasks caught
+  // in one (imported data) keep their own dates.
+  const order = [];
+  const waiting = new Map([...nodes].map(([id, node]) => [id, node.preds.length]));
+  const ready = [...waiting].filter(([, count]) => count === 0).map(([id]) => id);
+  while (ready.length > 0) {
+    const id = ready.shift();
+    order.push(id);
+    nodes.get(id).succs.forEach(({ id: succId }) => {
+      waiting.set(succId, waiting.get(succId) - 1);
+      if (waiting.get(succId) === 0) ready.push(succId);
+    });
+  }
+
+  // Forward pass: earliest start/finish
+  order.forEach(id => {
+    const node = nodes.get(id);
+    node.es = node.preds.reduce((es, { id: predId, type }) => {
+      const pred = nodes.get(predId);
+      if (type === 'finish_to_start') return Math.max(es, pred.ef + 1);
+      if (type === 'start_to_start') return Math.max(es, pred.es);
+      return Math.max(es, pred.ef - node.duration + 1);
+    }, node.start);
+    node.ef = node.es + node.duration - 1;
+  });
+
+  if (nodes.size === 0) return { tasks: new Map(), criticalLinks: new Set(), end: null };
+  const end = Math.max(...[...nodes.values()].map(node => node.ef));
+
+  // Backward pass: latest finish/start that keeps the end date
+  nodes.forEach(node => {
+    node.lf = end;
+    node.ls = end - node.duration + 1;
+  });
+  [...order].reverse().forEach(id => {
+    const node = nodes.get(id);
+    node.lf = node.succs.reduce((lf, { id: succId, type }) => {
+      const succ = nodes.get(succId);
+      if (type === 'finish_to_start') return Math.min(lf, succ.ls - 1);
+      if (type === 'start_to_start') return Math.min(lf, succ.ls + node.duration - 1);
+      return Math.min(lf, succ.lf);
+    }, end);
+    node.ls = node.lf - node.duration + 1;
+  });
+
+  const result = new Map();
+  nodes.forEach((node, id) => {
+    const slack = Math.max(0, node.ls - node.es);
+    result.set(id, { start: fromDayNumber(node.es), finish: fromDayNumber(node.ef), slack, critical: slack === 0 });
+  });
+
+  // Between two critical tasks, only the link that sets the successor's dates
+  // is on the path; another one still has room to slip
+  const criticalLinks = new Set();
+  nodes.forEach((node, id) => {
+    if (!result.get(id).critical) return;
+    node.preds.forEach(({ id: predId, type }) => {
+      if (result.get(predId).critical && isDrivingLink(nodes.get(predId), node, type)) {
+        criticalLinks.add(`${predId}>${id}`);
+      }
+    });
+  });
+
+  return { tasks: result, criticalLinks, end: fromDayNumber(end) };
+}
+
+function isDrivingLink(pred, succ, type) {
+  if (type === 'finish_to_start') return succ.es === pred.ef + 1;
+  if (type === 'start_to_start') return succ.es === pred.es;
+  return succ.ef === pred.ef;
+}
+
+function formatScheduleSlack(entry) {
+  if (!entry) return '';
+  return entry.critical ? 'Critical' : `${entry.slack}d slack`;
+}
+
+function isCriticalLink(schedule, sourceId, targetId) {
+  return schedule.criticalLinks.has(`${sourceId}>${targetId}`);
+}
+
+/**
+ * Reflect a recomputed schedule in the rendered roadmap without re-rendering,
+ * so dragging a bar shows its effect on the critical path and end date live
+ */
+function updateRoadmapSchedule(roadmap, tasks, overrides = {}) {
+  const schedule = computeTaskSchedule(tasks, overrides);
+
+  roadmap.querySelectorAll('.gantt-bar[data-task-id]').forEach(bar => {
+    bar.classList.toggle('critical', Boolean(schedule.tasks.get(bar.dataset.taskId)?.critical));
+  });
+  roadmap.querySelectorAll('.gantt-task-item[data-task-id]').forEach(item => {
+    const entry = schedule.tasks.get(item.dataset.taskId);
+    const slack = item.querySelector('.gantt-task-slack');
+    slack.textContent = formatScheduleSlack(entry);
+    slack.classList.toggle('critical', Boolean(entry?.critical));
+  });
+  roadmap.querySelectorAll('.gantt-dependency[data-link-id]').forEach(path => {
+    const critical = isCriticalLink(schedule, path.dataset.sourceId, path.dataset.targetId);
+    path.classList.toggle('critical', critical);
+    path.setAttribute('marker-end', `url(#${critical || path.classList.contains('violated') ? 'gantt-arrow-highlight' : 'gantt-arrow'})`);
+  });
+
+  const projectedEnd = roadmap.querySelector('[data-role="projected-end"]');
+  if (projectedEnd) projectedEnd.textContent = schedule.end ? formatDate(schedule.end) : 'No dates';
+}
+
+// ==========================================================================
+// Render Functions - Roadmap View (Gantt)
+// ==========================================================================
+
+function renderRoadmapView(tasks, project) {
+  const scale = state.roadmapScale;
+  const offset = state.roadmapOffset;
+  const today = new Date();
+
+  // Generate timeline data based on scale
+  const timeline = generateTimeline(scale, offset, today);
+  const { units, timelineStart, timelineEnd, totalDays } = timeline;
+  const schedule = computeTaskSchedule(tasks);
+  const rows = getTaskTreeRows(tasks);
+
+  return `
+    <div class="roadmap-view">
+      <div class="view-toolbar view-toolbar--wrap">
+        <div class="toolbar-filters">
+          ${renderSavedViewsButton(project, 'timeline')}
+          <div class="roadmap-zoom">
+            <button class="roadmap-zoom-btn${scale === 'week' ? ' active' : ''}" data-scale="week">Week</button>
+            <button class="roadmap-zoom-btn${scale === 'month' ? ' active' : ''}" data-scale="month">Month</button>
+            <button class="roadmap-zoom-btn${scale === 'quarter' ? ' active' : ''}" data-scale="quarter">Quarter</button>
+            <button class="roadmap-zoom-btn${scale === 'year' ? ' active' : ''}" data-scale="year">Year</button>
+          </div>
+        </div>
+        <div class="toolbar-actions">
+          <div class="roadmap-schedule" title="Latest finish across the dependency chain">
+            <span class="roadmap-schedule-label">Projected end</span>
+            <span class="roadmap-schedule-value" data-role="projected-end">${schedule.end ? formatDate(schedule.end) : 'No dates'}</span>
+          </div>
+          <div class="roadmap-nav">
+            <button class="roadmap-nav-btn" data-action="roadmap-prev">${icons.chevronLeft}</button>
+            <button class="roadmap-today-btn" data-action="roadmap-today">Today</button>
+            <button class="roadmap-nav-btn" data-action="roadmap-next">${icons.chevronRight}</button>
+          </div>
+        </div>
+      </div>
+      <div class="card roadmap-content">
+        <div class="gantt-wrapper">
+        <div class="gantt-sidebar">
+          <div class="gantt-sidebar-header">Task Name</div>
+          <div class="gantt-task-list">
+            ${rows.map(({ task, depth, childCount }) => {
+              const assignee = task.assignee_id ? getUserById(task.assignee_id) : null;
+              const status = getStatusById(task.status_id);
+              const entry = schedule.tasks.get(task.id);
+              return `
+                <div class="gantt-task-item" data-task-id="${task.id}" style="--task-depth: ${depth}">
+                  ${renderSubtaskToggle(task, childCount)}
+                  <div class="gantt-task-color" style="background: ${status?.color || FALLBACK_COLOR}"></div>
+                  <span class="gantt-task-name">${escapeHtml(task.title)}</span>
+                  <span class="gantt-task-slack${entry?.critical ? ' critical' : ''}">${formatScheduleSlack(entry)}</span>
+                  ${assignee ? `
+                    <div class="table-avatar" style="background: ${stringToColor(assignee.name)}">
+                      ${getInitials(assignee.name)}
+                    </div>
+                  ` : ''}
+                </div>
+              `;
+            }).join('')}
+          </div>
+        </div>
+        <div class="gantt-timeline" style="--gantt-columns: ${units.reduce((sum, u) => sum + u.subdivisions.length, 0)}">
+          <div class="gantt-header-units">
+            ${units.map((unit, unitIndex) => `
+              <div class="gantt-unit-name${unitIndex > 0 ? ' unit-start' : ''}" style="grid-column: span ${unit.subdivisions.length}">${unit.name}</div>
+            `).join('')}
+          </div>
+          <div class="gantt-header-subs">
+            ${units.map((unit, unitIndex) => `
+              ${unit.subdivisions.map((sub, subIndex) => `
+                <div class="gantt-subdivision${subIndex === 0 && unitIndex > 0 ? ' unit-start' : ''}">${sub.label}</div>
+              `).join('')}
+            `).join('')}
+          </div>
+          <div class="gantt-rows" data-timeline-start="${timelineStart.toISOString()}" data-total-days="${totalDays}">
+            ${rows.map(({ task }) => {
+              const status = getStatusById(task.status_id);
+              const barStyle = getGanttBarStyle(task, timelineStart, totalDays, status?.color || FALLBACK_COLOR);
+              return `
+                <div class="gantt-row">
+                  ${units.map((unit, unitIndex) => `
+                    ${unit.subdivisions.map((_, subIndex) => `<div class="gantt-cell${subIndex === 0 && unitIndex > 0 ? ' unit-start' : ''}"></div>`).join('')}
+                  `).join('')}
+                  ${barStyle ? `
+                    <div class="gantt-bar${schedule.tasks.get(task.id)?.critical ? ' critical' : ''}" data-task-id="${task.id}" style="${barStyle}">
+                      <div class="gantt-bar-handle gantt-bar-handle-left"></div>
+                      <span class="gantt-bar-label">${escapeHtml(task.title)}</span>
+                      <div class="gantt-bar-handle gantt-bar-handle-right"></div>
+                      <div class="gantt-bar-link-handle" title="Drag to another bar to add a dependency"></div>
+                    </div>
+                  ` : `
+                    <div class="gantt-bar no-dates" data-task-id="${task.id}" style="left: 10px; width: 100px;">No dates</div>
+                  `}
+                </div>
+              `;
+            }).join('')}
+            ${renderGanttDependencies(tasks, schedule)}
+            ${renderTodayLine(today, timelineStart, totalDays)}
+          </div>
+        </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Generate timeline data based on scale
+function generateTimeline(scale, offset, today) {
+  switch (scale) {
+    case 'week':
+      return generateWeekTimeline(offset, today);
+    case 'month':
+      return generateMonthTimeline(offset, today);
+    case 'quarter':
+      return generateQuarterTimeline(offset, today);
+    case 'year':
+      return generateYearTimeline(offset, today);
+    default:
+      return generateMonthTimeline(offset, today);
+  }
+}
+
+// Week view: Shows ~4 weeks with days as subdivisions
+function generateWeekTimeline(offset, today) {
+  const units = [];
+  const startOfWeek = getStartOfWeek(today);
+  startOfWeek.setDate(startOfWeek.getDate() + (offset * 7)); // Each offset unit = 1 week
+
+  // Show 4 weeks
+  for (let w = -1; w < 3; w++) {
+    const weekStart = new Date(startOfWeek);
+    weekStart.setDate(weekStart.getDate() + (w * 7));
+
+    const subdivisions = [];
+    for (let d = 0; d < 7; d++) {
+      const day = new Date(weekStart);
+      day.setDate(day.getDate() + d);
+      subdivisions.push({
+        label: day.getDate().toString(),
+        date: new Date(day)
+      });
+    }
+
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 6);
+
+    units.push({
+      name: `${weekStart.toLocaleDateString('en-US', { month: 'short' })} ${weekStart.getDate()}-${weekEnd.getDate()}`,
+      start: new Date(weekStart),
+      end: weekEnd,
+      subdivisions
+    });
+  }
+
+  const timelineStart = units[0].start;
+  const timelineEnd = units[units.length - 1].end;
+  const totalDays = Math.ceil((timelineEnd - timelineStart) / (1000 * 60 * 60 * 24)) + 1;
+
+  return { units, timelineStart, timelineEnd, totalDays };
+}
+
+// Month view: Shows ~4 months with weeks as subdivisions
+function generateMonthTimeline(offset, today) {
+  const units = [];
+
+  for (let i = -1 + offset; i < 3 + offset; i++) {
+    const date = new Date(today.getFullYear(), today.getMonth() + i, 1);
+    const weeks = getWeeksInMonth(date);
+
+    units.push({
+      name: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+      start: new Date(date.getFullYear(), date.getMonth(), 1),
+      end: new Date(date.getFullYear(), date.getMonth() + 1, 0),
+      subdivisions: weeks.map(week => ({ label: week.toString(), date: null }))
+    });
+  }
+
+  const timelineStart = units[0].start;
+  const timelineEnd = units[units.length - 1].end;
+  const totalDays = Math.ceil((timelineEnd - timelineStart) / (1000 * 60 * 60 * 24));
+
+  return { units, timelineStart, timelineEnd, totalDays };
+}
+
+// Quarter view: Shows ~4 quarters with months as subdivisions
+function generateQuarterTimeline(offset, today) {
+  const units = [];
+  const currentQuarter = Math.floor(today.getMonth() / 3);
+  const currentYear = today.getFullYear();
+
+  for (let i = -1 + offset; i < 3 + offset; i++) {
+    const quarterIndex = currentQuarter + i;
+    const year = currentYear + Math.floor(quarterIndex / 4);
+    const quarter = ((quarterIndex % 4) + 4) % 4; // Handle negative modulo
+
+    const quarterStart = new Date(year, quarter * 3, 1);
+    const quarterEnd = new Date(year, quarter * 3 + 3, 0);
+
+    const subdivisions = [];
+    for (let m = 0; m < 3; m++) {
+      const monthDate = new Date(year, quarter * 3 + m, 1);
+      subdivisions.push({
+        label: monthDate.toLocaleDateString('en-US', { month: 'short' }),
+        date: monthDate
+      });
+    }
+
+    units.push({
+      name: `Q${quarter + 1} ${year}`,
+      start: quarterStart,
+      end: quarterEnd,
+      subdivisions
+    });
+  }
+
+  const timelineStart = units[0].start;
+  const timelineEnd = units[units.length - 1].end;
+  const totalDays = Math.ceil((timelineEnd - timelineStart) / (1000 * 60 * 60 * 24));
+
+  return { units, timelineStart, timelineEnd, totalDays };
+}
+
+// Year view: Shows ~3 years with quarters as subdivisions
+function generateYearTimeline(offset, today) {
+  const units = [];
+  const currentYear = today.getFullYear();
+
+  for (let i = -1 + offset; i < 2 + offset; i++) {
+    const year = currentYear + i;
+
+    const subdivisions = [];
+    for (let q = 0; q < 4; q++) {
+      subdivisions.push({
+        label: `Q${q + 1}`,
+        date: new Date(year, q * 3, 1)
+      });
+    }
+
+    units.push({
+      name: year.toString(),
+      start: new Date(year, 0, 1),
+      end: new Date(year, 11, 31),
+      subdivisions
+    });
+  }
+
+  const timelineStart = units[0].start;
+  const timelineEnd = units[units.length - 1].end;
+  const totalDays = Math.ceil((timelineEnd - timelineStart) / (1000 * 60 * 60 * 24));
+
+  return { units, timelineStart, timelineEnd, totalDays };
+}
+
+// Helper: Get start of week (Monday)
+function getStartOfWeek(date) {
+  const d = new Date(date);
+  const day = d.getDay();
+  const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust for Sunday
+  return new Date(d.setDate(diff));
+}
+
+function getWeeksInMonth(date) {
+  const weeks = [];
+  const firstDay = new Date(date.getFullYear(), date.getMonth(), 1);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+
+  let current = new Date(firstDay);
+  while (current <= lastDay) {
+    weeks.push(current.getDate());
+    current.setDate(current.getDate() + 7);
+  }
+  return weeks;
+}
+
+function getGanttBarStyle(task, timelineStart, totalDays, color) {
+  if (!task.start_date && !task.due_date) return null;
+
+  const startDate = task.start_date ? new Date(task.start_date) : new Date(task.due_date);
+  const endDate = task.due_date ? new Date(task.due_date) : new Date(task.start_date);
+
+  // Ensure end is after start
+  const actualStart = startDate < endDate ? startDate : endDate;
+  const actualEnd = startDate < endDate ? endDate : startDate;
+
+  // Add at least 1 day duration if same day
+  if (actualStart.getTime() === actualEnd.getTime()) {
+    actualEnd.setDate(actualEnd.getDate() + 7);
+  }
+
+  const startOffset = Math.max(0, (actualStart - timelineStart) / (1000 * 60 * 60 * 24));
+  const duration = Math.max(7, (actualEnd - actualStart) / (1000 * 60 * 60 * 24));
+
+  const leftPercent = (startOffset / totalDays) * 100;
+  const widthPercent = (duration / totalDays) * 100;
+
+  return `left: ${leftPercent}%; width: ${Math.min(widthPercent, 100 - leftPercent)}%; background: ${color};`;
+}
+
+/**
+ * Arrow overlay for the dependencies between the visible tasks. The paths are
+ * laid out by drawGanttDependencies() once the bars are in the DOM.
+ */
+function renderGanttDependencies(tasks, schedule) {
+  const visibleIds = new Set(tasks.map(t => t.id));
+  const links = state.taskLinks.filter(l =>
+    isDependencyLink(l) && visibleIds.has(l.source_task_id) && visibleIds.has(l.target_task_id)
+  );
+
+  return `
+    <svg class="gantt-dependencies">
+      <defs>
+        <marker id="gantt-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z"/>
+        </marker>
+        <marker id="gantt-arrow-highlight" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z"/>
+        </marker>
+      </defs>
+      ${links.map(link => {
+        const violated = isDependencyViolated(link);
+        const critical = isCriticalLink(schedule, link.source_task_id, link.target_task_id);
+        return `
+          <path class="gantt-dependency${violated ? ' violated' : ''}${critical ? ' critical' : ''}"
+                data-link-id="${link.id}"
+                data-type="${link.type}"
+                data-source-id="${link.source_task_id}"
+                data-target-id="${link.target_task_id}"
+                marker-end="url(#${violated || critical ? 'gantt-arrow-highlight' : 'gantt-arrow'})"/>
+        `;
+      }).join('')}
+      <path class="gantt-dependency gantt-dependency-draft" marker-end="url(#gantt-arrow)"/>
+    </svg>
+  `;
+}
+
+// Horizontal distance an arrow keeps from the bars before turning
+const GANTT_DEPENDENCY_GAP = 8;
+
+/**
+ * Elbow path from the predecessor bar to the successor bar. Finish anchors
+ * are the right edge, start anchors the left edge.
+ */
+function getGanttDependencyPath(fromRect, toRect, type, origin) {
+  const fromFinish = type !== 'start_to_start';
+  const toStart = type !== 'finish_to_finish';
+
+  const x1 = (fromFinish ? fromRect.right : fromRect.left) - origin.left;
+  const y1 = fromRect.top + fromRect.height / 2 - origin.top;
+  const x2 = (toStart ? toRect.left : toRect.right) - origin.left;
+  const y2 = toRect.top + toRect.height / 2 - origin.top;
+  const exitX = x1 + (fromFinish ? GANTT_DEPENDENCY_GAP : -GANTT_DEPENDENCY_GAP);
+  const entryX = x2 + (toStart ? -GANTT_DEPENDENCY_GAP : GANTT_DEPENDENCY_GAP);
+
+  if (type === 'start_to_start') {
+    const x = Math.min(exitX, entryX);
+    return `M ${x1} ${y1} H ${x} V ${y2} H ${x2}`;
+  }
+  if (type === 'finish_to_finish') {
+    const x = Math.max(exitX, entryX);
+    return `M ${x1} ${y1} H ${x} V ${y2} H ${x2}`;
+  }
+  if (entryX >= exitX) {
+    return `M ${x1} ${y1} H ${exitX} V ${y2} H ${x2}`;
+  }
+  // Successor starts left of the predecessor's end: detour between the rows
+  const midY = (y1 + y2) / 2;
+  return `M ${x1} ${y1} H ${exitX} V ${midY} H ${entryX} V ${y2} H ${x2}`;
+}
+
+function drawGanttDependencies(ganttRows) {
+  const origin = ganttRows.getBoundingClientRect();
+  const getBarRect = (taskId) =>
+    ganttRows.querySelector(`.gantt-bar:not(.no-dates)[data-task-id="${taskId}"]`)?.getBoundingClientRect();
+
+  ganttRows.querySelectorAll('.gantt-dependency[data-link-id]').forEach(path => {
+    const fromRect = getBarRect(path.dataset.sourceId);
+    const toRect = getBarRect(path.dataset.targetId);
+    path.setAttribute('d', fromRect && toRect ? getGanttDependencyPath(fromRect, toRect, path.dataset.type, origin) : '');
+  });
+}
+
+function renderTodayLine(today, timelineStart, totalDays) {
+  const dayOffset = (today - timelineStart) / (1000 * 60 * 60 * 24);
+  const leftPercent = (dayOffset / totalDays) * 100;
+
+  if (leftPercent < 0 || leftPercent > 100) return '';
+
+  return `
+    <div class="gantt-today-line" style="left: ${leftPercent}%;">
+      <div class="gantt-today-marker">Today</div>
+    </div>
+  `;
+}
+
+// ==========================================================================
+// Render Functions - Placeholders
+// ==========================================================================
+
+function renderPlaceholderPage(title, description) {
+  updateBreadcrumb([{ label: title, href: `#/${title.toLowerCase()}` }]);
+
+  const mainContent = document.getElementById('main-content');
+  mainContent.innerHTML = `
+    <div class="empty-state">
+      <div class="empty-state-icon">${icons.folder}</div>
+      <h2 class="empty-state-title">${escapeHtml(title)}</h2>
+      <p class="empty-state-description">${escapeHtml(description)}</p>
+      <span class="placeholder-badge">Coming Soon</span>
+    </div>
+  `;
+}
+
+function renderNotFound() {
+  const mainContent = document.getElementById('main-content');
+  mainContent.innerHTML = `
+    <div class="empty-state">
+      <div class="empty-state-icon">${icons.folder}</div>
+      <h2 class="empty-state-title">Page Not Found</h2>
+      <p class="empty-state-description">The page you're looking for doesn't exist.</p>
+      <a href="#/projects" class="btn-primary">Back to Projects</a>
+    </div>
+  `;
+}
+
+// ==========================================================================
+// Breadcrumb
+// ==========================================================================
+
+function updateBreadcrumb(items) {
+  const breadcrumb = document.getElementById('breadcrumb');
+
+  breadcrumb.innerHTML = items.map((item, index) => {
+    const isLast = index === items.length - 1;
+    if (isLast) {
+      return `<span class="breadcrumb-current">${escapeHtml(item.label)}</span>`;
+    }
+    return `<a href="${item.href}">${escapeHtml(item.label)}</a><span class="breadcrumb-separator">/</span>`;
+  }).join('');
+}
+
+// ==========================================================================
+// Utility Functions
+// ==========================================================================
+
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  // innerHTML leaves quotes as they are; escape them too so the result is
+  // also safe inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function getInitials(name) {
+  if (!name) return '?';
+  return name.split(' ').map(n => n[0]).join('').toUpperCase().slice(0, 2);
+}
+
+function stringToColor(str) {
+  if (!str) return FALLBACK_COLOR;
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = str.charCodeAt(i) + ((hash << 5) - hash);
+  }
+  return AVATAR_COLORS[Math.abs(hash) % AVATAR_COLORS.length];
+}
+
+function hexToRgba(hex, alpha) {
+  if (!hex) return 'transparent';
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+function darkenColor(hex, factor = 0.3) {
+  if (!hex) return hex;
+  const r = Math.round(parseInt(hex.slice(1, 3), 16) * (1 - factor));
+  const g = Math.round(parseInt(hex.slice(3, 5), 16) * (1 - factor));
+  const b = Math.round(parseInt(hex.slice(5, 7), 16) * (1 - factor));
+  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+}
+
+function formatDate(dateStr) {
+  if (!dateStr) return '';
+  const date = new Date(dateStr);
+  const now = new Date();
+  const diffDays = Math.floor((date - now) / (1000 * 60 * 60 * 24));
+
+  if (diffDays === 0) return 'Today';
+  if (diffDays === 1) return 'Tomorrow';
+  if (diffDays === -1) return 'Yesterday';
+
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function isOverdue(dateStr) {
+  if (!dateStr) return false;
+  const date = new Date(dateStr);
+  const now = new Date();
+  now.setHours(0, 0, 0, 0);
+  return date < now;
+}
+
+function formatDateTime(dateStr) {
+  if (!dateStr) return '';
+  const date = new Date(dateStr);
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+function generateId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+}
+
+// ==========================================================================
+// Dropdown Factory
+// ==========================================================================
+
+/**
+ * Creates and positions a dropdown menu
+ * @param {Object} options - Dropdown configuration
+ * @param {string} options.id - Unique dropdown ID
+ * @param {HTMLElement} options.anchor - Element to position dropdown below
+ * @param {string} options.content - HTML content for the dropdown
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {boolean} [options.toggle=true] - If true, close dropdown when already open
+ * @returns {HTMLElement|null} The dropdown element, or null if toggled closed
+ */
+function createDropdown({ id, anchor, content, className = '', toggle = true }) {
+  // Toggle behavior: if this dropdown is already open, close it
+  if (toggle && state.activeDropdown === id) {
+    closeDropdown();
+    return null;
+  }
+
+  // Close any existing dropdown
+  closeDropdown();
+
+  // Create dropdown element
+  const dropdown = document.createElement('div');
+  dropdown.className = `dropdown-menu open ${className}`.trim();
+  dropdown.id = id;
+  dropdown.innerHTML = content;
+
+  // Position below anchor element
+  const rect = anchor.getBoundingClientRect();
+  dropdown.style.position = 'fixed';
+  dropdown.style.top = `${rect.bottom + 4}px`;
+  dropdown.style.left = `${rect.left}px`;
+
+  // Add to DOM and track state
+  document.body.appendChild(dropdown);
+  state.activeDropdown = id;
+
+  // Setup outside click handler
+  setTimeout(() => {
+    document.addEventListener('click', handleDropdownOutsideClick);
+  }, 10);
+
+  return dropdown;
+}
+
+/**
+ * Attaches event listeners to multiple elements matching a selector
+ * @param {HTMLElement|Document} container - Container to search within
+ * @param {string} selector - CSS selector for target elements
+ * @param {string} event - Event type (e.g., 'click', 'change')
+ * @param {Function} handler - Event handler function, receives (element, event)
+ * @param {Object} [options] - addEventListener options
+ */
+function addListeners(container, selector, event, handler, options = {}) {
+  container.querySelectorAll(selector).forEach(el => {
+    el.addEventListener(event, (e) => handler(el, e), options);
+  });
+}
+
+// ==========================================================================
+// Pagination Component
+// ==========================================================================
+
+/**
+ * Renders a pagination component
+ * @param {Object} options - Pagination configuration
+ * @param {number} options.totalItems - Total number of items
+ * @param {number} options.currentPage - Current page (1-indexed)
+ * @param {number} options.pageSize - Items per page
+ * @param {string} options.itemLabel - Label for items (e.g., 'members', 'files')
+ * @param {string} options.paginationType - Type identifier for data attributes
+ * @returns {string} HTML string for pagination component
+ */
+function renderPagination({ totalItems, currentPage, pageSize, itemLabel, paginationType }) {
+  const totalPages = Math.ceil(totalItems / pageSize);
+  const startItem = totalItems === 0 ? 0 : (currentPage - 1) * pageSize + 1;
+  const endItem = Math.min(currentPage * pageSize, totalItems);
+
+  // Don't show pagination if no items
+  if (totalItems === 0) {
+    return '';
+  }
+
+  const prevDisabled = currentPage <= 1;
+  const nextDisabled = currentPage >= totalPages;
+
+  return `
+    <div class="pagination" data-pagination-type="${paginationType}">
+      <span class="pagination-info">
+        Showing ${startItem}-${endItem} of ${totalItems} ${itemLabel}
+      </span>
+      <div class="pagination-controls">
+        <div class="pagination-page-size">
+          <span class="pagination-label">Rows per page</span>
+          <select class="pagination-select" data-action="change-page-size">
+            <option value="10" ${pageSize === 10 ? 'selected' : ''}>10</option>
+            <option value="20" ${pageSize === 20 ? 'selected' : ''}>20</option>
+            <option value="50" ${pageSize === 50 ? 'selected' : ''}>50</option>
+          </select>
+        </div>
+        ${totalPages > 1 ? `
+          <div class="pagination-nav">
+            <button class="pagination-btn ${prevDisabled ? 'disabled' : ''}"
+                    data-action="prev-page"
+                    ${prevDisabled ? 'disabled' : ''}>
+              ${icons.chevronLeft}
+            </button>
+            <span class="pagination-pages">${currentPage}/${totalPages}</span>
+            <button class="pagination-btn ${nextDisabled ? 'disabled' : ''}"
+                    data-action="next-page"
+                    ${nextDisabled ? 'disabled' : ''}>
+              ${icons.chevronRight}
+            </button>
+          </div>
+        ` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Gets paginated items from an array
+ * @param {Array} items - Full array of items
+ * @param {number} page - Current page (1-indexed)
+ * @param {number} pageSize - Items per page
+ * @returns {Array} Paginated subset of items
+ */
+function getPaginatedItems(items, page, pageSize) {
+  const startIndex = (page - 1) * pageSize;
+  return items.slice(startIndex, startIndex + pageSize);
+}
+
+// ==========================================================================
+// Modal System
+// ==========================================================================
+
+function openModal(modalId) {
+  state.activeModal = modalId;
+  const overlay = document.getElementById('modal-overlay');
+  if (overlay) {
+    overlay.classList.add('open');
+  }
+}
+
+function closeModal() {
+  state.activeModal = null;
+  const overlay = document.getElementById('modal-overlay');
+  if (overlay) {
+    overlay.classList.remove('open');
+  }
+}
+
+function renderModalContainer() {
+  // Only create if doesn't exist
+  if (document.getElementById('modal-overlay')) return;
+
+  const modalOverlay = document.createElement('div');
+  modalOverlay.id = 'modal-overlay';
+  modalOverlay.className = 'modal-overlay';
+  modalOverlay.innerHTML = '<div class="modal" id="modal-content"></div>';
+  document.body.appendChild(modalOverlay);
+
+  // Close on overlay click
+  modalOverlay.addEventListener('click', (e) => {
+    if (e.target === modalOverlay) {
+      closeModal();
+    }
+  });
+
+  // Close on Escape
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && state.activeModal) {
+      closeModal();
+    }
+  });
+}
+
+function showModal(title, bodyHtml, footerHtml) {
+  renderModalContainer();
+  const modalContent = document.getElementById('modal-content');
+
+  modalContent.innerHTML = `
+    <div class="modal-header">
+      <h2 class="modal-title">${escapeHtml(title)}</h2>
+      <button class="modal-close" data-action="close-modal">${icons.x}</button>
+    </div>
+    <div class="modal-body">
+      ${bodyHtml}
+    </div>
+    ${footerHtml ? `<div class="modal-footer">${footerHtml}</div>` : ''}
+  `;
+
+  openModal(title);
+
+  // Focus first input
+  setTimeout(() => {
+    const firstInput = modalContent.querySelector('input, textarea, select');
+    if (firstInput) firstInput.focus();
+  }, 100);
+}
+
+// ==========================================================================
+// Toast Notifications
+// ==========================================================================
+
+function renderToastContainer() {
+  if (document.getElementById('toast-container')) return;
+
+  const container = document.createElement('div');
+  container.id = 'toast-container';
+  container.className = 'toast-container';
+  document.body.appendChild(container);
+}
+
+/**
+ * @param {string} message
+ * @param {string} [type] - 'default' | 'success' | 'error'
+ * @param {{label: string, onClick: Function}} [action] - Optional button. Without
+ *   one, toasts about a change that was just made get an Undo button.
+ */
+function showToast(message, type = 'default', action = null) {
+  renderToastContainer();
+  const container = document.getElementById('toast-container');
+
+  const toast = document.createElement('div');
+  toast.className = `toast ${type}`;
+  toast.innerHTML = `
+    <span>${escapeHtml(message)}</span>
+    <button class="toast-close">${icons.x}</button>
+  `;
+
+  container.appendChild(toast);
+
+  // Trigger animation
+  setTimeout(() => toast.classList.add('show'), 10);
+
+  // Auto dismiss
+  let timeout = setTimeout(() => dismissToast(toast), 4000);
+
+  // Manual dismiss
+  toast.querySelector('.toast-close').addEventListener('click', () => {
+    clearTimeout(timeout);
+    dismissToast(toast);
+  });
+
+  const setAction = ({ label, onClick }) => {
+    const button = document.createElement('button');
+    button.className = 'toast-action';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      clearTimeout(timeout);
+      dismissToast(toast);
+      onClick();
+    });
+    toast.querySelector('.toast-close').before(button);
+
+    // Leave more time to take the action
+    clearTimeout(timeout);
+    timeout = setTimeout(() => dismissToast(toast), 8000);
+  };
+
+  if (action) {
+    setAction(action);
+  } else if (type !== 'error') {
+    offerUndoOnToast(message, setAction);
+  }
+}
+
+function dismissToast(toast) {
+  toast.classList.remove('show');
+  setTimeout(() => toast.remove(), 300);
+}
+
+// ==========================================================================
+// Create Task Modal
+// ==========================================================================
+
+function showCreateTaskModal(projectSlug, preselectedGroupId = null, groupType = 'status', canvasPosition = null) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const statuses = getStatusesForProject(project.id);
+  const priorities = state.priorities;
+  const labels = getLabelsForProject(project.id);
+  const users = state.users;
+
+  // Determine default values based on group type
+  let defaultStatus = statuses[0]?.id || '';
+  let defaultPriority = '';
+  let defaultAssignee = '';
+
+  if (groupType === 'status' && preselectedGroupId) {
+    defaultStatus = preselectedGroupId;
+  } else if (groupType === 'priority' && preselectedGroupId) {
+    defaultPriority = preselectedGroupId === 'priority-none' ? '' : preselectedGroupId;
+  } else if (groupType === 'assignee' && preselectedGroupId) {
+    defaultAssignee = preselectedGroupId === 'unassigned' ? '' : preselectedGroupId.replace('assignee-', '');
+  }
+
+  const bodyHtml = `
+    <form id="create-task-form">
+      <div class="form-group">
+        <label class="form-label required">Task Title</label>
+        <input type="text" class="form-input" name="title" placeholder="Enter task title" required>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Description</label>
+        <textarea class="form-textarea" name="description" placeholder="Add a description..."></textarea>
+      </div>
+
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Status</label>
+          <select class="form-select" name="status_id">
+            ${statuses.map(s => `
+              <option value="${s.id}" ${s.id === defaultStatus ? 'selected' : ''}>${escapeHtml(s.name)}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Priority</label>
+          <select class="form-select" name="priority_id">
+            <option value="" ${!defaultPriority ? 'selected' : ''}>None</option>
+            ${priorities.map(p => `
+              <option value="${p.id}" ${p.id === defaultPriority ? 'selected' : ''}>${escapeHtml(p.name)}</option>
+            `).join('')}
+          </select>
+        </div>
+      </div>
+
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Assignee</label>
+          <select class="form-select" name="assignee_id">
+            <option value="" ${!defaultAssignee ? 'selected' : ''}>Unassigned</option>
+            ${users.map(u => `
+              <option value="${u.id}" ${u.id === defaultAssignee ? 'selected' : ''}>${escapeHtml(u.name)}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Due Date</label>
+          <input type="date" class="form-input" name="due_date">
+        </div>
+      </div>
+    </form>
+  `;
+
+  const footerHtml = `
+    <button class="btn-secondary" data-action="close-modal">Cancel</button>
+    <button class="btn-primary" data-action="submit-task" data-project-slug="${projectSlug}">
+      ${icons.plus} Create Task
+    </button>
+  `;
+
+  showModal('Create Task', bodyHtml, footerHtml);
+  attachCreateTaskListeners(projectSlug, canvasPosition);
+}
+
+function attachCreateTaskListeners(projectSlug, canvasPosition = null) {
+  // Close button
+  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
+    btn.addEventListener('click', closeModal);
+  });
+
+  // Submit button
+  document.querySelectorAll('[data-action="submit-task"]').forEach(btn => {
+    btn.addEventListener('click', () => handleCreateTask(projectSlug, canvasPosition));
+  });
+
+  // Form submit on Enter
+  const form = document.getElementById('create-task-form');
+  if (form) {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      handleCreateTask(projectSlug, canvasPosition);
+    });
+  }
+}
+
+/**
+ * @param {string} projectSlug
+ * @param {{x: number, y: number}|null} [canvasPosition] - Place the task on the canvas here
+ */
+function handleCreateTask(projectSlug, canvasPosition = null) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const form = document.getElementById('create-task-form');
+  const formData = new FormData(form);
+
+  const title = formData.get('title')?.trim();
+  if (!title) {
+    showToast('Task title is required', 'error');
+    return;
+  }
+
+  // Get max sequence_id for this project
+  const projectTasks = getTasksForProject(project.id);
+  const maxSeq = projectTasks.reduce((max, t) => Math.max(max, t.sequence_id || 0), 0);
+
+  const newTask = {
+    id: generateId('task'),
+    project_id: project.id,
+    parent_id: null,
+    sequence_id: maxSeq + 1,
+    title: title,
+    description: formData.get('description') || '',
+    status_id: formData.get('status_id') || null,
+    priority_id: formData.get('priority_id') || null,
+    assignee_id: formData.get('assignee_id') || null,
+    due_date: formData.get('due_date') || null,
+    start_date: null,
+    label_ids: [],
+    recurrence: null,
+    custom_fields: {},
+    canvas_x: canvasPosition?.x ?? null,
+    canvas_y: canvasPosition?.y ?? null,
+    canvas_z_index: 1,
+    is_archived: false,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  // New tasks have to meet the status' entry rules and WIP limit like moved ones
+  if (!canEnterStatus({ ...newTask, status_id: null }, newTask.status_id)) return;
+
+  syncStatusTimestamps(newTask, null);
+  state.tasks.push(newTask);
+  persistRecords('tasks', newTask);
+  recordActivity(newTask, 'created');
+  closeModal();
+  showToast(`Task "${title}" created successfully`, 'success');
+  renderProjectDetail(projectSlug);
+}
+
+// ==========================================================================
+// Create Project Modal
+// ==========================================================================
+
+// Use centralized PROJECT_COLORS from the color system
+const projectColors = PROJECT_COLORS;
+
+function showCreateProjectModal() {
+  const bodyHtml = `
+    <form id="create-project-form">
+      <div class="form-group">
+        <label class="form-label required">Project Name</label>
+        <input type="text" class="form-input" name="name" placeholder="Enter project name" required>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label required">Project Identifier</label>
+        <input type="text" class="form-input" name="identifier" placeholder="e.g., PROJ" maxlength="6" style="text-transform: uppercase;">
+        <span class="form-hint">Short code used for task IDs (e.g., PROJ-1)</span>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Description</label>
+        <textarea class="form-textarea" name="description" placeholder="Describe your project..."></textarea>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Color</label>
+        <div class="color-picker">
+          ${projectColors.map((color, i) => `
+            <div class="color-swatch ${i === 0 ? 'selected' : ''}"
+                 style="background: ${color}"
+                 data-color="${color}"></div>
+          `).join('')}
+        </div>
+      </div>
+    </form>
+  `;
+
+  const footerHtml = `
+    <button class="btn-secondary" data-action="close-modal">Cancel</button>
+    <button class="btn-primary" data-action="submit-project">
+      ${icons.plus} Create Project
+    </button>
+  `;
+
+  showModal('Create Project', bodyHtml, footerHtml);
+  attachCreateProjectListeners();
+}
+
+function attachCreateProjectListeners() {
+  // Close button
+  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
+    btn.addEventListener('click', closeModal);
+  });
+
+  // Color picker
+  document.querySelectorAll('.color-swatch').forEach(option => {
+    option.addEventListener('click', () => {
+      document.querySelectorAll('.color-swatch').forEach(o => o.classList.remove('selected'));
+      option.classList.add('selected');
+    });
+  });
+
+  // Auto-generate identifier from name
+  const nameInput = document.querySelector('[name="name"]');
+  const identifierInput = document.querySelector('[name="identifier"]');
+  if (nameInput && identifierInput) {
+    nameInput.addEventListener('input', () => {
+      if (!identifierInput.dataset.manual) {
+        const words = nameInput.value.trim().split(/\s+/);
+        const identifier = words.map(w => w[0]?.toUpperCase() || '').join('').slice(0, 4);
+        identifierInput.value = identifier;
+      }
+    });
+    identifierInput.addEventListener('input', () => {
+      identifierInput.dataset.manual = 'true';
+      identifierInput.value = identifierInput.value.toUpperCase();
+    });
+  }
+
+  // Submit button
+  document.querySelectorAll('[data-action="submit-project"]').forEach(btn => {
+    btn.addEventListener('click', handleCreateProject);
+  });
+}
+
+function handleCreateProject() {
+  const form = document.getElementById('create-project-form');
+  const formData = new FormData(form);
+
+  const name = formData.get('name')?.trim();
+  const identifier = formData.get('identifier')?.trim().toUpperCase();
+
+  if (!name) {
+    showToast('Project name is required', 'error');
+    return;
+  }
+
+  if (!identifier) {
+    showToast('Project identifier is required', 'error');
+    return;
+  }
+
+  // Check for duplicate identifier
+  if (state.projects.some(p => p.identifier === identifier)) {
+    showToast('Project identifier already exists', 'error');
+    return;
+  }
+
+  const selectedColor = document.querySelector('.color-swatch.selected');
+  const color = selectedColor?.dataset.color || projectColors[0];
+
+  // Generate slug from name
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+
+  const newProject = {
+    id: generateId('proj'),
+    workspace_id: state.workspace?.id || 'ws-001',
+    name: name,
+    identifier: identifier,
+    slug: slug,
+    description: formData.get('description') || '',
+    color: color,
+    is_favorite: false,
+    is_archived: false,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  // Create default statuses for the project (using centralized COLOR_PALETTE)
+  const defaultStatuses = [
+    { name: 'Backlog', color: COLOR_PALETTE.gray.hex, category: 'todo', sort_order: 1 },
+    { name: 'To Do', color: COLOR_PALETTE.blue.hex, category: 'todo', sort_order: 2 },
+    { name: 'In Progress', color: COLOR_PALETTE.amber.hex, category: 'in_progress', sort_order: 3 },
+    { name: 'Done', color: COLOR_PALETTE.green.hex, category: 'done', sort_order: 4 }
+  ];
+
+  const newStatuses = defaultStatuses.map(status => ({
+    id: generateId('status'),
+    project_id: newProject.id,
+    ...status
+  }));
+  state.statuses.push(...newStatuses);
+
+  state.projects.push(newProject);
+  persistRecords('projects', newProject);
+  persistRecords('statuses', newStatuses);
+  closeModal();
+  showToast(`Project "${name}" created successfully`, 'success');
+  renderProjectsLanding();
+}
+
+// ==========================================================================
+// Upload Files Modal
+// ==========================================================================
+
+// Temporary storage for files pending upload
+let pendingUploadFiles = [];
+
+function showUploadFilesModal(projectSlug, taskId = null) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  pendingUploadFiles = [];
+
+  const bodyHtml = `
+    <div class="upload-modal-content">
+      <div class="upload-drop-zone" id="upload-drop-zone">
+        <input type="file" id="upload-file-input" multiple hidden>
+        <div class="upload-drop-icon">
+          ${icons.upload}
+        </div>
+        <div class="upload-drop-text">
+          <span class="upload-drop-title">Drop files here or click to browse</span>
+          <span class="upload-drop-hint">PNG, JPG, PDF, DOCX, XLS • Max 10MB per file</span>
+        </div>
+      </div>
+      <div class="upload-file-list" id="upload-file-list">
+        <!-- Selected files will appear here -->
+      </div>
+    </div>
+  `;
+
+  const footerHtml = `
+    <button class="btn-secondary" data-action="close-modal">Cancel</button>
+    <button class="btn-primary" id="upload-submit-btn" data-action="submit-upload" data-project-id="${project.id}" ${taskId ? `data-task-id="${taskId}"` : ''} disabled>
+      ${icons.upload} Upload Files
+    </button>
+  `;
+
+  showModal('Upload Files', bodyHtml, footerHtml);
+  attachUploadModalListeners(project.id, taskId, projectSlug);
+}
+
+function attachUploadModalListeners(projectId, taskId, projectSlug) {
+  const dropZone = document.getElementById('upload-drop-zone');
+  const fileInput = document.getElementById('upload-file-input');
+  const fileList = document.getElementById('upload-file-list');
+  const submitBtn = document.getElementById('upload-submit-btn');
+
+  // Click to browse
+  dropZone.addEventListener('click', () => fileInput.click());
+
+  // File input change
+  fileInput.addEventListener('change', (e) => {
+    addFilesToPendingList(e.target.files);
+    updateUploadFileList();
+  });
+
+  // Drag and drop
+  dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('dragover');
+  });
+
+  dropZone.addEventListener('dragleave', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('dragover');
+  });
+
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('dragover');
+    addFilesToPendingList(e.dataTransfer.files);
+    updateUploadFileList();
+  });
+
+  // Close button
+  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      pendingUploadFiles = [];
+      closeModal();
+    });
+  });
+
+  // Submit button
+  submitBtn.addEventListener('click', () => {
+    if (pendingUploadFiles.length > 0) {
+      handleFileUpload(pendingUploadFiles, projectId, taskId);
+      pendingUploadFiles = [];
+      closeModal();
+
+      // Re-render current view
+      if (projectSlug) {
+        renderProjectDetail(projectSlug);
       }
-      renderProjectDetail(slug);
-    }, { signal });
+    }
+  });
+}
+
+function addFilesToPendingList(fileList) {
+  const maxSize = 10 * 1024 * 1024; // 10MB
+
+  for (const file of fileList) {
+    // Check for duplicates
+    if (pendingUploadFiles.some(f => f.name === file.name && f.size === file.size)) {
+      continue;
+    }
+
+    // Check file size
+    if (file.size > maxSize) {
+      showToast(`"${file.name}" exceeds 10MB limit`, 'error');
+      continue;
+    }
+
+    pendingUploadFiles.push(file);
+  }
+}
+
+function updateUploadFileList() {
+  const fileList = document.getElementById('upload-file-list');
+  const submitBtn = document.getElementById('upload-submit-btn');
+
+  if (pendingUploadFiles.length === 0) {
+    fileList.innerHTML = '';
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = `${icons.upload} Upload Files`;
+    return;
+  }
+
+  fileList.innerHTML = pendingUploadFiles.map((file, index) => `
+    <div class="upload-file-item" data-index="${index}">
+      <div class="upload-file-icon">
+        ${getFileIcon(getFileTypeFromName(file.name))}
+      </div>
+      <div class="upload-file-info">
+        <span class="upload-file-name">${escapeHtml(file.name)}</span>
+        <span class="upload-file-size">${formatFileSize(file.size)}</span>
+      </div>
+      <button class="upload-file-remove" data-action="remove-file" data-index="${index}">
+        ${icons.x}
+      </button>
+    </div>
+  `).join('');
+
+  // Attach remove listeners
+  fileList.querySelectorAll('[data-action="remove-file"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const index = parseInt(btn.dataset.index);
+      pendingUploadFiles.splice(index, 1);
+      updateUploadFileList();
+    });
+  });
+
+  submitBtn.disabled = false;
+  const fileCount = pendingUploadFiles.length;
+  submitBtn.innerHTML = `${icons.upload} Upload ${fileCount} ${fileCount === 1 ? 'File' : 'Files'}`;
+}
+
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+// ==========================================================================
+// Invite Member Modal
+// ==========================================================================
+
+function showInviteMemberModal(projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const bodyHtml = `
+    <form id="invite-member-form">
+      <div class="form-group">
+        <label class="form-label required">Email Address</label>
+        <input type="email" class="form-input" name="email" placeholder="colleague@company.com" required>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Role</label>
+        <select class="form-select" name="role">
+          <option value="member">Member - Can view and edit tasks</option>
+          <option value="admin">Admin - Can manage project settings</option>
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Personal Message (optional)</label>
+        <textarea class="form-textarea" name="message" placeholder="Add a personal message to the invitation..."></textarea>
+      </div>
+    </form>
+  `;
+
+  const footerHtml = `
+    <button class="btn-secondary" data-action="close-modal">Cancel</button>
+    <button class="btn-primary" data-action="submit-invite" data-project-slug="${projectSlug}">
+      ${icons.mail} Send Invite
+    </button>
+  `;
+
+  showModal('Invite Team Member', bodyHtml, footerHtml);
+  attachInviteMemberListeners(projectSlug);
+}
+
+function attachInviteMemberListeners(projectSlug) {
+  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
+    btn.addEventListener('click', closeModal);
+  });
+
+  document.querySelectorAll('[data-action="submit-invite"]').forEach(btn => {
+    btn.addEventListener('click', () => handleInviteMember(projectSlug));
   });
+}
+
+function handleInviteMember(projectSlug) {
+  const form = document.getElementById('invite-member-form');
+  const formData = new FormData(form);
+
+  const email = formData.get('email')?.trim();
+  if (!email) {
+    showToast('Email address is required', 'error');
+    return;
+  }
+
+  // In a real app, this would send an API request
+  closeModal();
+  showToast(`Invitation sent to ${email}`, 'success');
+}
+
+// ==========================================================================
+// Edit Member Modal
+// ==========================================================================
+
+function showEditMemberModal(memberId, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const members = getMembersForProject(project.id);
+  const member = members.find(m => m.id === memberId);
+  if (!member) return;
+
+  const bodyHtml = `
+    <form id="edit-member-form">
+      <div class="form-group">
+        <label class="form-label required">Name</label>
+        <input type="text" class="form-input" name="name" value="${escapeHtml(member.name)}" required>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label required">Email Address</label>
+        <input type="email" class="form-input" name="email" value="${escapeHtml(member.email)}" required>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Job Title</label>
+        <input type="text" class="form-input" name="job_title" value="${escapeHtml(member.job_title || '')}" placeholder="e.g., Project Manager">
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Role</label>
+        <select class="form-select" name="role">
+          <option value="member" ${member.role === 'member' ? 'selected' : ''}>Member - Can view and edit tasks</option>
+          <option value="admin" ${member.role === 'admin' ? 'selected' : ''}>Admin - Can manage project settings</option>
+          <option value="owner" ${member.role === 'owner' ? 'selected' : ''}>Owner - Full access</option>
+        </select>
+      </div>
+    </form>
+  `;
+
+  const footerHtml = `
+    <button class="btn-secondary" data-action="close-modal">Cancel</button>
+    <button class="btn-primary" data-action="submit-edit-member" data-member-id="${memberId}" data-project-slug="${projectSlug}">
+      ${icons.check} Save Changes
+    </button>
+  `;
+
+  showModal('Edit Member', bodyHtml, footerHtml);
+  attachEditMemberListeners(memberId, projectSlug);
+}
 
-  // Add Task rows (inline quick add)
-  document.querySelectorAll('.add-task-row').forEach(row => {
-    row.addEventListener('click', () => {
-      const taskGroup = row.closest('.task-group');
-      const groupId = taskGroup?.dataset.groupId;
-      const groupType = taskGroup?.dataset.groupType;
-      if (groupId) {
-        showQuickAddTask(groupId, groupType, slug);
-      }
-    }, { signal });
+function attachEditMemberListeners(memberId, projectSlug) {
+  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
+    btn.addEventListener('click', closeModal);
   });
 
-  // Board add task buttons
-  document.querySelectorAll('.board-add-card').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const column = btn.closest('.board-column');
-      const groupId = column?.dataset.groupId;
-      const groupType = column?.dataset.groupType;
-      if (groupId) {
-        showQuickAddTask(groupId, groupType, slug);
-      }
-    }, { signal });
+  document.querySelectorAll('[data-action="submit-edit-member"]').forEach(btn => {
+    btn.addEventListener('click', () => handleEditMember(memberId, projectSlug));
   });
+}
 
-  // Board column add buttons (+)
-  document.querySelectorAll('.board-column-btn[title="Add task"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const column = btn.closest('.board-column');
-      const groupId = column?.dataset.groupId;
-      const groupType = column?.dataset.groupType;
-      if (groupId) {
-        showCreateTaskModal(slug, groupId, groupType);
-      }
-    }, { signal });
-  });
+function handleEditMember(memberId, projectSlug) {
+  const form = document.getElementById('edit-member-form');
+  const formData = new FormData(form);
 
-  // Task status badges - clickable to change status
-  document.querySelectorAll('.task-status.clickable').forEach(badge => {
-    badge.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const taskId = badge.closest('.task-row')?.dataset.taskId;
-      if (taskId) {
-        showStatusDropdown(taskId, badge, slug);
-      }
-    }, { signal });
-  });
+  const name = formData.get('name')?.trim();
+  const email = formData.get('email')?.trim();
 
-  // Task priority badges - clickable to change priority
-  document.querySelectorAll('.task-priority.clickable').forEach(badge => {
-    badge.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const taskId = badge.closest('.task-row')?.dataset.taskId;
-      if (taskId) {
-        showPriorityDropdown(taskId, badge, slug);
-      }
-    }, { signal });
-  });
+  if (!name) {
+    showToast('Name is required', 'error');
+    return;
+  }
 
-  // Task due date - clickable to change date
-  document.querySelectorAll('.task-due-date.clickable').forEach(dateEl => {
-    dateEl.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const taskId = dateEl.closest('.task-row')?.dataset.taskId;
-      if (taskId) {
-        showDueDatePicker(taskId, dateEl, slug);
-      }
-    }, { signal });
-  });
+  if (!email) {
+    showToast('Email address is required', 'error');
+    return;
+  }
 
-  // Task labels - clickable to manage labels
-  document.querySelectorAll('.task-labels.clickable').forEach(labelsEl => {
-    labelsEl.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const taskId = labelsEl.closest('.task-row')?.dataset.taskId;
-      if (taskId) {
-        showLabelPicker(taskId, labelsEl, slug);
-      }
-    }, { signal });
-  });
+  // In a real app, this would send an API request to update the member
+  // For demo purposes, update the local data
+  const memberIndex = data.users.findIndex(u => u.id === memberId);
+  if (memberIndex !== -1) {
+    data.users[memberIndex].name = name;
+    data.users[memberIndex].email = email;
+    data.users[memberIndex].job_title = formData.get('job_title')?.trim() || '';
+    data.users[memberIndex].role = formData.get('role');
+  }
 
-  // Quick add input handlers
-  document.querySelectorAll('.quick-add-input input').forEach(input => {
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        const container = input.closest('.task-group') || input.closest('.board-column');
-        const groupId = container?.dataset.groupId;
-        const groupType = container?.dataset.groupType;
-        if (groupId) {
-          handleQuickAddTask(groupId, groupType, slug);
-        }
-      } else if (e.key === 'Escape') {
-        hideQuickAddTask(slug);
-      }
-    }, { signal });
-  });
+  closeModal();
+  state.selectedMembers.clear();
+  showToast('Member updated successfully', 'success');
+  renderProjectDetail(projectSlug);
+}
 
-  document.querySelectorAll('.quick-add-btn.save').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const container = btn.closest('.task-group') || btn.closest('.board-column');
-      const groupId = container?.dataset.groupId;
-      const groupType = container?.dataset.groupType;
-      if (groupId) {
-        handleQuickAddTask(groupId, groupType, slug);
-      }
-    }, { signal });
-  });
+// ==========================================================================
+// Workflow Policies (WIP limits, entry rules & transitions)
+// ==========================================================================
 
-  document.querySelectorAll('.quick-add-btn.cancel').forEach(btn => {
-    btn.addEventListener('click', () => {
-      hideQuickAddTask(slug);
-    }, { signal });
-  });
+// Conditions a task must meet before it can enter a status
+const STATUS_ENTRY_RULES = {
+  requires_assignee: {
+    label: 'Requires assignee',
+    message: 'have an assignee',
+    check: task => Boolean(task.assignee_id),
+  },
+  requires_due_date: {
+    label: 'Requires due date',
+    message: 'have a due date',
+    check: task => Boolean(task.due_date),
+  },
+  requires_estimate: {
+    label: 'Requires estimate',
+    message: 'have an estimate',
+    check: task => Number(task.estimate_hours) > 0,
+  },
+  requires_checklists_done: {
+    label: 'Requires checklists done',
+    message: 'have every checklist item checked',
+    check: (task) => {
+      const { done, total } = getChecklistProgress(task.id);
+      return done === total;
+    },
+  },
+};
 
-  // Task row clicks - open detail panel
-  document.querySelectorAll('.task-row').forEach(row => {
-    row.addEventListener('click', (e) => {
-      // Don't open panel if clicking on interactive elements
-      if (e.target.closest('.task-status') ||
-          e.target.closest('.task-priority') ||
-          e.target.closest('.task-due-date') ||
-          e.target.closest('.task-labels') ||
-          e.target.closest('.add-icon-btn')) {
-        return;
-      }
-      const taskId = row.dataset.taskId;
-      if (taskId) {
-        openTaskPanel(taskId, slug);
-      }
-    }, { signal });
-  });
+const WIP_POLICIES = {
+  warn: 'Warn',
+  block: 'Block',
+};
 
-  // Board card clicks - open detail panel
-  document.querySelectorAll('.board-card').forEach(card => {
-    card.addEventListener('click', (e) => {
-      // Don't open panel if clicking on interactive elements
-      if (e.target.closest('.add-icon-btn') ||
-          e.target.closest('.board-card-priority-btn')) {
-        return;
-      }
-      const taskId = card.dataset.taskId;
-      if (taskId) {
-        openTaskPanel(taskId, slug);
-      }
-    }, { signal });
-  });
+// Who may perform a status transition, as offered in the transition matrix
+const TRANSITION_ACCESS = {
+  everyone: { label: 'Everyone', roles: ['owner', 'admin', 'member', 'guest'] },
+  members: { label: 'Members & above', roles: ['owner', 'admin', 'member'] },
+  admins: { label: 'Admins & owners', roles: ['owner', 'admin'] },
+  owners: { label: 'Owners only', roles: ['owner'] },
+  none: { label: 'Not allowed', roles: [] },
+};
 
-  // Task row "+" assignee button - opens searchable dropdown
-  document.querySelectorAll('.task-row .add-icon-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const taskId = btn.closest('.task-row')?.dataset.taskId;
-      if (taskId) {
-        const task = getTaskById(taskId);
-        showSearchableUserDropdown(btn, task?.assignee_id, (newAssigneeId) => {
-          updateTaskField(taskId, 'assignee_id', newAssigneeId, slug);
-          showToast('Assignee updated', 'success');
-        });
-      }
-    }, { signal });
-  });
+/**
+ * Roles allowed to move tasks from one status to another, or null when the
+ * source status has no transition rules and any move is allowed
+ */
+function getTransitionRoles(fromStatus, toStatusId) {
+  if (!fromStatus?.transitions) return null;
+  return fromStatus.transitions[toStatusId] || [];
+}
+
+/**
+ * Why the current user may not move a task between two statuses
+ * @returns {string|null} the explanation, or null when the move is allowed
+ */
+function getTransitionError(fromStatusId, toStatusId) {
+  if (!fromStatusId || fromStatusId === toStatusId) return null;
+
+  const from = getStatusById(fromStatusId);
+  const roles = getTransitionRoles(from, toStatusId);
+  if (!roles) return null;
+
+  const path = `from "${from.name}" to "${getStatusById(toStatusId)?.name || 'Unknown'}"`;
+  if (roles.length === 0) return `Tasks can't move ${path} in this workflow`;
+  if (!roles.includes(getCurrentUser()?.role)) {
+    return `Only ${roles.map(role => `${role}s`).join(' and ')} can move tasks ${path}`;
+  }
+  return null;
+}
+
+function getTransitionAccess(fromStatus, toStatusId) {
+  const roles = getTransitionRoles(fromStatus, toStatusId);
+  if (!roles) return 'everyone';
+  if (roles.includes('guest')) return 'everyone';
+  if (roles.includes('member')) return 'members';
+  if (roles.includes('admin')) return 'admins';
+  return roles.includes('owner') ? 'owners' : 'none';
+}
+
+/**
+ * Active (non-archived) tasks in a status, counted across the whole project
+ * rather than the filtered view
+ */
+function getStatusTaskCount(statusId, excludeTaskId = null) {
+  return state.tasks.filter(t =>
+    t.status_id === statusId && !t.is_archived && t.id !== excludeTaskId
+  ).length;
+}
+
+function isStatusOverLimit(status) {
+  return Number.isInteger(status.wip_limit) && status.wip_limit > 0 &&
+    getStatusTaskCount(status.id) > status.wip_limit;
+}
+
+/**
+ * Evaluate a status' entry rules and WIP limit, and the workflow transition,
+ * for a task about to enter it
+ * @returns {{missing: string[], overLimit: boolean, transitionError: string|null}}
+ *   unmet rule messages, whether the move would take the column past its
+ *   limit, and why the transition is not allowed
+ */
+function checkStatusEntry(task, status) {
+  const missing = (status.entry_rules || [])
+    .filter(rule => STATUS_ENTRY_RULES[rule] && !STATUS_ENTRY_RULES[rule].check(task))
+    .map(rule => STATUS_ENTRY_RULES[rule].message);
+
+  const limit = status.wip_limit;
+  const overLimit = Number.isInteger(limit) && limit > 0 &&
+    getStatusTaskCount(status.id, task.id) + 1 > limit;
+
+  return { missing, overLimit, transitionError: getTransitionError(task.status_id, status.id) };
+}
+
+/**
+ * Gate for every status change. Disallowed transitions, unmet entry rules and
+ * blocking WIP limits reject the move with an explanation, warning limits
+ * only notify.
+ */
+function canEnterStatus(task, statusId) {
+  const status = getStatusById(statusId);
+  if (!status || task.status_id === statusId) return true;
+
+  const { missing, overLimit, transitionError } = checkStatusEntry(task, status);
+
+  if (transitionError) {
+    showToast(transitionError, 'error');
+    return false;
+  }
+  if (missing.length > 0) {
+    showToast(`Tasks in "${status.name}" must ${missing.join(' and ')}`, 'error');
+    return false;
+  }
+  if (overLimit && status.wip_policy === 'block') {
+    showToast(`"${status.name}" is at its WIP limit of ${status.wip_limit}`, 'error');
+    return false;
+  }
+  if (overLimit) {
+    showToast(`"${status.name}" is over its WIP limit of ${status.wip_limit}`);
+  }
+  return true;
+}
+
+function renderWorkflowPolicies(status) {
+  const rules = status.entry_rules || [];
+
+  return `
+    <div class="workflow-item-policies">
+      <label class="workflow-policy-field">
+        <span>WIP limit</span>
+        <input type="number"
+               class="form-input workflow-policy-limit"
+               min="1"
+               step="1"
+               placeholder="None"
+               value="${status.wip_limit ?? ''}"
+               data-field="wip_limit">
+      </label>
+      <label class="workflow-policy-field">
+        <span>When exceeded</span>
+        <select class="form-select workflow-policy-select" data-field="wip_policy">
+          ${Object.entries(WIP_POLICIES).map(([value, label]) => `
+            <option value="${value}" ${(status.wip_policy || 'warn') === value ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+      </label>
+      <div class="workflow-policy-rules">
+        ${Object.entries(STATUS_ENTRY_RULES).map(([rule, { label }]) => `
+          <label class="workflow-policy-rule">
+            <input type="checkbox" data-entry-rule="${rule}" ${rules.includes(rule) ? 'checked' : ''}>
+            ${label}
+          </label>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function hasWorkflowPolicies(status) {
+  return Number.isInteger(status.wip_limit) || (status.entry_rules || []).length > 0;
+}
+
+function renderTransitionStatusName(status) {
+  return `
+    <span class="workflow-transition-status">
+      <span class="dropdown-item-dot" style="background: ${status.color}"></span>
+      <span data-transition-status-name="${status.id}">${escapeHtml(status.name)}</span>
+    </span>
+  `;
+}
+
+/**
+ * Transition matrix of the workflow modal: one row per current status, one
+ * column per new status, each cell picking who may make that move
+ */
+function renderWorkflowTransitions(statuses) {
+  const restricted = statuses.some(s => s.transitions);
+
+  return `
+    <label class="checkbox-label">
+      <input type="checkbox" class="checkbox-input" data-field="restrict-transitions" ${restricted ? 'checked' : ''}>
+      <span class="checkbox-custom"></span>
+      <span class="checkbox-text">Restrict status transitions</span>
+    </label>
+    <div class="workflow-transitions-matrix" ${restricted ? '' : 'hidden'}>
+      <p class="form-hint">Rows are the status a task is in, columns the status it moves to.</p>
+      <div class="workflow-transitions-scroll">
+        <table class="workflow-transitions-table">
+          <thead>
+            <tr>
+              <th></th>
+              ${statuses.map(to => `<th>${renderTransitionStatusName(to)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${statuses.map(from => `
+              <tr>
+                <th>${renderTransitionStatusName(from)}</th>
+                ${statuses.map(to => from.id === to.id ? '<td class="workflow-transition-self">—</td>' : `
+                  <td>
+                    <select class="form-select workflow-transition-select" data-from="${from.id}" data-to="${to.id}">
+                      ${Object.entries(TRANSITION_ACCESS).map(([value, { label }]) => `
+                        <option value="${value}" ${getTransitionAccess(from, to.id) === value ? 'selected' : ''}>${label}</option>
+                      `).join('')}
+                    </select>
+                  </td>
+                `).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
 
-  // Board card priority button - opens priority dropdown
-  document.querySelectorAll('.board-card-priority-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const taskId = btn.closest('.board-card')?.dataset.taskId;
-      if (taskId) {
-        showPriorityDropdown(taskId, btn, slug);
-      }
-    }, { signal });
+/**
+ * Transition rules of a status as edited in the matrix. Moves nobody may
+ * make are left out.
+ */
+function readWorkflowTransitions(statusId) {
+  const transitions = {};
+  document.querySelectorAll(`.workflow-transition-select[data-from="${statusId}"]`).forEach(select => {
+    const roles = TRANSITION_ACCESS[select.value]?.roles || [];
+    if (roles.length > 0) transitions[select.dataset.to] = [...roles];
   });
+  return transitions;
+}
 
-  // Board card assignee button - opens searchable dropdown
-  document.querySelectorAll('.board-card .add-icon-btn[title="Assign"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const taskId = btn.closest('.board-card')?.dataset.taskId;
-      if (taskId) {
-        const task = getTaskById(taskId);
-        showSearchableUserDropdown(btn, task?.assignee_id, (newAssigneeId) => {
-          updateTaskField(taskId, 'assignee_id', newAssigneeId, slug);
-          showToast('Assignee updated', 'success');
-        });
-      }
-    }, { signal });
-  });
+// ==========================================================================
+// Manage Workflow Modal
+// ==========================================================================
 
-  // Files view event listeners
-  attachFilesEventListeners(slug);
+// Use centralized WORKFLOW_COLORS from the color system
+const workflowColors = WORKFLOW_COLORS;
 
-  // Members view event listeners
-  attachMembersEventListeners(slug);
+// Tasks listed in the delete/merge status popover before "and N more"
+const STATUS_MIGRATION_PREVIEW_LIMIT = 5;
 
-  // Settings view event listeners
-  attachSettingsEventListeners(slug);
+function showManageWorkflowModal(projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-  // Insights view event listeners
-  attachInsightsEventListeners(slug);
+  const statuses = getStatusesForProject(project.id);
 
-  // Roadmap view event listeners
-  attachRoadmapEventListeners(slug);
+  const bodyHtml = `
+    <p style="color: var(--color-gray-600); font-size: var(--font-size-sm); margin-bottom: var(--spacing-4);">
+      Customize your workflow stages. Tasks will move through these statuses from left to right.
+    </p>
+    <div class="workflow-list" id="workflow-list">
+      ${statuses.map(status => renderWorkflowItem(status)).join('')}
+    </div>
+    <button class="workflow-add-status" data-action="add-status">
+      ${icons.plus} Add Status
+    </button>
+    <div class="workflow-transitions" id="workflow-transitions">
+      ${renderWorkflowTransitions(statuses)}
+    </div>
+  `;
 
-  // Initialize drag and drop for tasks
-  initDragAndDrop(slug);
+  const footerHtml = `
+    <button class="btn-secondary" data-action="close-modal">Cancel</button>
+    <button class="btn-primary" data-action="save-workflow" data-project-slug="${projectSlug}">
+      Save Changes
+    </button>
+  `;
+
+  showModal('Manage Workflow', bodyHtml, footerHtml);
+  attachWorkflowModalListeners(projectSlug);
 }
 
-function attachFilesEventListeners(slug) {
-  const project = getProjectBySlug(slug);
+function renderWorkflowItem(status) {
+  const categoryLabel = status.category === 'done' ? 'Done' :
+                        status.category === 'in_progress' ? 'Active' : 'Not Started';
+
+  return `
+    <div class="workflow-item" data-status-id="${status.id}">
+      <span class="workflow-item-drag" title="Drag to reorder">
+        ${icons.grip}
+      </span>
+      <div class="workflow-item-color"
+           style="background: ${status.color}"
+           data-action="change-color"
+           data-status-id="${status.id}"
+           title="Change color"></div>
+      <input type="text"
+             class="workflow-item-input"
+             value="${escapeHtml(status.name)}"
+             data-status-id="${status.id}"
+             data-field="name">
+      <select class="workflow-item-category"
+              data-status-id="${status.id}"
+              data-field="category"
+              style="cursor: pointer;">
+        <option value="backlog" ${status.category === 'backlog' ? 'selected' : ''}>Backlog</option>
+        <option value="todo" ${status.category === 'todo' ? 'selected' : ''}>Not Started</option>
+        <option value="in_progress" ${status.category === 'in_progress' ? 'selected' : ''}>Active</option>
+        <option value="done" ${status.category === 'done' ? 'selected' : ''}>Done</option>
+        <option value="cancelled" ${status.category === 'cancelled' ? 'selected' : ''}>Cancelled</option>
+      </select>
+      <button class="workflow-item-policy-toggle ${hasWorkflowPolicies(status) ? 'active' : ''}"
+              data-action="toggle-policies"
+              title="WIP limit & entry rules">
+        ${icons.settings}
+      </button>
+      <button class="workflow-item-merge"
+              data-action="merge-status"
+              data-status-id="${status.id}"
+              title="Merge into another status">
+        ${icons.merge}
+      </button>
+      <button class="workflow-item-delete"
+              data-action="delete-status"
+              data-status-id="${status.id}"
+              title="Delete status">
+        ${icons.trash}
+      </button>
+      ${renderWorkflowPolicies(status)}
+    </div>
+  `;
+}
+
+function attachWorkflowModalListeners(projectSlug) {
+  const project = getProjectBySlug(projectSlug);
   if (!project) return;
 
-  const signal = getViewSignal();
-  const files = getFilesForProject(project.id);
+  // Close button
+  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
+    btn.addEventListener('click', closeModal);
+  });
 
-  // Select all checkbox
-  document.querySelectorAll('[data-action="select-all"]').forEach(el => {
-    el.addEventListener('click', () => {
-      if (state.selectedFiles.size === files.length) {
-        // Deselect all
-        state.selectedFiles.clear();
-      } else {
-        // Select all
-        files.forEach(f => state.selectedFiles.add(f.id));
-      }
-      renderProjectDetail(slug);
-    }, { signal });
+  // Save button
+  document.querySelectorAll('[data-action="save-workflow"]').forEach(btn => {
+    btn.addEventListener('click', () => saveWorkflowChanges(projectSlug));
   });
 
-  // Individual file checkbox
-  document.querySelectorAll('[data-action="toggle-file"]').forEach(el => {
+  // Add status button
+  document.querySelectorAll('[data-action="add-status"]').forEach(btn => {
+    btn.addEventListener('click', () => addNewStatus(projectSlug));
+  });
+
+  // Color change
+  document.querySelectorAll('[data-action="change-color"]').forEach(el => {
     el.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const fileId = el.dataset.fileId;
-      if (state.selectedFiles.has(fileId)) {
-        state.selectedFiles.delete(fileId);
-      } else {
-        state.selectedFiles.add(fileId);
-      }
-      renderProjectDetail(slug);
-    }, { signal });
+      const statusId = el.dataset.statusId;
+      showWorkflowColorPicker(el, statusId, projectSlug);
+    });
   });
 
-  // Bulk actions
-  document.querySelectorAll('[data-action="download-selected"]').forEach(btn => {
+  // Show/hide the WIP limit and entry rule settings of a status
+  document.querySelectorAll('[data-action="toggle-policies"]').forEach(btn => {
     btn.addEventListener('click', () => {
-      alert(`Downloading ${state.selectedFiles.size} files (demo only)`);
-    }, { signal });
+      btn.closest('.workflow-item')?.classList.toggle('policies-open');
+    });
   });
 
-  document.querySelectorAll('[data-action="delete-selected"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      if (confirm(`Delete ${state.selectedFiles.size} selected files?`)) {
-        state.selectedFiles.clear();
-        renderProjectDetail(slug);
-      }
-    }, { signal });
+  // Delete status, or merge it into another one
+  document.querySelectorAll('[data-action="delete-status"], [data-action="merge-status"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const mode = btn.dataset.action === 'merge-status' ? 'merge' : 'delete';
+      showStatusMigrationDropdown(btn, btn.dataset.statusId, projectSlug, mode);
+    });
   });
 
-  // Upload Files button - opens modal
-  document.querySelectorAll('[data-action="open-upload-modal"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      showUploadFilesModal(slug);
-    }, { signal });
+  // Show/hide the transition matrix
+  document.querySelectorAll('[data-field="restrict-transitions"]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const matrix = document.querySelector('.workflow-transitions-matrix');
+      if (matrix) matrix.hidden = !checkbox.checked;
+    });
   });
 
-  // Pagination controls
-  const pagination = document.querySelector('[data-pagination-type="files"]');
-  if (pagination) {
-    pagination.querySelector('[data-action="prev-page"]')?.addEventListener('click', () => {
-      if (state.filesPagination.page > 1) {
-        state.filesPagination.page--;
-        renderProjectDetail(slug);
+  // Keep the transition matrix headers in step with renamed statuses
+  document.querySelectorAll('.workflow-item-input').forEach(input => {
+    input.addEventListener('input', () => {
+      document.querySelectorAll(`[data-transition-status-name="${input.dataset.statusId}"]`).forEach(el => {
+        el.textContent = input.value.trim() || 'Untitled';
+      });
+    });
+  });
+
+  // Name change (live update on blur)
+  document.querySelectorAll('.workflow-item-input').forEach(input => {
+    input.addEventListener('blur', () => {
+      const statusId = input.dataset.statusId;
+      const status = getStatusById(statusId);
+      if (status) {
+        status.name = input.value.trim() || 'Untitled';
       }
-    }, { signal });
+    });
+  });
 
-    pagination.querySelector('[data-action="next-page"]')?.addEventListener('click', () => {
-      state.filesPagination.page++;
-      renderProjectDetail(slug);
-    }, { signal });
+  // Category change
+  document.querySelectorAll('.workflow-item-category').forEach(select => {
+    select.addEventListener('change', () => {
+      const statusId = select.dataset.statusId;
+      const status = getStatusById(statusId);
+      if (status) {
+        status.category = select.value;
+      }
+    });
+  });
+}
 
-    pagination.querySelector('[data-action="change-page-size"]')?.addEventListener('change', (e) => {
-      state.filesPagination.pageSize = parseInt(e.target.value);
-      state.filesPagination.page = 1; // Reset to first page
-      renderProjectDetail(slug);
-    }, { signal });
+/**
+ * Re-render the status list and transition matrix of an open workflow modal.
+ * With keepMatrixEdits, unsaved matrix selections survive the redraw (e.g.
+ * when a status is added or deleted mid-edit).
+ */
+function redrawWorkflowModal(projectSlug, keepMatrixEdits = false) {
+  const project = getProjectBySlug(projectSlug);
+  const list = document.getElementById('workflow-list');
+  if (!project || !list) return;
+
+  const restrictToggle = document.querySelector('[data-field="restrict-transitions"]');
+  const pendingRestrict = restrictToggle?.checked;
+  const pendingAccess = new Map([...document.querySelectorAll('.workflow-transition-select')]
+    .map(select => [`${select.dataset.from}/${select.dataset.to}`, select.value]));
+
+  const statuses = getStatusesForProject(project.id);
+  list.innerHTML = statuses.map(status => renderWorkflowItem(status)).join('');
+  const transitions = document.getElementById('workflow-transitions');
+  if (transitions) {
+    transitions.innerHTML = renderWorkflowTransitions(statuses);
+    if (keepMatrixEdits && restrictToggle) {
+      transitions.querySelector('[data-field="restrict-transitions"]').checked = pendingRestrict;
+      transitions.querySelector('.workflow-transitions-matrix').hidden = !pendingRestrict;
+      transitions.querySelectorAll('.workflow-transition-select').forEach(select => {
+        const value = pendingAccess.get(`${select.dataset.from}/${select.dataset.to}`);
+        if (value) select.value = value;
+      });
+    }
   }
+  attachWorkflowModalListeners(projectSlug);
+}
 
-  // File preview - clicking on file name opens preview panel
-  document.querySelectorAll('[data-action="preview-file"]').forEach(el => {
-    el.addEventListener('click', (e) => {
-      e.preventDefault();
-      const fileId = el.dataset.fileId;
-      openFilePreview(fileId, slug);
-    }, { signal });
-  });
+function addNewStatus(projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const statuses = getStatusesForProject(project.id);
+  const maxOrder = statuses.reduce((max, s) => Math.max(max, s.sort_order || 0), 0);
+
+  const newStatus = {
+    id: generateId('status'),
+    project_id: project.id,
+    name: 'New Status',
+    color: workflowColors[statuses.length % workflowColors.length],
+    category: 'todo',
+    sort_order: maxOrder + 1,
+    wip_limit: null,
+    wip_policy: 'warn',
+    entry_rules: [],
+    transitions: null
+  };
+
+  // In a restricted workflow, anyone may move tasks into and out of the new
+  // status until the matrix says otherwise
+  const restricted = statuses.filter(s => s.transitions);
+  if (restricted.length > 0) {
+    newStatus.transitions = Object.fromEntries(statuses.map(s => [s.id, [...TRANSITION_ACCESS.everyone.roles]]));
+    restricted.forEach(s => {
+      s.transitions = { ...s.transitions, [newStatus.id]: [...TRANSITION_ACCESS.everyone.roles] };
+    });
+  }
+
+  state.statuses.push(newStatus);
+  persistRecords('statuses', [newStatus, ...restricted]);
+  redrawWorkflowModal(projectSlug, true);
+
+  showToast('Status added', 'success');
 }
 
-function attachMembersEventListeners(slug) {
-  const project = getProjectBySlug(slug);
-  if (!project) return;
+/**
+ * Popover for deleting a status that tasks still use, or merging it into
+ * another one: pick the target status and see which tasks will move
+ */
+function showStatusMigrationDropdown(button, statusId, projectSlug, mode) {
+  const project = getProjectBySlug(projectSlug);
+  const status = getStatusById(statusId);
+  if (!project || !status) return;
 
-  const signal = getViewSignal();
-  const tasks = getTasksForProject(project.id);
-  const memberIds = [...new Set(tasks.map(t => t.assignee_id).filter(Boolean))];
-  const members = memberIds.map(id => getUserById(id)).filter(Boolean);
+  const merge = mode === 'merge';
+  const targets = getStatusesForProject(project.id).filter(s => s.id !== statusId);
+  const tasks = state.tasks.filter(t => t.status_id === statusId);
 
-  // Select all members checkbox
-  document.querySelectorAll('[data-action="select-all-members"]').forEach(el => {
-    el.addEventListener('click', () => {
-      if (state.selectedMembers.size === members.length) {
-        // Deselect all
-        state.selectedMembers.clear();
-      } else {
-        // Select all
-        members.forEach(m => state.selectedMembers.add(m.id));
-      }
-      renderProjectDetail(slug);
-    }, { signal });
-  });
+  if (targets.length === 0) {
+    showToast(merge ? 'There is no other status to merge into' : 'Cannot delete the last status', 'error');
+    return;
+  }
+  if (!merge && tasks.length === 0) {
+    deleteWorkflowStatus(statusId, projectSlug);
+    return;
+  }
 
-  // Individual member checkbox
-  document.querySelectorAll('[data-action="toggle-member"]').forEach(el => {
-    el.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const memberId = el.dataset.memberId;
-      if (state.selectedMembers.has(memberId)) {
-        state.selectedMembers.delete(memberId);
-      } else {
-        state.selectedMembers.add(memberId);
-      }
-      renderProjectDetail(slug);
-    }, { signal });
+  const preview = tasks.slice(0, STATUS_MIGRATION_PREVIEW_LIMIT);
+  const dropdown = createDropdown({
+    id: 'status-migration-dropdown',
+    anchor: button,
+    className: 'status-migration-dropdown',
+    content: `
+      <div class="status-migration-title">${merge ? 'Merge' : 'Delete'} "${escapeHtml(status.name)}"</div>
+      <p class="status-migration-count">
+        ${tasks.length === 0 ? 'No tasks use this status.' : `${pluralizeTasks(tasks.length)} ${tasks.length === 1 ? 'uses' : 'use'} this status.`}
+      </p>
+      ${preview.length > 0 ? `
+        <ul class="status-migration-preview">
+          ${preview.map(task => `
+            <li>
+              <span class="status-migration-key">${escapeHtml(`${project.identifier}-${task.sequence_id}`)}</span>
+              <span class="status-migration-task">${escapeHtml(task.title)}</span>
+              ${task.is_archived ? '<span class="status-migration-archived">Archived</span>' : ''}
+            </li>
+          `).join('')}
+          ${tasks.length > preview.length ? `<li class="status-migration-more">and ${tasks.length - preview.length} more</li>` : ''}
+        </ul>
+      ` : ''}
+      <label class="form-label" for="status-migration-target">${merge ? 'Merge into' : 'Move tasks to'}</label>
+      <select class="form-select" id="status-migration-target">
+        ${targets.map(target => `
+          <option value="${target.id}" ${target.is_default ? 'selected' : ''}>${escapeHtml(target.name)}</option>
+        `).join('')}
+      </select>
+      ${merge ? '<p class="form-hint">Transition rules into and out of this status carry over to the target.</p>' : ''}
+      <div class="status-migration-actions">
+        <button class="btn-secondary" data-action="cancel-status-migration">Cancel</button>
+        <button class="btn-primary" data-action="confirm-status-migration">${merge ? 'Merge' : 'Delete status'}</button>
+      </div>
+    `
   });
+  if (!dropdown) return;
 
-  // Delete members action
-  document.querySelectorAll('[data-action="delete-members"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      if (confirm(`Remove ${state.selectedMembers.size} selected members from project?`)) {
-        state.selectedMembers.clear();
-        renderProjectDetail(slug);
-      }
-    }, { signal });
+  addListeners(dropdown, '[data-action="cancel-status-migration"]', 'click', closeDropdown);
+  addListeners(dropdown, '[data-action="confirm-status-migration"]', 'click', () => {
+    const targetId = dropdown.querySelector('#status-migration-target').value;
+    closeDropdown();
+    deleteWorkflowStatus(statusId, projectSlug, targetId, merge);
   });
+}
 
-  // Pagination controls
-  const pagination = document.querySelector('[data-pagination-type="members"]');
-  if (pagination) {
-    pagination.querySelector('[data-action="prev-page"]')?.addEventListener('click', () => {
-      if (state.membersPagination.page > 1) {
-        state.membersPagination.page--;
-        renderProjectDetail(slug);
-      }
-    }, { signal });
+/**
+ * Remove a status. Its tasks move to the target status first, so no task is
+ * left pointing at a deleted status. Transition rules into the removed status
+ * are dropped, or redirected to the target when merging; merging also adds
+ * the removed status' own transition rules to the target's.
+ */
+function deleteWorkflowStatus(statusId, projectSlug, targetStatusId = null, merge = false) {
+  const project = getProjectBySlug(projectSlug);
+  const status = getStatusById(statusId);
+  if (!project || !status) return;
 
-    pagination.querySelector('[data-action="next-page"]')?.addEventListener('click', () => {
-      state.membersPagination.page++;
-      renderProjectDetail(slug);
-    }, { signal });
+  const statuses = getStatusesForProject(project.id);
 
-    pagination.querySelector('[data-action="change-page-size"]')?.addEventListener('change', (e) => {
-      state.membersPagination.pageSize = parseInt(e.target.value);
-      state.membersPagination.page = 1; // Reset to first page
-      renderProjectDetail(slug);
-    }, { signal });
+  // Don't allow deleting if only 1 status remains
+  if (statuses.length <= 1) {
+    showToast('Cannot delete the last status', 'error');
+    return;
   }
 
-  // Add User button - opens invite modal
-  document.querySelectorAll('[data-action="add-member"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const projectSlug = btn.dataset.projectSlug;
-      showInviteMemberModal(projectSlug);
-    }, { signal });
-  });
+  const target = statuses.find(s => s.id === targetStatusId && s.id !== statusId);
+  const tasks = state.tasks.filter(t => t.status_id === statusId);
+  if (!target && (tasks.length > 0 || merge)) {
+    showToast('Choose the status to move its tasks to', 'error');
+    return;
+  }
 
-  // Edit User button - opens edit modal for selected member
-  document.querySelectorAll('[data-action="edit-member"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      if (state.selectedMembers.size !== 1) return;
-      const memberId = [...state.selectedMembers][0];
-      const projectSlug = btn.dataset.projectSlug;
-      showEditMemberModal(memberId, projectSlug);
-    }, { signal });
-  });
-}
+  if (tasks.length > 0) {
+    const now = new Date().toISOString();
+    tasks.forEach(task => {
+      recordActivity(task, 'updated', 'status_id', statusId, target.id);
+      task.status_id = target.id;
+      task.updated_at = now;
+      syncStatusTimestamps(task, statusId);
+    });
+    persistRecords('tasks', tasks);
+  }
 
-function attachSettingsEventListeners(slug) {
-  const project = getProjectBySlug(slug);
-  if (!project) return;
+  const addRoles = (roles, extra) => [...new Set([...(roles || []), ...extra])];
+  const changed = new Set();
+  statuses.forEach(s => {
+    if (s.id === statusId || !s.transitions?.[statusId]) return;
+    const { [statusId]: roles, ...transitions } = s.transitions;
+    if (merge && s.id !== target.id) transitions[target.id] = addRoles(transitions[target.id], roles);
+    s.transitions = transitions;
+    changed.add(s);
+  });
+  if (merge && status.transitions && target.transitions) {
+    Object.entries(status.transitions).forEach(([toId, roles]) => {
+      if (toId !== target.id) target.transitions[toId] = addRoles(target.transitions[toId], roles);
+    });
+    changed.add(target);
+  }
+  if (status.is_default) {
+    const nextDefault = target || statuses.find(s => s.id !== statusId);
+    nextDefault.is_default = true;
+    changed.add(nextDefault);
+  }
+  persistRecords('statuses', [...changed]);
+
+  // Saved views and the current filter follow the tasks to the target, or
+  // drop their condition on the status when nothing moved
+  const replacementId = tasks.length > 0 || merge ? target.id : null;
+  const views = state.views.filter(v =>
+    v.project_id === project.id && v.filters && remapStatusFilter(v.filters, statusId, replacementId)
+  );
+  persistRecords('views', views);
+  const taskFilter = state.taskFilters[project.id];
+  if (taskFilter && remapStatusFilter(taskFilter, statusId, replacementId) && Object.keys(taskFilter).length === 0) {
+    delete state.taskFilters[project.id];
+  }
 
-  const signal = getViewSignal();
+  // Remove status
+  const index = state.statuses.findIndex(s => s.id === statusId);
+  if (index !== -1) {
+    state.statuses.splice(index, 1);
+  }
+  removeRecords('statuses', statusId);
+  redrawWorkflowModal(projectSlug, true);
 
-  // Color picker
-  document.querySelectorAll('.color-swatch--lg').forEach(btn => {
-    btn.addEventListener('click', () => {
-      // Update visual selection
-      document.querySelectorAll('.color-swatch--lg').forEach(b => {
-        b.classList.remove('active');
-        b.innerHTML = '';
-      });
-      btn.classList.add('active');
-      btn.innerHTML = icons.check;
-    }, { signal });
-  });
+  if (merge) {
+    showToast(`Merged "${status.name}" into "${target.name}"`, 'success');
+  } else {
+    showToast(tasks.length > 0 ? `Status deleted, ${pluralizeTasks(tasks.length)} moved to "${target.name}"` : 'Status deleted', 'success');
+  }
+}
 
-  // Default view toggle
-  document.querySelectorAll('[data-default-view]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('[data-default-view]').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-    }, { signal });
+/**
+ * Update the status_id conditions of a View.filters object (including nested
+ * $and / $or clauses) for a deleted status. `eq` / `in` conditions move to
+ * replacementId, or match nothing when it is null; `neq` / `not_in` just drop
+ * the status. Edits the filter in place.
+ * @returns {boolean} whether the filter changed
+ */
+function remapStatusFilter(filter, statusId, replacementId) {
+  let changed = false;
+
+  ['$and', '$or'].forEach(group => {
+    if (!Array.isArray(filter[group])) return;
+    const clauses = filter[group].filter(clause => {
+      if (remapStatusFilter(clause, statusId, replacementId)) changed = true;
+      return Object.keys(clause).length > 0;
+    });
+    if (clauses.length > 0) {
+      filter[group] = clauses;
+    } else {
+      delete filter[group];
+    }
   });
 
-  // Save settings button
-  const saveBtn = document.getElementById('save-settings');
-  if (saveBtn) {
-    saveBtn.addEventListener('click', () => {
-      const name = document.getElementById('project-name')?.value?.trim();
-      const description = document.getElementById('project-description')?.value?.trim();
-      const identifier = document.getElementById('project-identifier')?.value?.trim().toUpperCase();
-      const selectedColor = document.querySelector('.color-swatch--lg.active')?.dataset.color;
-      const defaultView = document.querySelector('[data-default-view].active')?.dataset.defaultView;
-
-      // Validation
-      if (!name) {
-        showToast('Project name is required', 'error');
-        return;
-      }
-      if (!identifier) {
-        showToast('Project identifier is required', 'error');
-        return;
-      }
-      if (identifier.length > 5) {
-        showToast('Identifier must be 5 characters or less', 'error');
-        return;
-      }
+  const condition = filter.status_id;
+  if (condition && typeof condition === 'object') {
+    let matchesNothing = false;
 
-      // Update project
-      project.name = name;
-      project.description = description;
-      project.identifier = identifier;
-      if (selectedColor) project.color = selectedColor;
-      if (defaultView) project.default_view = defaultView;
-      project.updated_at = new Date().toISOString();
+    Object.entries(condition).forEach(([operator, value]) => {
+      const ids = [].concat(value);
+      if (!ids.includes(statusId)) return;
+      changed = true;
+      delete condition[operator];
 
-      // Update slug if name changed
-      const newSlug = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
-      if (newSlug !== project.slug) {
-        project.slug = newSlug;
-        // Navigate to new slug
-        window.location.hash = `#/projects/${newSlug}`;
+      if (operator === 'eq' || operator === 'in') {
+        const next = [...new Set(ids.map(id => (id === statusId ? replacementId : id)).filter(Boolean))];
+        if (next.length === 0) {
+          // Dropping the condition would widen the filter (or a whole $or)
+          matchesNothing = true;
+        } else {
+          condition[operator] = operator === 'eq' ? next[0] : next;
+        }
+      } else {
+        const rest = ids.filter(id => id !== statusId);
+        if (rest.length > 0) condition[operator] = rest;
       }
+    });
 
-      showToast('Project settings saved', 'success');
-      renderProjectDetail(project.slug);
-    }, { signal });
+    if (matchesNothing) condition.in = [];
+    if (Object.keys(condition).length === 0) delete filter.status_id;
   }
 
-  // Archive/Restore toggle
-  const archiveBtn = document.getElementById('toggle-archive');
-  if (archiveBtn) {
-    archiveBtn.addEventListener('click', () => {
-      project.is_archived = !project.is_archived;
-      project.updated_at = new Date().toISOString();
+  return changed;
+}
 
-      if (project.is_archived) {
-        showToast('Project archived', 'success');
-      } else {
-        showToast('Project restored', 'success');
+function showWorkflowColorPicker(targetElement, statusId, projectSlug) {
+  // Remove existing picker
+  const existingPicker = document.getElementById('workflow-color-picker');
+  if (existingPicker) existingPicker.remove();
+
+  const status = getStatusById(statusId);
+  if (!status) return;
+
+  const picker = document.createElement('div');
+  picker.id = 'workflow-color-picker';
+  picker.className = 'workflow-color-picker';
+  picker.innerHTML = workflowColors.map(color => `
+    <div class="color-swatch color-swatch--sm ${color === status.color ? 'selected' : ''}"
+         style="background: ${color}"
+         data-color="${color}"></div>
+  `).join('');
+
+  // Position picker
+  const rect = targetElement.getBoundingClientRect();
+  picker.style.top = `${rect.bottom + 4}px`;
+  picker.style.left = `${rect.left}px`;
+
+  document.body.appendChild(picker);
+
+  // Handle color selection
+  picker.querySelectorAll('.color-swatch--sm').forEach(option => {
+    option.addEventListener('click', () => {
+      const newColor = option.dataset.color;
+      status.color = newColor;
+      targetElement.style.background = newColor;
+      picker.remove();
+    });
+  });
+
+  // Close on outside click
+  setTimeout(() => {
+    document.addEventListener('click', function closePicker(e) {
+      if (!picker.contains(e.target) && e.target !== targetElement) {
+        picker.remove();
+        document.removeEventListener('click', closePicker);
+      }
+    });
+  }, 10);
+}
+
+function saveWorkflowChanges(projectSlug) {
+  // Collect all changes from the form
+  const items = document.querySelectorAll('.workflow-item');
+  const restrictTransitions = document.querySelector('[data-field="restrict-transitions"]')?.checked;
+  items.forEach((item, index) => {
+    const statusId = item.dataset.statusId;
+    const status = getStatusById(statusId);
+    if (status) {
+      const input = item.querySelector('.workflow-item-input');
+      const select = item.querySelector('.workflow-item-category');
+      if (input) status.name = input.value.trim() || 'Untitled';
+      if (select && select.value !== status.category) {
+        status.category = select.value;
+        const tasks = state.tasks.filter(t => t.status_id === status.id);
+        tasks.forEach(t => syncStatusTimestamps(t, null));
+        persistRecords('tasks', tasks);
       }
-      renderProjectDetail(slug);
-    }, { signal });
-  }
+      status.sort_order = index + 1;
 
-  // Delete project button
-  const deleteBtn = document.getElementById('delete-project');
-  if (deleteBtn) {
-    deleteBtn.addEventListener('click', () => {
-      showDeleteProjectModal(project, slug);
-    }, { signal });
+      const limit = parseInt(item.querySelector('[data-field="wip_limit"]')?.value, 10);
+      status.wip_limit = limit > 0 ? limit : null;
+      status.wip_policy = item.querySelector('[data-field="wip_policy"]')?.value || 'warn';
+      status.entry_rules = [...item.querySelectorAll('[data-entry-rule]:checked')]
+        .map(checkbox => checkbox.dataset.entryRule);
+      status.transitions = restrictTransitions ? readWorkflowTransitions(statusId) : null;
+    }
+  });
+
+  const project = getProjectBySlug(projectSlug);
+  if (project) {
+    persistRecords('statuses', getStatusesForProject(project.id));
   }
+
+  closeModal();
+  showToast('Workflow updated successfully', 'success');
+  renderProjectDetail(projectSlug);
 }
 
-function showDeleteProjectModal(project, slug) {
-  const modal = document.createElement('div');
-  modal.className = 'modal-overlay';
-  modal.id = 'delete-project-modal';
-  modal.innerHTML = `
-    <div class="modal delete-modal">
-      <div class="modal-header">
-        <h2 class="modal-title">Delete Project</h2>
-        <button class="modal-close" data-action="close-modal">
-          ${icons.close}
-        </button>
-      </div>
-      <div class="modal-body">
-        <div class="delete-warning">
-          <div class="delete-warning-icon">
-            ${icons.warning || '<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#ef4444" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'}
-          </div>
-          <p class="delete-warning-text">
-            Are you sure you want to delete <strong>${escapeHtml(project.name)}</strong>?
-          </p>
-          <p class="delete-warning-details">
-            This will permanently delete:
-          </p>
-          <ul class="delete-warning-list">
-            <li>All tasks in this project</li>
-            <li>All files and attachments</li>
-            <li>All comments and activity</li>
-          </ul>
-          <p class="delete-warning-confirm">
-            This action cannot be undone.
-          </p>
-        </div>
-        <div class="delete-confirm-input">
-          <label>Type <strong>${escapeHtml(project.name)}</strong> to confirm:</label>
-          <input type="text" id="delete-confirm-text" placeholder="Project name">
-        </div>
-      </div>
-      <div class="modal-footer">
-        <button class="btn-secondary" data-action="close-modal">Cancel</button>
-        <button class="btn-danger" id="confirm-delete" disabled>Delete Project</button>
-      </div>
-    </div>
+// ==========================================================================
+// Status Change Dropdown
+// ==========================================================================
+
+/**
+ * Status option for a task's status dropdown. Statuses the workflow does not
+ * allow are dimmed and explain why in their tooltip; picking one still goes
+ * through canEnterStatus, which shows the same explanation.
+ */
+function renderStatusDropdownItem(task, status, dataKey) {
+  const transitionError = getTransitionError(task.status_id, status.id);
+  return `
+    <button class="dropdown-item ${status.id === task.status_id ? 'active' : ''} ${transitionError ? 'unavailable' : ''}"
+            data-${dataKey}="${status.id}"
+            ${transitionError ? `title="${escapeHtml(transitionError)}"` : ''}>
+      <span class="dropdown-item-dot" style="background: ${status.color}"></span>
+      ${escapeHtml(status.name)}
+    </button>
   `;
+}
 
-  document.body.appendChild(modal);
+function showStatusDropdown(taskId, buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-  // Enable delete button only when project name matches
-  const confirmInput = document.getElementById('delete-confirm-text');
-  const confirmBtn = document.getElementById('confirm-delete');
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  confirmInput.addEventListener('input', () => {
-    confirmBtn.disabled = confirmInput.value !== project.name;
-  });
+  const statuses = getStatusesForProject(project.id);
 
-  // Close modal handlers
-  modal.querySelectorAll('[data-action="close-modal"]').forEach(el => {
-    el.addEventListener('click', () => {
-      modal.remove();
-    });
+  const dropdown = createDropdown({
+    id: 'status-dropdown',
+    anchor: buttonElement,
+    toggle: false,
+    content: statuses.map(status => renderStatusDropdownItem(task, status, 'status-id')).join('')
   });
 
-  modal.addEventListener('click', (e) => {
-    if (e.target === modal) {
-      modal.remove();
-    }
+  if (!dropdown) return;
+
+  addListeners(dropdown, '[data-status-id]', 'click', (item) => {
+    updateTaskStatus(taskId, item.dataset.statusId, projectSlug);
   });
+}
 
-  // Delete confirm handler
-  confirmBtn.addEventListener('click', () => {
-    if (confirmInput.value === project.name) {
-      // Remove project from state
-      const index = state.projects.findIndex(p => p.id === project.id);
-      if (index !== -1) {
-        state.projects.splice(index, 1);
-      }
+function showGroupByDropdown(buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-      // Remove related tasks
-      state.tasks = state.tasks.filter(t => t.project_id !== project.id);
+  const currentGroupBy = state.projectGroupBy[project.id] || 'none';
+  const groupByOptions = [
+    { value: 'none', label: 'None' },
+    { value: 'status', label: 'Status' },
+    { value: 'priority', label: 'Priority' },
+    { value: 'assignee', label: 'Assignee' },
+    ...getCustomFieldsForProject(project.id)
+      .filter(field => CUSTOM_FIELD_GROUPABLE_TYPES.includes(field.type))
+      .map(field => ({ value: getCustomFieldKey(field), label: escapeHtml(field.name) }))
+  ];
 
-      // Remove related files
-      state.files = state.files.filter(f => f.project_id !== project.id);
+  const dropdown = createDropdown({
+    id: 'group-by-dropdown',
+    anchor: buttonElement,
+    content: groupByOptions.map(option => `
+      <button class="dropdown-item ${option.value === currentGroupBy ? 'active' : ''}"
+              data-group-by="${option.value}">
+        ${option.label}
+        ${option.value === currentGroupBy ? `<span class="dropdown-item-check">${icons.check}</span>` : ''}
+      </button>
+    `).join('')
+  });
 
-      modal.remove();
-      showToast('Project deleted successfully', 'success');
+  if (!dropdown) return;
 
-      // Navigate to projects list
-      window.location.hash = '#/projects';
-    }
+  addListeners(dropdown, '[data-group-by]', 'click', (item) => {
+    const newGroupBy = item.dataset.groupBy;
+    state.projectGroupBy[project.id] = newGroupBy;
+    state.collapsedGroups.clear();
+    closeDropdown();
+    renderProjectDetail(projectSlug);
+    showToast(`Grouped by ${getCustomFieldForKey(newGroupBy)?.name || newGroupBy}`, 'success');
   });
-
-  // Focus the input
-  confirmInput.focus();
 }
 
-function attachInsightsEventListeners(slug) {
-  const project = getProjectBySlug(slug);
+function showSortDropdown(buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
   if (!project) return;
 
-  const signal = getViewSignal();
+  const currentSort = getProjectSort(project.id);
+  const sortOptions = [
+    { field: 'manual', label: 'Manual' },
+    { field: 'title', label: 'Title' },
+    { field: 'priority', label: 'Priority' },
+    { field: 'dueDate', label: 'Due Date' },
+    { field: 'created', label: 'Created' },
+    { field: 'updated', label: 'Updated' },
+    ...getCustomFieldsForProject(project.id).map(field => ({ field: getCustomFieldKey(field), label: field.name }))
+  ];
 
-  // Insights tab switching
-  document.querySelectorAll('.insights-tab').forEach(tab => {
-    tab.addEventListener('click', () => {
-      const tabName = tab.dataset.insightsTab;
-      state.currentInsightsTab = tabName;
-      renderProjectDetail(slug);
-    }, { signal });
+  const dropdown = createDropdown({
+    id: 'sort-dropdown',
+    anchor: buttonElement,
+    content: sortOptions.map(option => {
+      const isActive = option.field === currentSort.field;
+      const directionIcon = isActive && option.field !== 'manual'
+        ? (currentSort.direction === 'asc' ? icons.arrowUp : icons.arrowDown)
+        : '';
+      return `
+        <button class="dropdown-item ${isActive ? 'active' : ''}"
+                data-sort-field="${option.field}">
+          ${escapeHtml(option.label)}
+          ${directionIcon ? `<span class="dropdown-item-direction">${directionIcon}</span>` : ''}
+          ${isActive ? `<span class="dropdown-item-check">${icons.check}</span>` : ''}
+        </button>
+      `;
+    }).join('')
   });
 
-  // Export button
-  const exportBtn = document.getElementById('export-insights');
-  if (exportBtn) {
-    exportBtn.addEventListener('click', () => {
-      exportInsightsData(project);
-    }, { signal });
-  }
-}
+  if (!dropdown) return;
 
-function attachRoadmapEventListeners(slug) {
-  const signal = getViewSignal();
+  addListeners(dropdown, '[data-sort-field]', 'click', (item) => {
+    const field = item.dataset.sortField;
+    const current = getProjectSort(project.id);
 
-  // Scale toggle buttons
-  document.querySelectorAll('.roadmap-zoom-btn[data-scale]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const newScale = btn.dataset.scale;
-      if (state.roadmapScale !== newScale) {
-        state.roadmapScale = newScale;
-        state.roadmapOffset = 0; // Reset offset when changing scale
-        renderProjectDetail(slug);
-      }
-    }, { signal });
-  });
+    if (field === current.field && field !== 'manual') {
+      state.projectSort[project.id] = { field, direction: current.direction === 'asc' ? 'desc' : 'asc' };
+    } else {
+      state.projectSort[project.id] = { field, direction: 'asc' };
+    }
 
-  // Navigation - Previous
-  document.querySelectorAll('[data-action="roadmap-prev"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      state.roadmapOffset--;
-      renderProjectDetail(slug);
-    }, { signal });
+    closeDropdown();
+    renderProjectDetail(projectSlug);
+    showToast(`Sorted by ${sortOptions.find(option => option.field === field).label}`, 'success');
   });
+}
 
-  // Navigation - Next
-  document.querySelectorAll('[data-action="roadmap-next"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      state.roadmapOffset++;
-      renderProjectDetail(slug);
-    }, { signal });
+function showSwimlaneDropdown(buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const currentSwimlane = state.boardSwimlane[project.id] || 'none';
+  const swimlaneOptions = [
+    { value: 'none', label: 'None' },
+    { value: 'priority', label: 'Priority' },
+    { value: 'assignee', label: 'Assignee' }
+  ];
+
+  const dropdown = createDropdown({
+    id: 'swimlane-dropdown',
+    anchor: buttonElement,
+    content: swimlaneOptions.map(option => `
+      <button class="dropdown-item ${option.value === currentSwimlane ? 'active' : ''}"
+              data-swimlane="${option.value}">
+        ${option.label}
+        ${option.value === currentSwimlane ? `<span class="dropdown-item-check">${icons.check}</span>` : ''}
+      </button>
+    `).join('')
   });
 
-  // Navigation - Today
-  document.querySelectorAll('[data-action="roadmap-today"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      state.roadmapOffset = 0;
-      renderProjectDetail(slug);
-    }, { signal });
-  });
+  if (!dropdown) return;
 
-  // Gantt bar drag and resize
-  initGanttBarDragResize(slug, signal);
+  addListeners(dropdown, '[data-swimlane]', 'click', (item) => {
+    const newSwimlane = item.dataset.swimlane;
+    state.boardSwimlane[project.id] = newSwimlane;
+    closeDropdown();
+    renderProjectDetail(projectSlug);
+    showToast(`Group by ${newSwimlane === 'none' ? 'None' : newSwimlane}`, 'success');
+  });
 }
 
-function initGanttBarDragResize(slug, signal) {
-  const ganttRows = document.querySelector('.gantt-rows');
-  if (!ganttRows) return;
+function showFieldsDropdown(buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-  const timelineStart = new Date(ganttRows.dataset.timelineStart);
-  const totalDays = parseInt(ganttRows.dataset.totalDays, 10);
+  const currentFields = getProjectFields(project.id);
+  const fieldOptions = [
+    { key: 'taskKey', label: 'Task Key' },
+    { key: 'status', label: 'Status' },
+    { key: 'priority', label: 'Priority' },
+    { key: 'assignee', label: 'Assignee' },
+    { key: 'dueDate', label: 'Due Date' },
+    { key: 'labels', label: 'Labels' },
+    { key: 'progress', label: 'Progress' },
+    { key: 'timeSpent', label: 'Time Spent' }
+  ];
+  const customFields = getCustomFieldsForProject(project.id);
 
-  let dragState = null;
+  const dropdown = createDropdown({
+    id: 'fields-dropdown',
+    anchor: buttonElement,
+    className: 'fields-dropdown',
+    content: `
+      <div class="dropdown-header label-uppercase">Show Fields</div>
+      ${fieldOptions.map(option => `
+        <label class="dropdown-checkbox-item">
+          <input type="checkbox" data-field="${option.key}" ${currentFields[option.key] ? 'checked' : ''}>
+          <span class="dropdown-checkbox-label">${option.label}</span>
+        </label>
+      `).join('')}
+      ${customFields.length > 0 ? `
+        <div class="dropdown-header label-uppercase">Custom Fields</div>
+        ${customFields.map(field => `
+          <label class="dropdown-checkbox-item">
+            <input type="checkbox" data-field="${getCustomFieldKey(field)}" ${isCustomFieldVisible(currentFields, field) ? 'checked' : ''}>
+            <span class="dropdown-checkbox-label">${escapeHtml(field.name)}</span>
+          </label>
+        `).join('')}
+      ` : ''}
+    `
+  });
 
-  // Helper: Convert pixel position to date
-  function pixelToDate(pixelX, containerWidth) {
-    const dayOffset = (pixelX / containerWidth) * totalDays;
-    const date = new Date(timelineStart);
-    date.setDate(date.getDate() + Math.round(dayOffset));
-    return date;
-  }
+  if (!dropdown) return;
 
-  // Helper: Format date as YYYY-MM-DD
-  function formatDateISO(date) {
-    return date.toISOString().split('T')[0];
-  }
+  addListeners(dropdown, 'input[data-field]', 'change', (checkbox, e) => {
+    const fieldKey = e.target.dataset.field;
+    const isChecked = e.target.checked;
 
-  // Mouse down on bar or handle
-  document.querySelectorAll('.gantt-bar:not(.no-dates)').forEach(bar => {
-    bar.addEventListener('mousedown', (e) => {
-      e.preventDefault();
-      const taskId = bar.dataset.taskId;
-      const task = getTaskById(taskId);
-      if (!task) return;
+    if (!state.projectFields[project.id]) {
+      state.projectFields[project.id] = getDefaultFields();
+    }
+    state.projectFields[project.id][fieldKey] = isChecked;
+    renderProjectDetail(projectSlug);
+  });
+}
 
-      const row = bar.closest('.gantt-row');
-      const rowRect = row.getBoundingClientRect();
-      const barRect = bar.getBoundingClientRect();
+function showAssigneeFilterDropdown(buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-      // Determine drag type
-      let dragType = 'move';
-      if (e.target.classList.contains('gantt-bar-handle-left')) {
-        dragType = 'resize-left';
-      } else if (e.target.classList.contains('gantt-bar-handle-right')) {
-        dragType = 'resize-right';
-      }
+  const allTasks = state.tasks.filter(t => t.project_id === project.id);
+  const assigneeIds = [...new Set(allTasks.map(t => t.assignee_id).filter(Boolean))];
+  const projectMembers = assigneeIds.map(id => getUserById(id)).filter(Boolean);
+  projectMembers.sort((a, b) => a.name.localeCompare(b.name));
 
-      dragState = {
-        taskId,
-        task,
-        bar,
-        row,
-        rowRect,
-        dragType,
-        startX: e.clientX,
-        initialLeft: parseFloat(bar.style.left) || 0,
-        initialWidth: parseFloat(bar.style.width) || 10,
-        containerWidth: rowRect.width
-      };
+  const selectedAssignees = state.assigneeFilter[project.id] || [];
+  const hasUnassignedTasks = allTasks.some(t => !t.assignee_id);
 
-      bar.classList.add('dragging');
-      document.body.style.cursor = dragType === 'move' ? 'grabbing' : 'ew-resize';
-    }, { signal });
+  const dropdown = createDropdown({
+    id: 'assignee-filter-dropdown',
+    anchor: buttonElement,
+    className: 'assignee-filter-dropdown',
+    content: `
+      <div class="dropdown-header label-uppercase">Filter by Assignee</div>
+      <div class="dropdown-search">
+        <input type="text" class="dropdown-search-input" placeholder="Search members...">
+      </div>
+      <div class="dropdown-checkbox-list">
+        ${hasUnassignedTasks ? `
+          <label class="dropdown-checkbox-item" data-assignee-id="unassigned">
+            <input type="checkbox" data-assignee="unassigned" ${selectedAssignees.includes('unassigned') ? 'checked' : ''}>
+            <div class="dropdown-checkbox-avatar unassigned">${icons.x}</div>
+            <span class="dropdown-checkbox-label">Unassigned</span>
+          </label>
+        ` : ''}
+        ${projectMembers.map(member => `
+          <label class="dropdown-checkbox-item" data-assignee-id="${member.id}">
+            <input type="checkbox" data-assignee="${member.id}" ${selectedAssignees.includes(member.id) ? 'checked' : ''}>
+            <div class="dropdown-checkbox-avatar" style="background: ${stringToColor(member.name)}">${getInitials(member.name)}</div>
+            <span class="dropdown-checkbox-label">${escapeHtml(member.name)}</span>
+          </label>
+        `).join('')}
+      </div>
+      <div class="dropdown-footer" ${selectedAssignees.length === 0 ? 'style="display: none;"' : ''}>
+        <button class="dropdown-clear-btn" data-action="clear-assignee-filter">Clear filter</button>
+      </div>
+    `
   });
 
-  // Mouse move - update bar position/size
-  document.addEventListener('mousemove', (e) => {
-    if (!dragState) return;
-
-    const deltaX = e.clientX - dragState.startX;
-    const deltaPercent = (deltaX / dragState.containerWidth) * 100;
-
-    if (dragState.dragType === 'move') {
-      // Move the entire bar
-      const newLeft = Math.max(0, Math.min(100 - dragState.initialWidth, dragState.initialLeft + deltaPercent));
-      dragState.bar.style.left = `${newLeft}%`;
-    } else if (dragState.dragType === 'resize-left') {
-      // Resize from left edge (changes start date)
-      const newLeft = Math.max(0, dragState.initialLeft + deltaPercent);
-      const newWidth = dragState.initialWidth - deltaPercent;
-      if (newWidth >= 2) { // Minimum width
-        dragState.bar.style.left = `${newLeft}%`;
-        dragState.bar.style.width = `${newWidth}%`;
-      }
-    } else if (dragState.dragType === 'resize-right') {
-      // Resize from right edge (changes end date)
-      const newWidth = Math.max(2, dragState.initialWidth + deltaPercent);
-      const maxWidth = 100 - dragState.initialLeft;
-      dragState.bar.style.width = `${Math.min(newWidth, maxWidth)}%`;
-    }
-  }, { signal });
+  if (!dropdown) return;
 
-  // Mouse up - save changes
-  document.addEventListener('mouseup', (e) => {
-    if (!dragState) return;
+  const dropdownFooter = dropdown.querySelector('.dropdown-footer');
 
-    const { taskId, bar, containerWidth, rowRect } = dragState;
+  // Handle search
+  const searchInput = dropdown.querySelector('.dropdown-search-input');
+  searchInput.addEventListener('input', (e) => {
+    const query = e.target.value.toLowerCase().trim();
+    dropdown.querySelectorAll('.dropdown-checkbox-item').forEach(item => {
+      const label = item.querySelector('.dropdown-checkbox-label').textContent.toLowerCase();
+      item.style.display = label.includes(query) ? '' : 'none';
+    });
+  });
 
-    // Calculate new dates from final bar position
-    const finalLeft = parseFloat(bar.style.left);
-    const finalWidth = parseFloat(bar.style.width);
+  // Handle checkbox changes
+  addListeners(dropdown, 'input[data-assignee]', 'change', (checkbox, e) => {
+    const assigneeId = e.target.dataset.assignee;
+    const isChecked = e.target.checked;
 
-    const startPixel = (finalLeft / 100) * containerWidth;
-    const endPixel = ((finalLeft + finalWidth) / 100) * containerWidth;
+    if (!state.assigneeFilter[project.id]) {
+      state.assigneeFilter[project.id] = [];
+    }
 
-    const newStartDate = pixelToDate(startPixel, containerWidth);
-    const newEndDate = pixelToDate(endPixel, containerWidth);
+    if (isChecked) {
+      if (!state.assigneeFilter[project.id].includes(assigneeId)) {
+        state.assigneeFilter[project.id].push(assigneeId);
+      }
+    } else {
+      state.assigneeFilter[project.id] = state.assigneeFilter[project.id].filter(id => id !== assigneeId);
+    }
 
-    // Update task
-    updateTaskField(taskId, 'start_date', formatDateISO(newStartDate), slug);
-    updateTaskField(taskId, 'due_date', formatDateISO(newEndDate), slug);
+    // Show/hide clear filter button based on selection count
+    dropdownFooter.style.display = state.assigneeFilter[project.id].length > 0 ? '' : 'none';
 
-    // Clean up
-    bar.classList.remove('dragging');
-    document.body.style.cursor = '';
-    dragState = null;
+    renderProjectDetail(projectSlug);
+  });
 
-    // Show feedback
-    showToast('Task dates updated', 'success');
+  // Handle clear filter button
+  const clearBtn = dropdown.querySelector('[data-action="clear-assignee-filter"]');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      state.assigneeFilter[project.id] = [];
+      closeDropdown();
+      renderProjectDetail(projectSlug);
+    });
+  }
 
-    // Re-render to ensure consistency
-    renderProjectDetail(slug);
-  }, { signal });
+  searchInput.focus();
 }
 
-function exportInsightsData(project) {
-  const tasks = getTasksForProject(project.id);
-  const members = getProjectMembers(project.id);
-
-  // Calculate all KPIs
-  const completedTasks = tasks.filter(t => {
-    const status = getStatusById(t.status_id);
-    return status?.name === 'Done';
-  });
-  const incompleteTasks = tasks.filter(t => {
-    const status = getStatusById(t.status_id);
-    return status?.name !== 'Done';
-  });
-
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const overdueTasks = tasks.filter(t => {
-    if (!t.due_date) return false;
-    const status = getStatusById(t.status_id);
-    if (status?.name === 'Done') return false;
-    return new Date(t.due_date) < today;
-  });
+// Fields offered by the filter builder. Operators map to their label; value-less
+// operators (overdue, is_null, is_not_null) are stored with the value true.
+const TASK_FILTER_FIELDS = {
+  status_id: { label: 'Status', input: 'select', operators: { eq: 'is', neq: 'is not' } },
+  status_category: { label: 'Status category', input: 'select', operators: { eq: 'is', neq: 'is not' } },
+  priority_id: { label: 'Priority', input: 'select', operators: { eq: 'is', neq: 'is not' } },
+  labels: { label: 'Labels', input: 'select', operators: { contains: 'include', not_contains: "don't include", is_null: 'are empty' } },
+  assignee_id: { label: 'Assignee', input: 'select', operators: { eq: 'is', neq: 'is not' } },
+  due_date: { label: 'Due date', input: 'date', operators: { lt: 'is before', gt: 'is after', overdue: 'is overdue', is_null: 'is not set', is_not_null: 'is set' } },
+  start_date: { label: 'Start date', input: 'date', operators: { lt: 'is before', gt: 'is after', is_null: 'is not set', is_not_null: 'is set' } },
+  estimate_hours: { label: 'Estimate (hours)', input: 'number', operators: { eq: '=', gt: '>', lt: '<', is_null: 'is not set' } },
+  text: { label: 'Text', input: 'text', operators: { contains: 'contains', not_contains: "doesn't contain" } },
+};
 
-  // Status breakdown - include color from workflow settings
-  const statusCounts = {};
-  tasks.forEach(t => {
-    const status = getStatusById(t.status_id);
-    const statusName = status?.name || 'Unknown';
-    const statusColor = status?.color || FALLBACK_COLOR;
-    if (!statusCounts[statusName]) {
-      statusCounts[statusName] = { count: 0, color: statusColor };
-    }
-    statusCounts[statusName].count++;
-  });
+const TASK_FILTER_VALUELESS_OPERATORS = ['overdue', 'is_null', 'is_not_null'];
 
-  // Priority breakdown
-  const priorityCounts = { 'High': 0, 'Medium': 0, 'Low': 0, 'None': 0 };
-  tasks.forEach(t => {
-    const priority = t.priority_id ? getPriorityById(t.priority_id) : null;
-    const priorityName = priority?.name || 'None';
-    priorityCounts[priorityName] = (priorityCounts[priorityName] || 0) + 1;
-  });
+const TASK_FILTER_CATEGORIES = {
+  backlog: 'Backlog',
+  todo: 'To Do',
+  in_progress: 'In Progress',
+  done: 'Done',
+  cancelled: 'Cancelled',
+};
 
-  // Build CSV data
-  const csvData = [
-    ['Project Insights Report'],
-    ['Project:', project.name],
-    ['Generated:', new Date().toLocaleString()],
-    [''],
-    ['Summary'],
-    ['Total Tasks', tasks.length],
-    ['Completed Tasks', completedTasks.length],
-    ['Incomplete Tasks', incompleteTasks.length],
-    ['Overdue Tasks', overdueTasks.length],
-    [''],
-    ['Status Breakdown'],
-    ...Object.entries(statusCounts).map(([status, data]) => [status, data.count]),
-    [''],
-    ['Priority Breakdown'],
-    ...Object.entries(priorityCounts).map(([priority, count]) => [priority, count]),
-    [''],
-    ['Team Members'],
-    ['Name', 'Tasks Assigned', 'Completed', 'Incomplete'],
-    ...members.map(m => {
-      const memberTasks = tasks.filter(t => t.assignee_id === m.id);
-      const memberCompleted = memberTasks.filter(t => {
-        const status = getStatusById(t.status_id);
-        return status?.name === 'Done';
-      });
-      return [m.name, memberTasks.length, memberCompleted.length, memberTasks.length - memberCompleted.length];
-    }),
-    [''],
-    ['Task List'],
-    ['ID', 'Title', 'Status', 'Priority', 'Due Date', 'Assignee'],
-    ...tasks.map(t => {
-      const status = getStatusById(t.status_id);
-      const priority = t.priority_id ? getPriorityById(t.priority_id) : null;
-      const assignee = t.assignee_id ? getUserById(t.assignee_id) : null;
-      return [
-        `${project.identifier}-${t.sequence_id}`,
-        t.title,
-        status?.name || 'Unknown',
-        priority?.name || 'None',
-        t.due_date || 'N/A',
-        assignee?.name || 'Unassigned'
-      ];
-    })
-  ];
+// Stands in for null in <select> values (e.g. unassigned)
+const TASK_FILTER_NONE = '__none__';
 
-  // Convert to CSV string
-  const csvContent = csvData.map(row =>
-    row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')
-  ).join('\n');
+/**
+ * Flatten the project's builder filter into { match, conditions } rows
+ */
+function getTaskFilterConditions(projectId) {
+  const filter = state.taskFilters[projectId] || {};
+  const match = filter.$or ? 'or' : 'and';
+  const conditions = (filter.$or || filter.$and || []).map(clause => {
+    const [field] = Object.keys(clause);
+    const [operator] = Object.keys(clause[field]);
+    let value = clause[field][operator];
+    if (Array.isArray(value)) value = value[0] ?? '';
+    return { field, operator, value };
+  });
+  return { match, conditions };
+}
+
+function setTaskFilterConditions(projectId, match, conditions) {
+  if (conditions.length === 0) {
+    delete state.taskFilters[projectId];
+    return;
+  }
+  state.taskFilters[projectId] = {
+    [match === 'or' ? '$or' : '$and']: conditions.map(({ field, operator, value }) => ({
+      [field]: { [operator]: field === 'labels' && operator !== 'is_null' && value !== '' ? [value] : value },
+    })),
+  };
+}
 
-  // Download
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  link.href = URL.createObjectURL(blob);
-  link.download = `${project.slug}-insights-${new Date().toISOString().split('T')[0]}.csv`;
-  link.click();
-  URL.revokeObjectURL(link.href);
+function getTaskFilterCount(projectId) {
+  return getTaskFilterConditions(projectId).conditions.filter(c => c.value !== '').length;
+}
 
-  showToast('Insights exported successfully', 'success');
+function getTaskFilterOptions(project, field) {
+  switch (field) {
+    case 'status_id':
+      return getStatusesForProject(project.id).map(s => ({ value: s.id, label: s.name }));
+    case 'status_category':
+      return Object.entries(TASK_FILTER_CATEGORIES).map(([value, label]) => ({ value, label }));
+    case 'priority_id':
+      return [...state.priorities]
+        .sort((a, b) => a.sort_order - b.sort_order)
+        .map(p => ({ value: p.id, label: p.name }));
+    case 'labels':
+      return state.labels.map(l => ({ value: l.id, label: l.name }));
+    case 'assignee_id':
+      return [
+        { value: VIEW_CURRENT_USER, label: 'Me' },
+        { value: TASK_FILTER_NONE, label: 'Unassigned' },
+        ...[...state.users].sort((a, b) => a.name.localeCompare(b.name)).map(u => ({ value: u.id, label: u.name })),
+      ];
+    default:
+      return [];
+  }
 }
 
-function renderTaskGroup(group, tasks, project, groupBy) {
-  const isCollapsed = state.collapsedGroups.has(group.id);
-  const isQuickAdding = state.quickAddStatus === group.id;
-  const isFlat = group.type === 'none';
+function renderTaskFilterValueInput(project, condition, index) {
+  const fieldDef = TASK_FILTER_FIELDS[condition.field];
+  if (TASK_FILTER_VALUELESS_OPERATORS.includes(condition.operator)) return '';
+
+  if (fieldDef.input === 'select') {
+    const selected = condition.value === null ? TASK_FILTER_NONE : condition.value;
+    return `
+      <select class="form-select task-filter-value" data-index="${index}">
+        <option value="" ${selected === '' ? 'selected' : ''}>Select...</option>
+        ${getTaskFilterOptions(project, condition.field).map(option => `
+          <option value="${escapeHtml(option.value)}" ${option.value === selected ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+        `).join('')}
+      </select>
+    `;
+  }
 
   return `
-    <div class="card card--task-group task-group ${isFlat ? 'flat' : ''}" data-group-id="${group.id}" data-group-type="${group.type}">
-      <div class="task-group-header ${isFlat ? 'flat' : ''}" ${!isFlat ? `data-toggle-group="${group.id}"` : ''}>
-        ${!isFlat ? `
-          <span class="task-group-toggle ${isCollapsed ? 'collapsed' : ''}">
-            ${icons.chevronDown}
-          </span>
-          <div class="task-group-color" style="background: ${group.color}"></div>
-        ` : ''}
-        <span class="task-group-name">${escapeHtml(group.name)}</span>
-        <span class="count-badge">${tasks.length}</span>
-      </div>
-      ${!isCollapsed || isFlat ? `
-        <div class="task-list">
-          ${tasks.map(task => renderTaskRow(task, project, group, groupBy)).join('')}
-          ${isQuickAdding ? `
-            <div class="quick-add-input">
-              <input type="text" placeholder="Task title..." autofocus>
-              <div class="quick-add-actions">
-                <button class="quick-add-btn save">Save</button>
-                <button class="quick-add-btn cancel">Cancel</button>
-              </div>
-            </div>
-          ` : `
-            <div class="add-task-row">
-              ${icons.plus} Add Task
-            </div>
-          `}
-        </div>
-      ` : ''}
-    </div>
+    <input type="${fieldDef.input}"
+           class="form-input task-filter-value"
+           data-index="${index}"
+           value="${escapeHtml(condition.value ?? '')}"
+           ${fieldDef.input === 'number' ? 'min="0" step="0.5"' : ''}
+           ${fieldDef.input === 'text' ? 'placeholder="Value"' : ''}>
   `;
 }
 
-function renderTaskRow(task, project, group, groupBy) {
-  const fields = getProjectFields(project.id);
-  const assignee = task.assignee_id ? getUserById(task.assignee_id) : null;
-  const priority = task.priority_id ? getPriorityById(task.priority_id) : null;
-  const taskLabels = (task.label_ids || []).map(id => getLabelById(id)).filter(Boolean);
-  const taskKey = `${project.identifier}-${task.sequence_id}`;
-  const isSelected = state.selectedTasks.has(task.id);
-  const isArchived = task.is_archived;
-
-  // Always get the task's actual status for display
-  const status = getStatusById(task.status_id);
-  const statusBg = status ? hexToRgba(status.color, 0.15) : '';
-
-  // Priority colors
-  const priorityBg = priority ? hexToRgba(priority.color, 0.15) : '';
+function renderTaskFilterBuilder(project) {
+  const { match, conditions } = getTaskFilterConditions(project.id);
 
   return `
-    <div class="task-row ${isSelected ? 'selected' : ''} ${isArchived ? 'archived' : ''} ${fields.progress ? 'has-progress' : ''}" data-task-id="${task.id}" draggable="true">
-      <div class="task-row-start">
-        <span class="task-drag-handle">${icons.grip}</span>
-        ${fields.taskKey ? `<span class="task-key">${escapeHtml(taskKey)}</span>` : ''}
-      </div>
-      <span class="task-title">${escapeHtml(task.title)}</span>
-      ${fields.progress ? `<span class="task-progress">0%</span>` : ''}
-      ${fields.status ? `
-        <span class="task-status clickable" style="background: ${statusBg}; color: var(--color-text-secondary)">
-          ${status ? escapeHtml(status.name) : 'No Status'}
-        </span>
-      ` : ''}
-      ${fields.assignee ? `
-        <div class="task-assignees">
-          ${assignee
-            ? `<div class="task-assignee" style="background: ${stringToColor(assignee.name)}" title="${escapeHtml(assignee.name)}">
-                ${getInitials(assignee.name)}
-              </div>`
-            : `<button class="add-icon-btn" title="Add assignee">+</button>`
-          }
+    <div class="dropdown-header label-uppercase">Filter Tasks</div>
+    <div class="task-filter-body">
+      ${conditions.length > 0 ? `
+        <div class="task-filter-match">
+          Show tasks matching
+          <select class="form-select task-filter-match-select" data-action="set-filter-match">
+            <option value="and" ${match === 'and' ? 'selected' : ''}>all</option>
+            <option value="or" ${match === 'or' ? 'selected' : ''}>any</option>
+          </select>
+          of these conditions
         </div>
-      ` : ''}
-      ${fields.labels ? `
-        <div class="task-labels clickable" title="Manage labels">
-          ${taskLabels.length > 0 ? `
-            <span class="task-label">${escapeHtml(taskLabels[0].name)}</span>
-            ${taskLabels.length > 1 ? `<span class="task-label more">+${taskLabels.length - 1}</span>` : ''}
-          ` : `
-            <span class="task-add-label">+ Label</span>
-          `}
+        <div class="task-filter-conditions">
+          ${conditions.map((condition, index) => `
+            <div class="task-filter-row">
+              <select class="form-select task-filter-field" data-index="${index}">
+                ${Object.entries(TASK_FILTER_FIELDS).map(([field, def]) => `
+                  <option value="${field}" ${field === condition.field ? 'selected' : ''}>${def.label}</option>
+                `).join('')}
+              </select>
+              <select class="form-select task-filter-operator" data-index="${index}">
+                ${Object.entries(TASK_FILTER_FIELDS[condition.field].operators).map(([operator, label]) => `
+                  <option value="${operator}" ${operator === condition.operator ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+              ${renderTaskFilterValueInput(project, condition, index)}
+              <button class="task-filter-remove" data-action="remove-filter-condition" data-index="${index}" title="Remove condition">
+                ${icons.x}
+              </button>
+            </div>
+          `).join('')}
         </div>
-      ` : ''}
-      ${fields.priority ? `
-        <span class="task-priority clickable ${priority ? '' : 'empty'}" style="background: ${priorityBg}; color: var(--color-text-secondary)">
-          ${priority ? `${getPriorityIcon(priority.name)} ${escapeHtml(priority.name)}` : '+ Priority'}
-        </span>
-      ` : ''}
-      ${fields.dueDate ? `
-        <span class="task-due-date clickable ${isOverdue(task.due_date) ? 'overdue' : ''} ${!task.due_date ? 'empty' : ''}">
-          ${task.due_date ? formatDate(task.due_date) : 'Set due date'}
-        </span>
-      ` : ''}
+      ` : '<div class="dropdown-empty">No filters applied</div>'}
+    </div>
+    <div class="dropdown-footer task-filter-footer">
+      <button class="dropdown-item task-filter-add" data-action="add-filter-condition">${icons.plus} Add condition</button>
+      ${conditions.length > 0 ? '<button class="dropdown-clear-btn" data-action="clear-task-filter">Clear all</button>' : ''}
     </div>
   `;
 }
 
+/**
+ * Filter builder dropdown for the task list and board. Conditions are stored
+ * in state.taskFilters as View.filters JSON and applied by getTasksForProject.
+ */
+function showTaskFilterDropdown(buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-// ==========================================================================
-// Render Functions - Members View
-// ==========================================================================
+  const dropdown = createDropdown({
+    id: 'task-filter-dropdown',
+    anchor: buttonElement,
+    className: 'task-filter-dropdown',
+    content: renderTaskFilterBuilder(project)
+  });
 
-function renderMembersView(tasks, project) {
-  // Get unique members who have tasks in this project
-  const memberIds = [...new Set(tasks.map(t => t.assignee_id).filter(Boolean))];
-  const members = memberIds.map(id => getUserById(id)).filter(Boolean);
-  const selectedCount = state.selectedMembers.size;
+  if (!dropdown) return;
 
-  // Calculate stats for each member
-  const memberStats = members.map(member => {
-    const memberTasks = tasks.filter(t => t.assignee_id === member.id);
-    const statuses = getStatusesForProject(project.id);
-    const doneStatusIds = statuses.filter(s => s.category === 'done').map(s => s.id);
-    const doneTasks = memberTasks.filter(t => doneStatusIds.includes(t.status_id));
-    const progress = memberTasks.length > 0 ? Math.round((doneTasks.length / memberTasks.length) * 100) : 0;
+  const update = (changeFn, { rebuild = true } = {}) => {
+    const { match, conditions } = getTaskFilterConditions(project.id);
+    const next = changeFn({ match, conditions }) || { match, conditions };
+    setTaskFilterConditions(project.id, next.match, next.conditions);
+    renderProjectDetail(projectSlug);
+    if (rebuild) {
+      dropdown.innerHTML = renderTaskFilterBuilder(project);
+      attachHandlers();
+    }
+  };
 
-    return {
-      ...member,
-      taskCount: memberTasks.length,
-      doneCount: doneTasks.length,
-      progress
-    };
-  });
+  const attachHandlers = () => {
+    addListeners(dropdown, '[data-action="add-filter-condition"]', 'click', (btn, e) => {
+      e.stopPropagation();
+      update(({ match, conditions }) => ({
+        match,
+        conditions: [...conditions, { field: 'status_id', operator: 'eq', value: '' }],
+      }));
+    });
 
-  // Pagination
-  const { page, pageSize } = state.membersPagination;
-  const paginatedMembers = getPaginatedItems(memberStats, page, pageSize);
+    addListeners(dropdown, '[data-action="remove-filter-condition"]', 'click', (btn, e) => {
+      e.stopPropagation();
+      const index = Number(btn.dataset.index);
+      update(({ match, conditions }) => ({ match, conditions: conditions.filter((c, i) => i !== index) }));
+    });
 
-  return `
-    <div class="card members-container">
-      <div class="view-toolbar view-toolbar--card">
-        <div class="toolbar-filters">
-          <span class="toolbar-count">${selectedCount > 0 ? `${selectedCount} selected` : `${members.length} Members`}</span>
-        </div>
-        <div class="toolbar-actions">
-          <button class="btn-bulk danger ${selectedCount === 0 ? 'disabled' : ''}" data-action="delete-members" ${selectedCount === 0 ? 'disabled' : ''}>
-            ${icons.trash} Delete
-          </button>
-          <button class="btn-secondary ${selectedCount !== 1 ? 'disabled' : ''}" data-action="edit-member" data-project-slug="${project.slug}" ${selectedCount !== 1 ? 'disabled' : ''}>
-            ${icons.edit} Edit
-          </button>
-          <button class="btn-secondary" data-action="add-member" data-project-slug="${project.slug}">
-            ${icons.userPlus} Add User
-          </button>
-        </div>
-      </div>
-      <table class="members-table">
-        <thead>
-          <tr>
-            <th class="checkbox-col">
-              <div class="table-checkbox ${getMemberSelectAllState(members)}" data-action="select-all-members">
-                ${selectedCount > 0 && selectedCount === members.length ? icons.check : ''}
-              </div>
-            </th>
-            <th class="sortable">Name <span class="sort-icon">${icons.chevronDown}</span></th>
-            <th class="sortable">Job Title <span class="sort-icon">${icons.chevronDown}</span></th>
-            <th class="sortable">Email <span class="sort-icon">${icons.chevronDown}</span></th>
-            <th class="sortable">Tasks <span class="sort-icon">${icons.chevronDown}</span></th>
-            <th>Task Progress</th>
-            <th class="sortable">Access <span class="sort-icon">${icons.chevronDown}</span></th>
-          </tr>
-        </thead>
-        <tbody>
-          ${paginatedMembers.map(member => renderMemberRow(member)).join('')}
-        </tbody>
-      </table>
-      ${renderPagination({
-        totalItems: memberStats.length,
-        currentPage: page,
-        pageSize: pageSize,
-        itemLabel: 'members',
-        paginationType: 'members'
-      })}
-    </div>
-  `;
-}
+    addListeners(dropdown, '[data-action="clear-task-filter"]', 'click', (btn, e) => {
+      e.stopPropagation();
+      update(({ match }) => ({ match, conditions: [] }));
+    });
+
+    addListeners(dropdown, '[data-action="set-filter-match"]', 'change', (select) => {
+      update(({ conditions }) => ({ match: select.value, conditions }));
+    });
+
+    addListeners(dropdown, '.task-filter-field', 'change', (select) => {
+      update(({ match, conditions }) => {
+        const field = select.value;
+        const [operator] = Object.keys(TASK_FILTER_FIELDS[field].operators);
+        conditions[Number(select.dataset.index)] = { field, operator, value: '' };
+        return { match, conditions };
+      });
+    });
 
-function getMemberSelectAllState(members) {
-  if (state.selectedMembers.size === 0) return '';
-  if (state.selectedMembers.size === members.length) return 'checked';
-  return 'indeterminate';
+    addListeners(dropdown, '.task-filter-operator', 'change', (select) => {
+      update(({ match, conditions }) => {
+        const condition = conditions[Number(select.dataset.index)];
+        const wasValueless = TASK_FILTER_VALUELESS_OPERATORS.includes(condition.operator);
+        condition.operator = select.value;
+        if (TASK_FILTER_VALUELESS_OPERATORS.includes(select.value)) {
+          condition.value = true;
+        } else if (wasValueless) {
+          condition.value = '';
+        }
+        return { match, conditions };
+      });
+    });
+
+    addListeners(dropdown, '.task-filter-value', 'input', (input) => {
+      // Typing re-filters the view but keeps the builder (and input focus) intact
+      update(({ match, conditions }) => {
+        const condition = conditions[Number(input.dataset.index)];
+        const fieldDef = TASK_FILTER_FIELDS[condition.field];
+        if (input.value === '') {
+          condition.value = '';
+        } else if (input.value === TASK_FILTER_NONE) {
+          condition.value = null;
+        } else {
+          condition.value = fieldDef.input === 'number' ? Number(input.value) : input.value;
+        }
+        return { match, conditions };
+      }, { rebuild: false });
+    });
+  };
+
+  attachHandlers();
 }
 
-function renderMemberRow(member) {
-  const isSelected = state.selectedMembers.has(member.id);
+function showPriorityDropdown(taskId, buttonElement, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  return `
-    <tr class="${isSelected ? 'selected' : ''}" data-member-id="${member.id}">
-      <td>
-        <div class="table-checkbox ${isSelected ? 'checked' : ''}" data-action="toggle-member" data-member-id="${member.id}">
-          ${isSelected ? icons.check : ''}
-        </div>
-      </td>
-      <td>
-        <div class="member-name-cell">
-          <div class="table-avatar member-avatar" style="background: ${stringToColor(member.name)}">
-            ${getInitials(member.name)}
-          </div>
-          <span class="member-name">${escapeHtml(member.name)}</span>
-        </div>
-      </td>
-      <td>${member.job_title || '-'}</td>
-      <td><span class="member-email">${escapeHtml(member.email)}</span></td>
-      <td><span class="member-tasks">${member.doneCount}/${member.taskCount}</span></td>
-      <td>
-        <div class="member-progress">
-          <div class="progress-bar member-progress-bar">
-            <div class="progress-fill member-progress-fill" style="width: ${member.progress}%"></div>
-          </div>
-          <span class="member-progress-text">${member.progress}%</span>
-        </div>
-      </td>
-      <td><span class="member-role ${member.role}">${member.role}</span></td>
-    </tr>
-  `;
+  const priorities = state.priorities;
+
+  const dropdown = createDropdown({
+    id: 'priority-dropdown',
+    anchor: buttonElement,
+    toggle: false,
+    content: `
+      <button class="dropdown-item ${!task.priority_id ? 'active' : ''}" data-priority-id="">
+        <span class="dropdown-item-dot" style="background: #9ca3af"></span>
+        None
+      </button>
+      ${priorities.map(p => `
+        <button class="dropdown-item ${p.id === task.priority_id ? 'active' : ''}"
+                data-priority-id="${p.id}">
+          <span class="dropdown-item-dot" style="background: ${p.color}"></span>
+          ${escapeHtml(p.name)}
+        </button>
+      `).join('')}
+    `
+  });
+
+  if (!dropdown) return;
+
+  addListeners(dropdown, '[data-priority-id]', 'click', (item) => {
+    const newPriorityId = item.dataset.priorityId || null;
+    updateTaskPriority(taskId, newPriorityId, projectSlug);
+  });
 }
 
-// ==========================================================================
-// Render Functions - Settings View
-// ==========================================================================
+function updateTaskPriority(taskId, newPriorityId, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-function renderSettingsView(project) {
-  // Use centralized COLOR_PALETTE for settings color options
-  const colorOptions = [
-    { value: COLOR_PALETTE.blue.hex, name: COLOR_PALETTE.blue.name },
-    { value: COLOR_PALETTE.purple.hex, name: COLOR_PALETTE.purple.name },
-    { value: COLOR_PALETTE.emerald.hex, name: COLOR_PALETTE.emerald.name },
-    { value: COLOR_PALETTE.amber.hex, name: COLOR_PALETTE.amber.name },
-    { value: COLOR_PALETTE.red.hex, name: COLOR_PALETTE.red.name },
-    { value: COLOR_PALETTE.pink.hex, name: COLOR_PALETTE.pink.name },
-    { value: COLOR_PALETTE.cyan.hex, name: COLOR_PALETTE.cyan.name },
-    { value: COLOR_PALETTE.lime.hex, name: COLOR_PALETTE.lime.name },
-  ];
+  const oldPriorityId = task.priority_id;
+  const newPriority = newPriorityId ? getPriorityById(newPriorityId) : null;
 
-  return `
-    <div class="settings-container">
-      <div class="card card--settings settings-card">
-        <div class="settings-card-header">
-          <span class="settings-card-title">General</span>
-        </div>
-        <div class="settings-card-content">
-          <div class="settings-field">
-            <label class="settings-label" for="project-name">Project Name</label>
-            <input type="text" id="project-name" class="settings-input" value="${escapeHtml(project.name)}" data-field="name">
-          </div>
+  task.priority_id = newPriorityId;
+  task.updated_at = new Date().toISOString();
+  persistRecords('tasks', task);
+  if (oldPriorityId !== newPriorityId) {
+    recordActivity(task, 'updated', 'priority_id', oldPriorityId, newPriorityId);
+  }
 
-          <div class="settings-field">
-            <label class="settings-label" for="project-description">Description</label>
-            <textarea id="project-description" class="settings-textarea" rows="3" data-field="description">${escapeHtml(project.description || '')}</textarea>
-          </div>
+  closeDropdown();
+  renderProjectDetail(projectSlug);
 
-          <div class="settings-row-3">
-            <div class="settings-field">
-              <label class="settings-label" for="project-identifier">Identifier</label>
-              <input type="text" id="project-identifier" class="settings-input" value="${escapeHtml(project.identifier)}" data-field="identifier" maxlength="5">
-              <span class="settings-hint">Prefix: ${project.identifier}-1</span>
-            </div>
+  const message = newPriority
+    ? `Priority set to ${newPriority.name}`
+    : 'Priority removed';
+  showToast(message, 'success');
+}
 
-            <div class="settings-field">
-              <label class="settings-label">Color</label>
-              <div class="settings-color-picker">
-                ${colorOptions.map(color => `
-                  <button class="color-swatch color-swatch--lg ${project.color === color.value ? 'active' : ''}"
-                          style="background: ${color.value}"
-                          data-color="${color.value}"
-                          title="${color.name}">
-                    ${project.color === color.value ? icons.check : ''}
-                  </button>
-                `).join('')}
-              </div>
-            </div>
+function showDueDatePicker(taskId, buttonElement, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-            <div class="settings-field">
-              <label class="settings-label">Default View</label>
-              <div class="settings-view-toggle">
-                <button class="view-toggle-btn ${project.default_view === 'list' ? 'active' : ''}" data-default-view="list">
-                  ${icons.list} List
-                </button>
-                <button class="view-toggle-btn ${project.default_view === 'board' ? 'active' : ''}" data-default-view="board">
-                  ${icons.grid} Board
-                </button>
-              </div>
-            </div>
-          </div>
+  closeDropdown();
 
-          <div class="settings-actions">
-            <button class="btn-primary" id="save-settings">${icons.check} Save Changes</button>
-          </div>
-        </div>
-      </div>
+  const today = new Date();
+  const tomorrow = new Date(today);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const nextWeek = new Date(today);
+  nextWeek.setDate(nextWeek.getDate() + 7);
+  const nextMonth = new Date(today);
+  nextMonth.setMonth(nextMonth.getMonth() + 1);
 
-      <div class="card card--settings settings-card">
-        <div class="settings-card-header">
-          <span class="settings-card-title">Project Status</span>
-        </div>
-        <div class="settings-card-content">
-          <div class="settings-status-row">
-            <div class="settings-status-info">
-              <span class="settings-status-indicator ${project.is_archived ? 'archived' : 'active'}"></span>
-              <div class="settings-status-text">
-                <span class="settings-status-label">${project.is_archived ? 'Archived' : 'Active'}</span>
-                <span class="settings-status-description">
-                  ${project.is_archived
-                    ? 'This project is archived and won\'t appear in the main list.'
-                    : 'This project is active and visible to all members.'}
-                </span>
-              </div>
-            </div>
-            <button class="btn-secondary" id="toggle-archive">
-              ${project.is_archived ? 'Restore Project' : 'Archive Project'}
-            </button>
-          </div>
-        </div>
-      </div>
+  const formatDateValue = (date) => date.toISOString().split('T')[0];
 
-      <div class="card card--settings settings-card settings-card-danger">
-        <div class="settings-card-header">
-          <span class="settings-card-title">Danger Zone</span>
-        </div>
-        <div class="settings-card-content">
-          <div class="settings-status-row">
-            <div class="settings-status-info">
-              <div class="settings-status-text">
-                <span class="settings-status-label">Delete Project</span>
-                <span class="settings-status-description">
-                  Permanently delete this project and all of its tasks, files, and data.
-                </span>
-              </div>
-            </div>
-            <button class="btn-danger" id="delete-project">${icons.trash} Delete Project</button>
-          </div>
-        </div>
-      </div>
+  const picker = document.createElement('div');
+  picker.className = 'dropdown-menu date-picker open';
+  picker.id = 'date-picker';
+  picker.innerHTML = `
+    <div class="date-picker-presets">
+      <button class="dropdown-item" data-date="${formatDateValue(today)}">
+        ${icons.calendar} Today
+      </button>
+      <button class="dropdown-item" data-date="${formatDateValue(tomorrow)}">
+        ${icons.calendar} Tomorrow
+      </button>
+      <button class="dropdown-item" data-date="${formatDateValue(nextWeek)}">
+        ${icons.calendar} Next week
+      </button>
+      <button class="dropdown-item" data-date="${formatDateValue(nextMonth)}">
+        ${icons.calendar} Next month
+      </button>
+      ${task.due_date ? `
+        <button class="dropdown-item text-error" data-date="">
+          ${icons.x} Remove date
+        </button>
+      ` : ''}
+    </div>
+    <div class="date-picker-divider"></div>
+    <div class="date-picker-custom">
+      <label class="date-picker-label">Custom date</label>
+      <input type="date" class="date-picker-input" value="${task.due_date || ''}">
     </div>
   `;
-}
 
-// ==========================================================================
-// Render Functions - Files View
-// ==========================================================================
+  const rect = buttonElement.getBoundingClientRect();
+  picker.style.position = 'fixed';
+  picker.style.top = `${rect.bottom + 4}px`;
+  picker.style.left = `${rect.left}px`;
+
+  document.body.appendChild(picker);
+  state.activeDropdown = 'date-picker';
+
+  // Handle preset clicks
+  picker.querySelectorAll('[data-date]').forEach(item => {
+    item.addEventListener('click', () => {
+      const newDate = item.dataset.date || null;
+      updateTaskDueDate(taskId, newDate, projectSlug);
+    });
+  });
+
+  // Handle custom date input
+  const dateInput = picker.querySelector('.date-picker-input');
+  dateInput.addEventListener('change', () => {
+    updateTaskDueDate(taskId, dateInput.value || null, projectSlug);
+  });
+
+  setTimeout(() => {
+    document.addEventListener('click', handleDropdownOutsideClick);
+  }, 10);
+}
 
-function renderFilesView(project) {
-  const files = getFilesForProject(project.id);
-  const selectedCount = state.selectedFiles.size;
+function updateTaskDueDate(taskId, newDate, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  if (files.length === 0) {
-    return renderFilesEmptyState();
+  const oldDate = task.due_date;
+  task.due_date = newDate;
+  task.updated_at = new Date().toISOString();
+  persistRecords('tasks', task);
+  if (oldDate !== newDate) {
+    recordActivity(task, 'updated', 'due_date', oldDate, newDate);
   }
 
-  // Pagination
-  const { page, pageSize } = state.filesPagination;
-  const paginatedFiles = getPaginatedItems(files, page, pageSize);
-
-  return `
-    <div class="card files-container">
-      <div class="view-toolbar view-toolbar--card">
-        <div class="toolbar-filters">
-          <span class="toolbar-count">${selectedCount > 0 ? `${selectedCount} selected` : `${files.length} Files`}</span>
-        </div>
-        <div class="toolbar-actions">
-          <button class="btn-bulk ${selectedCount === 0 ? 'disabled' : ''}" data-action="download-selected" ${selectedCount === 0 ? 'disabled' : ''}>
-            ${icons.download} Download
-          </button>
-          <button class="btn-bulk danger ${selectedCount === 0 ? 'disabled' : ''}" data-action="delete-selected" ${selectedCount === 0 ? 'disabled' : ''}>
-            ${icons.trash} Delete
-          </button>
-          <button class="btn-secondary" data-action="open-upload-modal">
-            ${icons.upload} Upload Files
-          </button>
-        </div>
-      </div>
-      <table class="files-table">
-        <thead>
-          <tr>
-            <th class="checkbox-col">
-              <div class="table-checkbox ${getSelectAllState(files)}" data-action="select-all">
-                ${selectedCount > 0 && selectedCount === files.length ? icons.check : ''}
-              </div>
-            </th>
-            <th class="sortable">Name <span class="sort-icon">${icons.chevronDown}</span></th>
-            <th class="sortable">Attached Task <span class="sort-icon">${icons.chevronDown}</span></th>
-            <th class="sortable">Size <span class="sort-icon">${icons.chevronDown}</span></th>
-            <th class="sortable">Uploaded By <span class="sort-icon">${icons.chevronDown}</span></th>
-            <th class="sortable">Uploaded At <span class="sort-icon">${icons.chevronDown}</span></th>
-          </tr>
-        </thead>
-        <tbody>
-          ${paginatedFiles.map(file => renderFileRow(file, project)).join('')}
-        </tbody>
-      </table>
-      ${renderPagination({
-        totalItems: files.length,
-        currentPage: page,
-        pageSize: pageSize,
-        itemLabel: 'files',
-        paginationType: 'files'
-      })}
-    </div>
-  `;
-}
+  closeDropdown();
+  renderProjectDetail(projectSlug);
 
-function getSelectAllState(files) {
-  if (state.selectedFiles.size === 0) return '';
-  if (state.selectedFiles.size === files.length) return 'checked';
-  return 'indeterminate';
+  const message = newDate
+    ? `Due date set to ${formatDate(newDate)}`
+    : 'Due date removed';
+  showToast(message, 'success');
 }
 
-function renderFileRow(file, project) {
-  const uploader = file.uploaded_by ? getUserById(file.uploaded_by) : null;
-  const task = file.task_id ? getTaskById(file.task_id) : null;
-  const isSelected = state.selectedFiles.has(file.id);
-  const taskKey = task ? `${project.identifier}-${task.sequence_id}` : null;
+function showLabelPicker(taskId, buttonElement, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  return `
-    <tr class="${isSelected ? 'selected' : ''}" data-file-id="${file.id}">
-      <td>
-        <div class="table-checkbox ${isSelected ? 'checked' : ''}" data-action="toggle-file" data-file-id="${file.id}">
-          ${isSelected ? icons.check : ''}
-        </div>
-      </td>
-      <td>
-        <div class="file-name-cell">
-          <div class="file-icon ${file.file_type}">
-            ${getFileIcon(file.file_type)}
-          </div>
-          <span class="file-name" data-action="preview-file" data-file-id="${file.id}">
-            ${escapeHtml(file.name)}
-          </span>
-        </div>
-      </td>
-      <td>
-        ${task
-          ? `<a href="#" class="file-task-link" title="${escapeHtml(task.title)}">
-              ${icons.link} ${escapeHtml(taskKey)}
-            </a>`
-          : `<span class="file-task-link unlinked">
-              ${icons.plus} Link task
-            </span>`
-        }
-      </td>
-      <td>
-        <span class="file-size">${formatFileSize(file.size_bytes)}</span>
-      </td>
-      <td>
-        ${uploader
-          ? `<div class="file-uploader">
-              <div class="table-avatar file-uploader-avatar" style="background: ${stringToColor(uploader.name)}">
-                ${getInitials(uploader.name)}
-              </div>
-              <span class="file-uploader-name">${escapeHtml(uploader.name)}</span>
-            </div>`
-          : '-'
-        }
-      </td>
-      <td>
-        <span class="file-date">${formatDateTime(file.uploaded_at)}</span>
-      </td>
-    </tr>
-  `;
-}
+  const labels = state.labels;
+  const taskLabelIds = task.label_ids || [];
 
-function getFileIcon(fileType) {
-  switch (fileType) {
-    case 'pdf':
-      return icons.filePdf;
-    case 'image':
-      return icons.fileImage;
-    case 'archive':
-      return icons.fileArchive;
-    case 'spreadsheet':
-      return icons.fileSpreadsheet;
-    case 'document':
-    case 'cad':
-    default:
-      return icons.file;
-  }
-}
+  closeDropdown();
 
-function renderFilesEmptyState() {
-  return `
-    <div class="card files-container">
-      <div class="files-empty">
-        <div class="files-empty-icon">${icons.file}</div>
-        <h3 class="files-empty-title">No files yet</h3>
-        <p class="files-empty-description">
-          Upload files to share documents, images, and other attachments with your team.
-        </p>
-        <button class="btn-primary" data-action="open-upload-modal">
-          ${icons.upload} Upload Files
-        </button>
-      </div>
+  const picker = document.createElement('div');
+  picker.className = 'dropdown-menu label-picker open';
+  picker.id = 'label-picker';
+  picker.innerHTML = `
+    <div class="label-picker-header">
+      <span class="label-uppercase">Labels</span>
+    </div>
+    <div class="label-picker-list">
+      ${labels.map(label => `
+        <label class="label-picker-item">
+          <input type="checkbox" ${taskLabelIds.includes(label.id) ? 'checked' : ''} data-label-id="${label.id}">
+          <span class="label-picker-name">${escapeHtml(label.name)}</span>
+        </label>
+      `).join('')}
     </div>
   `;
-}
 
-// ==========================================================================
-// Render Functions - Insights View (Dashboard)
-// ==========================================================================
+  const rect = buttonElement.getBoundingClientRect();
+  picker.style.position = 'fixed';
+  picker.style.top = `${rect.bottom + 4}px`;
+  picker.style.left = `${rect.left}px`;
 
-function renderInsightsView(tasks, project) {
-  const currentTab = state.currentInsightsTab || 'overview';
-  const showArchived = state.showArchivedTasks[project.id] || false;
-  const assignedToMe = state.assignedToMe[project.id] || false;
-  const selectedAssignees = state.assigneeFilter[project.id] || [];
-  const assigneeFilterCount = selectedAssignees.length;
+  document.body.appendChild(picker);
+  state.activeDropdown = 'label-picker';
 
-  // Calculate KPIs
-  const completedTasks = tasks.filter(t => {
-    const status = getStatusById(t.status_id);
-    return status?.name === 'Done';
-  });
-  const incompleteTasks = tasks.filter(t => {
-    const status = getStatusById(t.status_id);
-    return status?.name !== 'Done';
+  // Handle checkbox changes
+  picker.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const labelId = checkbox.dataset.labelId;
+      toggleTaskLabel(taskId, labelId, projectSlug);
+    });
   });
 
-  // Tasks with due dates that are overdue
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const overdueTasks = tasks.filter(t => {
-    if (!t.due_date) return false;
-    const status = getStatusById(t.status_id);
-    if (status?.name === 'Done') return false;
-    const dueDate = new Date(t.due_date);
-    return dueDate < today;
-  });
+  setTimeout(() => {
+    document.addEventListener('click', handleDropdownOutsideClick);
+  }, 10);
+}
 
-  // Status breakdown - include color from workflow settings
-  const statusCounts = {};
-  tasks.forEach(t => {
-    const status = getStatusById(t.status_id);
-    const statusName = status?.name || 'Unknown';
-    const statusColor = status?.color || FALLBACK_COLOR;
-    if (!statusCounts[statusName]) {
-      statusCounts[statusName] = { count: 0, color: statusColor };
-    }
-    statusCounts[statusName].count++;
-  });
+function toggleTaskLabel(taskId, labelId, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
+
+  if (!task.label_ids) {
+    task.label_ids = [];
+  }
+
+  const index = task.label_ids.indexOf(labelId);
+  const label = getLabelById(labelId);
+  const oldLabelIds = [...task.label_ids];
+
+  if (index === -1) {
+    task.label_ids.push(labelId);
+    showToast(`Added "${label?.name}" label`, 'success');
+  } else {
+    task.label_ids.splice(index, 1);
+    showToast(`Removed "${label?.name}" label`, 'success');
+  }
+
+  task.updated_at = new Date().toISOString();
+  persistRecords('tasks', task);
+  recordActivity(task, 'updated', 'label_ids', oldLabelIds, task.label_ids);
+  renderProjectDetail(projectSlug);
+
+  // Re-render panel if open and re-open the label picker
+  const panelAddLabel = document.querySelector('.task-panel [data-action="add-label"]');
+  if (panelAddLabel && state.openTaskId === taskId) {
+    const updatedTask = getTaskById(taskId);
+    renderTaskPanel(updatedTask, projectSlug);
+    attachTaskPanelEventListeners(taskId, projectSlug);
+    const newAddLabelBtn = document.querySelector('.task-panel [data-action="add-label"]');
+    if (newAddLabelBtn) {
+      setTimeout(() => showLabelPicker(taskId, newAddLabelBtn, projectSlug), 50);
+    }
+    return;
+  }
 
-  // Priority breakdown
-  const priorityCounts = { 'High': 0, 'Medium': 0, 'Low': 0, 'None': 0 };
-  tasks.forEach(t => {
-    const priority = t.priority_id ? getPriorityById(t.priority_id) : null;
-    const priorityName = priority?.name || 'None';
-    priorityCounts[priorityName] = (priorityCounts[priorityName] || 0) + 1;
-  });
+  // Re-open the label picker for task row to continue editing
+  const labelsEl = document.querySelector(`.task-row[data-task-id="${taskId}"] .task-labels`);
+  if (labelsEl) {
+    setTimeout(() => showLabelPicker(taskId, labelsEl, projectSlug), 50);
+  }
+}
 
-  // Members stats
-  const memberStats = {};
-  const projectMembers = getProjectMembers(project.id);
-  projectMembers.forEach(member => {
-    memberStats[member.id] = {
-      user: member,
-      taskCount: 0,
-      completed: 0,
-      incomplete: 0,
-      overdue: 0
-    };
-  });
+function handleDropdownOutsideClick(e) {
+  if (!state.activeDropdown) return;
 
-  tasks.forEach(t => {
-    if (t.assignee_id && memberStats[t.assignee_id]) {
-      memberStats[t.assignee_id].taskCount++;
-      const status = getStatusById(t.status_id);
-      if (status?.name === 'Done') {
-        memberStats[t.assignee_id].completed++;
-      } else {
-        memberStats[t.assignee_id].incomplete++;
-        // Check overdue
-        if (t.due_date) {
-          const dueDate = new Date(t.due_date);
-          if (dueDate < today) {
-            memberStats[t.assignee_id].overdue++;
-          }
-        }
-      }
-    }
-  });
+  const dropdown = document.getElementById(state.activeDropdown);
+  if (dropdown && dropdown.contains(e.target)) {
+    return; // Click is inside dropdown, don't close
+  }
 
-  // Last updated tasks (sorted by updated_at)
-  const lastUpdatedTasks = [...tasks]
-    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
-    .slice(0, 10);
+  closeDropdown();
+}
 
-  return `
-    <div class="insights-container">
-      <div class="view-toolbar">
-        <div class="toolbar-filters">
-          <nav class="insights-tabs">
-            <button class="insights-tab ${currentTab === 'overview' ? 'active' : ''}" data-insights-tab="overview">Overview</button>
-            <button class="insights-tab ${currentTab === 'members' ? 'active' : ''}" data-insights-tab="members">Members</button>
-            <button class="insights-tab ${currentTab === 'tasks' ? 'active' : ''}" data-insights-tab="tasks">Tasks</button>
-          </nav>
-          <button class="filter-btn ${assigneeFilterCount > 0 ? 'active' : ''}" data-action="toggle-assignee-filter">
-            ${icons.user} Assignee${assigneeFilterCount > 0 ? ` (${assigneeFilterCount})` : ''}
-            ${icons.chevronDown}
-          </button>
-          <label class="checkbox-label">
-            <input type="checkbox" class="checkbox-input" data-action="toggle-assigned-to-me" ${assignedToMe ? 'checked' : ''}>
-            <span class="checkbox-custom"></span>
-            <span class="checkbox-text">Assigned to me</span>
-          </label>
-        </div>
-        <div class="toolbar-actions">
-          <label class="checkbox-label">
-            <input type="checkbox" class="checkbox-input" data-action="toggle-archived" ${showArchived ? 'checked' : ''}>
-            <span class="checkbox-custom"></span>
-            <span class="checkbox-text">Show archived</span>
-          </label>
-          <button class="btn-primary" id="export-insights">
-            ${icons.download} Export
-          </button>
-        </div>
-      </div>
+function closeDropdown() {
+  if (state.activeDropdown) {
+    const dropdown = document.getElementById(state.activeDropdown);
+    if (dropdown) {
+      dropdown.remove();
+    }
+  }
 
-      ${currentTab === 'overview' ? renderInsightsOverview(tasks, completedTasks, incompleteTasks, overdueTasks, statusCounts, priorityCounts, lastUpdatedTasks, project) : ''}
-      ${currentTab === 'members' ? renderInsightsMembers(memberStats, overdueTasks, projectMembers) : ''}
-      ${currentTab === 'tasks' ? renderInsightsTasks(tasks, completedTasks, incompleteTasks, overdueTasks) : ''}
-    </div>
-  `;
+  state.activeDropdown = null;
+  document.removeEventListener('click', handleDropdownOutsideClick);
 }
 
-function renderInsightsOverview(tasks, completedTasks, incompleteTasks, overdueTasks, statusCounts, priorityCounts, lastUpdatedTasks, project) {
-  // Calculate donut chart segments using colors from workflow settings
-  const total = tasks.length || 1;
-  let currentAngle = 0;
-  const segments = Object.entries(statusCounts).map(([name, data]) => {
-    const count = data.count;
-    const color = data.color; // Use color from workflow settings
-    const percentage = (count / total) * 100;
-    const startAngle = currentAngle;
-    currentAngle += (percentage / 100) * 360;
-    return { name, count, percentage, startAngle, endAngle: currentAngle, color };
-  });
+function updateTaskStatus(taskId, newStatusId, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  return `
-    <div class="insights-content">
-      <!-- KPI Cards Row -->
-      <div class="insights-kpi-row">
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon success">
-            ${icons.checkCircle}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Completed tasks</span>
-            <span class="insights-kpi-value">${completedTasks.length}</span>
-          </div>
-        </div>
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon warning">
-            ${icons.tasks || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M9 12l2 2 4-4"/></svg>'}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Incomplete tasks</span>
-            <span class="insights-kpi-value">${incompleteTasks.length}</span>
-          </div>
-        </div>
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon danger">
-            ${icons.warning || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Overdue tasks</span>
-            <span class="insights-kpi-value">${overdueTasks.length}</span>
-          </div>
-        </div>
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon info">
-            ${icons.clock || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>'}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Total tasks</span>
-            <span class="insights-kpi-value">${tasks.length}</span>
-          </div>
-        </div>
-      </div>
+  const oldStatusId = task.status_id;
+  const newStatus = getStatusById(newStatusId);
 
-      <!-- Charts Row -->
-      <div class="insights-charts-row">
-        <div class="card card--insights insights-chart-card">
-          <div class="insights-card-header">
-            <span class="insights-card-title">Status Overview</span>
-          </div>
-          <div class="insights-chart-content">
-            <div class="donut-chart">
-              <svg viewBox="0 0 100 100" class="donut-svg">
-                ${renderDonutSegments(segments, total)}
-                <circle cx="50" cy="50" r="30" fill="white"/>
-              </svg>
-            </div>
-            <div class="donut-legend">
-              ${segments.map(s => `
-                <div class="donut-legend-item">
-                  <span class="donut-legend-color" style="background: ${s.color}"></span>
-                  <span class="donut-legend-label">${s.name} (${s.count})</span>
-                </div>
-              `).join('')}
-            </div>
-          </div>
-        </div>
+  if (!canEnterStatus(task, newStatusId)) {
+    closeDropdown();
+    return;
+  }
 
-        <div class="card card--insights insights-chart-card">
-          <div class="insights-card-header">
-            <span class="insights-card-title">Priority Overview</span>
-          </div>
-          <div class="insights-chart-content">
-            <div class="bar-chart">
-              ${renderPriorityBars(priorityCounts, tasks.length)}
-            </div>
-          </div>
-        </div>
-      </div>
+  task.status_id = newStatusId;
+  task.updated_at = new Date().toISOString();
+  if (oldStatusId !== newStatusId) syncStatusTimestamps(task, oldStatusId);
+  persistRecords('tasks', task);
+  if (oldStatusId !== newStatusId) {
+    recordActivity(task, 'updated', 'status_id', oldStatusId, newStatusId);
+  }
 
-      <!-- Last Updated Tasks -->
-      <div class="card card--insights insights-table-card">
-        <div class="insights-card-header">
-          <span class="insights-card-title">Last Updated Tasks</span>
-          <a href="#" class="insights-see-all">See all</a>
-        </div>
-        <table class="insights-table">
-          <thead>
-            <tr>
-              <th>Name</th>
-              <th>Status</th>
-              <th>Due Date</th>
-              <th>Last Updated</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${lastUpdatedTasks.map(task => {
-              const status = getStatusById(task.status_id);
-              return `
-                <tr>
-                  <td>${escapeHtml(task.title)}</td>
-                  <td><span class="insights-status-badge" style="background: ${status?.color || FALLBACK_COLOR}">${status?.name || 'Unknown'}</span></td>
-                  <td>${task.due_date ? formatDate(task.due_date) : 'N/A'}</td>
-                  <td>${formatRelativeTime(task.updated_at)}</td>
-                </tr>
-              `;
-            }).join('')}
-          </tbody>
-        </table>
-      </div>
-    </div>
-  `;
+  closeDropdown();
+  showToast(`Task moved to "${newStatus?.name || 'Unknown'}"`, 'success');
+  if (oldStatusId !== newStatusId) applyStatusChangeEffects(task, oldStatusId);
+  renderProjectDetail(projectSlug);
 }
 
-function renderDonutSegments(segments, total) {
-  if (total === 0) {
-    return '<circle cx="50" cy="50" r="40" fill="#e5e7eb"/>';
-  }
+// ==========================================================================
+// Quick Add Task (Inline)
+// ==========================================================================
 
-  let svgPaths = '';
-  segments.forEach(segment => {
-    if (segment.count === 0) return;
+function showQuickAddTask(groupId, groupType, projectSlug) {
+  state.quickAddStatus = groupId;
+  state.quickAddGroupType = groupType;
+  renderProjectDetail(projectSlug);
 
-    const startAngle = (segment.startAngle - 90) * (Math.PI / 180);
-    const endAngle = (segment.endAngle - 90) * (Math.PI / 180);
+  // Focus the input after render
+  setTimeout(() => {
+    const input = document.querySelector('.quick-add-input input');
+    if (input) input.focus();
+  }, 50);
+}
 
-    const x1 = 50 + 40 * Math.cos(startAngle);
-    const y1 = 50 + 40 * Math.sin(startAngle);
-    const x2 = 50 + 40 * Math.cos(endAngle);
-    const y2 = 50 + 40 * Math.sin(endAngle);
+function hideQuickAddTask(projectSlug) {
+  state.quickAddStatus = null;
+  state.quickAddGroupType = null;
+  renderProjectDetail(projectSlug);
+}
 
-    const largeArc = segment.percentage > 50 ? 1 : 0;
+function handleQuickAddTask(groupId, groupType, projectSlug) {
+  const input = document.querySelector('.quick-add-input input');
+  const title = input?.value?.trim();
 
-    svgPaths += `<path d="M 50 50 L ${x1} ${y1} A 40 40 0 ${largeArc} 1 ${x2} ${y2} Z" fill="${segment.color}"/>`;
-  });
+  if (!title) {
+    hideQuickAddTask(projectSlug);
+    return;
+  }
 
-  return svgPaths;
-}
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-function renderPriorityBars(priorityCounts, total) {
-  const priorities = [
-    { name: 'Low', color: COLOR_PALETTE.emerald.hex, count: priorityCounts['Low'] || 0 },
-    { name: 'Medium', color: COLOR_PALETTE.amber.hex, count: priorityCounts['Medium'] || 0 },
-    { name: 'High', color: COLOR_PALETTE.red.hex, count: priorityCounts['High'] || 0 }
-  ];
+  const projectTasks = getTasksForProject(project.id);
+  const maxSeq = projectTasks.reduce((max, t) => Math.max(max, t.sequence_id || 0), 0);
 
-  const maxCount = Math.max(...priorities.map(p => p.count), 1);
+  // Determine task fields based on group type
+  let statusId = null;
+  let priorityId = null;
+  let assigneeId = null;
 
-  return `
-    <div class="bar-chart-container">
-      <div class="bar-chart-y-axis">
-        ${[...Array(6)].map((_, i) => `<span>${Math.round(maxCount - (maxCount / 5) * i)}</span>`).join('')}
-      </div>
-      <div class="bar-chart-bars">
-        ${priorities.map(p => `
-          <div class="bar-chart-bar-group">
-            <div class="bar-chart-bar" style="height: ${(p.count / maxCount) * 100}%; background: ${p.color}">
-              <span class="bar-chart-value">${p.count}</span>
-            </div>
-            <span class="bar-chart-label">${p.name}</span>
-          </div>
-        `).join('')}
-      </div>
-    </div>
-  `;
-}
+  const statuses = getStatusesForProject(project.id);
+  const defaultStatus = statuses.find(s => s.category === 'todo') || statuses[0];
 
-function renderInsightsMembers(memberStats, overdueTasks, projectMembers) {
-  const membersWithOverdue = Object.values(memberStats).filter(m => m.overdue > 0).length;
-  const unassignedMembers = projectMembers.filter(m => memberStats[m.id]?.taskCount === 0).length;
+  if (groupType === 'status') {
+    statusId = groupId;
+  } else if (groupType === 'priority') {
+    statusId = defaultStatus?.id;
+    priorityId = groupId === 'priority-none' ? null : groupId;
+  } else if (groupType === 'assignee') {
+    statusId = defaultStatus?.id;
+    assigneeId = groupId === 'unassigned' ? null : groupId.replace('assignee-', '');
+  } else {
+    statusId = defaultStatus?.id;
+  }
 
-  return `
-    <div class="insights-content">
-      <!-- Member KPI Cards -->
-      <div class="insights-kpi-row">
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon info">
-            ${icons.users}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Project Members</span>
-            <span class="insights-kpi-value">${projectMembers.length}</span>
-          </div>
-        </div>
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon danger">
-            ${icons.warning || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Assignees with overdue tasks</span>
-            <span class="insights-kpi-value">${membersWithOverdue}</span>
-          </div>
-        </div>
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon warning">
-            ${icons.user}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Unassigned Members</span>
-            <span class="insights-kpi-value">${unassignedMembers}</span>
-          </div>
-        </div>
-      </div>
+  const customFields = {};
+  const groupField = groupType === 'custom' ? getCustomFieldForKey(state.projectGroupBy[project.id]) : null;
+  const groupValue = groupField ? getCustomGroupValue(groupField, groupId) : null;
+  if (groupValue !== null) customFields[groupField.id] = groupValue;
 
-      <!-- Members Table -->
-      <div class="card card--insights insights-table-card">
-        <div class="insights-card-header">
-          <span class="insights-card-title">Tasks by members</span>
-        </div>
-        <table class="insights-table insights-members-table">
-          <thead>
-            <tr>
-              <th></th>
-              <th>Name</th>
-              <th>Task Count</th>
-              <th>Contribution</th>
-              <th>Completed</th>
-              <th>Incomplete</th>
-              <th>Overdue</th>
-              <th>Progress</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${Object.values(memberStats).map(m => {
-              const totalTasks = Object.values(memberStats).reduce((sum, ms) => sum + ms.taskCount, 0) || 1;
-              const contribution = ((m.taskCount / totalTasks) * 100).toFixed(0);
-              const progress = m.taskCount > 0 ? ((m.completed / m.taskCount) * 100).toFixed(0) : 0;
-              return `
-                <tr>
-                  <td>
-                    <button class="insights-expand-btn">${icons.chevronRight}</button>
-                  </td>
-                  <td>
-                    <div class="insights-member-cell">
-                      <div class="insights-member-avatar" style="background: ${stringToColor(m.user.name)}">${getInitials(m.user.name)}</div>
-                      <span>${escapeHtml(m.user.name)}</span>
-                    </div>
-                  </td>
-                  <td class="text-center text-primary">${m.taskCount}</td>
-                  <td class="text-center">${contribution}%</td>
-                  <td class="text-center">${m.completed}</td>
-                  <td class="text-center text-primary">${m.incomplete}</td>
-                  <td class="text-center text-danger">${m.overdue}</td>
-                  <td>
-                    <div class="insights-progress-cell">
-                      <div class="progress-bar insights-progress-bar">
-                        <div class="progress-fill insights-progress-fill" style="width: ${progress}%"></div>
-                      </div>
-                      <span class="insights-progress-text">${progress}%</span>
-                    </div>
-                  </td>
-                </tr>
-              `;
-            }).join('')}
-          </tbody>
-        </table>
-      </div>
-    </div>
-  `;
-}
+  const newTask = {
+    id: generateId('task'),
+    project_id: project.id,
+    parent_id: null,
+    sequence_id: maxSeq + 1,
+    title: title,
+    description: '',
+    status_id: statusId,
+    priority_id: priorityId,
+    assignee_id: assigneeId,
+    due_date: null,
+    start_date: null,
+    label_ids: [],
+    recurrence: null,
+    custom_fields: customFields,
+    is_archived: false,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
 
-function renderInsightsTasks(tasks, completedTasks, incompleteTasks, overdueTasks) {
-  // Tasks completed early (completed before due date)
-  const tasksCompletedEarly = completedTasks.filter(t => {
-    if (!t.due_date || !t.completed_at) return false;
-    return new Date(t.completed_at) < new Date(t.due_date);
-  });
+  // New tasks have to meet the status' entry rules and WIP limit like moved ones
+  if (!canEnterStatus({ ...newTask, status_id: null }, newTask.status_id)) return;
 
-  // Tasks completed late (completed after due date)
-  const tasksCompletedLate = completedTasks.filter(t => {
-    if (!t.due_date || !t.completed_at) return false;
-    return new Date(t.completed_at) > new Date(t.due_date);
-  });
+  syncStatusTimestamps(newTask, null);
+  state.tasks.push(newTask);
+  persistRecords('tasks', newTask);
+  recordActivity(newTask, 'created');
+  state.quickAddStatus = null;
+  state.quickAddGroupType = null;
+  showToast(`Task "${title}" created`, 'success');
+  renderProjectDetail(projectSlug);
+}
 
-  return `
-    <div class="insights-content">
-      <!-- Task KPI Cards -->
-      <div class="insights-kpi-row">
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon success">
-            ${icons.checkCircle}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Completed tasks</span>
-            <span class="insights-kpi-value">${completedTasks.length}</span>
-          </div>
-        </div>
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon warning">
-            ${icons.tasks || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M9 12l2 2 4-4"/></svg>'}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Incomplete tasks</span>
-            <span class="insights-kpi-value">${incompleteTasks.length}</span>
-          </div>
-        </div>
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon danger">
-            ${icons.warning || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Overdue tasks</span>
-            <span class="insights-kpi-value">${overdueTasks.length}</span>
-          </div>
-        </div>
-        <div class="card card--kpi insights-kpi-card">
-          <div class="insights-kpi-icon info">
-            ${icons.clock || '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>'}
-          </div>
-          <div class="insights-kpi-data">
-            <span class="insights-kpi-label">Total tasks</span>
-            <span class="insights-kpi-value">${tasks.length}</span>
-          </div>
-        </div>
-      </div>
+// ==========================================================================
+// Task Selection
+// ==========================================================================
 
-      <!-- Task Tables Row -->
-      <div class="insights-tables-row">
-        <div class="card card--insights insights-table-card insights-table-half">
-          <div class="insights-card-header">
-            <span class="insights-card-title">Overdue Tasks</span>
-            <a href="#" class="insights-see-all">See all</a>
-          </div>
-          ${overdueTasks.length > 0 ? `
-            <table class="insights-table">
-              <thead>
-                <tr>
-                  <th>Name</th>
-                  <th>Status</th>
-                  <th>End Date</th>
-                  <th>Days overdue</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${overdueTasks.slice(0, 5).map(task => {
-                  const status = getStatusById(task.status_id);
-                  const daysOverdue = Math.ceil((new Date() - new Date(task.due_date)) / (1000 * 60 * 60 * 24));
-                  return `
-                    <tr>
-                      <td>${escapeHtml(task.title)}</td>
-                      <td><span class="insights-status-badge" style="background: ${status?.color || FALLBACK_COLOR}">${status?.name || 'Unknown'}</span></td>
-                      <td>${formatDate(task.due_date)}</td>
-                      <td class="text-danger">${daysOverdue} days</td>
-                    </tr>
-                  `;
-                }).join('')}
-              </tbody>
-            </table>
-          ` : renderEmptyTableState('No overdue tasks')}
-        </div>
+function toggleTaskSelection(taskId, projectSlug) {
+  if (state.selectedTasks.has(taskId)) {
+    state.selectedTasks.delete(taskId);
+  } else {
+    state.selectedTasks.add(taskId);
+  }
+  state.lastSelectedTaskId = taskId;
+  renderProjectDetail(projectSlug);
+}
 
-        <div class="card card--insights insights-table-card insights-table-half">
-          <div class="insights-card-header">
-            <span class="insights-card-title">Tasks completed early</span>
-            <a href="#" class="insights-see-all">See all</a>
-          </div>
-          ${tasksCompletedEarly.length > 0 ? `
-            <table class="insights-table">
-              <thead>
-                <tr>
-                  <th>Name</th>
-                  <th>Status</th>
-                  <th>End Date</th>
-                  <th>Completed At</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${tasksCompletedEarly.slice(0, 5).map(task => {
-                  const status = getStatusById(task.status_id);
-                  return `
-                    <tr>
-                      <td>${escapeHtml(task.title)}</td>
-                      <td><span class="insights-status-badge" style="background: ${status?.color || FALLBACK_COLOR}">${status?.name || 'Unknown'}</span></td>
-                      <td>${formatDate(task.due_date)}</td>
-                      <td>${formatDate(task.completed_at)}</td>
-                    </tr>
-                  `;
-                }).join('')}
-              </tbody>
-            </table>
-          ` : renderEmptyTableState('No data')}
-        </div>
-      </div>
+/**
+ * Shift-click: select every visible row between the last clicked row and this one
+ */
+function selectTaskRange(taskId, projectSlug) {
+  const rowIds = [...document.querySelectorAll('.task-row[data-task-id]')].map(row => row.dataset.taskId);
+  const from = rowIds.indexOf(state.lastSelectedTaskId);
+  const to = rowIds.indexOf(taskId);
+  if (from === -1 || to === -1) {
+    toggleTaskSelection(taskId, projectSlug);
+    return;
+  }
 
-      <div class="insights-tables-row">
-        <div class="card card--insights insights-table-card insights-table-half">
-          <div class="insights-card-header">
-            <span class="insights-card-title">Tasks completed late</span>
-            <a href="#" class="insights-see-all">See all</a>
-          </div>
-          ${tasksCompletedLate.length > 0 ? `
-            <table class="insights-table">
-              <thead>
-                <tr>
-                  <th>Name</th>
-                  <th>Status</th>
-                  <th>End Date</th>
-                  <th>Completed At</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${tasksCompletedLate.slice(0, 5).map(task => {
-                  const status = getStatusById(task.status_id);
-                  return `
-                    <tr>
-                      <td>${escapeHtml(task.title)}</td>
-                      <td><span class="insights-status-badge" style="background: ${status?.color || FALLBACK_COLOR}">${status?.name || 'Unknown'}</span></td>
-                      <td>${formatDate(task.due_date)}</td>
-                      <td>${formatDate(task.completed_at)}</td>
-                    </tr>
-                  `;
-                }).join('')}
-              </tbody>
-            </table>
-          ` : renderEmptyTableState('No data')}
-        </div>
-      </div>
-    </div>
-  `;
+  rowIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => state.selectedTasks.add(id));
+  state.lastSelectedTaskId = taskId;
+  renderProjectDetail(projectSlug);
 }
 
-function renderEmptyTableState(message) {
-  return `
-    <div class="insights-empty-state">
-      <div class="insights-empty-icon">
-        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#9ca3af" stroke-width="1.5">
-          <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"/>
-          <polyline points="3.27 6.96 12 12.01 20.73 6.96"/>
-          <line x1="12" y1="22.08" x2="12" y2="12"/>
-        </svg>
-      </div>
-      <p class="insights-empty-text">${message}</p>
-    </div>
-  `;
+// Select every task of a list group, or clear them when all are selected already
+function toggleGroupSelection(taskIds, projectSlug) {
+  const allSelected = taskIds.every(id => state.selectedTasks.has(id));
+  taskIds.forEach(id => {
+    if (allSelected) {
+      state.selectedTasks.delete(id);
+    } else {
+      state.selectedTasks.add(id);
+    }
+  });
+  renderProjectDetail(projectSlug);
 }
 
-function formatRelativeTime(dateString) {
-  const date = new Date(dateString);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / (1000 * 60));
-  const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+function getGroupSelectionState(tasks) {
+  const selectedCount = tasks.filter(t => state.selectedTasks.has(t.id)).length;
+  if (selectedCount === 0) return '';
+  if (selectedCount === tasks.length) return 'checked';
+  return 'indeterminate';
+}
 
-  if (diffMins < 1) return 'just now';
-  if (diffMins < 60) return `${diffMins} minutes ago`;
-  if (diffHours < 24) return `about ${diffHours} hours ago`;
-  if (diffDays < 7) return `${diffDays} days ago`;
-  return formatDate(dateString);
+function getSelectedTasks(projectId) {
+  return state.tasks.filter(t => t.project_id === projectId && state.selectedTasks.has(t.id));
+}
+
+function clearTaskSelection() {
+  state.selectedTasks.clear();
+  state.lastSelectedTaskId = null;
 }
 
 // ==========================================================================
-// Render Functions - Roadmap View (Gantt)
+// Bulk Task Actions
 // ==========================================================================
 
-function renderRoadmapView(tasks, project) {
-  const scale = state.roadmapScale;
-  const offset = state.roadmapOffset;
-  const today = new Date();
-
-  // Generate timeline data based on scale
-  const timeline = generateTimeline(scale, offset, today);
-  const { units, timelineStart, timelineEnd, totalDays } = timeline;
+const BULK_DUE_DATE_SHIFTS = [
+  { days: 1, label: '+1 day' },
+  { days: 7, label: '+1 week' },
+  { days: -1, label: '-1 day' },
+  { days: -7, label: '-1 week' },
+];
 
-  return `
-    <div class="roadmap-view">
-      <div class="view-toolbar view-toolbar--wrap">
-        <div class="toolbar-filters">
-          <div class="roadmap-zoom">
-            <button class="roadmap-zoom-btn${scale === 'week' ? ' active' : ''}" data-scale="week">Week</button>
-            <button class="roadmap-zoom-btn${scale === 'month' ? ' active' : ''}" data-scale="month">Month</button>
-            <button class="roadmap-zoom-btn${scale === 'quarter' ? ' active' : ''}" data-scale="quarter">Quarter</button>
-            <button class="roadmap-zoom-btn${scale === 'year' ? ' active' : ''}" data-scale="year">Year</button>
-          </div>
-        </div>
-        <div class="toolbar-actions">
-          <div class="roadmap-nav">
-            <button class="roadmap-nav-btn" data-action="roadmap-prev">${icons.chevronLeft}</button>
-            <button class="roadmap-today-btn" data-action="roadmap-today">Today</button>
-            <button class="roadmap-nav-btn" data-action="roadmap-next">${icons.chevronRight}</button>
-          </div>
-        </div>
-      </div>
-      <div class="card roadmap-content">
-        <div class="gantt-wrapper">
-        <div class="gantt-sidebar">
-          <div class="gantt-sidebar-header">Task Name</div>
-          <div class="gantt-task-list">
-            ${tasks.map(task => {
-              const assignee = task.assignee_id ? getUserById(task.assignee_id) : null;
-              const status = getStatusById(task.status_id);
-              return `
-                <div class="gantt-task-item">
-                  <div class="gantt-task-color" style="background: ${status?.color || FALLBACK_COLOR}"></div>
-                  <span class="gantt-task-name">${escapeHtml(task.title)}</span>
-                  ${assignee ? `
-                    <div class="table-avatar" style="background: ${stringToColor(assignee.name)}">
-                      ${getInitials(assignee.name)}
-                    </div>
-                  ` : ''}
-                </div>
-              `;
-            }).join('')}
-          </div>
-        </div>
-        <div class="gantt-timeline" style="--gantt-columns: ${units.reduce((sum, u) => sum + u.subdivisions.length, 0)}">
-          <div class="gantt-header-units">
-            ${units.map((unit, unitIndex) => `
-              <div class="gantt-unit-name${unitIndex > 0 ? ' unit-start' : ''}" style="grid-column: span ${unit.subdivisions.length}">${unit.name}</div>
-            `).join('')}
-          </div>
-          <div class="gantt-header-subs">
-            ${units.map((unit, unitIndex) => `
-              ${unit.subdivisions.map((sub, subIndex) => `
-                <div class="gantt-subdivision${subIndex === 0 && unitIndex > 0 ? ' unit-start' : ''}">${sub.label}</div>
-              `).join('')}
-            `).join('')}
-          </div>
-          <div class="gantt-rows" data-timeline-start="${timelineStart.toISOString()}" data-total-days="${totalDays}">
-            ${tasks.map(task => {
-              const status = getStatusById(task.status_id);
-              const barStyle = getGanttBarStyle(task, timelineStart, totalDays, status?.color || FALLBACK_COLOR);
-              return `
-                <div class="gantt-row">
-                  ${units.map((unit, unitIndex) => `
-                    ${unit.subdivisions.map((_, subIndex) => `<div class="gantt-cell${subIndex === 0 && unitIndex > 0 ? ' unit-start' : ''}"></div>`).join('')}
-                  `).join('')}
-                  ${barStyle ? `
-                    <div class="gantt-bar" data-task-id="${task.id}" style="${barStyle}">
-                      <div class="gantt-bar-handle gantt-bar-handle-left"></div>
-                      <span class="gantt-bar-label">${escapeHtml(task.title)}</span>
-                      <div class="gantt-bar-handle gantt-bar-handle-right"></div>
-                    </div>
-                  ` : `
-                    <div class="gantt-bar no-dates" data-task-id="${task.id}" style="left: 10px; width: 100px;">No dates</div>
-                  `}
-                </div>
-              `;
-            }).join('')}
-            ${renderTodayLine(today, timelineStart, totalDays)}
-          </div>
-        </div>
-        </div>
-      </div>
-    </div>
-  `;
+function pluralizeTasks(count) {
+  return `${count} task${count === 1 ? '' : 's'}`;
 }
 
-// Generate timeline data based on scale
-function generateTimeline(scale, offset, today) {
-  switch (scale) {
-    case 'week':
-      return generateWeekTimeline(offset, today);
-    case 'month':
-      return generateMonthTimeline(offset, today);
-    case 'quarter':
-      return generateQuarterTimeline(offset, today);
-    case 'year':
-      return generateYearTimeline(offset, today);
-    default:
-      return generateMonthTimeline(offset, today);
+/**
+ * Apply a change to every selected task as a single operation, so one Undo
+ * reverts it (including activity and cascaded records).
+ * @param {Function} apply - Receives (tasks, project) and returns the toast
+ *   message. When nothing changed, the message explains why (or is null).
+ */
+function runBulkTaskAction(projectSlug, apply) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
+
+  const tasks = getSelectedTasks(project.id);
+  closeDropdown();
+  if (tasks.length === 0) return;
+
+  const entry = beginHistoryEntry();
+  const message = apply(tasks, project);
+
+  if (entry.changes.size === 0) {
+    showToast(message || 'Nothing to change for the selected tasks', message ? 'error' : 'default');
+    return;
   }
+
+  showToast(message, 'success');
+  renderProjectDetail(projectSlug);
 }
 
-// Week view: Shows ~4 weeks with days as subdivisions
-function generateWeekTimeline(offset, today) {
-  const units = [];
-  const startOfWeek = getStartOfWeek(today);
-  startOfWeek.setDate(startOfWeek.getDate() + (offset * 7)); // Each offset unit = 1 week
+function setTasksField(tasks, field, value) {
+  const changed = tasks.filter(t => (t[field] ?? null) !== value);
+  const now = new Date().toISOString();
 
-  // Show 4 weeks
-  for (let w = -1; w < 3; w++) {
-    const weekStart = new Date(startOfWeek);
-    weekStart.setDate(weekStart.getDate() + (w * 7));
+  changed.forEach(task => {
+    recordActivity(task, 'updated', field, task[field], value);
+    task[field] = value;
+    task.updated_at = now;
+  });
+  persistRecords('tasks', changed);
+  return changed.length;
+}
 
-    const subdivisions = [];
-    for (let d = 0; d < 7; d++) {
-      const day = new Date(weekStart);
-      day.setDate(day.getDate() + d);
-      subdivisions.push({
-        label: day.getDate().toString(),
-        date: new Date(day)
-      });
+/**
+ * Move tasks into a status one by one, so each move counts against the WIP
+ * limit. Tasks the status' rules or the workflow transitions reject are skipped.
+ */
+function setTasksStatus(tasks, status) {
+  const candidates = tasks.filter(t => t.status_id !== status.id);
+  let skipped = 0;
+  const moved = [];
+
+  candidates.forEach(task => {
+    const { missing, overLimit, transitionError } = checkStatusEntry(task, status);
+    if (transitionError || missing.length > 0 || (overLimit && status.wip_policy === 'block')) {
+      skipped++;
+      return;
     }
+    const oldStatusId = task.status_id;
+    recordActivity(task, 'updated', 'status_id', oldStatusId, status.id);
+    task.status_id = status.id;
+    task.updated_at = new Date().toISOString();
+    syncStatusTimestamps(task, oldStatusId);
+    persistRecords('tasks', task);
+    moved.push({ task, oldStatusId });
+  });
+  moved.forEach(({ task, oldStatusId }) => applyStatusChangeEffects(task, oldStatusId));
 
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekEnd.getDate() + 6);
-
-    units.push({
-      name: `${weekStart.toLocaleDateString('en-US', { month: 'short' })} ${weekStart.getDate()}-${weekEnd.getDate()}`,
-      start: new Date(weekStart),
-      end: weekEnd,
-      subdivisions
+  return { moved: moved.length, skipped };
+}
+
+/**
+ * Add a label to every task, or remove it when every task has it already
+ */
+function toggleTasksLabel(tasks, labelId) {
+  const remove = tasks.every(t => (t.label_ids || []).includes(labelId));
+  const now = new Date().toISOString();
+  const changed = tasks.filter(t => (t.label_ids || []).includes(labelId) === remove);
+
+  changed.forEach(task => {
+    const oldLabels = task.label_ids || [];
+    task.label_ids = remove ? oldLabels.filter(id => id !== labelId) : [...oldLabels, labelId];
+    task.updated_at = now;
+    recordActivity(task, 'updated', 'label_ids', oldLabels, task.label_ids);
+  });
+  persistRecords('tasks', changed);
+  return { count: changed.length, removed: remove };
+}
+
+// Tasks without a due date are left alone
+function shiftTasksDueDate(tasks, days) {
+  const changed = tasks.filter(t => t.due_date);
+  const now = new Date().toISOString();
+
+  changed.forEach(task => {
+    const oldDate = task.due_date;
+    task.due_date = shiftDateISO(oldDate, days);
+    task.updated_at = now;
+    recordActivity(task, 'updated', 'due_date', oldDate, task.due_date);
+  });
+  persistRecords('tasks', changed);
+  changed.forEach(task => applyDependencyScheduling(task));
+  return changed.length;
+}
+
+// The tasks plus all of their subtasks, which follow a parent when it moves or is deleted
+function getTasksWithDescendants(tasks) {
+  const ids = new Set(tasks.map(t => t.id));
+  let added = true;
+  while (added) {
+    added = false;
+    state.tasks.forEach(t => {
+      if (t.parent_id && ids.has(t.parent_id) && !ids.has(t.id)) {
+        ids.add(t.id);
+        added = true;
+      }
     });
   }
+  return state.tasks.filter(t => ids.has(t.id));
+}
 
-  const timelineStart = units[0].start;
-  const timelineEnd = units[units.length - 1].end;
-  const totalDays = Math.ceil((timelineEnd - timelineStart) / (1000 * 60 * 60 * 24)) + 1;
-
-  return { units, timelineStart, timelineEnd, totalDays };
+/**
+ * Move tasks (and their subtasks) to another project. Statuses are matched by
+ * name, then category; labels by name. Custom field values and dependencies
+ * on tasks that stay behind are dropped, since both are per project. Files,
+ * time entries and activity go along with their tasks.
+ */
+function moveTasksToProject(tasks, target) {
+  const moving = getTasksWithDescendants(tasks);
+  const ids = new Set(moving.map(t => t.id));
+  const targetStatuses = getStatusesForProject(target.id);
+  const targetLabels = getLabelsForProject(target.id);
+  const now = new Date().toISOString();
+  let nextSequence = state.tasks
+    .filter(t => t.project_id === target.id)
+    .reduce((max, t) => Math.max(max, t.sequence_id || 0), 0) + 1;
+
+  moving.forEach(task => {
+    const oldStatus = getStatusById(task.status_id);
+    const status = targetStatuses.find(s => s.name === oldStatus?.name)
+      || targetStatuses.find(s => s.category === oldStatus?.category)
+      || targetStatuses.find(s => s.is_default)
+      || targetStatuses[0];
+
+    recordActivity(task, 'updated', 'project_id', task.project_id, target.id);
+    task.project_id = target.id;
+    task.sequence_id = nextSequence++;
+    task.status_id = status?.id || null;
+    syncStatusTimestamps(task, oldStatus?.id);
+    task.label_ids = (task.label_ids || [])
+      .map(id => targetLabels.find(l => l.name === getLabelById(id)?.name)?.id)
+      .filter(Boolean);
+    task.custom_fields = {};
+    if (task.parent_id && !ids.has(task.parent_id)) task.parent_id = null;
+    task.updated_at = now;
+  });
+  persistRecords('tasks', moving);
+
+  const staleLinks = state.taskLinks.filter(l => ids.has(l.source_task_id) !== ids.has(l.target_task_id));
+  removeRecords('taskLinks', staleLinks.map(l => l.id));
+  state.taskLinks = state.taskLinks.filter(l => !staleLinks.includes(l));
+  const movedLinks = state.taskLinks.filter(l => ids.has(l.source_task_id));
+  movedLinks.forEach(l => { l.project_id = target.id; });
+  persistRecords('taskLinks', movedLinks);
+
+  const movedFiles = state.files.filter(f => ids.has(f.task_id));
+  movedFiles.forEach(f => { f.project_id = target.id; });
+  persistRecords('files', movedFiles);
+
+  const movedEntries = state.timeEntries.filter(e => ids.has(e.task_id));
+  movedEntries.forEach(e => { e.project_id = target.id; });
+  persistRecords('timeEntries', movedEntries);
+
+  const movedActivities = state.activities.filter(a => ids.has(a.task_id));
+  movedActivities.forEach(a => { a.project_id = target.id; });
+  persistRecords('activities', movedActivities);
+
+  return moving.length;
+}
+
+function setTasksArchived(tasks, archived) {
+  const changed = tasks.filter(t => Boolean(t.is_archived) !== archived);
+  const now = new Date().toISOString();
+
+  changed.forEach(task => {
+    task.is_archived = archived;
+    task.updated_at = now;
+    recordActivity(task, archived ? 'archived' : 'restored');
+  });
+  persistRecords('tasks', changed);
+  return changed.length;
 }
 
-// Month view: Shows ~4 months with weeks as subdivisions
-function generateMonthTimeline(offset, today) {
-  const units = [];
+/**
+ * Delete tasks with their subtasks and everything that belongs to them.
+ * Attached files stay in the project, detached from the task.
+ */
+function deleteTasks(tasks) {
+  const deleting = getTasksWithDescendants(tasks);
+  const ids = new Set(deleting.map(t => t.id));
 
-  for (let i = -1 + offset; i < 3 + offset; i++) {
-    const date = new Date(today.getFullYear(), today.getMonth() + i, 1);
-    const weeks = getWeeksInMonth(date);
+  deleting.forEach(task => recordActivity(task, 'deleted', 'title', task.title, null));
 
-    units.push({
-      name: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-      start: new Date(date.getFullYear(), date.getMonth(), 1),
-      end: new Date(date.getFullYear(), date.getMonth() + 1, 0),
-      subdivisions: weeks.map(week => ({ label: week.toString(), date: null }))
-    });
-  }
+  removeRecords('comments', state.comments.filter(c => ids.has(c.task_id)).map(c => c.id));
+  state.comments = state.comments.filter(c => !ids.has(c.task_id));
+  removeRecords('checklistItems', state.checklistItems.filter(i => ids.has(i.task_id)).map(i => i.id));
+  state.checklistItems = state.checklistItems.filter(i => !ids.has(i.task_id));
+  removeRecords('checklists', state.checklists.filter(c => ids.has(c.task_id)).map(c => c.id));
+  state.checklists = state.checklists.filter(c => !ids.has(c.task_id));
+  removeRecords('timeEntries', state.timeEntries.filter(e => ids.has(e.task_id)).map(e => e.id));
+  state.timeEntries = state.timeEntries.filter(e => !ids.has(e.task_id));
 
-  const timelineStart = units[0].start;
-  const timelineEnd = units[units.length - 1].end;
-  const totalDays = Math.ceil((timelineEnd - timelineStart) / (1000 * 60 * 60 * 24));
+  const staleLinks = state.taskLinks.filter(l => ids.has(l.source_task_id) || ids.has(l.target_task_id));
+  removeRecords('taskLinks', staleLinks.map(l => l.id));
+  state.taskLinks = state.taskLinks.filter(l => !staleLinks.includes(l));
+  const stalePageLinks = state.wikiPageTaskLinks.filter(l => ids.has(l.task_id));
+  removeRecords('wikiPageTaskLinks', stalePageLinks.map(l => l.id));
+  state.wikiPageTaskLinks = state.wikiPageTaskLinks.filter(l => !stalePageLinks.includes(l));
 
-  return { units, timelineStart, timelineEnd, totalDays };
+  const detachedFiles = state.files.filter(f => ids.has(f.task_id));
+  detachedFiles.forEach(f => { f.task_id = null; });
+  persistRecords('files', detachedFiles);
+
+  removeRecords('tasks', [...ids]);
+  state.tasks = state.tasks.filter(t => !ids.has(t.id));
+  ids.forEach(id => state.selectedTasks.delete(id));
+
+  return deleting.length;
 }
 
-// Quarter view: Shows ~4 quarters with months as subdivisions
-function generateQuarterTimeline(offset, today) {
-  const units = [];
-  const currentQuarter = Math.floor(today.getMonth() / 3);
-  const currentYear = today.getFullYear();
+function renderTaskBulkBar(project) {
+  const selected = getSelectedTasks(project.id);
+  if (selected.length === 0) return '';
 
-  for (let i = -1 + offset; i < 3 + offset; i++) {
-    const quarterIndex = currentQuarter + i;
-    const year = currentYear + Math.floor(quarterIndex / 4);
-    const quarter = ((quarterIndex % 4) + 4) % 4; // Handle negative modulo
+  const allArchived = selected.every(t => t.is_archived);
 
-    const quarterStart = new Date(year, quarter * 3, 1);
-    const quarterEnd = new Date(year, quarter * 3 + 3, 0);
+  return `
+    <div class="task-bulk-bar">
+      <span class="task-bulk-count">${selected.length} selected</span>
+      <div class="task-bulk-actions">
+        <button class="btn-bulk" data-bulk-action="status">${icons.checkCircle} Status</button>
+        <button class="btn-bulk" data-bulk-action="priority">${icons.flag} Priority</button>
+        <button class="btn-bulk" data-bulk-action="assignee">${icons.user} Assignee</button>
+        <button class="btn-bulk" data-bulk-action="labels">${icons.tag} Labels</button>
+        <button class="btn-bulk" data-bulk-action="due-date">${icons.calendar} Due Date</button>
+        <button class="btn-bulk" data-bulk-action="project">${icons.folder} Move to</button>
+        <button class="btn-bulk" data-bulk-action="${allArchived ? 'restore' : 'archive'}">
+          ${allArchived ? `${icons.upload} Restore` : `${icons.download} Archive`}
+        </button>
+        <button class="btn-bulk danger" data-bulk-action="delete">${icons.trash} Delete</button>
+      </div>
+      <button class="icon-btn task-bulk-clear" data-bulk-action="clear" title="Clear selection">
+        ${icons.x}
+      </button>
+    </div>
+  `;
+}
 
-    const subdivisions = [];
-    for (let m = 0; m < 3; m++) {
-      const monthDate = new Date(year, quarter * 3 + m, 1);
-      subdivisions.push({
-        label: monthDate.toLocaleDateString('en-US', { month: 'short' }),
-        date: monthDate
-      });
-    }
+function showBulkStatusDropdown(button, project, slug) {
+  const dropdown = createDropdown({
+    id: 'bulk-status-dropdown',
+    anchor: button,
+    content: getStatusesForProject(project.id).map(status => `
+      <button class="dropdown-item" data-status-id="${status.id}">
+        <span class="dropdown-item-dot" style="background: ${status.color}"></span>
+        ${escapeHtml(status.name)}
+      </button>
+    `).join('')
+  });
+  if (!dropdown) return;
 
-    units.push({
-      name: `Q${quarter + 1} ${year}`,
-      start: quarterStart,
-      end: quarterEnd,
-      subdivisions
+  addListeners(dropdown, '[data-status-id]', 'click', (item) => {
+    const status = getStatusById(item.dataset.statusId);
+    runBulkTaskAction(slug, (tasks) => {
+      const { moved, skipped } = setTasksStatus(tasks, status);
+      if (moved === 0) {
+        return skipped > 0 ? `Workflow rules for "${status.name}" rejected all ${pluralizeTasks(skipped)}` : null;
+      }
+      return `Moved ${pluralizeTasks(moved)} to ${status.name}${skipped > 0 ? `, ${skipped} skipped by workflow rules` : ''}`;
     });
-  }
+  });
+}
 
-  const timelineStart = units[0].start;
-  const timelineEnd = units[units.length - 1].end;
-  const totalDays = Math.ceil((timelineEnd - timelineStart) / (1000 * 60 * 60 * 24));
+function showBulkPriorityDropdown(button, slug) {
+  const dropdown = createDropdown({
+    id: 'bulk-priority-dropdown',
+    anchor: button,
+    content: `
+      <button class="dropdown-item" data-priority-id="">
+        <span class="dropdown-item-dot" style="background: #9ca3af"></span>
+        None
+      </button>
+      ${state.priorities.map(p => `
+        <button class="dropdown-item" data-priority-id="${p.id}">
+          <span class="dropdown-item-dot" style="background: ${p.color}"></span>
+          ${escapeHtml(p.name)}
+        </button>
+      `).join('')}
+    `
+  });
+  if (!dropdown) return;
 
-  return { units, timelineStart, timelineEnd, totalDays };
+  addListeners(dropdown, '[data-priority-id]', 'click', (item) => {
+    const priorityId = item.dataset.priorityId || null;
+    runBulkTaskAction(slug, (tasks) => {
+      const count = setTasksField(tasks, 'priority_id', priorityId);
+      return count > 0 ? `Set priority of ${pluralizeTasks(count)} to ${getPriorityById(priorityId)?.name || 'None'}` : null;
+    });
+  });
 }
 
-// Year view: Shows ~3 years with quarters as subdivisions
-function generateYearTimeline(offset, today) {
-  const units = [];
-  const currentYear = today.getFullYear();
+function showBulkLabelsDropdown(button, project, slug) {
+  const labels = getLabelsForProject(project.id);
+  const selected = getSelectedTasks(project.id);
 
-  for (let i = -1 + offset; i < 2 + offset; i++) {
-    const year = currentYear + i;
+  const dropdown = createDropdown({
+    id: 'bulk-labels-dropdown',
+    anchor: button,
+    content: labels.length === 0 ? `
+      <div class="dropdown-empty">No labels in this project</div>
+    ` : labels.map(label => `
+      <button class="dropdown-item ${selected.every(t => (t.label_ids || []).includes(label.id)) ? 'active' : ''}"
+              data-label-id="${label.id}">
+        <span class="dropdown-item-dot" style="background: ${label.color}"></span>
+        ${escapeHtml(label.name)}
+      </button>
+    `).join('')
+  });
+  if (!dropdown) return;
 
-    const subdivisions = [];
-    for (let q = 0; q < 4; q++) {
-      subdivisions.push({
-        label: `Q${q + 1}`,
-        date: new Date(year, q * 3, 1)
-      });
-    }
+  addListeners(dropdown, '[data-label-id]', 'click', (item) => {
+    const label = getLabelById(item.dataset.labelId);
+    runBulkTaskAction(slug, (tasks) => {
+      const { count, removed } = toggleTasksLabel(tasks, label.id);
+      return count > 0 ? `${removed ? 'Removed' : 'Added'} "${label.name}" ${removed ? 'from' : 'to'} ${pluralizeTasks(count)}` : null;
+    });
+  });
+}
 
-    units.push({
-      name: year.toString(),
-      start: new Date(year, 0, 1),
-      end: new Date(year, 11, 31),
-      subdivisions
+function showBulkDueDateDropdown(button, slug) {
+  const dropdown = createDropdown({
+    id: 'bulk-due-date-dropdown',
+    anchor: button,
+    className: 'task-bulk-shift-dropdown',
+    content: `
+      ${BULK_DUE_DATE_SHIFTS.map(shift => `
+        <button class="dropdown-item" data-shift-days="${shift.days}">${shift.label}</button>
+      `).join('')}
+      <div class="dropdown-divider"></div>
+      <form class="task-bulk-shift-form">
+        <input type="number" class="form-input" name="days" value="3" step="1" aria-label="Days to shift">
+        <button type="submit" class="btn-secondary">Shift days</button>
+      </form>
+    `
+  });
+  if (!dropdown) return;
+
+  const shiftBy = (days) => {
+    if (!Number.isInteger(days) || days === 0) return;
+    runBulkTaskAction(slug, (tasks) => {
+      const count = shiftTasksDueDate(tasks, days);
+      return count > 0 ? `Shifted ${pluralizeTasks(count)} by ${days > 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'}` : null;
     });
-  }
+  };
 
-  const timelineStart = units[0].start;
-  const timelineEnd = units[units.length - 1].end;
-  const totalDays = Math.ceil((timelineEnd - timelineStart) / (1000 * 60 * 60 * 24));
+  addListeners(dropdown, '[data-shift-days]', 'click', (item) => shiftBy(Number(item.dataset.shiftDays)));
+  dropdown.querySelector('.task-bulk-shift-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    shiftBy(parseInt(new FormData(e.target).get('days'), 10));
+  });
+}
 
-  return { units, timelineStart, timelineEnd, totalDays };
+function showBulkProjectDropdown(button, project, slug) {
+  const targets = state.projects.filter(p => p.id !== project.id && !p.is_archived);
+
+  const dropdown = createDropdown({
+    id: 'bulk-project-dropdown',
+    anchor: button,
+    content: targets.length === 0 ? `
+      <div class="dropdown-empty">No other projects</div>
+    ` : targets.map(target => `
+      <button class="dropdown-item" data-project-id="${target.id}">
+        <span class="dropdown-item-dot" style="background: ${target.color || FALLBACK_COLOR}"></span>
+        ${escapeHtml(target.name)}
+      </button>
+    `).join('')
+  });
+  if (!dropdown) return;
+
+  addListeners(dropdown, '[data-project-id]', 'click', (item) => {
+    const target = getProjectById(item.dataset.projectId);
+    runBulkTaskAction(slug, (tasks) => {
+      const count = moveTasksToProject(tasks, target);
+      clearTaskSelection();
+      return `Moved ${pluralizeTasks(count)} to ${target.name}`;
+    });
+  });
 }
 
-// Helper: Get start of week (Monday)
-function getStartOfWeek(date) {
-  const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust for Sunday
-  return new Date(d.setDate(diff));
+function attachTaskBulkEventListeners(slug) {
+  const project = getProjectBySlug(slug);
+  if (!project) return;
+
+  const signal = getViewSignal();
+
+  // Row checkboxes; shift-click selects a range
+  document.querySelectorAll('[data-action="toggle-task-select"]').forEach(checkbox => {
+    checkbox.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const taskId = checkbox.closest('.task-row')?.dataset.taskId;
+      if (!taskId) return;
+      if (e.shiftKey && state.lastSelectedTaskId) {
+        selectTaskRange(taskId, slug);
+      } else {
+        toggleTaskSelection(taskId, slug);
+      }
+    }, { signal });
+  });
+
+  // Group header checkbox - select all tasks in the group
+  document.querySelectorAll('[data-action="select-group"]').forEach(checkbox => {
+    checkbox.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleGroupSelection(checkbox.dataset.taskIds.split(',').filter(Boolean), slug);
+    }, { signal });
+  });
+
+  document.querySelectorAll('[data-bulk-action]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      switch (btn.dataset.bulkAction) {
+        case 'status':
+          showBulkStatusDropdown(btn, project, slug);
+          break;
+        case 'priority':
+          showBulkPriorityDropdown(btn, slug);
+          break;
+        case 'assignee':
+          showSearchableUserDropdown(btn, null, (assigneeId) => {
+            runBulkTaskAction(slug, (tasks) => {
+              const count = setTasksField(tasks, 'assignee_id', assigneeId);
+              return count > 0 ? `Assigned ${pluralizeTasks(count)} to ${getUserById(assigneeId)?.name || 'nobody'}` : null;
+            });
+          });
+          break;
+        case 'labels':
+          showBulkLabelsDropdown(btn, project, slug);
+          break;
+        case 'due-date':
+          showBulkDueDateDropdown(btn, slug);
+          break;
+        case 'project':
+          showBulkProjectDropdown(btn, project, slug);
+          break;
+        case 'archive':
+        case 'restore': {
+          const archived = btn.dataset.bulkAction === 'archive';
+          runBulkTaskAction(slug, (tasks) => {
+            const count = setTasksArchived(tasks, archived);
+            return count > 0 ? `${archived ? 'Archived' : 'Restored'} ${pluralizeTasks(count)}` : null;
+          });
+          break;
+        }
+        case 'delete': {
+          const count = getTasksWithDescendants(getSelectedTasks(project.id)).length;
+          if (!confirm(`Delete ${pluralizeTasks(count)}, including subtasks, comments, checklists and time entries?`)) return;
+          runBulkTaskAction(slug, (tasks) => `Deleted ${pluralizeTasks(deleteTasks(tasks))}`);
+          break;
+        }
+        case 'clear':
+          clearTaskSelection();
+          renderProjectDetail(slug);
+          break;
+      }
+    }, { signal });
+  });
 }
 
-function getWeeksInMonth(date) {
-  const weeks = [];
-  const firstDay = new Date(date.getFullYear(), date.getMonth(), 1);
-  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+// ==========================================================================
+// Subtasks
+// ==========================================================================
 
-  let current = new Date(firstDay);
-  while (current <= lastDay) {
-    weeks.push(current.getDate());
-    current.setDate(current.getDate() + 7);
+function getSubtasks(taskId) {
+  return state.tasks
+    .filter(t => t.parent_id === taskId && !t.is_archived)
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0) || a.sequence_id - b.sequence_id);
+}
+
+/**
+ * Completion of a task. With subtasks it is the average of their progress
+ * (so nested subtasks roll up level by level), otherwise 0 or 100.
+ * @returns {{done: number, total: number, percentage: number}} done/total count direct subtasks
+ */
+function getTaskProgress(task, visited = new Set()) {
+  visited.add(task.id);
+  const subtasks = getSubtasks(task.id).filter(t => !visited.has(t.id));
+  if (subtasks.length === 0) {
+    return { done: 0, total: 0, percentage: isTaskCompleted(task) ? 100 : 0 };
   }
-  return weeks;
+
+  const percentages = subtasks.map(t => getTaskProgress(t, visited).percentage);
+  return {
+    done: subtasks.filter(isTaskCompleted).length,
+    total: subtasks.length,
+    percentage: Math.round(percentages.reduce((sum, p) => sum + p, 0) / subtasks.length),
+  };
 }
 
-function getGanttBarStyle(task, timelineStart, totalDays, color) {
-  if (!task.start_date && !task.due_date) return null;
+/**
+ * Order tasks parent-first with their subtasks beneath them. A task whose
+ * parent is not in the list (filtered out, or in another group) is shown at
+ * the top level. Subtasks of collapsed parents are left out.
+ * @returns {{task: Object, depth: number, childCount: number}[]}
+ */
+function getTaskTreeRows(tasks) {
+  const ids = new Set(tasks.map(t => t.id));
+  const childrenOf = new Map();
+  tasks.forEach(task => {
+    const parentId = task.parent_id && ids.has(task.parent_id) ? task.parent_id : null;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(task);
+  });
+
+  const rows = [];
+  const visited = new Set();
+  const visit = (task, depth, hidden) => {
+    if (visited.has(task.id)) return;
+    visited.add(task.id);
+    const children = childrenOf.get(task.id) || [];
+    if (!hidden) rows.push({ task, depth, childCount: children.length });
+    children.forEach(child => visit(child, depth + 1, hidden || state.collapsedSubtasks.has(task.id)));
+  };
 
-  const startDate = task.start_date ? new Date(task.start_date) : new Date(task.due_date);
-  const endDate = task.due_date ? new Date(task.due_date) : new Date(task.start_date);
+  (childrenOf.get(null) || []).forEach(task => visit(task, 0, false));
+  // Tasks caught in a parent loop have no top-level ancestor; show them anyway
+  tasks.filter(t => !visited.has(t.id)).forEach(task => visit(task, 0, false));
+  return rows;
+}
 
-  // Ensure end is after start
-  const actualStart = startDate < endDate ? startDate : endDate;
-  const actualEnd = startDate < endDate ? endDate : startDate;
+function renderSubtaskToggle(task, childCount) {
+  if (childCount === 0) return '';
+  const collapsed = state.collapsedSubtasks.has(task.id);
+  return `
+    <button class="subtask-toggle ${collapsed ? 'collapsed' : ''}" data-action="toggle-subtasks" data-task-id="${task.id}" title="${collapsed ? 'Show' : 'Hide'} subtasks">
+      ${icons.chevronDown}
+    </button>
+  `;
+}
 
-  // Add at least 1 day duration if same day
-  if (actualStart.getTime() === actualEnd.getTime()) {
-    actualEnd.setDate(actualEnd.getDate() + 7);
-  }
+function createSubtask(parent, title, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-  const startOffset = Math.max(0, (actualStart - timelineStart) / (1000 * 60 * 60 * 24));
-  const duration = Math.max(7, (actualEnd - actualStart) / (1000 * 60 * 60 * 24));
+  const projectTasks = state.tasks.filter(t => t.project_id === project.id);
+  const maxSeq = projectTasks.reduce((max, t) => Math.max(max, t.sequence_id || 0), 0);
+  const statuses = getStatusesForProject(project.id);
+  const defaultStatus = statuses.find(s => s.category === 'todo') || statuses[0];
+  const siblings = getSubtasks(parent.id);
 
-  const leftPercent = (startOffset / totalDays) * 100;
-  const widthPercent = (duration / totalDays) * 100;
+  const newTask = {
+    id: generateId('task'),
+    project_id: project.id,
+    parent_id: parent.id,
+    sequence_id: maxSeq + 1,
+    title,
+    description: '',
+    status_id: defaultStatus?.id || null,
+    priority_id: null,
+    assignee_id: null,
+    due_date: null,
+    start_date: null,
+    label_ids: [],
+    recurrence: null,
+    custom_fields: {},
+    sort_order: siblings.reduce((max, t) => Math.max(max, t.sort_order || 0), 0) + 1,
+    is_archived: false,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
 
-  return `left: ${leftPercent}%; width: ${Math.min(widthPercent, 100 - leftPercent)}%; background: ${color};`;
+  // New tasks have to meet the status' entry rules and WIP limit like moved ones
+  if (!canEnterStatus({ ...newTask, status_id: null }, newTask.status_id)) return;
+
+  syncStatusTimestamps(newTask, null);
+  state.tasks.push(newTask);
+  persistRecords('tasks', newTask);
+  recordActivity(newTask, 'created');
+  renderProjectDetail(projectSlug);
 }
 
-function renderTodayLine(today, timelineStart, totalDays) {
-  const dayOffset = (today - timelineStart) / (1000 * 60 * 60 * 24);
-  const leftPercent = (dayOffset / totalDays) * 100;
+/**
+ * Checking a subtask moves it to the project's first done status, unchecking
+ * moves it back to the first to-do status
+ */
+function setSubtaskCompleted(taskId, completed, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  if (leftPercent < 0 || leftPercent > 100) return '';
+  const statuses = getStatusesForProject(task.project_id);
+  const status = completed
+    ? statuses.find(s => s.category === 'done')
+    : statuses.find(s => s.category === 'todo') || statuses.find(s => s.category !== 'done');
+  if (!status) {
+    showToast(`This workflow has no ${completed ? 'done' : 'open'} status`, 'error');
+    return;
+  }
+
+  updateTaskField(taskId, 'status_id', status.id, projectSlug);
+}
+
+function renderTaskSubtasks(task, project) {
+  const subtasks = getSubtasks(task.id);
 
   return `
-    <div class="gantt-today-line" style="left: ${leftPercent}%;">
-      <div class="gantt-today-marker">Today</div>
-    </div>
+    ${subtasks.length > 0 ? `
+      <div class="progress-bar task-panel-subtask-progress">
+        <div class="progress-fill" style="width: ${getTaskProgress(task).percentage}%"></div>
+      </div>
+    ` : ''}
+    ${subtasks.map(subtask => {
+      const completed = isTaskCompleted(subtask);
+      const nested = getSubtasks(subtask.id).length;
+      return `
+        <div class="task-panel-subtask${completed ? ' completed' : ''}" data-task-id="${subtask.id}">
+          <label class="checkbox-label">
+            <input type="checkbox" class="checkbox-input" data-action="toggle-subtask" ${completed ? 'checked' : ''}>
+            <span class="checkbox-custom"></span>
+          </label>
+          <button class="task-panel-subtask-task" data-action="open-subtask">
+            <span class="task-panel-subtask-key">${escapeHtml(`${project.identifier}-${subtask.sequence_id}`)}</span>
+            <span class="task-panel-subtask-title">${escapeHtml(subtask.title)}</span>
+          </button>
+          ${nested > 0 ? `<span class="task-panel-subtask-count">${getTaskProgress(subtask).done}/${nested}</span>` : ''}
+        </div>
+      `;
+    }).join('')}
+    <input type="text" class="task-panel-subtask-input" data-action="add-subtask" placeholder="Add a subtask...">
   `;
 }
 
 // ==========================================================================
-// Render Functions - Placeholders
+// Checklists
 // ==========================================================================
 
-function renderPlaceholderPage(title, description) {
-  updateBreadcrumb([{ label: title, href: `#/${title.toLowerCase()}` }]);
+function getChecklistsForTask(taskId) {
+  return state.checklists
+    .filter(c => c.task_id === taskId)
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+}
 
-  const mainContent = document.getElementById('main-content');
-  mainContent.innerHTML = `
-    <div class="empty-state">
-      <div class="empty-state-icon">${icons.folder}</div>
-      <h2 class="empty-state-title">${escapeHtml(title)}</h2>
-      <p class="empty-state-description">${escapeHtml(description)}</p>
-      <span class="placeholder-badge">Coming Soon</span>
-    </div>
-  `;
+function getChecklistItems(checklistId) {
+  return state.checklistItems
+    .filter(i => i.checklist_id === checklistId)
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
 }
 
-function renderNotFound() {
-  const mainContent = document.getElementById('main-content');
-  mainContent.innerHTML = `
-    <div class="empty-state">
-      <div class="empty-state-icon">${icons.folder}</div>
-      <h2 class="empty-state-title">Page Not Found</h2>
-      <p class="empty-state-description">The page you're looking for doesn't exist.</p>
-      <a href="#/projects" class="btn-primary">Back to Projects</a>
-    </div>
-  `;
+/**
+ * Checked items across all checklists of a task
+ * @returns {{done: number, total: number}}
+ */
+function getChecklistProgress(taskId) {
+  const items = state.checklistItems.filter(i => i.task_id === taskId);
+  return { done: items.filter(i => i.is_completed).length, total: items.length };
+}
+
+function renderChecklistBadge(taskId) {
+  const { done, total } = getChecklistProgress(taskId);
+  if (total === 0) return '';
+  return `<span class="checklist-count ${done === total ? 'complete' : ''}" title="Checklist items done">${icons.check} ${done}/${total}</span>`;
+}
+
+function createChecklist(taskId, name) {
+  const now = new Date().toISOString();
+  const checklist = {
+    id: generateId('checklist'),
+    task_id: taskId,
+    name,
+    sort_order: getChecklistsForTask(taskId).reduce((max, c) => Math.max(max, c.sort_order || 0), 0) + 1,
+    created_at: now,
+    updated_at: now
+  };
+
+  state.checklists.push(checklist);
+  persistRecords('checklists', checklist);
+  return checklist;
 }
 
-// ==========================================================================
-// Breadcrumb
-// ==========================================================================
+function renameChecklist(checklistId, name) {
+  const checklist = state.checklists.find(c => c.id === checklistId);
+  if (!checklist || checklist.name === name) return;
 
-function updateBreadcrumb(items) {
-  const breadcrumb = document.getElementById('breadcrumb');
+  checklist.name = name;
+  checklist.updated_at = new Date().toISOString();
+  persistRecords('checklists', checklist);
+}
 
-  breadcrumb.innerHTML = items.map((item, index) => {
-    const isLast = index === items.length - 1;
-    if (isLast) {
-      return `<span class="breadcrumb-current">${escapeHtml(item.label)}</span>`;
-    }
-    return `<a href="${item.href}">${escapeHtml(item.label)}</a><span class="breadcrumb-separator">/</span>`;
-  }).join('');
+function deleteChecklist(checklistId) {
+  removeRecords('checklistItems', getChecklistItems(checklistId).map(i => i.id));
+  state.checklistItems = state.checklistItems.filter(i => i.checklist_id !== checklistId);
+  state.checklists = state.checklists.filter(c => c.id !== checklistId);
+  removeRecords('checklists', checklistId);
 }
 
-// ==========================================================================
-// Utility Functions
-// ==========================================================================
+function createChecklistItem(checklist, text) {
+  const now = new Date().toISOString();
+  const item = {
+    id: generateId('checkitem'),
+    checklist_id: checklist.id,
+    task_id: checklist.task_id,
+    text,
+    is_completed: false,
+    assignee_id: null,
+    due_date: null,
+    sort_order: getChecklistItems(checklist.id).reduce((max, i) => Math.max(max, i.sort_order || 0), 0) + 1,
+    completed_at: null,
+    created_at: now,
+    updated_at: now
+  };
 
-function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  state.checklistItems.push(item);
+  persistRecords('checklistItems', item);
+  return item;
 }
 
-function getInitials(name) {
-  if (!name) return '?';
-  return name.split(' ').map(n => n[0]).join('').toUpperCase().slice(0, 2);
-}
+/**
+ * Update text, is_completed, assignee_id or due_date of a checklist item.
+ * Checking an item stamps completed_at, unchecking clears it.
+ */
+function updateChecklistItem(itemId, changes) {
+  const item = state.checklistItems.find(i => i.id === itemId);
+  if (!item) return;
 
-function stringToColor(str) {
-  if (!str) return FALLBACK_COLOR;
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    hash = str.charCodeAt(i) + ((hash << 5) - hash);
+  const now = new Date().toISOString();
+  if ('is_completed' in changes && changes.is_completed !== item.is_completed) {
+    item.completed_at = changes.is_completed ? now : null;
   }
-  return AVATAR_COLORS[Math.abs(hash) % AVATAR_COLORS.length];
+  Object.assign(item, changes);
+  item.updated_at = now;
+  persistRecords('checklistItems', item);
 }
 
-function hexToRgba(hex, alpha) {
-  if (!hex) return 'transparent';
-  const r = parseInt(hex.slice(1, 3), 16);
-  const g = parseInt(hex.slice(3, 5), 16);
-  const b = parseInt(hex.slice(5, 7), 16);
-  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+function deleteChecklistItem(itemId) {
+  state.checklistItems = state.checklistItems.filter(i => i.id !== itemId);
+  removeRecords('checklistItems', itemId);
 }
 
-function darkenColor(hex, factor = 0.3) {
-  if (!hex) return hex;
-  const r = Math.round(parseInt(hex.slice(1, 3), 16) * (1 - factor));
-  const g = Math.round(parseInt(hex.slice(3, 5), 16) * (1 - factor));
-  const b = Math.round(parseInt(hex.slice(5, 7), 16) * (1 - factor));
-  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
-}
+/**
+ * Move an item next to another item, or to the end of a checklist when no
+ * anchor is given. The target may be another checklist of the same task.
+ */
+function moveChecklistItem(itemId, checklistId, anchorItemId = null, after = false) {
+  const item = state.checklistItems.find(i => i.id === itemId);
+  if (!item) return;
 
-function formatDate(dateStr) {
-  if (!dateStr) return '';
-  const date = new Date(dateStr);
-  const now = new Date();
-  const diffDays = Math.floor((date - now) / (1000 * 60 * 60 * 24));
+  const items = getChecklistItems(checklistId).filter(i => i.id !== itemId);
+  const anchorIndex = items.findIndex(i => i.id === anchorItemId);
+  const index = anchorIndex === -1 ? items.length : anchorIndex + (after ? 1 : 0);
+  items.splice(index, 0, item);
 
-  if (diffDays === 0) return 'Today';
-  if (diffDays === 1) return 'Tomorrow';
-  if (diffDays === -1) return 'Yesterday';
+  item.checklist_id = checklistId;
+  item.updated_at = new Date().toISOString();
+  items.forEach((i, order) => { i.sort_order = order + 1; });
+  persistRecords('checklistItems', items);
+}
 
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+/**
+ * Copy a task's checklists to another task with every item unchecked,
+ * moving item due dates by dayShift days
+ */
+function copyTaskChecklists(fromTaskId, toTaskId, dayShift = 0) {
+  const now = new Date().toISOString();
+  getChecklistsForTask(fromTaskId).forEach(checklist => {
+    const copy = { ...checklist, id: generateId('checklist'), task_id: toTaskId, created_at: now, updated_at: now };
+    const items = getChecklistItems(checklist.id).map(item => ({
+      ...item,
+      id: generateId('checkitem'),
+      checklist_id: copy.id,
+      task_id: toTaskId,
+      is_completed: false,
+      due_date: item.due_date ? shiftDateISO(item.due_date, dayShift) : null,
+      completed_at: null,
+      created_at: now,
+      updated_at: now
+    }));
+
+    state.checklists.push(copy);
+    state.checklistItems.push(...items);
+    persistRecords('checklists', copy);
+    if (items.length > 0) persistRecords('checklistItems', items);
+  });
+}
+
+function renderChecklistItem(item) {
+  const assignee = item.assignee_id ? getUserById(item.assignee_id) : null;
+  const overdue = !item.is_completed && isOverdue(item.due_date);
+
+  return `
+    <div class="task-checklist-item${item.is_completed ? ' completed' : ''}" data-item-id="${item.id}">
+      <span class="task-checklist-item-handle" title="Drag to reorder">${icons.grip}</span>
+      <label class="checkbox-label">
+        <input type="checkbox" class="checkbox-input" data-action="toggle-checklist-item" ${item.is_completed ? 'checked' : ''}>
+        <span class="checkbox-custom"></span>
+      </label>
+      <input type="text" class="task-checklist-item-text" data-action="edit-checklist-item" value="${escapeHtml(item.text)}">
+      <input type="date"
+             class="task-checklist-item-due ${item.due_date ? '' : 'empty'} ${overdue ? 'overdue' : ''}"
+             data-action="checklist-item-due"
+             value="${item.due_date || ''}"
+             title="Due date">
+      <button class="task-checklist-item-assignee" data-action="checklist-item-assignee" title="${assignee ? escapeHtml(assignee.name) : 'Assign'}">
+        ${assignee
+          ? `<span class="task-checklist-item-avatar" style="background: ${stringToColor(assignee.name)}">${getInitials(assignee.name)}</span>`
+          : icons.userPlus}
+      </button>
+      <button class="task-checklist-item-remove" data-action="delete-checklist-item" title="Delete item">${icons.x}</button>
+    </div>
+  `;
 }
 
-function isOverdue(dateStr) {
-  if (!dateStr) return false;
-  const date = new Date(dateStr);
-  const now = new Date();
-  now.setHours(0, 0, 0, 0);
-  return date < now;
+function renderTaskChecklists(task) {
+  return getChecklistsForTask(task.id).map(checklist => {
+    const items = getChecklistItems(checklist.id);
+    const done = items.filter(i => i.is_completed).length;
+
+    return `
+      <div class="task-checklist" data-checklist-id="${checklist.id}">
+        <div class="task-checklist-header">
+          <input type="text" class="task-checklist-name" data-action="rename-checklist" value="${escapeHtml(checklist.name)}">
+          <span class="task-checklist-progress">${done}/${items.length}</span>
+          <button class="task-checklist-delete" data-action="delete-checklist" title="Delete checklist">${icons.trash}</button>
+        </div>
+        ${items.length > 0 ? `
+          <div class="progress-bar task-checklist-progress-bar">
+            <div class="progress-fill" style="width: ${Math.round((done / items.length) * 100)}%"></div>
+          </div>
+        ` : ''}
+        <div class="task-checklist-items">
+          ${items.map(renderChecklistItem).join('')}
+        </div>
+        <input type="text" class="task-panel-subtask-input" data-action="add-checklist-item" placeholder="Add an item...">
+      </div>
+    `;
+  }).join('');
 }
 
-function formatDateTime(dateStr) {
-  if (!dateStr) return '';
-  const date = new Date(dateStr);
-  return date.toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric',
-    hour: 'numeric',
-    minute: '2-digit'
+function attachTaskChecklistListeners(panel, taskId, projectSlug) {
+  // Re-render the panel, and the view behind it when a badge count changed
+  const refresh = (countsChanged) => {
+    if (countsChanged) renderProjectDetail(projectSlug);
+    renderTaskPanel(getTaskById(taskId), projectSlug);
+  };
+  const itemIdOf = (el) => el.closest('[data-item-id]').dataset.itemId;
+  const checklistIdOf = (el) => el.closest('[data-checklist-id]').dataset.checklistId;
+
+  panel.querySelectorAll('[data-action="add-checklist"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const checklist = createChecklist(taskId, 'Checklist');
+      refresh(false);
+      const nameInput = document.querySelector(`#task-panel-content [data-checklist-id="${checklist.id}"] [data-action="rename-checklist"]`);
+      nameInput?.focus();
+      nameInput?.select();
+    });
   });
-}
 
-function generateId(prefix) {
-  return `${prefix}-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
-}
+  panel.querySelectorAll('[data-action="rename-checklist"]').forEach(input => {
+    input.addEventListener('blur', () => {
+      const name = input.value.trim();
+      if (name) {
+        renameChecklist(checklistIdOf(input), name);
+      } else {
+        input.value = state.checklists.find(c => c.id === checklistIdOf(input))?.name || '';
+      }
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        input.blur();
+      }
+    });
+  });
 
-// ==========================================================================
-// Dropdown Factory
-// ==========================================================================
+  panel.querySelectorAll('[data-action="delete-checklist"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const checklistId = checklistIdOf(btn);
+      if (getChecklistItems(checklistId).length > 0 && !confirm('Delete this checklist and its items?')) return;
+      deleteChecklist(checklistId);
+      refresh(true);
+    });
+  });
 
-/**
- * Creates and positions a dropdown menu
- * @param {Object} options - Dropdown configuration
- * @param {string} options.id - Unique dropdown ID
- * @param {HTMLElement} options.anchor - Element to position dropdown below
- * @param {string} options.content - HTML content for the dropdown
- * @param {string} [options.className] - Additional CSS classes
- * @param {boolean} [options.toggle=true] - If true, close dropdown when already open
- * @returns {HTMLElement|null} The dropdown element, or null if toggled closed
- */
-function createDropdown({ id, anchor, content, className = '', toggle = true }) {
-  // Toggle behavior: if this dropdown is already open, close it
-  if (toggle && state.activeDropdown === id) {
-    closeDropdown();
-    return null;
-  }
+  panel.querySelectorAll('[data-action="add-checklist-item"]').forEach(input => {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        input.value = '';
+        input.blur();
+        return;
+      }
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      const text = input.value.trim();
+      if (!text) return;
+      const checklistId = checklistIdOf(input);
+      createChecklistItem(state.checklists.find(c => c.id === checklistId), text);
+      refresh(true);
+      // Keep typing the next item
+      document.querySelector(`#task-panel-content [data-checklist-id="${checklistId}"] [data-action="add-checklist-item"]`)?.focus();
+    });
+  });
 
-  // Close any existing dropdown
-  closeDropdown();
+  panel.querySelectorAll('[data-action="toggle-checklist-item"]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      updateChecklistItem(itemIdOf(checkbox), { is_completed: checkbox.checked });
+      refresh(true);
+    });
+  });
 
-  // Create dropdown element
-  const dropdown = document.createElement('div');
-  dropdown.className = `dropdown-menu open ${className}`.trim();
-  dropdown.id = id;
-  dropdown.innerHTML = content;
+  panel.querySelectorAll('[data-action="edit-checklist-item"]').forEach(input => {
+    input.addEventListener('blur', () => {
+      const text = input.value.trim();
+      const item = state.checklistItems.find(i => i.id === itemIdOf(input));
+      if (!item) return;
+      if (!text) {
+        input.value = item.text;
+      } else if (text !== item.text) {
+        updateChecklistItem(item.id, { text });
+      }
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        input.blur();
+      }
+    });
+  });
 
-  // Position below anchor element
-  const rect = anchor.getBoundingClientRect();
-  dropdown.style.position = 'fixed';
-  dropdown.style.top = `${rect.bottom + 4}px`;
-  dropdown.style.left = `${rect.left}px`;
+  panel.querySelectorAll('[data-action="checklist-item-due"]').forEach(input => {
+    input.addEventListener('change', () => {
+      updateChecklistItem(itemIdOf(input), { due_date: input.value || null });
+      refresh(false);
+    });
+  });
 
-  // Add to DOM and track state
-  document.body.appendChild(dropdown);
-  state.activeDropdown = id;
+  panel.querySelectorAll('[data-action="checklist-item-assignee"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const itemId = itemIdOf(btn);
+      const item = state.checklistItems.find(i => i.id === itemId);
+      showSearchableUserDropdown(btn, item?.assignee_id, (assigneeId) => {
+        updateChecklistItem(itemId, { assignee_id: assigneeId || null });
+        refresh(false);
+      });
+    });
+  });
 
-  // Setup outside click handler
-  setTimeout(() => {
-    document.addEventListener('click', handleDropdownOutsideClick);
-  }, 10);
+  panel.querySelectorAll('[data-action="delete-checklist-item"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      deleteChecklistItem(itemIdOf(btn));
+      refresh(true);
+    });
+  });
 
-  return dropdown;
-}
+  // Drag items by their handle to reorder them, within or across checklists
+  let draggedItemId = null;
+  const clearDropTargets = () => {
+    panel.querySelectorAll('.task-checklist-item.drag-over-above, .task-checklist-item.drag-over-below, .task-checklist.drag-over').forEach(el => {
+      el.classList.remove('drag-over-above', 'drag-over-below', 'drag-over');
+    });
+  };
 
-/**
- * Attaches event listeners to multiple elements matching a selector
- * @param {HTMLElement|Document} container - Container to search within
- * @param {string} selector - CSS selector for target elements
- * @param {string} event - Event type (e.g., 'click', 'change')
- * @param {Function} handler - Event handler function, receives (element, event)
- * @param {Object} [options] - addEventListener options
- */
-function addListeners(container, selector, event, handler, options = {}) {
-  container.querySelectorAll(selector).forEach(el => {
-    el.addEventListener(event, (e) => handler(el, e), options);
+  panel.querySelectorAll('.task-checklist-item').forEach(row => {
+    // Rows only become draggable from the handle, so the text field still selects text
+    row.querySelector('.task-checklist-item-handle').addEventListener('mousedown', () => {
+      row.draggable = true;
+    });
+    row.addEventListener('dragstart', (e) => {
+      draggedItemId = row.dataset.itemId;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', draggedItemId);
+      row.classList.add('dragging');
+    });
+    row.addEventListener('dragend', () => {
+      draggedItemId = null;
+      row.draggable = false;
+      row.classList.remove('dragging');
+      clearDropTargets();
+    });
   });
-}
 
-// ==========================================================================
-// Pagination Component
-// ==========================================================================
+  panel.querySelectorAll('.task-checklist').forEach(list => {
+    list.addEventListener('dragover', (e) => {
+      if (!draggedItemId) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      clearDropTargets();
+
+      const target = e.target.closest('.task-checklist-item');
+      if (target && target.dataset.itemId !== draggedItemId) {
+        const rect = target.getBoundingClientRect();
+        target.classList.add(e.clientY < rect.top + rect.height / 2 ? 'drag-over-above' : 'drag-over-below');
+      } else if (!target) {
+        list.classList.add('drag-over');
+      }
+    });
 
-/**
- * Renders a pagination component
- * @param {Object} options - Pagination configuration
- * @param {number} options.totalItems - Total number of items
- * @param {number} options.currentPage - Current page (1-indexed)
- * @param {number} options.pageSize - Items per page
- * @param {string} options.itemLabel - Label for items (e.g., 'members', 'files')
- * @param {string} options.paginationType - Type identifier for data attributes
- * @returns {string} HTML string for pagination component
- */
-function renderPagination({ totalItems, currentPage, pageSize, itemLabel, paginationType }) {
-  const totalPages = Math.ceil(totalItems / pageSize);
-  const startItem = totalItems === 0 ? 0 : (currentPage - 1) * pageSize + 1;
-  const endItem = Math.min(currentPage * pageSize, totalItems);
+    list.addEventListener('drop', (e) => {
+      if (!draggedItemId) return;
+      e.preventDefault();
+      const target = list.querySelector('.task-checklist-item.drag-over-above, .task-checklist-item.drag-over-below');
+      const itemId = draggedItemId;
+      const after = target?.classList.contains('drag-over-below');
+      const dropped = target || list.classList.contains('drag-over');
+      clearDropTargets();
+      if (!dropped) return;
+
+      moveChecklistItem(itemId, list.dataset.checklistId, target?.dataset.itemId, after);
+      refresh(false);
+    });
+  });
+}
 
-  // Don't show pagination if no items
-  if (totalItems === 0) {
-    return '';
-  }
+// ==========================================================================
+// Recurring Tasks
+// ==========================================================================
 
-  const prevDisabled = currentPage <= 1;
-  const nextDisabled = currentPage >= totalPages;
+// Frequencies supported in task.recurrence (an RRULE-style string)
+const RECURRENCE_FREQUENCIES = {
+  DAILY: { label: 'Daily', unit: 'day' },
+  WEEKLY: { label: 'Weekly', unit: 'week' },
+  MONTHLY: { label: 'Monthly', unit: 'month' },
+  YEARLY: { label: 'Yearly', unit: 'year' },
+};
 
-  return `
-    <div class="pagination" data-pagination-type="${paginationType}">
-      <span class="pagination-info">
-        Showing ${startItem}-${endItem} of ${totalItems} ${itemLabel}
-      </span>
-      <div class="pagination-controls">
-        <div class="pagination-page-size">
-          <span class="pagination-label">Rows per page</span>
-          <select class="pagination-select" data-action="change-page-size">
-            <option value="10" ${pageSize === 10 ? 'selected' : ''}>10</option>
-            <option value="20" ${pageSize === 20 ? 'selected' : ''}>20</option>
-            <option value="50" ${pageSize === 50 ? 'selected' : ''}>50</option>
-          </select>
-        </div>
-        ${totalPages > 1 ? `
-          <div class="pagination-nav">
-            <button class="pagination-btn ${prevDisabled ? 'disabled' : ''}"
-                    data-action="prev-page"
-                    ${prevDisabled ? 'disabled' : ''}>
-              ${icons.chevronLeft}
-            </button>
-            <span class="pagination-pages">${currentPage}/${totalPages}</span>
-            <button class="pagination-btn ${nextDisabled ? 'disabled' : ''}"
-                    data-action="next-page"
-                    ${nextDisabled ? 'disabled' : ''}>
-              ${icons.chevronRight}
-            </button>
-          </div>
-        ` : ''}
-      </div>
-    </div>
-  `;
-}
+// RRULE weekday codes, Monday first
+const RECURRENCE_WEEKDAYS = {
+  MO: 'Mon',
+  TU: 'Tue',
+  WE: 'Wed',
+  TH: 'Thu',
+  FR: 'Fri',
+  SA: 'Sat',
+  SU: 'Sun',
+};
 
 /**
- * Gets paginated items from an array
- * @param {Array} items - Full array of items
- * @param {number} page - Current page (1-indexed)
- * @param {number} pageSize - Items per page
- * @returns {Array} Paginated subset of items
+ * Parse a rule such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10".
+ * Supports FREQ, INTERVAL, BYDAY (weekly), BYMONTHDAY (monthly), COUNT and UNTIL;
+ * other parts are ignored.
+ * @returns {{freq: string, interval: number, byDay: string[], byMonthDay: number|null, count: number|null, until: string|null}|null}
+ *   null when the rule is empty or its FREQ is not supported
  */
-function getPaginatedItems(items, page, pageSize) {
-  const startIndex = (page - 1) * pageSize;
-  return items.slice(startIndex, startIndex + pageSize);
+function parseRecurrenceRule(ruleText) {
+  if (!ruleText) return null;
+
+  const parts = Object.fromEntries(String(ruleText).replace(/^RRULE:/i, '').split(';')
+    .map(part => part.split('=').map(s => s.trim().toUpperCase()))
+    .filter(([key, value]) => key && value));
+  if (!RECURRENCE_FREQUENCIES[parts.FREQ]) return null;
+
+  const count = parseInt(parts.COUNT, 10);
+  const monthDay = parseInt(parts.BYMONTHDAY, 10);
+  const until = parts.UNTIL?.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    byDay: Object.keys(RECURRENCE_WEEKDAYS).filter(day => (parts.BYDAY || '').split(',').includes(day)),
+    byMonthDay: monthDay >= 1 && monthDay <= 31 ? monthDay : null,
+    count: count > 0 ? count : null,
+    until: until ? `${until[1]}-${until[2]}-${until[3]}` : null,
+  };
 }
 
-// ==========================================================================
-// Modal System
-// ==========================================================================
+function formatRecurrenceRule(rule) {
+  return [
+    `FREQ=${rule.freq}`,
+    `INTERVAL=${rule.interval}`,
+    rule.freq === 'WEEKLY' && rule.byDay.length > 0 ? `BYDAY=${rule.byDay.join(',')}` : null,
+    rule.freq === 'MONTHLY' && rule.byMonthDay ? `BYMONTHDAY=${rule.byMonthDay}` : null,
+    rule.count ? `COUNT=${rule.count}` : null,
+    rule.until ? `UNTIL=${rule.until.replace(/-/g, '')}` : null,
+  ].filter(Boolean).join(';');
+}
 
-function openModal(modalId) {
-  state.activeModal = modalId;
-  const overlay = document.getElementById('modal-overlay');
-  if (overlay) {
-    overlay.classList.add('open');
+/**
+ * Describe a rule, e.g. "Every 2 weeks on Mon, Wed, 10 times"
+ */
+function describeRecurrence(ruleText) {
+  const rule = parseRecurrenceRule(ruleText);
+  if (!rule) return 'Does not repeat';
+
+  const { label, unit } = RECURRENCE_FREQUENCIES[rule.freq];
+  let text = rule.interval === 1 ? label : `Every ${rule.interval} ${unit}s`;
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    text += ` on ${rule.byDay.map(day => RECURRENCE_WEEKDAYS[day]).join(', ')}`;
   }
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay) text += ` on day ${rule.byMonthDay}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${formatDate(rule.until)}`;
+  return text;
 }
 
-function closeModal() {
-  state.activeModal = null;
-  const overlay = document.getElementById('modal-overlay');
-  if (overlay) {
-    overlay.classList.remove('open');
+/**
+ * The first date after dateStr (YYYY-MM-DD) that matches the rule. Monthly
+ * and yearly dates keep the series' day of the month (BYMONTHDAY, else
+ * anchorDay, else dateStr's day), falling back to the last day of shorter
+ * months without drifting from it.
+ */
+function getNextRecurrenceDate(dateStr, rule, anchorDay = null) {
+  const date = new Date(`${dateStr.slice(0, 10)}T00:00:00Z`);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return shiftDateISO(dateStr, rule.interval);
+    case 'WEEKLY': {
+      if (rule.byDay.length === 0) return shiftDateISO(dateStr, 7 * rule.interval);
+      const weekdays = Object.keys(RECURRENCE_WEEKDAYS);
+      const current = (date.getUTCDay() + 6) % 7;
+      const days = rule.byDay.map(day => weekdays.indexOf(day));
+      const laterThisWeek = days.find(day => day > current);
+      if (laterThisWeek !== undefined) return shiftDateISO(dateStr, laterThisWeek - current);
+      // First listed weekday, `interval` weeks after this week
+      return shiftDateISO(dateStr, 7 * rule.interval - current + days[0]);
+    }
+    default: {
+      const day = (rule.freq === 'MONTHLY' && rule.byMonthDay) || anchorDay || date.getUTCDate();
+      const dateInMonth = (offset) => {
+        const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, Math.min(day, lastDay)))
+          .toISOString().split('T')[0];
+      };
+      // A BYMONTHDAY still ahead in this month comes first
+      if (rule.freq === 'MONTHLY' && rule.byMonthDay && dateInMonth(0) > dateStr.slice(0, 10)) return dateInMonth(0);
+      return dateInMonth(rule.freq === 'MONTHLY' ? rule.interval : 12 * rule.interval);
+    }
   }
 }
 
-function renderModalContainer() {
-  // Only create if doesn't exist
-  if (document.getElementById('modal-overlay')) return;
+/**
+ * Set or clear a task's recurrence rule. The first time a rule is set the
+ * task starts a series as its first occurrence.
+ */
+function setTaskRecurrence(taskId, ruleText, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  const modalOverlay = document.createElement('div');
-  modalOverlay.id = 'modal-overlay';
-  modalOverlay.className = 'modal-overlay';
-  modalOverlay.innerHTML = '<div class="modal" id="modal-content"></div>';
-  document.body.appendChild(modalOverlay);
+  if (ruleText && !task.recurrence_series_id) {
+    task.recurrence_series_id = task.id;
+    task.recurrence_index = 1;
+  }
+  updateTaskField(taskId, 'recurrence', ruleText || null, projectSlug);
+}
 
-  // Close on overlay click
-  modalOverlay.addEventListener('click', (e) => {
-    if (e.target === modalOverlay) {
-      closeModal();
-    }
-  });
+/**
+ * Create the occurrence after `task`. Dates move to the rule's next date and
+ * keep the gap between start and due; labels, assignee and checklists (all
+ * unchecked) carry over.
+ * @returns {Object|null} The new task, or null when the series has ended, the
+ *   next occurrence already exists or no open status accepts it
+ */
+function createNextOccurrence(task) {
+  const rule = parseRecurrenceRule(task.recurrence);
+  if (!rule) return null;
+
+  const seriesId = task.recurrence_series_id || task.id;
+  const index = task.recurrence_index || 1;
+  // Completing an occurrence again (e.g. after reopening it) must not fork the series
+  if (state.tasks.some(t => t.recurrence_series_id === seriesId && t.recurrence_index > index)) return null;
+  if (rule.count && index >= rule.count) return null;
+
+  const anchor = task.start_date || task.due_date;
+  // Month-based rules keep the day the series started on, e.g. the 31st
+  const first = getTaskById(seriesId);
+  const seriesAnchor = first?.start_date || first?.due_date || anchor;
+  const anchorDay = seriesAnchor ? Number(seriesAnchor.slice(8, 10)) : null;
+  const nextAnchor = anchor ? getNextRecurrenceDate(anchor, rule, anchorDay) : null;
+  if (nextAnchor && rule.until && nextAnchor > rule.until) return null;
+
+  const shift = anchor ? daysBetweenISO(anchor, nextAnchor) : 0;
+  const statuses = getStatusesForProject(task.project_id);
+  const openStatuses = [
+    ...statuses.filter(s => s.category === 'todo'),
+    ...statuses.filter(s => s.category === 'backlog' || s.category === 'in_progress'),
+  ];
+  const projectTasks = state.tasks.filter(t => t.project_id === task.project_id);
+  const now = new Date().toISOString();
 
-  // Close on Escape
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && state.activeModal) {
-      closeModal();
-    }
-  });
+  const next = {
+    ...task,
+    id: generateId('task'),
+    sequence_id: projectTasks.reduce((max, t) => Math.max(max, t.sequence_id || 0), 0) + 1,
+    status_id: null,
+    label_ids: [...(task.label_ids || [])],
+    custom_fields: { ...task.custom_fields },
+    start_date: task.start_date ? shiftDateISO(task.start_date, shift) : null,
+    due_date: task.due_date ? shiftDateISO(task.due_date, shift) : null,
+    started_at: null,
+    completed_at: null,
+    sort_order: projectTasks.reduce((max, t) => Math.max(max, t.sort_order || 0), 0) + 1,
+    is_archived: false,
+    recurrence_series_id: seriesId,
+    recurrence_index: index + 1,
+    created_at: now,
+    updated_at: now
+  };
+  // Keep the new card from hiding the completed one on the canvas
+  if (Number.isFinite(task.canvas_x)) next.canvas_x = task.canvas_x + 24;
+  if (Number.isFinite(task.canvas_y)) next.canvas_y = task.canvas_y + 24;
+
+  // Start in the first open status, todo ones first, whose entry rules and
+  // WIP limit let the new task in
+  const openStatus = openStatuses.find(status => {
+    const { missing, overLimit } = checkStatusEntry(next, status);
+    return missing.length === 0 && !(overLimit && status.wip_policy === 'block');
+  });
+  if (!openStatus) {
+    showToast(`No open status accepts the next occurrence of "${task.title}"`, 'error');
+    return null;
+  }
+  if (!canEnterStatus(next, openStatus.id)) return null;
+  next.status_id = openStatus.id;
+  syncStatusTimestamps(next, null);
+
+  state.tasks.push(next);
+  persistRecords('tasks', next);
+  copyTaskChecklists(task.id, next.id, shift);
+  recordActivity(next, 'created', 'recurrence_index', task.id, next.recurrence_index);
+  recordActivity(task, 'recurred', 'recurrence_index', index, next.id);
+  return next;
 }
 
-function showModal(title, bodyHtml, footerHtml) {
-  renderModalContainer();
-  const modalContent = document.getElementById('modal-content');
+/**
+ * Keep completed_at and started_at in step with the category of the task's
+ * status. Call after changing status_id and before persisting the task.
+ */
+function syncStatusTimestamps(task, oldStatusId) {
+  const oldCategory = getStatusById(oldStatusId)?.category;
+  const category = getStatusById(task.status_id)?.category;
+  const now = new Date().toISOString();
+
+  if (category !== 'done') {
+    task.completed_at = null;
+  } else if (oldCategory !== 'done' || !task.completed_at) {
+    task.completed_at = now;
+  }
 
-  modalContent.innerHTML = `
-    <div class="modal-header">
-      <h2 class="modal-title">${escapeHtml(title)}</h2>
-      <button class="modal-close" data-action="close-modal">${icons.x}</button>
-    </div>
-    <div class="modal-body">
-      ${bodyHtml}
-    </div>
-    ${footerHtml ? `<div class="modal-footer">${footerHtml}</div>` : ''}
-  `;
+  if (category === 'in_progress') {
+    task.started_at = task.started_at || now;
+  } else if (category === 'backlog' || category === 'todo') {
+    task.started_at = null;
+  }
+}
 
-  openModal(title);
+/**
+ * Side effects of a task entering a new status. Completing a recurring task
+ * creates its next occurrence.
+ */
+function applyStatusChangeEffects(task, oldStatusId) {
+  if (getStatusById(oldStatusId)?.category === 'done' || !isTaskCompleted(task)) return;
 
-  // Focus first input
-  setTimeout(() => {
-    const firstInput = modalContent.querySelector('input, textarea, select');
-    if (firstInput) firstInput.focus();
-  }, 100);
+  const next = task.recurrence ? createNextOccurrence(task) : null;
+  if (next) {
+    const nextDate = next.start_date || next.due_date;
+    showToast(`Next occurrence created${nextDate ? ` for ${formatDate(nextDate)}` : ''}`, 'success');
+  }
 }
 
-// ==========================================================================
-// Toast Notifications
-// ==========================================================================
-
-function renderToastContainer() {
-  if (document.getElementById('toast-container')) return;
+function getRecurrencePresets(task) {
+  const anchor = task.start_date || task.due_date || new Date().toISOString().split('T')[0];
+  const date = new Date(`${anchor}T00:00:00Z`);
+  const weekday = Object.keys(RECURRENCE_WEEKDAYS)[(date.getUTCDay() + 6) % 7];
 
-  const container = document.createElement('div');
-  container.id = 'toast-container';
-  container.className = 'toast-container';
-  document.body.appendChild(container);
+  return [
+    { freq: 'DAILY', interval: 1, byDay: [] },
+    { freq: 'WEEKLY', interval: 1, byDay: [weekday] },
+    { freq: 'WEEKLY', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] },
+    { freq: 'MONTHLY', interval: 1, byDay: [], byMonthDay: date.getUTCDate() },
+    { freq: 'YEARLY', interval: 1, byDay: [] },
+  ].map(formatRecurrenceRule);
 }
 
-function showToast(message, type = 'default') {
-  renderToastContainer();
-  const container = document.getElementById('toast-container');
+function showPanelRecurrenceDropdown(taskId, buttonElement, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  const toast = document.createElement('div');
-  toast.className = `toast ${type}`;
-  toast.innerHTML = `
-    <span>${escapeHtml(message)}</span>
-    <button class="toast-close">${icons.x}</button>
-  `;
+  closePanelDropdown();
 
-  container.appendChild(toast);
+  const presets = getRecurrencePresets(task);
+  const isCustom = task.recurrence && !presets.includes(task.recurrence);
 
-  // Trigger animation
-  setTimeout(() => toast.classList.add('show'), 10);
+  const dropdown = document.createElement('div');
+  dropdown.className = 'dropdown-menu open';
+  dropdown.id = 'panel-dropdown';
+  dropdown.innerHTML = `
+    <button class="dropdown-item ${!task.recurrence ? 'active' : ''}" data-value="">
+      Does not repeat
+    </button>
+    ${presets.map(rule => `
+      <button class="dropdown-item ${rule === task.recurrence ? 'active' : ''}" data-value="${rule}">
+        ${escapeHtml(describeRecurrence(rule))}
+      </button>
+    `).join('')}
+    <div class="dropdown-divider"></div>
+    <button class="dropdown-item ${isCustom ? 'active' : ''}" data-action="custom-recurrence">
+      ${icons.settings} ${isCustom ? escapeHtml(describeRecurrence(task.recurrence)) : 'Custom...'}
+    </button>
+  `;
 
-  // Auto dismiss
-  const timeout = setTimeout(() => dismissToast(toast), 4000);
+  positionDropdown(dropdown, buttonElement);
+  document.body.appendChild(dropdown);
 
-  // Manual dismiss
-  toast.querySelector('.toast-close').addEventListener('click', () => {
-    clearTimeout(timeout);
-    dismissToast(toast);
+  dropdown.querySelectorAll('[data-value]').forEach(item => {
+    item.addEventListener('click', () => {
+      setTaskRecurrence(taskId, item.dataset.value || null, projectSlug);
+      closePanelDropdown();
+      renderTaskPanel(getTaskById(taskId), projectSlug);
+      showToast(item.dataset.value ? 'Task set to repeat' : 'Task no longer repeats', 'success');
+    });
   });
-}
-
-function dismissToast(toast) {
-  toast.classList.remove('show');
-  setTimeout(() => toast.remove(), 300);
-}
-
-// ==========================================================================
-// Create Task Modal
-// ==========================================================================
 
-function showCreateTaskModal(projectSlug, preselectedGroupId = null, groupType = 'status') {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+  dropdown.querySelector('[data-action="custom-recurrence"]').addEventListener('click', () => {
+    closePanelDropdown();
+    showRecurrenceModal(taskId, projectSlug);
+  });
 
-  const statuses = getStatusesForProject(project.id);
-  const priorities = state.priorities;
-  const labels = getLabelsForProject(project.id);
-  const users = state.users;
+  setTimeout(() => {
+    document.addEventListener('click', handlePanelDropdownOutsideClick);
+  }, 10);
+}
 
-  // Determine default values based on group type
-  let defaultStatus = statuses[0]?.id || '';
-  let defaultPriority = '';
-  let defaultAssignee = '';
+function showRecurrenceModal(taskId, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  if (groupType === 'status' && preselectedGroupId) {
-    defaultStatus = preselectedGroupId;
-  } else if (groupType === 'priority' && preselectedGroupId) {
-    defaultPriority = preselectedGroupId === 'priority-none' ? '' : preselectedGroupId;
-  } else if (groupType === 'assignee' && preselectedGroupId) {
-    defaultAssignee = preselectedGroupId === 'unassigned' ? '' : preselectedGroupId.replace('assignee-', '');
-  }
+  const presetRule = parseRecurrenceRule(getRecurrencePresets(task)[1]);
+  const rule = parseRecurrenceRule(task.recurrence) || presetRule;
+  const ends = rule.until ? 'until' : (rule.count ? 'count' : 'never');
 
   const bodyHtml = `
-    <form id="create-task-form">
-      <div class="form-group">
-        <label class="form-label required">Task Title</label>
-        <input type="text" class="form-input" name="title" placeholder="Enter task title" required>
-      </div>
-
-      <div class="form-group">
-        <label class="form-label">Description</label>
-        <textarea class="form-textarea" name="description" placeholder="Add a description..."></textarea>
-      </div>
-
+    <form id="recurrence-form">
       <div class="form-row">
         <div class="form-group">
-          <label class="form-label">Status</label>
-          <select class="form-select" name="status_id">
-            ${statuses.map(s => `
-              <option value="${s.id}" ${s.id === defaultStatus ? 'selected' : ''}>${escapeHtml(s.name)}</option>
-            `).join('')}
-          </select>
+          <label class="form-label">Repeat every</label>
+          <input type="number" class="form-input" name="interval" min="1" value="${rule.interval}">
         </div>
-
         <div class="form-group">
-          <label class="form-label">Priority</label>
-          <select class="form-select" name="priority_id">
-            <option value="" ${!defaultPriority ? 'selected' : ''}>None</option>
-            ${priorities.map(p => `
-              <option value="${p.id}" ${p.id === defaultPriority ? 'selected' : ''}>${escapeHtml(p.name)}</option>
+          <label class="form-label">Unit</label>
+          <select class="form-select" name="freq">
+            ${Object.entries(RECURRENCE_FREQUENCIES).map(([freq, { unit }]) => `
+              <option value="${freq}" ${freq === rule.freq ? 'selected' : ''}>${unit}(s)</option>
             `).join('')}
           </select>
         </div>
       </div>
-
-      <div class="form-row">
-        <div class="form-group">
-          <label class="form-label">Assignee</label>
-          <select class="form-select" name="assignee_id">
-            <option value="" ${!defaultAssignee ? 'selected' : ''}>Unassigned</option>
-            ${users.map(u => `
-              <option value="${u.id}" ${u.id === defaultAssignee ? 'selected' : ''}>${escapeHtml(u.name)}</option>
-            `).join('')}
+      <div class="form-group" data-freq="WEEKLY">
+        <label class="form-label">On</label>
+        <div class="recurrence-weekdays">
+          ${Object.entries(RECURRENCE_WEEKDAYS).map(([day, label]) => `
+            <label class="recurrence-weekday" title="${label}">
+              <input type="checkbox" name="byday" value="${day}" ${rule.byDay.includes(day) ? 'checked' : ''}>
+              <span>${label.charAt(0)}</span>
+            </label>
+          `).join('')}
+        </div>
+      </div>
+      <div class="form-group" data-freq="MONTHLY">
+        <label class="form-label">Day of month</label>
+        <input type="number" class="form-input" name="bymonthday" min="1" max="31" value="${rule.byMonthDay || presetRule.byMonthDay || ''}" placeholder="Same day as the task">
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Ends</label>
+          <select class="form-select" name="ends">
+            <option value="never" ${ends === 'never' ? 'selected' : ''}>Never</option>
+            <option value="until" ${ends === 'until' ? 'selected' : ''}>On date</option>
+            <option value="count" ${ends === 'count' ? 'selected' : ''}>After a number of times</option>
           </select>
         </div>
-
-        <div class="form-group">
-          <label class="form-label">Due Date</label>
-          <input type="date" class="form-input" name="due_date">
+        <div class="form-group" data-ends="until">
+          <label class="form-label">End date</label>
+          <input type="date" class="form-input" name="until" value="${rule.until || ''}">
+        </div>
+        <div class="form-group" data-ends="count">
+          <label class="form-label">Occurrences</label>
+          <input type="number" class="form-input" name="count" min="1" value="${rule.count || ''}">
         </div>
       </div>
+      <p class="form-hint recurrence-preview" data-role="preview"></p>
     </form>
   `;
 
   const footerHtml = `
     <button class="btn-secondary" data-action="close-modal">Cancel</button>
-    <button class="btn-primary" data-action="submit-task" data-project-slug="${projectSlug}">
-      ${icons.plus} Create Task
-    </button>
+    <button class="btn-primary" data-action="submit-recurrence">Save</button>
   `;
 
-  showModal('Create Task', bodyHtml, footerHtml);
-  attachCreateTaskListeners(projectSlug);
-}
+  showModal('Custom Recurrence', bodyHtml, footerHtml);
 
-function attachCreateTaskListeners(projectSlug) {
-  // Close button
   document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
     btn.addEventListener('click', closeModal);
   });
 
-  // Submit button
-  document.querySelectorAll('[data-action="submit-task"]').forEach(btn => {
-    btn.addEventListener('click', () => handleCreateTask(projectSlug));
+  const form = document.getElementById('recurrence-form');
+  const readRule = () => {
+    const data = new FormData(form);
+    const endsWith = data.get('ends');
+    return {
+      freq: data.get('freq'),
+      interval: Math.max(1, parseInt(data.get('interval'), 10) || 1),
+      byDay: data.getAll('byday'),
+      byMonthDay: parseInt(data.get('bymonthday'), 10) || null,
+      count: endsWith === 'count' ? parseInt(data.get('count'), 10) || null : null,
+      until: endsWith === 'until' ? data.get('until') || null : null,
+    };
+  };
+
+  // Show only the fields that apply, and preview the rule as it is edited
+  const update = () => {
+    const current = readRule();
+    form.querySelectorAll('[data-freq]').forEach(el => { el.hidden = el.dataset.freq !== current.freq; });
+    form.querySelectorAll('[data-ends]').forEach(el => { el.hidden = el.dataset.ends !== form.elements.ends.value; });
+    const ruleText = formatRecurrenceRule(current);
+    form.querySelector('[data-role="preview"]').innerHTML = `
+      ${escapeHtml(describeRecurrence(ruleText))}<br><code>${escapeHtml(ruleText)}</code>
+    `;
+  };
+  form.addEventListener('input', update);
+  form.addEventListener('change', update);
+  update();
+
+  const submit = () => {
+    const current = readRule();
+    if (form.elements.ends.value === 'until' && !current.until) {
+      showToast('Pick an end date', 'error');
+      return;
+    }
+    if (form.elements.ends.value === 'count' && !current.count) {
+      showToast('Enter the number of occurrences', 'error');
+      return;
+    }
+
+    setTaskRecurrence(taskId, formatRecurrenceRule(current), projectSlug);
+    closeModal();
+    renderTaskPanel(getTaskById(taskId), projectSlug);
+    showToast('Task set to repeat', 'success');
+  };
+
+  document.querySelector('[data-action="submit-recurrence"]')?.addEventListener('click', submit);
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submit();
   });
+}
 
-  // Form submit on Enter
-  const form = document.getElementById('create-task-form');
-  if (form) {
-    form.addEventListener('submit', (e) => {
-      e.preventDefault();
-      handleCreateTask(projectSlug);
-    });
-  }
+// ==========================================================================
+// Time Tracking
+// ==========================================================================
+
+// Ticks the running timer in the open task panel; stops itself once the panel is gone
+let taskTimerInterval = null;
+
+function getTimeEntriesForTask(taskId) {
+  return state.timeEntries
+    .filter(e => e.task_id === taskId)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || '') || new Date(b.created_at) - new Date(a.created_at));
 }
 
-function handleCreateTask(projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+function isTimerRunning(entry) {
+  return Boolean(entry.started_at && !entry.ended_at);
+}
 
-  const form = document.getElementById('create-task-form');
-  const formData = new FormData(form);
+function getRunningTimeEntry(userId) {
+  return state.timeEntries.find(e => e.user_id === userId && isTimerRunning(e)) || null;
+}
 
-  const title = formData.get('title')?.trim();
-  if (!title) {
-    showToast('Task title is required', 'error');
-    return;
-  }
+// Minutes of an entry; a running timer counts up to now
+function getTimeEntryMinutes(entry) {
+  if (isTimerRunning(entry)) return Math.max(0, (Date.now() - new Date(entry.started_at)) / 60000);
+  return entry.duration_minutes || 0;
+}
 
-  // Get max sequence_id for this project
-  const projectTasks = getTasksForProject(project.id);
-  const maxSeq = projectTasks.reduce((max, t) => Math.max(max, t.sequence_id || 0), 0);
+function getTaskLoggedMinutes(taskId) {
+  return state.timeEntries
+    .filter(e => e.task_id === taskId)
+    .reduce((sum, e) => sum + getTimeEntryMinutes(e), 0);
+}
 
-  const newTask = {
-    id: generateId('task'),
-    project_id: project.id,
-    sequence_id: maxSeq + 1,
-    title: title,
-    description: formData.get('description') || '',
-    status_id: formData.get('status_id') || null,
-    priority_id: formData.get('priority_id') || null,
-    assignee_id: formData.get('assignee_id') || null,
-    due_date: formData.get('due_date') || null,
-    start_date: null,
-    label_ids: [],
-    is_archived: false,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
+function formatDuration(minutes) {
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60);
+  const mins = total % 60;
+  if (hours === 0) return `${mins}m`;
+  return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+}
+
+// Running timer as h:mm:ss
+function formatTimerElapsed(entry) {
+  const seconds = Math.floor(getTimeEntryMinutes(entry) * 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+/**
+ * Parse a duration typed by the user: "1h 30m", "90m", "1:30" or "1.5" (hours)
+ * @returns {number|null} Whole minutes, or null if the text is not a duration
+ */
+function parseDuration(text) {
+  const value = String(text || '').trim().toLowerCase();
+  const clock = value.match(/^(\d+):([0-5]\d)$/);
+  const units = value.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/);
+
+  let minutes = null;
+  if (clock) {
+    minutes = Number(clock[1]) * 60 + Number(clock[2]);
+  } else if (/^\d+(\.\d+)?$/.test(value)) {
+    minutes = Number(value) * 60;
+  } else if (units && (units[1] || units[2])) {
+    minutes = Number(units[1] || 0) * 60 + Number(units[2] || 0);
+  }
+  return minutes > 0 ? Math.round(minutes) : null;
+}
+
+function createTimeEntry(task, fields) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: generateId('time'),
+    task_id: task.id,
+    project_id: task.project_id,
+    user_id: getCurrentUser()?.id || null,
+    date: now.split('T')[0],
+    duration_minutes: 0,
+    note: '',
+    started_at: null,
+    ended_at: null,
+    created_at: now,
+    updated_at: now,
+    ...fields
   };
 
-  state.tasks.push(newTask);
-  closeModal();
-  showToast(`Task "${title}" created successfully`, 'success');
-  renderProjectDetail(projectSlug);
+  state.timeEntries.push(entry);
+  persistRecords('timeEntries', entry);
+  return entry;
 }
 
-// ==========================================================================
-// Create Project Modal
-// ==========================================================================
+/**
+ * Start a timer on a task for the current user. A user runs one timer at a
+ * time, so a timer on another task is stopped first.
+ */
+function startTaskTimer(taskId) {
+  const task = getTaskById(taskId);
+  const user = getCurrentUser();
+  if (!task || !user) return null;
 
-// Use centralized PROJECT_COLORS from the color system
-const projectColors = PROJECT_COLORS;
+  const running = getRunningTimeEntry(user.id);
+  if (running?.task_id === taskId) return running;
+  if (running) stopTimeEntry(running.id);
 
-function showCreateProjectModal() {
-  const bodyHtml = `
-    <form id="create-project-form">
-      <div class="form-group">
-        <label class="form-label required">Project Name</label>
-        <input type="text" class="form-input" name="name" placeholder="Enter project name" required>
-      </div>
+  return createTimeEntry(task, { started_at: new Date().toISOString() });
+}
 
-      <div class="form-group">
-        <label class="form-label required">Project Identifier</label>
-        <input type="text" class="form-input" name="identifier" placeholder="e.g., PROJ" maxlength="6" style="text-transform: uppercase;">
-        <span class="form-hint">Short code used for task IDs (e.g., PROJ-1)</span>
-      </div>
+function stopTimeEntry(entryId) {
+  const entry = state.timeEntries.find(e => e.id === entryId);
+  if (!entry || !isTimerRunning(entry)) return;
 
-      <div class="form-group">
-        <label class="form-label">Description</label>
-        <textarea class="form-textarea" name="description" placeholder="Describe your project..."></textarea>
-      </div>
+  const now = new Date().toISOString();
+  entry.duration_minutes = Math.max(1, Math.round(getTimeEntryMinutes(entry)));
+  entry.ended_at = now;
+  entry.updated_at = now;
+  persistRecords('timeEntries', entry);
+}
 
-      <div class="form-group">
-        <label class="form-label">Color</label>
-        <div class="color-picker">
-          ${projectColors.map((color, i) => `
-            <div class="color-swatch ${i === 0 ? 'selected' : ''}"
-                 style="background: ${color}"
-                 data-color="${color}"></div>
-          `).join('')}
-        </div>
-      </div>
-    </form>
+function deleteTimeEntry(entryId) {
+  state.timeEntries = state.timeEntries.filter(e => e.id !== entryId);
+  removeRecords('timeEntries', entryId);
+}
+
+/**
+ * Estimated vs. logged hours per member, over their assigned tasks that have
+ * both an estimate and logged time. Accuracy is 100% minus the summed
+ * per-task error as a share of the estimate, so overruns and underruns on
+ * different tasks do not cancel out.
+ */
+function getEstimateAccuracyStats(tasks, members) {
+  return members.map(member => {
+    const rows = tasks
+      .filter(t => t.assignee_id === member.id && t.estimate_hours > 0)
+      .map(t => ({ estimate: t.estimate_hours * 60, logged: getTaskLoggedMinutes(t.id) }))
+      .filter(row => row.logged > 0);
+    const estimated = rows.reduce((sum, row) => sum + row.estimate, 0);
+    const logged = rows.reduce((sum, row) => sum + row.logged, 0);
+    const error = rows.reduce((sum, row) => sum + Math.abs(row.logged - row.estimate), 0);
+
+    return {
+      user: member,
+      taskCount: rows.length,
+      estimated,
+      logged,
+      over: rows.filter(row => row.logged > row.estimate).length,
+      under: rows.filter(row => row.logged <= row.estimate).length,
+      accuracy: estimated > 0 ? Math.max(0, Math.round(100 - (error / estimated) * 100)) : null,
+    };
+  });
+}
+
+function renderTimeSpentCell(task) {
+  const logged = getTaskLoggedMinutes(task.id);
+  const estimate = (task.estimate_hours || 0) * 60;
+  const title = estimate ? `${formatDuration(logged)} of ${formatDuration(estimate)} estimated` : 'Time spent';
+
+  return `
+    <span class="task-time-spent ${logged === 0 ? 'empty' : ''} ${estimate && logged > estimate ? 'over' : ''}" title="${title}">
+      ${logged > 0 ? formatDuration(logged) : '—'}
+    </span>
   `;
+}
 
-  const footerHtml = `
-    <button class="btn-secondary" data-action="close-modal">Cancel</button>
-    <button class="btn-primary" data-action="submit-project">
-      ${icons.plus} Create Project
+function renderTaskTimeTracking(task) {
+  const logged = getTaskLoggedMinutes(task.id);
+  const estimate = (task.estimate_hours || 0) * 60;
+  const running = getRunningTimeEntry(getCurrentUser()?.id);
+  const runningHere = running?.task_id === task.id;
+  const entries = getTimeEntriesForTask(task.id).filter(e => !isTimerRunning(e));
+  const today = new Date().toISOString().split('T')[0];
+
+  return `
+    <div class="task-time-summary">
+      <div class="task-time-figures">
+        <span><strong data-role="time-logged">${formatDuration(logged)}</strong> logged</span>
+        <label class="task-time-estimate">
+          <input type="number" class="task-time-estimate-input" data-field="estimate_hours" min="0" step="0.5" value="${task.estimate_hours ?? ''}" placeholder="–">
+          h estimated
+        </label>
+      </div>
+      ${estimate ? `
+        <div class="progress-bar task-time-progress ${logged > estimate ? 'over' : ''}">
+          <div class="progress-fill" style="width: ${Math.min(100, Math.round((logged / estimate) * 100))}%"></div>
+        </div>
+        ${logged > estimate ? `<span class="task-time-over">${formatDuration(logged - estimate)} over estimate</span>` : ''}
+      ` : ''}
+    </div>
+    <button class="task-time-timer ${runningHere ? 'running' : ''}" data-action="toggle-timer">
+      ${icons.clock}
+      ${runningHere
+        ? `Stop timer <span class="task-time-timer-elapsed" data-role="timer-elapsed">${formatTimerElapsed(running)}</span>`
+        : 'Start timer'}
     </button>
+    <form class="task-time-form" data-action="log-time">
+      <input type="text" class="task-time-input task-time-input--duration" name="duration" placeholder="1h 30m" aria-label="Duration">
+      <input type="date" class="task-time-input" name="date" value="${today}" aria-label="Date">
+      <input type="text" class="task-time-input task-time-input--note" name="note" placeholder="Note" aria-label="Note">
+      <button type="submit" class="btn-secondary btn-sm">Log</button>
+    </form>
+    ${entries.map(entry => {
+      const user = entry.user_id ? getUserById(entry.user_id) : null;
+      return `
+        <div class="task-time-entry" data-entry-id="${entry.id}">
+          ${user
+            ? `<div class="task-time-entry-avatar" style="background: ${stringToColor(user.name)}" title="${escapeHtml(user.name)}">${getInitials(user.name)}</div>`
+            : ''}
+          <span class="task-time-entry-duration">${formatDuration(entry.duration_minutes)}</span>
+          <span class="task-time-entry-note">${escapeHtml(entry.note || '')}</span>
+          <span class="task-time-entry-date">${entry.date ? formatDate(entry.date) : ''}</span>
+          <button class="task-time-entry-remove" data-action="delete-time-entry" title="Delete entry">${icons.x}</button>
+        </div>
+      `;
+    }).join('')}
   `;
-
-  showModal('Create Project', bodyHtml, footerHtml);
-  attachCreateProjectListeners();
 }
 
-function attachCreateProjectListeners() {
-  // Close button
-  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
-    btn.addEventListener('click', closeModal);
+function attachTaskTimeTrackingListeners(panel, taskId, projectSlug) {
+  const refresh = () => {
+    renderProjectDetail(projectSlug);
+    renderTaskPanel(getTaskById(taskId), projectSlug);
+  };
+
+  panel.querySelectorAll('[data-action="toggle-timer"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const running = getRunningTimeEntry(getCurrentUser()?.id);
+      if (running?.task_id === taskId) {
+        stopTimeEntry(running.id);
+        showToast(`Logged ${formatDuration(running.duration_minutes)}`, 'success');
+      } else {
+        startTaskTimer(taskId);
+      }
+      refresh();
+    });
   });
 
-  // Color picker
-  document.querySelectorAll('.color-swatch').forEach(option => {
-    option.addEventListener('click', () => {
-      document.querySelectorAll('.color-swatch').forEach(o => o.classList.remove('selected'));
-      option.classList.add('selected');
+  const estimateInput = panel.querySelector('[data-field="estimate_hours"]');
+  estimateInput?.addEventListener('change', () => {
+    const hours = parseFloat(estimateInput.value);
+    updateTaskField(taskId, 'estimate_hours', hours > 0 ? hours : null, projectSlug);
+    renderTaskPanel(getTaskById(taskId), projectSlug);
+  });
+
+  const form = panel.querySelector('[data-action="log-time"]');
+  form?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const data = new FormData(form);
+    const minutes = parseDuration(data.get('duration'));
+    if (!minutes) {
+      showToast('Enter a duration such as 1h 30m', 'error');
+      return;
+    }
+
+    createTimeEntry(getTaskById(taskId), {
+      duration_minutes: minutes,
+      date: data.get('date') || new Date().toISOString().split('T')[0],
+      note: data.get('note').trim(),
     });
+    showToast(`Logged ${formatDuration(minutes)}`, 'success');
+    refresh();
   });
 
-  // Auto-generate identifier from name
-  const nameInput = document.querySelector('[name="name"]');
-  const identifierInput = document.querySelector('[name="identifier"]');
-  if (nameInput && identifierInput) {
-    nameInput.addEventListener('input', () => {
-      if (!identifierInput.dataset.manual) {
-        const words = nameInput.value.trim().split(/\s+/);
-        const identifier = words.map(w => w[0]?.toUpperCase() || '').join('').slice(0, 4);
-        identifierInput.value = identifier;
-      }
+  panel.querySelectorAll('[data-action="delete-time-entry"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      deleteTimeEntry(btn.closest('[data-entry-id]').dataset.entryId);
+      refresh();
     });
-    identifierInput.addEventListener('input', () => {
-      identifierInput.dataset.manual = 'true';
-      identifierInput.value = identifierInput.value.toUpperCase();
+  });
+
+  clearInterval(taskTimerInterval);
+  const running = getRunningTimeEntry(getCurrentUser()?.id);
+  if (running?.task_id === taskId) {
+    taskTimerInterval = setInterval(() => {
+      const elapsed = document.querySelector('#task-panel-content [data-role="timer-elapsed"]');
+      if (!elapsed || !isTimerRunning(running)) {
+        clearInterval(taskTimerInterval);
+        return;
+      }
+      elapsed.textContent = formatTimerElapsed(running);
+      const logged = document.querySelector('#task-panel-content [data-role="time-logged"]');
+      if (logged) logged.textContent = formatDuration(getTaskLoggedMinutes(taskId));
+    }, 1000);
+  }
+}
+
+// ==========================================================================
+// Custom Fields
+// ==========================================================================
+
+const CUSTOM_FIELD_TYPES = {
+  text: 'Text',
+  number: 'Number',
+  select: 'Single select',
+  multi_select: 'Multi select',
+  date: 'Date',
+  user: 'User',
+  url: 'URL',
+  checkbox: 'Checkbox',
+};
+
+// Types a task list can be grouped by
+const CUSTOM_FIELD_GROUPABLE_TYPES = ['select', 'multi_select', 'user', 'checkbox'];
+
+// Custom fields share the display field, sort and group-by settings with the
+// built-in fields under the key "custom:<field id>"
+const CUSTOM_FIELD_KEY_PREFIX = 'custom:';
+
+function getCustomFieldsForProject(projectId) {
+  return state.customFields
+    .filter(f => f.project_id === projectId)
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+}
+
+function getCustomFieldKey(field) {
+  return `${CUSTOM_FIELD_KEY_PREFIX}${field.id}`;
+}
+
+// The custom field behind a display/sort/group-by key, or null for built-in keys
+function getCustomFieldForKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(CUSTOM_FIELD_KEY_PREFIX)) return null;
+  const fieldId = key.slice(CUSTOM_FIELD_KEY_PREFIX.length);
+  return state.customFields.find(f => f.id === fieldId) || null;
+}
+
+function isCustomFieldVisible(fields, field) {
+  return fields[getCustomFieldKey(field)] !== false;
+}
+
+function isCustomValueEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function getTaskCustomValue(task, field) {
+  const value = task.custom_fields?.[field.id];
+  return isCustomValueEmpty(value) ? null : value;
+}
+
+/**
+ * Coerce an edited value to what is stored for the field type. Empty input,
+ * unknown options and unchecked checkboxes are stored as null.
+ */
+function normalizeCustomValue(field, value) {
+  if (isCustomValueEmpty(value)) return null;
+  const optionIds = (field.options || []).map(o => o.id);
+
+  switch (field.type) {
+    case 'number': {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'checkbox':
+      return value === true || value === 'true' ? true : null;
+    case 'select':
+      return optionIds.includes(value) ? value : null;
+    case 'multi_select': {
+      const ids = optionIds.filter(id => [].concat(value).includes(id));
+      return ids.length > 0 ? ids : null;
+    }
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+    case 'url': {
+      const url = String(value).trim();
+      if (!url) return null;
+      const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : `https://${url}`;
+      return isSafeCustomUrl(withScheme) ? withScheme : null;
+    }
+    default:
+      return String(value).trim() || null;
+  }
+}
+
+/**
+ * URL fields only link to web pages and mail addresses
+ */
+function isSafeCustomUrl(url) {
+  return /^(https?:\/\/|mailto:)/i.test(url) && isSafeMarkdownUrl(url);
+}
+
+/**
+ * Plain-text value, as used in CSV exports, group names and activity
+ */
+function formatCustomValue(field, value) {
+  if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+  if (isCustomValueEmpty(value)) return '';
+
+  switch (field.type) {
+    case 'select':
+    case 'multi_select':
+      return [].concat(value)
+        .map(id => field.options.find(o => o.id === id)?.name)
+        .filter(Boolean)
+        .join(', ');
+    case 'user':
+      return getUserById(value)?.name || 'a removed user';
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Value a task list is sorted on; null sorts last in either direction
+ */
+function getCustomSortValue(field, value) {
+  if (isCustomValueEmpty(value)) return null;
+
+  switch (field.type) {
+    case 'number':
+      return value;
+    case 'checkbox':
+      return value ? 1 : 0;
+    case 'select':
+    case 'multi_select': {
+      // Option order, by the first selected option for multi selects
+      const indexes = [].concat(value).map(id => field.options.findIndex(o => o.id === id)).filter(i => i !== -1);
+      return indexes.length > 0 ? Math.min(...indexes) : null;
+    }
+    case 'user':
+      return getUserById(value)?.name.toLowerCase() ?? null;
+    default:
+      return String(value).toLowerCase();
+  }
+}
+
+/**
+ * Groups for a task list grouped by a custom field, with the tasks in each.
+ * A multi select task is listed under each of its options.
+ */
+function getCustomFieldGroups(field, tasks, project) {
+  const groupId = value => `custom-${value}`;
+  let values;
+
+  if (field.type === 'checkbox') {
+    values = [{ value: true, name: field.name, color: COLOR_PALETTE.emerald.hex }];
+  } else if (field.type === 'user') {
+    const userIds = new Set(getProjectMembers(project.id).map(u => u.id));
+    tasks.forEach(task => {
+      const value = getTaskCustomValue(task, field);
+      if (value && getUserById(value)) userIds.add(value);
     });
+    values = [...userIds].map(id => getUserById(id))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(user => ({ value: user.id, name: user.name, color: stringToColor(user.name) }));
+  } else {
+    values = field.options.map(option => ({ value: option.id, name: option.name, color: option.color }));
+  }
+
+  const groups = values.map(v => ({ id: groupId(v.value), name: v.name, color: v.color, type: 'custom' }));
+  groups.push({
+    id: 'custom-none',
+    name: field.type === 'checkbox' ? `Not ${field.name}` : `No ${field.name}`,
+    color: FALLBACK_COLOR,
+    type: 'custom'
+  });
+
+  const tasksByGroup = Object.fromEntries(groups.map(g => [g.id, []]));
+  tasks.forEach(task => {
+    const ids = [].concat(getTaskCustomValue(task, field) ?? []).map(groupId).filter(id => tasksByGroup[id]);
+    (ids.length > 0 ? ids : ['custom-none']).forEach(id => tasksByGroup[id].push(task));
+  });
+
+  return { groups, tasksByGroup };
+}
+
+// Stored value for a task dropped or created in a custom field group
+function getCustomGroupValue(field, groupId) {
+  if (groupId === 'custom-none') return null;
+  const value = groupId.slice('custom-'.length);
+  if (field.type === 'checkbox') return true;
+  return field.type === 'multi_select' ? [value] : value;
+}
+
+/**
+ * Set a custom field on a task, recording the change as activity
+ * @returns {boolean} Whether the value changed
+ */
+function setTaskCustomValue(task, field, value) {
+  const oldValue = getTaskCustomValue(task, field);
+  const newValue = normalizeCustomValue(field, value);
+  if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return false;
+
+  const customFields = { ...task.custom_fields };
+  if (newValue === null) {
+    delete customFields[field.id];
+  } else {
+    customFields[field.id] = newValue;
   }
+  task.custom_fields = customFields;
+  task.updated_at = new Date().toISOString();
+  persistRecords('tasks', task);
+  recordActivity(task, 'updated', getCustomFieldKey(field), oldValue, newValue);
+  return true;
+}
 
-  // Submit button
-  document.querySelectorAll('[data-action="submit-project"]').forEach(btn => {
-    btn.addEventListener('click', handleCreateProject);
+function updateTaskCustomField(taskId, fieldId, value, projectSlug) {
+  const task = getTaskById(taskId);
+  const field = state.customFields.find(f => f.id === fieldId);
+  if (!task || !field) return;
+
+  if (field.type === 'url' && !isCustomValueEmpty(value) && normalizeCustomValue(field, value) === null) {
+    showToast('Links must start with http://, https:// or mailto:', 'error');
+    return;
+  }
+
+  if (setTaskCustomValue(task, field, value)) {
+    renderProjectDetail(projectSlug);
+  }
+}
+
+/**
+ * Build select options from one name per line, keeping the id and color of
+ * options whose name is unchanged
+ */
+function parseCustomFieldOptions(text, existingOptions = []) {
+  const names = [...new Set(String(text || '').split('\n').map(name => name.trim()).filter(Boolean))];
+  return names.map((name, index) => {
+    const existing = existingOptions.find(o => o.name === name);
+    return existing || {
+      id: generateId('option'),
+      name,
+      color: AVATAR_COLORS[(existingOptions.length + index) % AVATAR_COLORS.length],
+    };
   });
 }
 
-function handleCreateProject() {
-  const form = document.getElementById('create-project-form');
-  const formData = new FormData(form);
+function createCustomField(project, { name, type, options = [] }) {
+  const now = new Date().toISOString();
+  const siblings = getCustomFieldsForProject(project.id);
+  const field = {
+    id: generateId('field'),
+    project_id: project.id,
+    name,
+    type,
+    options: type === 'select' || type === 'multi_select' ? options : [],
+    sort_order: siblings.reduce((max, f) => Math.max(max, f.sort_order || 0), 0) + 1,
+    created_at: now,
+    updated_at: now,
+  };
 
-  const name = formData.get('name')?.trim();
-  const identifier = formData.get('identifier')?.trim().toUpperCase();
+  state.customFields.push(field);
+  persistRecords('customFields', field);
+  return field;
+}
 
-  if (!name) {
-    showToast('Project name is required', 'error');
-    return;
+/**
+ * Rename a field or change its options. The type is fixed once created;
+ * values that point at a removed option are dropped from the tasks.
+ */
+function updateCustomField(field, { name, options }) {
+  field.name = name;
+  if (field.type === 'select' || field.type === 'multi_select') {
+    field.options = options;
   }
+  field.updated_at = new Date().toISOString();
+  persistRecords('customFields', field);
+
+  const changed = state.tasks.filter(task => {
+    if (task.project_id !== field.project_id) return false;
+    const value = getTaskCustomValue(task, field);
+    if (value === null) return false;
+    const kept = normalizeCustomValue(field, value);
+    if (JSON.stringify(kept) === JSON.stringify(value)) return false;
+    task.custom_fields = { ...task.custom_fields, [field.id]: kept };
+    if (kept === null) delete task.custom_fields[field.id];
+    return true;
+  });
+  if (changed.length > 0) persistRecords('tasks', changed);
+}
 
-  if (!identifier) {
-    showToast('Project identifier is required', 'error');
-    return;
+/**
+ * Delete a field with its values on every task, and stop sorting or
+ * grouping by it
+ */
+function deleteCustomField(fieldId) {
+  const field = state.customFields.find(f => f.id === fieldId);
+  if (!field) return;
+
+  state.customFields = state.customFields.filter(f => f.id !== fieldId);
+  removeRecords('customFields', fieldId);
+
+  const changed = state.tasks.filter(t => t.custom_fields && fieldId in t.custom_fields);
+  changed.forEach(task => {
+    task.custom_fields = { ...task.custom_fields };
+    delete task.custom_fields[fieldId];
+  });
+  if (changed.length > 0) persistRecords('tasks', changed);
+
+  const key = getCustomFieldKey(field);
+  if (getProjectSort(field.project_id).field === key) delete state.projectSort[field.project_id];
+  if (state.projectGroupBy[field.project_id] === key) delete state.projectGroupBy[field.project_id];
+  if (state.projectFields[field.project_id]) delete state.projectFields[field.project_id][key];
+}
+
+function renderCustomOptionChip(option) {
+  return `<span class="custom-field-option" style="background: ${hexToRgba(option.color, 0.15)}">${escapeHtml(option.name)}</span>`;
+}
+
+function renderCustomFieldCell(task, field) {
+  const value = getTaskCustomValue(task, field);
+  const title = escapeHtml(`${field.name}: ${formatCustomValue(field, value) || 'none'}`);
+  let content;
+
+  if (value === null) {
+    content = field.type === 'checkbox' ? '' : '—';
+  } else if (field.type === 'select' || field.type === 'multi_select') {
+    const options = [].concat(value).map(id => field.options.find(o => o.id === id)).filter(Boolean);
+    content = options.length > 0 ? `
+      ${renderCustomOptionChip(options[0])}
+      ${options.length > 1 ? `<span class="task-label more">+${options.length - 1}</span>` : ''}
+    ` : '—';
+  } else if (field.type === 'user') {
+    const user = getUserById(value);
+    content = user
+      ? `<div class="task-assignee" style="background: ${stringToColor(user.name)}">${getInitials(user.name)}</div>`
+      : '—';
+  } else if (field.type === 'checkbox') {
+    content = icons.check;
+  } else if (field.type === 'date') {
+    content = formatDate(value);
+  } else if (field.type === 'number') {
+    content = escapeHtml(value.toLocaleString());
+  } else if (field.type === 'url') {
+    content = escapeHtml(value.replace(/^https?:\/\//i, ''));
+  } else {
+    content = escapeHtml(value);
   }
 
-  // Check for duplicate identifier
-  if (state.projects.some(p => p.identifier === identifier)) {
-    showToast('Project identifier already exists', 'error');
-    return;
-  }
+  return `<span class="task-custom-field task-custom-field--${field.type} ${value === null ? 'empty' : ''}" title="${title}">${content}</span>`;
+}
 
-  const selectedColor = document.querySelector('.color-swatch.selected');
-  const color = selectedColor?.dataset.color || projectColors[0];
+function renderCustomFieldEditor(task, field) {
+  const value = getTaskCustomValue(task, field);
+  const attrs = `data-custom-field="${field.id}"`;
 
-  // Generate slug from name
-  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+  switch (field.type) {
+    case 'number':
+      return `<input type="number" class="task-panel-custom-input" ${attrs} value="${value ?? ''}" placeholder="Empty" step="any">`;
+    case 'date':
+      return `<input type="date" class="task-panel-date-input" ${attrs} value="${value || ''}">`;
+    case 'checkbox':
+      return `<input type="checkbox" class="task-panel-custom-checkbox" ${attrs} ${value ? 'checked' : ''}>`;
+    case 'url':
+      return `
+        <input type="url" class="task-panel-custom-input" ${attrs} value="${escapeHtml(value || '')}" placeholder="https://">
+        ${isSafeCustomUrl(value) ? `<a class="task-panel-custom-link" href="${escapeHtml(value)}" target="_blank" rel="noopener noreferrer" title="Open link">${icons.link}</a>` : ''}
+      `;
+    case 'select':
+      return `
+        <select class="task-panel-custom-input" ${attrs}>
+          <option value="">Empty</option>
+          ${field.options.map(option => `
+            <option value="${option.id}" ${option.id === value ? 'selected' : ''}>${escapeHtml(option.name)}</option>
+          `).join('')}
+        </select>
+      `;
+    case 'multi_select':
+      return `
+        <div class="task-panel-custom-options" ${attrs}>
+          ${field.options.map(option => {
+            const selected = (value || []).includes(option.id);
+            return `
+              <button class="custom-field-option ${selected ? 'selected' : ''}" data-option-id="${option.id}"
+                      style="${selected ? `background: ${hexToRgba(option.color, 0.15)}; border-color: ${option.color}` : ''}">
+                ${escapeHtml(option.name)}
+              </button>
+            `;
+          }).join('')}
+        </div>
+      `;
+    case 'user': {
+      const user = value ? getUserById(value) : null;
+      return `
+        <div class="task-panel-assignee ${user ? '' : 'empty'}" ${attrs} data-action="change-custom-user">
+          ${user
+            ? `<div class="task-panel-assignee-avatar" style="background: ${stringToColor(user.name)}">${getInitials(user.name)}</div>
+              <span class="task-panel-assignee-name">${escapeHtml(user.name)}</span>`
+            : `<div class="task-panel-assignee-avatar">+</div>
+              <span class="task-panel-assignee-name">Pick someone</span>`}
+        </div>
+      `;
+    }
+    default:
+      return `<input type="text" class="task-panel-custom-input" ${attrs} value="${escapeHtml(value || '')}" placeholder="Empty">`;
+  }
+}
 
-  const newProject = {
-    id: generateId('proj'),
-    workspace_id: state.workspace?.id || 'ws-001',
-    name: name,
-    identifier: identifier,
-    slug: slug,
-    description: formData.get('description') || '',
-    color: color,
-    is_favorite: false,
-    is_archived: false,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
+function renderTaskCustomFields(task) {
+  return getCustomFieldsForProject(task.project_id).map(field => `
+    <div class="task-panel-field">
+      <span class="task-panel-field-label" title="${escapeHtml(CUSTOM_FIELD_TYPES[field.type])}">${escapeHtml(field.name)}</span>
+      <div class="task-panel-field-value">
+        ${renderCustomFieldEditor(task, field)}
+      </div>
+    </div>
+  `).join('');
+}
+
+function attachTaskCustomFieldListeners(panel, taskId, projectSlug) {
+  const save = (fieldId, value) => {
+    updateTaskCustomField(taskId, fieldId, value, projectSlug);
+    renderTaskPanel(getTaskById(taskId), projectSlug);
   };
 
-  // Create default statuses for the project (using centralized COLOR_PALETTE)
-  const defaultStatuses = [
-    { name: 'Backlog', color: COLOR_PALETTE.gray.hex, category: 'todo', sort_order: 1 },
-    { name: 'To Do', color: COLOR_PALETTE.blue.hex, category: 'todo', sort_order: 2 },
-    { name: 'In Progress', color: COLOR_PALETTE.amber.hex, category: 'in_progress', sort_order: 3 },
-    { name: 'Done', color: COLOR_PALETTE.green.hex, category: 'done', sort_order: 4 }
-  ];
+  panel.querySelectorAll('input[data-custom-field], select[data-custom-field]').forEach(input => {
+    input.addEventListener('change', () => {
+      save(input.dataset.customField, input.type === 'checkbox' ? input.checked : input.value);
+    });
+    if (input.type === 'text' || input.type === 'url' || input.type === 'number') {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') input.blur();
+      });
+    }
+  });
 
-  defaultStatuses.forEach(status => {
-    state.statuses.push({
-      id: generateId('status'),
-      project_id: newProject.id,
-      ...status
+  panel.querySelectorAll('.task-panel-custom-options[data-custom-field]').forEach(container => {
+    const fieldId = container.dataset.customField;
+    container.querySelectorAll('[data-option-id]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const field = state.customFields.find(f => f.id === fieldId);
+        const current = getTaskCustomValue(getTaskById(taskId), field) || [];
+        const optionId = btn.dataset.optionId;
+        save(fieldId, current.includes(optionId) ? current.filter(id => id !== optionId) : [...current, optionId]);
+      });
     });
   });
 
-  state.projects.push(newProject);
-  closeModal();
-  showToast(`Project "${name}" created successfully`, 'success');
-  renderProjectsLanding();
+  panel.querySelectorAll('[data-action="change-custom-user"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const field = state.customFields.find(f => f.id === btn.dataset.customField);
+      showSearchableUserDropdown(btn, getTaskCustomValue(getTaskById(taskId), field), (userId) => {
+        save(field.id, userId);
+      });
+    });
+  });
 }
 
-// ==========================================================================
-// Upload Files Modal
-// ==========================================================================
+function renderCustomFieldsSettings(project) {
+  const fields = getCustomFieldsForProject(project.id);
 
-// Temporary storage for files pending upload
-let pendingUploadFiles = [];
+  return `
+    <div class="card card--settings settings-card">
+      <div class="settings-card-header">
+        <span class="settings-card-title">Custom Fields</span>
+        <button class="btn-secondary btn-sm" data-action="add-custom-field">${icons.plus} Add Field</button>
+      </div>
+      <div class="settings-card-content">
+        ${fields.length > 0 ? `
+          <div class="settings-custom-fields">
+            ${fields.map(field => `
+              <div class="settings-custom-field" data-field-id="${field.id}">
+                <div class="settings-custom-field-info">
+                  <span class="settings-custom-field-name">${escapeHtml(field.name)}</span>
+                  <span class="settings-custom-field-type">${escapeHtml(CUSTOM_FIELD_TYPES[field.type] || field.type)}</span>
+                </div>
+                <div class="settings-custom-field-options">
+                  ${(field.options || []).map(renderCustomOptionChip).join('')}
+                </div>
+                <button class="settings-custom-field-action" data-action="edit-custom-field" title="Edit field">${icons.edit}</button>
+                <button class="settings-custom-field-action" data-action="delete-custom-field" title="Delete field">${icons.trash}</button>
+              </div>
+            `).join('')}
+          </div>
+        ` : `
+          <p class="settings-hint">Add fields such as a trade, a budget or a permit link. They appear in the task panel and as list columns.</p>
+        `}
+      </div>
+    </div>
+  `;
+}
 
-function showUploadFilesModal(projectSlug, taskId = null) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+function attachCustomFieldSettingsListeners(project, slug) {
+  const signal = getViewSignal();
 
-  pendingUploadFiles = [];
+  document.querySelectorAll('[data-action="add-custom-field"]').forEach(btn => {
+    btn.addEventListener('click', () => showCustomFieldModal(project, slug), { signal });
+  });
+
+  document.querySelectorAll('[data-action="edit-custom-field"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const field = state.customFields.find(f => f.id === btn.closest('[data-field-id]').dataset.fieldId);
+      if (field) showCustomFieldModal(project, slug, field);
+    }, { signal });
+  });
+
+  document.querySelectorAll('[data-action="delete-custom-field"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const field = state.customFields.find(f => f.id === btn.closest('[data-field-id]').dataset.fieldId);
+      if (!field) return;
+      const usedBy = state.tasks.filter(t => getTaskCustomValue(t, field) !== null).length;
+      if (!confirm(`Delete the field "${field.name}"?${usedBy > 0 ? ` Its values on ${usedBy} task${usedBy === 1 ? '' : 's'} will be removed.` : ''}`)) return;
+      deleteCustomField(field.id);
+      showToast('Field deleted', 'success');
+      renderProjectDetail(slug);
+    }, { signal });
+  });
+}
+
+function showCustomFieldModal(project, slug, field = null) {
+  const type = field?.type || 'text';
 
   const bodyHtml = `
-    <div class="upload-modal-content">
-      <div class="upload-drop-zone" id="upload-drop-zone">
-        <input type="file" id="upload-file-input" multiple hidden>
-        <div class="upload-drop-icon">
-          ${icons.upload}
+    <form id="custom-field-form">
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Name</label>
+          <input type="text" class="form-input" name="name" value="${escapeHtml(field?.name || '')}" placeholder="e.g. Trade" required>
         </div>
-        <div class="upload-drop-text">
-          <span class="upload-drop-title">Drop files here or click to browse</span>
-          <span class="upload-drop-hint">PNG, JPG, PDF, DOCX, XLS • Max 10MB per file</span>
+        <div class="form-group">
+          <label class="form-label">Type</label>
+          <select class="form-select" name="type" ${field ? 'disabled' : ''}>
+            ${Object.entries(CUSTOM_FIELD_TYPES).map(([value, label]) => `
+              <option value="${value}" ${value === type ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
         </div>
       </div>
-      <div class="upload-file-list" id="upload-file-list">
-        <!-- Selected files will appear here -->
+      <div class="form-group" data-role="options">
+        <label class="form-label">Options</label>
+        <textarea class="form-input" name="options" rows="5" placeholder="One option per line">${escapeHtml((field?.options || []).map(o => o.name).join('\n'))}</textarea>
+        <p class="form-hint">Removing an option clears it from the tasks that use it.</p>
       </div>
-    </div>
+      ${field ? '<p class="form-hint">The type of a field cannot be changed once it is created.</p>' : ''}
+    </form>
   `;
 
   const footerHtml = `
     <button class="btn-secondary" data-action="close-modal">Cancel</button>
-    <button class="btn-primary" id="upload-submit-btn" data-action="submit-upload" data-project-id="${project.id}" ${taskId ? `data-task-id="${taskId}"` : ''} disabled>
-      ${icons.upload} Upload Files
-    </button>
+    <button class="btn-primary" data-action="submit-custom-field">${field ? 'Save' : 'Add Field'}</button>
   `;
 
-  showModal('Upload Files', bodyHtml, footerHtml);
-  attachUploadModalListeners(project.id, taskId, projectSlug);
+  showModal(field ? 'Edit Custom Field' : 'New Custom Field', bodyHtml, footerHtml);
+
+  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
+    btn.addEventListener('click', closeModal);
+  });
+
+  const form = document.getElementById('custom-field-form');
+  const optionsGroup = form.querySelector('[data-role="options"]');
+  const update = () => {
+    optionsGroup.hidden = !['select', 'multi_select'].includes(form.elements.type.value);
+  };
+  form.elements.type.addEventListener('change', update);
+  update();
+
+  const submit = () => {
+    const name = form.elements.name.value.trim();
+    const fieldType = form.elements.type.value;
+    if (!name) {
+      showToast('Field name is required', 'error');
+      return;
+    }
+    const taken = getCustomFieldsForProject(project.id).some(f => f.id !== field?.id && f.name.toLowerCase() === name.toLowerCase());
+    if (taken) {
+      showToast(`A field named "${name}" already exists`, 'error');
+      return;
+    }
+
+    const options = parseCustomFieldOptions(form.elements.options.value, field?.options);
+    if ((fieldType === 'select' || fieldType === 'multi_select') && options.length === 0) {
+      showToast('Add at least one option', 'error');
+      return;
+    }
+
+    if (field) {
+      updateCustomField(field, { name, options });
+      showToast('Field updated', 'success');
+    } else {
+      createCustomField(project, { name, type: fieldType, options });
+      showToast(`Field "${name}" added`, 'success');
+    }
+    closeModal();
+    renderProjectDetail(slug);
+  };
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submit();
+  });
+  document.querySelector('[data-action="submit-custom-field"]').addEventListener('click', submit);
 }
 
-function attachUploadModalListeners(projectId, taskId, projectSlug) {
-  const dropZone = document.getElementById('upload-drop-zone');
-  const fileInput = document.getElementById('upload-file-input');
-  const fileList = document.getElementById('upload-file-list');
-  const submitBtn = document.getElementById('upload-submit-btn');
+// ==========================================================================
+// Task Detail Side Panel
+// ==========================================================================
 
-  // Click to browse
-  dropZone.addEventListener('click', () => fileInput.click());
+function renderTaskPanelContainer() {
+  // Only create if doesn't exist
+  if (document.getElementById('task-panel-overlay')) return;
 
-  // File input change
-  fileInput.addEventListener('change', (e) => {
-    addFilesToPendingList(e.target.files);
-    updateUploadFileList();
+  const panelOverlay = document.createElement('div');
+  panelOverlay.id = 'task-panel-overlay';
+  panelOverlay.className = 'panel-overlay';
+  panelOverlay.innerHTML = '<div class="side-panel task-panel" id="task-panel-content"></div>';
+  document.body.appendChild(panelOverlay);
+
+  // Close on overlay click (but not panel click)
+  panelOverlay.addEventListener('click', (e) => {
+    if (e.target === panelOverlay) {
+      closeTaskPanel();
+    }
   });
 
-  // Drag and drop
-  dropZone.addEventListener('dragover', (e) => {
-    e.preventDefault();
-    dropZone.classList.add('dragover');
+  // Close on Escape
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && state.openTaskId) {
+      closeTaskPanel();
+    }
   });
+}
+
+function openTaskPanel(taskId, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
+
+  state.openTaskId = taskId;
+  state.openTaskProjectSlug = projectSlug;
+
+  renderTaskPanelContainer();
+  renderTaskPanel(task, projectSlug);
+
+  const overlay = document.getElementById('task-panel-overlay');
+  if (overlay) {
+    // Force reflow before adding class for animation
+    overlay.offsetHeight;
+    overlay.classList.add('open');
+  }
+}
+
+function closeTaskPanel() {
+  state.openTaskId = null;
+  state.openTaskProjectSlug = null;
+  state.editingCommentId = null;
+  closeMentionDropdown();
+
+  const overlay = document.getElementById('task-panel-overlay');
+  if (overlay) {
+    overlay.classList.remove('open');
+  }
+}
+
+// ==========================================================================
+// File Preview Panel
+// ==========================================================================
 
-  dropZone.addEventListener('dragleave', (e) => {
-    e.preventDefault();
-    dropZone.classList.remove('dragover');
-  });
+function renderFilePreviewPanelContainer() {
+  // Only create if doesn't exist
+  if (document.getElementById('file-preview-overlay')) return;
 
-  dropZone.addEventListener('drop', (e) => {
-    e.preventDefault();
-    dropZone.classList.remove('dragover');
-    addFilesToPendingList(e.dataTransfer.files);
-    updateUploadFileList();
-  });
+  const panelOverlay = document.createElement('div');
+  panelOverlay.id = 'file-preview-overlay';
+  panelOverlay.className = 'panel-overlay';
+  panelOverlay.innerHTML = '<div class="side-panel file-preview-panel" id="file-preview-content"></div>';
+  document.body.appendChild(panelOverlay);
 
-  // Close button
-  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      pendingUploadFiles = [];
-      closeModal();
-    });
+  // Close on overlay click (but not panel click)
+  panelOverlay.addEventListener('click', (e) => {
+    if (e.target === panelOverlay) {
+      closeFilePreview();
+    }
   });
 
-  // Submit button
-  submitBtn.addEventListener('click', () => {
-    if (pendingUploadFiles.length > 0) {
-      handleFileUpload(pendingUploadFiles, projectId, taskId);
-      pendingUploadFiles = [];
-      closeModal();
-
-      // Re-render current view
-      if (projectSlug) {
-        renderProjectDetail(projectSlug);
-      }
+  // Close on Escape
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && state.openFileId) {
+      closeFilePreview();
     }
   });
 }
 
-function addFilesToPendingList(fileList) {
-  const maxSize = 10 * 1024 * 1024; // 10MB
+function openFilePreview(fileId, projectSlug) {
+  const file = getFileById(fileId);
+  if (!file) return;
 
-  for (const file of fileList) {
-    // Check for duplicates
-    if (pendingUploadFiles.some(f => f.name === file.name && f.size === file.size)) {
-      continue;
-    }
+  state.openFileId = fileId;
+  state.openFileProjectSlug = projectSlug;
 
-    // Check file size
-    if (file.size > maxSize) {
-      showToast(`"${file.name}" exceeds 10MB limit`, 'error');
-      continue;
-    }
+  renderFilePreviewPanelContainer();
+  renderFilePreviewPanel(file, projectSlug);
 
-    pendingUploadFiles.push(file);
+  const overlay = document.getElementById('file-preview-overlay');
+  if (overlay) {
+    // Force reflow before adding class for animation
+    overlay.offsetHeight;
+    overlay.classList.add('open');
   }
 }
 
-function updateUploadFileList() {
-  const fileList = document.getElementById('upload-file-list');
-  const submitBtn = document.getElementById('upload-submit-btn');
+function closeFilePreview() {
+  state.openFileId = null;
+  state.openFileProjectSlug = null;
 
-  if (pendingUploadFiles.length === 0) {
-    fileList.innerHTML = '';
-    submitBtn.disabled = true;
-    submitBtn.innerHTML = `${icons.upload} Upload Files`;
-    return;
+  const overlay = document.getElementById('file-preview-overlay');
+  if (overlay) {
+    overlay.classList.remove('open');
   }
+}
 
-  fileList.innerHTML = pendingUploadFiles.map((file, index) => `
-    <div class="upload-file-item" data-index="${index}">
-      <div class="upload-file-icon">
-        ${getFileIcon(getFileTypeFromName(file.name))}
+function renderFilePreviewPanel(file, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project || !file) return;
+
+  const uploader = file.uploaded_by ? getUserById(file.uploaded_by) : null;
+  const linkedTask = file.task_id ? getTaskById(file.task_id) : null;
+  const taskKey = linkedTask ? `${project.identifier}-${linkedTask.sequence_id}` : null;
+
+  const fileTypeIcons = {
+    pdf: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><polyline points="10 9 9 9 8 9"/></svg>',
+    image: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg>',
+    document: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/></svg>',
+    spreadsheet: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="3" y1="9" x2="21" y2="9"/><line x1="3" y1="15" x2="21" y2="15"/><line x1="9" y1="3" x2="9" y2="21"/><line x1="15" y1="3" x2="15" y2="21"/></svg>',
+    archive: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="21 8 21 21 3 21 3 8"/><rect x="1" y="3" width="22" height="5"/><line x1="10" y1="12" x2="14" y2="12"/></svg>',
+    cad: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="12 2 2 7 12 12 22 7 12 2"/><polyline points="2 17 12 22 22 17"/><polyline points="2 12 12 17 22 12"/></svg>'
+  };
+
+  const placeholderIcon = '<svg class="file-preview-placeholder-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="3" y1="9" x2="21" y2="9"/><circle cx="9" cy="6" r="1"/><circle cx="12" cy="6" r="1"/></svg>';
+
+  const panelContent = document.getElementById('file-preview-content');
+  if (!panelContent) return;
+
+  panelContent.innerHTML = `
+    <div class="file-preview-header">
+      <div class="file-preview-header-left">
+        <div class="file-preview-icon ${file.file_type}">
+          ${fileTypeIcons[file.file_type] || fileTypeIcons.document}
+        </div>
+        <div class="file-preview-title">
+          <div class="file-preview-name" title="${escapeHtml(file.name)}">${escapeHtml(file.name)}</div>
+          <div class="file-preview-meta">${formatFileSize(file.size_bytes)}</div>
+        </div>
       </div>
-      <div class="upload-file-info">
-        <span class="upload-file-name">${escapeHtml(file.name)}</span>
-        <span class="upload-file-size">${formatFileSize(file.size)}</span>
+      <div class="file-preview-actions">
+        <button class="file-preview-action-btn" data-action="download-file" data-file-id="${file.id}" title="Download">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+            <polyline points="7 10 12 15 17 10"/>
+            <line x1="12" y1="15" x2="12" y2="3"/>
+          </svg>
+        </button>
+        <button class="file-preview-action-btn" data-action="close-file-preview" title="Close">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
       </div>
-      <button class="upload-file-remove" data-action="remove-file" data-index="${index}">
-        ${icons.x}
+    </div>
+
+    <div class="file-preview-body">
+      <!-- Preview Section -->
+      <div class="panel-section">
+        <div class="panel-section-header label-uppercase">Preview</div>
+        <div class="file-preview-content">
+          ${placeholderIcon}
+          <div class="file-preview-placeholder-text">Preview not available</div>
+          <div class="file-preview-placeholder-hint">Download the file to view its contents</div>
+        </div>
+      </div>
+
+      <!-- Details Section -->
+      <div class="panel-section">
+        <div class="panel-section-header label-uppercase">Details</div>
+        <div class="file-preview-details-grid">
+          <span class="file-preview-details-label">Name</span>
+          <span class="file-preview-details-value">${escapeHtml(file.name)}</span>
+
+          <span class="file-preview-details-label">Type</span>
+          <span class="file-preview-details-value">${file.file_type.charAt(0).toUpperCase() + file.file_type.slice(1)}</span>
+
+          <span class="file-preview-details-label">Size</span>
+          <span class="file-preview-details-value">${formatFileSize(file.size_bytes)}</span>
+
+          <span class="file-preview-details-label">Uploaded</span>
+          <span class="file-preview-details-value">${formatDateTime(file.uploaded_at)}</span>
+
+          <span class="file-preview-details-label">Uploaded by</span>
+          <span class="file-preview-details-value">
+            ${uploader ? `
+              <div class="file-preview-uploader">
+                <div class="file-preview-uploader-avatar" style="background: ${stringToColor(uploader.name)}">${getInitials(uploader.name)}</div>
+                <span>${escapeHtml(uploader.name)}</span>
+              </div>
+            ` : '<span style="color: var(--color-text-muted)">Unknown</span>'}
+          </span>
+
+          <span class="file-preview-details-label">Linked task</span>
+          <span class="file-preview-details-value">
+            ${linkedTask ? `<a href="#/projects/${projectSlug}/tasks?task=${taskKey}" data-action="open-linked-task" data-task-id="${linkedTask.id}">${escapeHtml(taskKey)}: ${escapeHtml(linkedTask.title)}</a>` : '<span style="color: var(--color-text-muted)">None</span>'}
+          </span>
+        </div>
+      </div>
+    </div>
+
+    <div class="file-preview-footer">
+      <button class="btn-secondary" data-action="close-file-preview">Close</button>
+      <button class="btn-primary" data-action="download-file" data-file-id="${file.id}">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+          <polyline points="7 10 12 15 17 10"/>
+          <line x1="12" y1="15" x2="12" y2="3"/>
+        </svg>
+        Download
       </button>
     </div>
-  `).join('');
+  `;
 
-  // Attach remove listeners
-  fileList.querySelectorAll('[data-action="remove-file"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const index = parseInt(btn.dataset.index);
-      pendingUploadFiles.splice(index, 1);
-      updateUploadFileList();
+  // Attach event listeners
+  attachFilePreviewEventListeners(projectSlug);
+}
+
+function attachFilePreviewEventListeners(projectSlug) {
+  // Close button
+  document.querySelectorAll('[data-action="close-file-preview"]').forEach(btn => {
+    btn.addEventListener('click', closeFilePreview);
+  });
+
+  // Download button
+  document.querySelectorAll('[data-action="download-file"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const fileId = btn.dataset.fileId;
+      const file = getFileById(fileId);
+      if (file) {
+        showToast(`Downloading "${file.name}" (demo only)`, 'info');
+      }
     });
   });
 
-  submitBtn.disabled = false;
-  const fileCount = pendingUploadFiles.length;
-  submitBtn.innerHTML = `${icons.upload} Upload ${fileCount} ${fileCount === 1 ? 'File' : 'Files'}`;
+  // Open linked task
+  document.querySelectorAll('[data-action="open-linked-task"]').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      const taskId = link.dataset.taskId;
+      closeFilePreview();
+      openTaskPanel(taskId, projectSlug);
+    });
+  });
 }
 
-function formatFileSize(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
-}
+function renderTaskPanel(task, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project || !task) return;
 
-// ==========================================================================
-// Invite Member Modal
-// ==========================================================================
+  const status = getStatusById(task.status_id);
+  const priority = task.priority_id ? getPriorityById(task.priority_id) : null;
+  const assignee = task.assignee_id ? getUserById(task.assignee_id) : null;
+  const taskLabels = (task.label_ids || []).map(id => getLabelById(id)).filter(Boolean);
+  const taskKey = `${project.identifier}-${task.sequence_id}`;
+
+  // Get files attached to this task
+  const taskFiles = state.files.filter(f => f.task_id === task.id);
+  const taskComments = getCommentsForTask(task.id);
+  const wikiPages = getWikiPagesForTask(task.id);
+  const dependencyCount = getTaskPredecessorLinks(task.id).length + getTaskSuccessorLinks(task.id).length;
+  const subtaskProgress = getTaskProgress(task);
+  const checklistProgress = getChecklistProgress(task.id);
+  const parent = task.parent_id ? getTaskById(task.parent_id) : null;
+
+  const statusBg = status ? hexToRgba(status.color, 0.15) : '';
+  const statusDot = status?.color || FALLBACK_COLOR;
+  const priorityBg = priority ? hexToRgba(priority.color, 0.15) : '';
 
-function showInviteMemberModal(projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+  const panelContent = document.getElementById('task-panel-content');
+  if (!panelContent) return;
 
-  const bodyHtml = `
-    <form id="invite-member-form">
-      <div class="form-group">
-        <label class="form-label required">Email Address</label>
-        <input type="email" class="form-input" name="email" placeholder="colleague@company.com" required>
+  panelContent.innerHTML = `
+    <div class="task-panel-header">
+      <div class="task-panel-header-left">
+        ${parent ? `
+          <button class="task-panel-parent" data-action="open-parent-task" data-task-id="${parent.id}" title="Open parent task">
+            ${escapeHtml(`${project.identifier}-${parent.sequence_id}`)}
+          </button>
+          <span class="task-panel-parent-separator">${icons.chevronRight}</span>
+        ` : ''}
+        <span class="task-panel-key">${escapeHtml(taskKey)}</span>
       </div>
-
-      <div class="form-group">
-        <label class="form-label">Role</label>
-        <select class="form-select" name="role">
-          <option value="member">Member - Can view and edit tasks</option>
-          <option value="admin">Admin - Can manage project settings</option>
-        </select>
+      <div class="task-panel-actions">
+        <button class="task-panel-action-btn" data-action="copy-link" data-task-key="${escapeHtml(taskKey)}" title="Copy link">
+          ${icons.link}
+        </button>
+        <button class="task-panel-action-btn" title="More options">
+          ${icons.moreHorizontal}
+        </button>
+        <button class="task-panel-action-btn close" data-action="close-panel" title="Close">
+          ${icons.x}
+        </button>
       </div>
+    </div>
 
-      <div class="form-group">
-        <label class="form-label">Personal Message (optional)</label>
-        <textarea class="form-textarea" name="message" placeholder="Add a personal message to the invitation..."></textarea>
-      </div>
-    </form>
-  `;
+    <div class="task-panel-body">
+      <input type="text"
+             class="task-panel-title-input"
+             value="${escapeHtml(task.title)}"
+             data-field="title"
+             placeholder="Task title...">
 
-  const footerHtml = `
-    <button class="btn-secondary" data-action="close-modal">Cancel</button>
-    <button class="btn-primary" data-action="submit-invite" data-project-slug="${projectSlug}">
-      ${icons.mail} Send Invite
-    </button>
-  `;
+      <div class="task-panel-meta">
+        <div class="panel-section-header label-uppercase">Details</div>
+        <!-- Status -->
+        <div class="task-panel-field">
+          <span class="task-panel-field-label">Status</span>
+          <div class="task-panel-field-value">
+            <span class="task-panel-status-badge"
+                  style="background: ${statusBg}; color: var(--color-text-secondary)"
+                  data-action="change-status">
+              <span class="task-panel-status-dot" style="background: ${statusDot}"></span>
+              ${escapeHtml(status?.name || 'No status')}
+            </span>
+          </div>
+        </div>
 
-  showModal('Invite Team Member', bodyHtml, footerHtml);
-  attachInviteMemberListeners(projectSlug);
-}
+        <!-- Priority -->
+        <div class="task-panel-field">
+          <span class="task-panel-field-label">Priority</span>
+          <div class="task-panel-field-value">
+            <span class="task-panel-priority-badge ${priority ? '' : 'empty'}"
+                  style="background: ${priorityBg}; color: var(--color-text-secondary)"
+                  data-action="change-priority">
+              ${priority ? `${getPriorityIcon(priority.name)} ${escapeHtml(priority.name)}` : 'Set priority'}
+            </span>
+          </div>
+        </div>
 
-function attachInviteMemberListeners(projectSlug) {
-  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
-    btn.addEventListener('click', closeModal);
-  });
+        <!-- Assignee -->
+        <div class="task-panel-field">
+          <span class="task-panel-field-label">Assignee</span>
+          <div class="task-panel-field-value">
+            <div class="task-panel-assignee ${assignee ? '' : 'empty'}" data-action="change-assignee">
+              ${assignee
+                ? `<div class="task-panel-assignee-avatar" style="background: ${stringToColor(assignee.name)}">
+                    ${getInitials(assignee.name)}
+                  </div>
+                  <span class="task-panel-assignee-name">${escapeHtml(assignee.name)}</span>`
+                : `<div class="task-panel-assignee-avatar">+</div>
+                  <span class="task-panel-assignee-name">Assign someone</span>`
+              }
+            </div>
+          </div>
+        </div>
 
-  document.querySelectorAll('[data-action="submit-invite"]').forEach(btn => {
-    btn.addEventListener('click', () => handleInviteMember(projectSlug));
-  });
-}
+        <!-- Due Date -->
+        <div class="task-panel-field">
+          <span class="task-panel-field-label">Due Date</span>
+          <div class="task-panel-field-value">
+            <input type="date"
+                   class="task-panel-date-input"
+                   value="${task.due_date || ''}"
+                   data-field="due_date">
+          </div>
+        </div>
 
-function handleInviteMember(projectSlug) {
-  const form = document.getElementById('invite-member-form');
-  const formData = new FormData(form);
+        <!-- Start Date -->
+        <div class="task-panel-field">
+          <span class="task-panel-field-label">Start Date</span>
+          <div class="task-panel-field-value">
+            <input type="date"
+                   class="task-panel-date-input"
+                   value="${task.start_date || ''}"
+                   data-field="start_date">
+          </div>
+        </div>
 
-  const email = formData.get('email')?.trim();
-  if (!email) {
-    showToast('Email address is required', 'error');
-    return;
-  }
+        <!-- Repeat -->
+        <div class="task-panel-field">
+          <span class="task-panel-field-label">Repeat</span>
+          <div class="task-panel-field-value">
+            <button class="task-panel-recurrence ${task.recurrence ? '' : 'empty'}" data-action="change-recurrence">
+              ${icons.clock} ${escapeHtml(describeRecurrence(task.recurrence))}
+            </button>
+            ${task.recurrence_series_id ? `<span class="task-panel-recurrence-index">Occurrence #${task.recurrence_index || 1}</span>` : ''}
+          </div>
+        </div>
 
-  // In a real app, this would send an API request
-  closeModal();
-  showToast(`Invitation sent to ${email}`, 'success');
-}
+        <!-- Labels -->
+        <div class="task-panel-field">
+          <span class="task-panel-field-label">Labels</span>
+          <div class="task-panel-field-value">
+            <div class="task-panel-labels">
+              ${taskLabels.map(label => `
+                <span class="task-label">${escapeHtml(label.name)}</span>
+              `).join('')}
+              <button class="task-panel-add-label" data-action="add-label">
+                ${icons.plus} Add
+              </button>
+            </div>
+          </div>
+        </div>
 
-// ==========================================================================
-// Edit Member Modal
-// ==========================================================================
+        ${renderTaskCustomFields(task)}
 
-function showEditMemberModal(memberId, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+        <!-- Description -->
+        <div class="task-panel-field task-panel-field--description">
+          <span class="task-panel-field-label">Description</span>
+          <div class="task-panel-field-value">
+            <textarea class="task-panel-description-input"
+                      data-field="description"
+                      placeholder="Add a description...">${escapeHtml(task.description || '')}</textarea>
+          </div>
+        </div>
+      </div>
 
-  const members = getMembersForProject(project.id);
-  const member = members.find(m => m.id === memberId);
-  if (!member) return;
+      <!-- Subtasks Section -->
+      <div class="panel-section task-panel-section">
+        <div class="panel-section-header label-uppercase">
+          Subtasks
+          <span class="task-panel-section-count">${subtaskProgress.total > 0 ? `${subtaskProgress.done}/${subtaskProgress.total}` : 0}</span>
+        </div>
+        <div class="task-panel-subtasks">
+          ${renderTaskSubtasks(task, project)}
+        </div>
+      </div>
 
-  const bodyHtml = `
-    <form id="edit-member-form">
-      <div class="form-group">
-        <label class="form-label required">Name</label>
-        <input type="text" class="form-input" name="name" value="${escapeHtml(member.name)}" required>
+      <!-- Checklists Section -->
+      <div class="panel-section task-panel-section">
+        <div class="panel-section-header label-uppercase">
+          Checklists
+          <span class="task-panel-section-count">${checklistProgress.total > 0 ? `${checklistProgress.done}/${checklistProgress.total}` : 0}</span>
+        </div>
+        <div class="task-panel-checklists">
+          ${renderTaskChecklists(task)}
+          <button class="task-panel-add-btn" data-action="add-checklist">
+            ${icons.plus} Add checklist
+          </button>
+        </div>
       </div>
 
-      <div class="form-group">
-        <label class="form-label required">Email Address</label>
-        <input type="email" class="form-input" name="email" value="${escapeHtml(member.email)}" required>
+      <!-- Time Tracking Section -->
+      <div class="panel-section task-panel-section">
+        <div class="panel-section-header label-uppercase">
+          Time
+          <span class="task-panel-section-count">${formatDuration(getTaskLoggedMinutes(task.id))}${task.estimate_hours ? ` / ${task.estimate_hours}h` : ''}</span>
+        </div>
+        <div class="task-panel-time">
+          ${renderTaskTimeTracking(task)}
+        </div>
       </div>
 
-      <div class="form-group">
-        <label class="form-label">Job Title</label>
-        <input type="text" class="form-input" name="job_title" value="${escapeHtml(member.job_title || '')}" placeholder="e.g., Project Manager">
+      <!-- Dependencies Section -->
+      <div class="panel-section task-panel-section">
+        <div class="panel-section-header label-uppercase">
+          Dependencies
+          <span class="task-panel-section-count">${dependencyCount}</span>
+        </div>
+        <div class="task-panel-dependencies">
+          ${renderTaskDependencies(task, project)}
+          <button class="task-panel-add-btn" data-action="add-dependency">
+            ${icons.plus} Add dependency
+          </button>
+        </div>
+      </div>
+
+      <!-- Attachments Section -->
+      <div class="panel-section task-panel-section">
+        <div class="panel-section-header label-uppercase">
+          Attachments
+          <span class="task-panel-section-count">${taskFiles.length}</span>
+        </div>
+        <div class="task-panel-attachments">
+          ${taskFiles.length > 0 ? taskFiles.map(file => `
+            <div class="task-panel-attachment" data-file-id="${file.id}">
+              <div class="task-panel-attachment-icon">
+                ${getFileIcon(file.file_type)}
+              </div>
+              <div class="task-panel-attachment-info">
+                <span class="task-panel-attachment-name">${escapeHtml(file.name)}</span>
+                <span class="task-panel-attachment-meta">${formatFileSize(file.size_bytes)}</span>
+              </div>
+              <button class="task-panel-attachment-action" title="Download">
+                ${icons.download}
+              </button>
+            </div>
+          `).join('') : `
+            <div class="task-panel-empty-state">
+              <span>No attachments yet</span>
+            </div>
+          `}
+          <button class="task-panel-add-btn" data-action="add-attachment">
+            ${icons.plus} Add attachment
+          </button>
+          <input type="file" id="task-panel-file-input" class="files-input" multiple hidden>
+        </div>
+      </div>
+
+      <!-- Wiki Pages Section (pages referencing this task) -->
+      <div class="panel-section task-panel-section">
+        <div class="panel-section-header label-uppercase">
+          Wiki Pages
+          <span class="task-panel-section-count">${wikiPages.length}</span>
+        </div>
+        <div class="task-panel-wiki-pages">
+          ${wikiPages.length > 0 ? wikiPages.map(page => {
+            const pageProject = getProjectById(page.project_id);
+            return `
+              <a class="task-panel-wiki-page" href="${getWikiPageHref(pageProject, page)}" data-action="open-wiki-page">
+                <span class="task-panel-wiki-page-icon">${page.icon ? escapeHtml(page.icon) : icons.file}</span>
+                <span class="task-panel-wiki-page-title">${escapeHtml(page.title)}</span>
+                ${pageProject.id !== project.id ? `<span class="task-panel-wiki-page-project">${escapeHtml(pageProject.name)}</span>` : ''}
+              </a>
+            `;
+          }).join('') : `
+            <div class="task-panel-empty-state">
+              <span>Not referenced in the wiki. Mention it as [[${escapeHtml(taskKey)}]] on a page.</span>
+            </div>
+          `}
+        </div>
+      </div>
+
+      <!-- Activity Section -->
+      <div class="panel-section task-panel-section">
+        <div class="panel-section-header label-uppercase">
+          Activity
+        </div>
+        <div class="task-panel-activity">
+          ${renderTaskActivity(task.id)}
+        </div>
       </div>
 
-      <div class="form-group">
-        <label class="form-label">Role</label>
-        <select class="form-select" name="role">
-          <option value="member" ${member.role === 'member' ? 'selected' : ''}>Member - Can view and edit tasks</option>
-          <option value="admin" ${member.role === 'admin' ? 'selected' : ''}>Admin - Can manage project settings</option>
-          <option value="owner" ${member.role === 'owner' ? 'selected' : ''}>Owner - Full access</option>
-        </select>
+      <!-- Comments Section -->
+      <div class="panel-section task-panel-section">
+        <div class="panel-section-header label-uppercase">
+          Comments
+          <span class="task-panel-section-count">${taskComments.length}</span>
+        </div>
+        <div class="task-panel-comments">
+          ${taskComments.length > 0 ? `
+            <div class="task-panel-comment-list">
+              ${taskComments.map(comment => renderTaskComment(comment)).join('')}
+            </div>
+          ` : `
+            <div class="task-panel-empty-state">
+              <span>No comments yet. Be the first to comment!</span>
+            </div>
+          `}
+          <div class="task-panel-comment-input-wrapper">
+            <div class="task-panel-comment-avatar" style="background: ${stringToColor(getCurrentUser()?.name || 'User')}">
+              ${getInitials(getCurrentUser()?.name || 'U')}
+            </div>
+            <div class="task-panel-comment-compose">
+              <textarea class="task-panel-comment-input"
+                        data-action="comment-input"
+                        rows="1"
+                        placeholder="Add a comment... Use @ to mention"></textarea>
+              <div class="task-panel-comment-compose-actions">
+                <span class="task-panel-comment-hint">Enter to post, Shift+Enter for a new line</span>
+                <button class="btn-primary btn-sm" data-action="post-comment">Comment</button>
+              </div>
+            </div>
+          </div>
+        </div>
       </div>
-    </form>
-  `;
+    </div>
 
-  const footerHtml = `
-    <button class="btn-secondary" data-action="close-modal">Cancel</button>
-    <button class="btn-primary" data-action="submit-edit-member" data-member-id="${memberId}" data-project-slug="${projectSlug}">
-      ${icons.check} Save Changes
-    </button>
+    <div class="task-panel-footer">
+      <div class="task-panel-footer-left">
+        <span class="task-panel-footer-info">
+          ${task.estimate_hours ? `${icons.clock} ${task.estimate_hours}h estimated` : ''}
+        </span>
+      </div>
+      <div class="task-panel-footer-right">
+        ${task.is_archived ? `
+          <button class="btn-secondary" data-action="restore-task">
+            ${icons.upload} Restore
+          </button>
+        ` : `
+          <button class="btn-danger-ghost" data-action="archive-task">
+            ${icons.archive || icons.trash} Archive
+          </button>
+        `}
+      </div>
+    </div>
   `;
 
-  showModal('Edit Member', bodyHtml, footerHtml);
-  attachEditMemberListeners(memberId, projectSlug);
+  // Attach event listeners
+  attachTaskPanelEventListeners(task.id, projectSlug);
 }
 
-function attachEditMemberListeners(memberId, projectSlug) {
-  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
-    btn.addEventListener('click', closeModal);
-  });
+function attachTaskPanelEventListeners(taskId, projectSlug) {
+  const panel = document.getElementById('task-panel-content');
+  if (!panel) return;
 
-  document.querySelectorAll('[data-action="submit-edit-member"]').forEach(btn => {
-    btn.addEventListener('click', () => handleEditMember(memberId, projectSlug));
-  });
-}
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-function handleEditMember(memberId, projectSlug) {
-  const form = document.getElementById('edit-member-form');
-  const formData = new FormData(form);
+  // Close button
+  panel.querySelectorAll('[data-action="close-panel"]').forEach(btn => {
+    btn.addEventListener('click', closeTaskPanel);
+  });
 
-  const name = formData.get('name')?.trim();
-  const email = formData.get('email')?.trim();
+  // Copy link button
+  panel.querySelectorAll('[data-action="copy-link"]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const taskKey = btn.dataset.taskKey;
+      const url = `${window.location.origin}${window.location.pathname}#/projects/${projectSlug}/task/${taskKey}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        showToast('Link copied to clipboard', 'success');
+      } catch (err) {
+        showToast('Failed to copy link', 'error');
+      }
+    });
+  });
 
-  if (!name) {
-    showToast('Name is required', 'error');
-    return;
-  }
+  // Wiki page links - the href navigates, the panel closes on the way
+  panel.querySelectorAll('[data-action="open-wiki-page"]').forEach(link => {
+    link.addEventListener('click', closeTaskPanel);
+  });
 
-  if (!email) {
-    showToast('Email address is required', 'error');
-    return;
+  // Title input - auto-save on blur
+  const titleInput = panel.querySelector('[data-field="title"]');
+  if (titleInput) {
+    titleInput.addEventListener('blur', () => {
+      const newTitle = titleInput.value.trim();
+      if (newTitle) {
+        updateTaskField(taskId, 'title', newTitle, projectSlug);
+      }
+    });
+    titleInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        titleInput.blur();
+      }
+    });
   }
 
-  // In a real app, this would send an API request to update the member
-  // For demo purposes, update the local data
-  const memberIndex = data.users.findIndex(u => u.id === memberId);
-  if (memberIndex !== -1) {
-    data.users[memberIndex].name = name;
-    data.users[memberIndex].email = email;
-    data.users[memberIndex].job_title = formData.get('job_title')?.trim() || '';
-    data.users[memberIndex].role = formData.get('role');
+  // Description input - auto-save on blur
+  const descInput = panel.querySelector('[data-field="description"]');
+  if (descInput) {
+    descInput.addEventListener('blur', () => {
+      updateTaskField(taskId, 'description', descInput.value, projectSlug);
+    });
   }
 
-  closeModal();
-  state.selectedMembers.clear();
-  showToast('Member updated successfully', 'success');
-  renderProjectDetail(projectSlug);
-}
+  // Date inputs
+  panel.querySelectorAll('[data-field="due_date"], [data-field="start_date"]').forEach(input => {
+    input.addEventListener('change', () => {
+      const field = input.dataset.field;
+      updateTaskField(taskId, field, input.value || null, projectSlug);
+    });
+  });
 
-// ==========================================================================
-// Manage Workflow Modal
-// ==========================================================================
+  // Status change
+  panel.querySelectorAll('[data-action="change-status"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      showPanelStatusDropdown(taskId, btn, projectSlug);
+    });
+  });
 
-// Use centralized WORKFLOW_COLORS from the color system
-const workflowColors = WORKFLOW_COLORS;
+  // Priority change
+  panel.querySelectorAll('[data-action="change-priority"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      showPanelPriorityDropdown(taskId, btn, projectSlug);
+    });
+  });
 
-function showManageWorkflowModal(projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+  // Assignee change
+  panel.querySelectorAll('[data-action="change-assignee"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      showPanelAssigneeDropdown(taskId, btn, projectSlug);
+    });
+  });
 
-  const statuses = getStatusesForProject(project.id);
+  // Recurrence change
+  panel.querySelectorAll('[data-action="change-recurrence"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showPanelRecurrenceDropdown(taskId, btn, projectSlug);
+    });
+  });
 
-  const bodyHtml = `
-    <p style="color: var(--color-gray-600); font-size: var(--font-size-sm); margin-bottom: var(--spacing-4);">
-      Customize your workflow stages. Tasks will move through these statuses from left to right.
-    </p>
-    <div class="workflow-list" id="workflow-list">
-      ${statuses.map(status => renderWorkflowItem(status)).join('')}
-    </div>
-    <button class="workflow-add-status" data-action="add-status">
-      ${icons.plus} Add Status
-    </button>
-  `;
+  // Archive task
+  panel.querySelectorAll('[data-action="archive-task"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (confirm('Archive this task?')) {
+        archiveTask(taskId, projectSlug);
+      }
+    });
+  });
 
-  const footerHtml = `
-    <button class="btn-secondary" data-action="close-modal">Cancel</button>
-    <button class="btn-primary" data-action="save-workflow" data-project-slug="${projectSlug}">
-      Save Changes
-    </button>
-  `;
+  // Restore archived task
+  panel.querySelectorAll('[data-action="restore-task"]').forEach(btn => {
+    btn.addEventListener('click', () => restoreTask(taskId, projectSlug));
+  });
 
-  showModal('Manage Workflow', bodyHtml, footerHtml);
-  attachWorkflowModalListeners(projectSlug);
-}
+  attachTaskCommentListeners(panel, taskId, projectSlug);
 
-function renderWorkflowItem(status) {
-  const categoryLabel = status.category === 'done' ? 'Done' :
-                        status.category === 'in_progress' ? 'Active' : 'Not Started';
+  // Add label - reuse existing label picker
+  panel.querySelectorAll('[data-action="add-label"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showLabelPicker(taskId, btn, projectSlug);
+    });
+  });
 
-  return `
-    <div class="workflow-item" data-status-id="${status.id}">
-      <span class="workflow-item-drag" title="Drag to reorder">
-        ${icons.grip}
-      </span>
-      <div class="workflow-item-color"
-           style="background: ${status.color}"
-           data-action="change-color"
-           data-status-id="${status.id}"
-           title="Change color"></div>
-      <input type="text"
-             class="workflow-item-input"
-             value="${escapeHtml(status.name)}"
-             data-status-id="${status.id}"
-             data-field="name">
-      <select class="workflow-item-category"
-              data-status-id="${status.id}"
-              data-field="category"
-              style="cursor: pointer;">
-        <option value="todo" ${status.category === 'todo' ? 'selected' : ''}>Not Started</option>
-        <option value="in_progress" ${status.category === 'in_progress' ? 'selected' : ''}>Active</option>
-        <option value="done" ${status.category === 'done' ? 'selected' : ''}>Done</option>
-      </select>
-      <button class="workflow-item-delete"
-              data-action="delete-status"
-              data-status-id="${status.id}"
-              title="Delete status">
-        ${icons.trash}
-      </button>
-    </div>
-  `;
-}
+  // Parent and subtasks
+  panel.querySelectorAll('[data-action="open-parent-task"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      openTaskPanel(btn.dataset.taskId, projectSlug);
+    });
+  });
 
-function attachWorkflowModalListeners(projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+  panel.querySelectorAll('[data-action="open-subtask"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      openTaskPanel(btn.closest('[data-task-id]').dataset.taskId, projectSlug);
+    });
+  });
 
-  // Close button
-  document.querySelectorAll('[data-action="close-modal"]').forEach(btn => {
-    btn.addEventListener('click', closeModal);
+  panel.querySelectorAll('[data-action="toggle-subtask"]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      setSubtaskCompleted(checkbox.closest('[data-task-id]').dataset.taskId, checkbox.checked, projectSlug);
+      renderTaskPanel(getTaskById(taskId), projectSlug);
+    });
   });
 
-  // Save button
-  document.querySelectorAll('[data-action="save-workflow"]').forEach(btn => {
-    btn.addEventListener('click', () => saveWorkflowChanges(projectSlug));
-  });
+  const subtaskInput = panel.querySelector('[data-action="add-subtask"]');
+  if (subtaskInput) {
+    subtaskInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        subtaskInput.value = '';
+        subtaskInput.blur();
+        return;
+      }
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      const title = subtaskInput.value.trim();
+      if (!title) return;
+      createSubtask(getTaskById(taskId), title, projectSlug);
+      renderTaskPanel(getTaskById(taskId), projectSlug);
+      // Keep typing the next subtask
+      document.querySelector('#task-panel-content [data-action="add-subtask"]')?.focus();
+    });
+  }
+
+  attachTaskCustomFieldListeners(panel, taskId, projectSlug);
+  attachTaskChecklistListeners(panel, taskId, projectSlug);
+  attachTaskTimeTrackingListeners(panel, taskId, projectSlug);
 
-  // Add status button
-  document.querySelectorAll('[data-action="add-status"]').forEach(btn => {
-    btn.addEventListener('click', () => addNewStatus(projectSlug));
+  // Dependencies
+  panel.querySelectorAll('[data-action="add-dependency"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showTaskDependencyPicker(taskId, btn, projectSlug);
+    });
   });
 
-  // Color change
-  document.querySelectorAll('[data-action="change-color"]').forEach(el => {
-    el.addEventListener('click', (e) => {
-      const statusId = el.dataset.statusId;
-      showWorkflowColorPicker(el, statusId, projectSlug);
+  panel.querySelectorAll('[data-action="open-dependency"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      openTaskPanel(btn.dataset.taskId, projectSlug);
     });
   });
 
-  // Delete status
-  document.querySelectorAll('[data-action="delete-status"]').forEach(btn => {
+  panel.querySelectorAll('[data-action="remove-dependency"]').forEach(btn => {
     btn.addEventListener('click', () => {
-      const statusId = btn.dataset.statusId;
-      deleteWorkflowStatus(statusId, projectSlug);
+      deleteTaskLink(btn.closest('[data-link-id]').dataset.linkId);
+      showToast('Dependency removed', 'success');
+      renderProjectDetail(projectSlug);
+      renderTaskPanel(getTaskById(taskId), projectSlug);
     });
   });
 
-  // Name change (live update on blur)
-  document.querySelectorAll('.workflow-item-input').forEach(input => {
-    input.addEventListener('blur', () => {
-      const statusId = input.dataset.statusId;
-      const status = getStatusById(statusId);
-      if (status) {
-        status.name = input.value.trim() || 'Untitled';
-      }
+  // Add attachment
+  const addAttachmentBtn = panel.querySelector('[data-action="add-attachment"]');
+  const taskFileInput = panel.querySelector('#task-panel-file-input');
+
+  if (addAttachmentBtn && taskFileInput) {
+    addAttachmentBtn.addEventListener('click', () => {
+      taskFileInput.click();
     });
-  });
 
-  // Category change
-  document.querySelectorAll('.workflow-item-category').forEach(select => {
-    select.addEventListener('change', () => {
-      const statusId = select.dataset.statusId;
-      const status = getStatusById(statusId);
-      if (status) {
-        status.category = select.value;
+    taskFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        const task = getTaskById(taskId);
+        if (task) {
+          handleFileUpload(e.target.files, task.project_id, taskId);
+        }
+        e.target.value = '';
       }
     });
-  });
+  }
 }
 
-function addNewStatus(projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
-
-  const statuses = getStatusesForProject(project.id);
-  const maxOrder = statuses.reduce((max, s) => Math.max(max, s.sort_order || 0), 0);
+/**
+ * @returns {boolean} false when nothing changed or a status change was rejected
+ */
+function updateTaskField(taskId, field, value, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return false;
 
-  const newStatus = {
-    id: generateId('status'),
-    project_id: project.id,
-    name: 'New Status',
-    color: workflowColors[statuses.length % workflowColors.length],
-    category: 'todo',
-    sort_order: maxOrder + 1
-  };
+  const oldValue = task[field];
+  if (oldValue === value) return false; // No change
+  if (field === 'status_id' && !canEnterStatus(task, value)) return false;
 
-  state.statuses.push(newStatus);
+  task[field] = value;
+  task.updated_at = new Date().toISOString();
+  if (field === 'status_id') syncStatusTimestamps(task, oldValue);
+  persistRecords('tasks', task);
+  recordActivity(task, 'updated', field, oldValue, value);
 
-  // Re-render the workflow list
-  const list = document.getElementById('workflow-list');
-  if (list) {
-    const statusesUpdated = getStatusesForProject(project.id);
-    list.innerHTML = statusesUpdated.map(status => renderWorkflowItem(status)).join('');
-    attachWorkflowModalListeners(projectSlug);
+  if (field === 'start_date' || field === 'due_date') {
+    applyDependencyScheduling(task);
+  }
+  if (field === 'status_id') {
+    applyStatusChangeEffects(task, oldValue);
   }
 
-  showToast('Status added', 'success');
+  // Re-render the main view to reflect changes
+  renderProjectDetail(projectSlug);
+  return true;
 }
 
-function deleteWorkflowStatus(statusId, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+/**
+ * Set both dates in one go (e.g. after dragging a Gantt bar), so dependent
+ * tasks are rescheduled once against the final dates
+ */
+function updateTaskDates(taskId, startDate, dueDate, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  const statuses = getStatusesForProject(project.id);
+  const changes = { start_date: startDate, due_date: dueDate };
+  const changedFields = Object.keys(changes).filter(field => task[field] !== changes[field]);
+  if (changedFields.length === 0) return;
 
-  // Don't allow deleting if only 1 status remains
-  if (statuses.length <= 1) {
-    showToast('Cannot delete the last status', 'error');
-    return;
-  }
+  changedFields.forEach(field => {
+    const oldValue = task[field];
+    task[field] = changes[field];
+    recordActivity(task, 'updated', field, oldValue, task[field]);
+  });
+  task.updated_at = new Date().toISOString();
+  persistRecords('tasks', task);
 
-  // Check if any tasks use this status
-  const tasksWithStatus = state.tasks.filter(t => t.status_id === statusId);
-  if (tasksWithStatus.length > 0) {
-    if (!confirm(`${tasksWithStatus.length} task(s) use this status. They will be moved to the first status. Continue?`)) {
-      return;
-    }
-    // Move tasks to first available status
-    const firstStatus = statuses.find(s => s.id !== statusId);
-    if (firstStatus) {
-      tasksWithStatus.forEach(t => {
-        t.status_id = firstStatus.id;
-      });
-    }
-  }
+  applyDependencyScheduling(task);
+  renderProjectDetail(projectSlug);
+}
 
-  // Remove status
-  const index = state.statuses.findIndex(s => s.id === statusId);
-  if (index !== -1) {
-    state.statuses.splice(index, 1);
-  }
+function archiveTask(taskId, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  // Re-render the workflow list
-  const list = document.getElementById('workflow-list');
-  if (list) {
-    const statusesUpdated = getStatusesForProject(project.id);
-    list.innerHTML = statusesUpdated.map(status => renderWorkflowItem(status)).join('');
-    attachWorkflowModalListeners(projectSlug);
-  }
+  task.is_archived = true;
+  task.updated_at = new Date().toISOString();
+  persistRecords('tasks', task);
+  recordActivity(task, 'archived');
 
-  showToast('Status deleted', 'success');
+  closeTaskPanel();
+  showToast('Task archived', 'success');
+  renderProjectDetail(projectSlug);
 }
 
-function showWorkflowColorPicker(targetElement, statusId, projectSlug) {
-  // Remove existing picker
-  const existingPicker = document.getElementById('workflow-color-picker');
-  if (existingPicker) existingPicker.remove();
+function restoreTask(taskId, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  const status = getStatusById(statusId);
-  if (!status) return;
+  task.is_archived = false;
+  task.updated_at = new Date().toISOString();
+  persistRecords('tasks', task);
+  recordActivity(task, 'restored');
 
-  const picker = document.createElement('div');
-  picker.id = 'workflow-color-picker';
-  picker.className = 'workflow-color-picker';
-  picker.innerHTML = workflowColors.map(color => `
-    <div class="color-swatch color-swatch--sm ${color === status.color ? 'selected' : ''}"
-         style="background: ${color}"
-         data-color="${color}"></div>
-  `).join('');
+  showToast('Task restored', 'success');
+  renderTaskPanel(task, projectSlug);
+  renderProjectDetail(projectSlug);
+}
 
-  // Position picker
-  const rect = targetElement.getBoundingClientRect();
-  picker.style.top = `${rect.bottom + 4}px`;
-  picker.style.left = `${rect.left}px`;
+function showPanelStatusDropdown(taskId, buttonElement, projectSlug) {
+  const project = getProjectBySlug(projectSlug);
+  if (!project) return;
 
-  document.body.appendChild(picker);
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  // Handle color selection
-  picker.querySelectorAll('.color-swatch--sm').forEach(option => {
-    option.addEventListener('click', () => {
-      const newColor = option.dataset.color;
-      status.color = newColor;
-      targetElement.style.background = newColor;
-      picker.remove();
+  const statuses = getStatusesForProject(project.id);
+
+  // Remove any existing dropdown
+  closePanelDropdown();
+
+  const dropdown = document.createElement('div');
+  dropdown.className = 'dropdown-menu open';
+  dropdown.id = 'panel-dropdown';
+  dropdown.innerHTML = statuses.map(status => renderStatusDropdownItem(task, status, 'value')).join('');
+
+  positionDropdown(dropdown, buttonElement);
+  document.body.appendChild(dropdown);
+
+  dropdown.querySelectorAll('[data-value]').forEach(item => {
+    item.addEventListener('click', () => {
+      const newStatusId = item.dataset.value;
+      closePanelDropdown();
+      if (!updateTaskField(taskId, 'status_id', newStatusId, projectSlug)) return;
+      // Re-render panel to show updated status
+      const updatedTask = getTaskById(taskId);
+      renderTaskPanel(updatedTask, projectSlug);
+      showToast('Status updated', 'success');
     });
   });
 
-  // Close on outside click
   setTimeout(() => {
-    document.addEventListener('click', function closePicker(e) {
-      if (!picker.contains(e.target) && e.target !== targetElement) {
-        picker.remove();
-        document.removeEventListener('click', closePicker);
-      }
-    });
+    document.addEventListener('click', handlePanelDropdownOutsideClick);
   }, 10);
 }
 
-function saveWorkflowChanges(projectSlug) {
-  // Collect all changes from the form
-  const items = document.querySelectorAll('.workflow-item');
-  items.forEach((item, index) => {
-    const statusId = item.dataset.statusId;
-    const status = getStatusById(statusId);
-    if (status) {
-      const input = item.querySelector('.workflow-item-input');
-      const select = item.querySelector('.workflow-item-category');
-      if (input) status.name = input.value.trim() || 'Untitled';
-      if (select) status.category = select.value;
-      status.sort_order = index + 1;
-    }
-  });
+function showPanelPriorityDropdown(taskId, buttonElement, projectSlug) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  closeModal();
-  showToast('Workflow updated successfully', 'success');
-  renderProjectDetail(projectSlug);
-}
+  const priorities = state.priorities;
 
-// ==========================================================================
-// Status Change Dropdown
-// ==========================================================================
+  closePanelDropdown();
 
-function showStatusDropdown(taskId, buttonElement, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+  const dropdown = document.createElement('div');
+  dropdown.className = 'dropdown-menu open';
+  dropdown.id = 'panel-dropdown';
+  dropdown.innerHTML = `
+    <button class="dropdown-item ${!task.priority_id ? 'active' : ''}" data-value="">
+      <span class="dropdown-item-dot" style="background: #9ca3af"></span>
+      None
+    </button>
+    ${priorities.map(p => `
+      <button class="dropdown-item ${p.id === task.priority_id ? 'active' : ''}"
+              data-value="${p.id}">
+        <span class="dropdown-item-dot" style="background: ${p.color}"></span>
+        ${escapeHtml(p.name)}
+      </button>
+    `).join('')}
+  `;
+
+  positionDropdown(dropdown, buttonElement);
+  document.body.appendChild(dropdown);
+
+  dropdown.querySelectorAll('[data-value]').forEach(item => {
+    item.addEventListener('click', () => {
+      const newPriorityId = item.dataset.value || null;
+      updateTaskField(taskId, 'priority_id', newPriorityId, projectSlug);
+      closePanelDropdown();
+      const updatedTask = getTaskById(taskId);
+      renderTaskPanel(updatedTask, projectSlug);
+      showToast('Priority updated', 'success');
+    });
+  });
+
+  setTimeout(() => {
+    document.addEventListener('click', handlePanelDropdownOutsideClick);
+  }, 10);
+}
 
+function showPanelAssigneeDropdown(taskId, buttonElement, projectSlug) {
   const task = getTaskById(taskId);
   if (!task) return;
 
-  const statuses = getStatusesForProject(project.id);
-
-  const dropdown = createDropdown({
-    id: 'status-dropdown',
-    anchor: buttonElement,
-    toggle: false,
-    content: statuses.map(status => `
-      <button class="dropdown-item ${status.id === task.status_id ? 'active' : ''}"
-              data-status-id="${status.id}">
-        <span class="dropdown-item-dot" style="background: ${status.color}"></span>
-        ${escapeHtml(status.name)}
-      </button>
-    `).join('')
+  showSearchableUserDropdown(buttonElement, task.assignee_id, (newAssigneeId) => {
+    updateTaskField(taskId, 'assignee_id', newAssigneeId, projectSlug);
+    const updatedTask = getTaskById(taskId);
+    renderTaskPanel(updatedTask, projectSlug);
+    showToast('Assignee updated', 'success');
   });
+}
 
-  if (!dropdown) return;
+function positionDropdown(dropdown, buttonElement) {
+  const rect = buttonElement.getBoundingClientRect();
+  dropdown.style.position = 'fixed';
+  dropdown.style.top = `${rect.bottom + 4}px`;
+  dropdown.style.left = `${rect.left}px`;
+  dropdown.style.minWidth = '200px';
+}
 
-  addListeners(dropdown, '[data-status-id]', 'click', (item) => {
-    updateTaskStatus(taskId, item.dataset.statusId, projectSlug);
-  });
+function handlePanelDropdownOutsideClick(e) {
+  const dropdown = document.getElementById('panel-dropdown');
+  if (dropdown && !dropdown.contains(e.target)) {
+    closePanelDropdown();
+  }
 }
 
-function showGroupByDropdown(buttonElement, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+function closePanelDropdown() {
+  const dropdown = document.getElementById('panel-dropdown');
+  if (dropdown) {
+    dropdown.remove();
+  }
+  document.removeEventListener('click', handlePanelDropdownOutsideClick);
+}
 
-  const currentGroupBy = state.projectGroupBy[project.id] || 'none';
-  const groupByOptions = [
-    { value: 'none', label: 'None' },
-    { value: 'status', label: 'Status' },
-    { value: 'priority', label: 'Priority' },
-    { value: 'assignee', label: 'Assignee' }
-  ];
+// ==========================================================================
+// Activity Log
+// ==========================================================================
 
-  const dropdown = createDropdown({
-    id: 'group-by-dropdown',
-    anchor: buttonElement,
-    content: groupByOptions.map(option => `
-      <button class="dropdown-item ${option.value === currentGroupBy ? 'active' : ''}"
-              data-group-by="${option.value}">
-        ${option.label}
-        ${option.value === currentGroupBy ? `<span class="dropdown-item-check">${icons.check}</span>` : ''}
-      </button>
-    `).join('')
-  });
+// Field names as shown in activity descriptions
+const ACTIVITY_FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status_id: 'status',
+  priority_id: 'priority',
+  assignee_id: 'assignee',
+  due_date: 'due date',
+  start_date: 'start date',
+  label_ids: 'labels',
+  estimate_hours: 'estimate',
+  recurrence: 'repeat',
+  project_id: 'project',
+};
 
-  if (!dropdown) return;
+/**
+ * Append an activity event for a task mutation and persist it
+ * @param {Object} task - The task that changed
+ * @param {string} action - 'created' | 'updated' | 'archived' | 'restored' | 'deleted' | 'commented' | 'recurred'
+ * @param {string|null} field - Changed field for 'updated' events
+ * @param {*} oldValue
+ * @param {*} newValue
+ */
+function recordActivity(task, action, field = null, oldValue = null, newValue = null) {
+  const event = {
+    id: generateId('activity'),
+    project_id: task.project_id,
+    task_id: task.id,
+    actor_id: getCurrentUser()?.id || null,
+    action,
+    field,
+    old_value: Array.isArray(oldValue) ? [...oldValue] : (oldValue ?? null),
+    new_value: Array.isArray(newValue) ? [...newValue] : (newValue ?? null),
+    created_at: new Date().toISOString(),
+  };
 
-  addListeners(dropdown, '[data-group-by]', 'click', (item) => {
-    const newGroupBy = item.dataset.groupBy;
-    state.projectGroupBy[project.id] = newGroupBy;
-    state.collapsedGroups.clear();
-    closeDropdown();
-    renderProjectDetail(projectSlug);
-    showToast(`Grouped by ${newGroupBy}`, 'success');
-  });
+  state.activities.push(event);
+  persistRecords('activities', event);
+  return event;
 }
 
-function showSortDropdown(buttonElement, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+/**
+ * Get activity events for a task, newest first. Tasks without a recorded
+ * 'created' event (e.g. from the seed data) get one derived from created_at.
+ */
+function getActivityForTask(taskId) {
+  const task = getTaskById(taskId);
+  const events = state.activities.filter(a => a.task_id === taskId);
+
+  if (task && !events.some(a => a.action === 'created')) {
+    events.push({
+      id: `created-${task.id}`,
+      project_id: task.project_id,
+      task_id: task.id,
+      actor_id: null,
+      action: 'created',
+      field: null,
+      old_value: null,
+      new_value: null,
+      created_at: task.created_at,
+    });
+  }
 
-  const currentSort = getProjectSort(project.id);
-  const sortOptions = [
-    { field: 'manual', label: 'Manual' },
-    { field: 'title', label: 'Title' },
-    { field: 'priority', label: 'Priority' },
-    { field: 'dueDate', label: 'Due Date' },
-    { field: 'created', label: 'Created' },
-    { field: 'updated', label: 'Updated' }
-  ];
+  return events.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
 
-  const dropdown = createDropdown({
-    id: 'sort-dropdown',
-    anchor: buttonElement,
-    content: sortOptions.map(option => {
-      const isActive = option.field === currentSort.field;
-      const directionIcon = isActive && option.field !== 'manual'
-        ? (currentSort.direction === 'asc' ? icons.arrowUp : icons.arrowDown)
-        : '';
-      return `
-        <button class="dropdown-item ${isActive ? 'active' : ''}"
-                data-sort-field="${option.field}">
-          ${option.label}
-          ${directionIcon ? `<span class="dropdown-item-direction">${directionIcon}</span>` : ''}
-          ${isActive ? `<span class="dropdown-item-check">${icons.check}</span>` : ''}
-        </button>
-      `;
-    }).join('')
-  });
+/**
+ * Get activity events for a project's tasks, newest first, including the
+ * events of tasks that have since been deleted
+ */
+function getActivityForProject(projectId) {
+  const taskIds = new Set(state.tasks.filter(t => t.project_id === projectId).map(t => t.id));
+  const allTaskIds = new Set(state.tasks.map(t => t.id));
+  const deletedTaskEvents = state.activities.filter(a => a.project_id === projectId && !allTaskIds.has(a.task_id));
+  return [...taskIds]
+    .flatMap(taskId => getActivityForTask(taskId))
+    .concat(deletedTaskEvents)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+function formatActivityValue(field, value) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return 'none';
+  }
 
-  if (!dropdown) return;
+  const customField = getCustomFieldForKey(field);
+  if (customField) {
+    return customField.type === 'date' ? formatDate(value) : formatCustomValue(customField, value) || 'a removed option';
+  }
 
-  const sortLabels = { manual: 'Manual', title: 'Title', priority: 'Priority', dueDate: 'Due Date', created: 'Created', updated: 'Updated' };
+  switch (field) {
+    case 'status_id':
+      return getStatusById(value)?.name || 'a deleted status';
+    case 'priority_id':
+      return getPriorityById(value)?.name || 'a deleted priority';
+    case 'assignee_id':
+      return getUserById(value)?.name || 'a removed user';
+    case 'due_date':
+    case 'start_date':
+      return formatDate(value);
+    case 'label_ids':
+      return value.map(id => getLabelById(id)?.name).filter(Boolean).join(', ') || 'none';
+    case 'estimate_hours':
+      return `${value}h`;
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'project_id':
+      return getProjectById(value)?.name || 'a deleted project';
+    default: {
+      const text = String(value);
+      return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    }
+  }
+}
 
-  addListeners(dropdown, '[data-sort-field]', 'click', (item) => {
-    const field = item.dataset.sortField;
-    const current = getProjectSort(project.id);
+// Key of a task referenced by an activity (e.g. "PROJ-12"), or null if it is gone
+function getActivityTaskKey(taskId) {
+  const task = getTaskById(taskId);
+  const project = task ? getProjectById(task.project_id) : null;
+  return project ? `${project.identifier}-${task.sequence_id}` : null;
+}
 
-    if (field === current.field && field !== 'manual') {
-      state.projectSort[project.id] = { field, direction: current.direction === 'asc' ? 'desc' : 'asc' };
-    } else {
-      state.projectSort[project.id] = { field, direction: 'asc' };
+/**
+ * Describe an activity event as HTML, e.g. "changed status from To Do to Doing"
+ */
+function describeActivity(event) {
+  switch (event.action) {
+    case 'created':
+      if (event.field === 'recurrence_index') {
+        const previousKey = getActivityTaskKey(event.old_value);
+        return `created this task as occurrence <strong>#${event.new_value}</strong>${previousKey ? ` after <strong>${escapeHtml(previousKey)}</strong>` : ''}`;
+      }
+      return 'created this task';
+    case 'recurred': {
+      const nextKey = getActivityTaskKey(event.new_value);
+      return `completed occurrence <strong>#${event.old_value}</strong>${nextKey ? `, next is <strong>${escapeHtml(nextKey)}</strong>` : ''}`;
     }
+    case 'archived':
+      return 'archived this task';
+    case 'restored':
+      return 'restored this task';
+    case 'deleted':
+      return `deleted this task${event.old_value ? ` <strong>${escapeHtml(event.old_value)}</strong>` : ''}`;
+    case 'commented':
+      return 'commented';
+    case 'updated': {
+      const fieldLabel = ACTIVITY_FIELD_LABELS[event.field]
+        || (event.field.startsWith(CUSTOM_FIELD_KEY_PREFIX) ? getCustomFieldForKey(event.field)?.name || 'a deleted field' : null)
+        || event.field.replace(/_/g, ' ');
+
+      if (event.field === 'description') {
+        return 'updated the description';
+      }
+      if (event.field === 'label_ids') {
+        const added = (event.new_value || []).filter(id => !(event.old_value || []).includes(id));
+        const removed = (event.old_value || []).filter(id => !(event.new_value || []).includes(id));
+        const parts = [];
+        if (added.length) parts.push(`added label <strong>${escapeHtml(formatActivityValue('label_ids', added))}</strong>`);
+        if (removed.length) parts.push(`removed label <strong>${escapeHtml(formatActivityValue('label_ids', removed))}</strong>`);
+        return parts.join(' and ') || 'changed labels';
+      }
 
-    closeDropdown();
-    renderProjectDetail(projectSlug);
-    showToast(`Sorted by ${sortLabels[field]}`, 'success');
-  });
+      const oldText = escapeHtml(formatActivityValue(event.field, event.old_value));
+      const newText = escapeHtml(formatActivityValue(event.field, event.new_value));
+      return `changed ${fieldLabel} from <strong>${oldText}</strong> to <strong>${newText}</strong>`;
+    }
+    default:
+      return escapeHtml(event.action);
+  }
 }
 
-function showSwimlaneDropdown(buttonElement, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+function getActivityIcon(event) {
+  switch (event.action) {
+    case 'created':
+      return icons.plus;
+    case 'archived':
+    case 'deleted':
+      return icons.trash;
+    case 'commented':
+      return icons.mail;
+    case 'recurred':
+      return icons.clock;
+    default:
+      if (event.field === 'recurrence_index' || event.field === 'recurrence') return icons.clock;
+      if (event.field === 'assignee_id') return icons.user;
+      if (event.field === 'due_date' || event.field === 'start_date') return icons.calendar;
+      if (event.field === 'priority_id') return icons.flag;
+      if (event.field === 'label_ids') return icons.tag;
+      if (event.field === 'project_id') return icons.folder;
+      return icons.edit;
+  }
+}
 
-  const currentSwimlane = state.boardSwimlane[project.id] || 'none';
-  const swimlaneOptions = [
-    { value: 'none', label: 'None' },
-    { value: 'priority', label: 'Priority' },
-    { value: 'assignee', label: 'Assignee' }
-  ];
+function renderTaskActivity(taskId) {
+  return getActivityForTask(taskId).map(event => {
+    const actor = event.actor_id ? getUserById(event.actor_id) : null;
+    return `
+      <div class="task-panel-activity-item">
+        <div class="task-panel-activity-icon">
+          ${getActivityIcon(event)}
+        </div>
+        <div class="task-panel-activity-content">
+          <span class="task-panel-activity-text">
+            ${actor
+              ? `<strong>${escapeHtml(actor.name)}</strong> ${describeActivity(event)}`
+              : (event.action === 'created' ? 'Task was created' : `Someone ${describeActivity(event)}`)
+            }
+          </span>
+          <span class="task-panel-activity-time">${formatDateTime(event.created_at)}</span>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
 
-  const dropdown = createDropdown({
-    id: 'swimlane-dropdown',
-    anchor: buttonElement,
-    content: swimlaneOptions.map(option => `
-      <button class="dropdown-item ${option.value === currentSwimlane ? 'active' : ''}"
-              data-swimlane="${option.value}">
-        ${option.label}
-        ${option.value === currentSwimlane ? `<span class="dropdown-item-check">${icons.check}</span>` : ''}
-      </button>
-    `).join('')
-  });
+// ==========================================================================
+// Render Functions - Project Activity Feed
+// ==========================================================================
 
-  if (!dropdown) return;
+function getActivityDayLabel(dateString) {
+  const date = new Date(dateString);
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
 
-  addListeners(dropdown, '[data-swimlane]', 'click', (item) => {
-    const newSwimlane = item.dataset.swimlane;
-    state.boardSwimlane[project.id] = newSwimlane;
-    closeDropdown();
-    renderProjectDetail(projectSlug);
-    showToast(`Group by ${newSwimlane === 'none' ? 'None' : newSwimlane}`, 'success');
-  });
+  if (date.toDateString() === today.toDateString()) return 'Today';
+  if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+  return formatDate(dateString);
 }
 
-function showFieldsDropdown(buttonElement, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
-
-  const currentFields = getProjectFields(project.id);
-  const fieldOptions = [
-    { key: 'taskKey', label: 'Task Key' },
-    { key: 'status', label: 'Status' },
-    { key: 'priority', label: 'Priority' },
-    { key: 'assignee', label: 'Assignee' },
-    { key: 'dueDate', label: 'Due Date' },
-    { key: 'labels', label: 'Labels' },
-    { key: 'progress', label: 'Progress' }
-  ];
-
-  const dropdown = createDropdown({
-    id: 'fields-dropdown',
-    anchor: buttonElement,
-    className: 'fields-dropdown',
-    content: `
-      <div class="dropdown-header label-uppercase">Show Fields</div>
-      ${fieldOptions.map(option => `
-        <label class="dropdown-checkbox-item">
-          <input type="checkbox" data-field="${option.key}" ${currentFields[option.key] ? 'checked' : ''}>
-          <span class="dropdown-checkbox-label">${option.label}</span>
-        </label>
-      `).join('')}
-    `
-  });
+function renderActivityView(project) {
+  const events = getActivityForProject(project.id);
 
-  if (!dropdown) return;
+  if (events.length === 0) {
+    return `<div class="card activity-container">${renderEmptyTableState('No activity yet')}</div>`;
+  }
 
-  addListeners(dropdown, 'input[data-field]', 'change', (checkbox, e) => {
-    const fieldKey = e.target.dataset.field;
-    const isChecked = e.target.checked;
+  const { page, pageSize } = state.activityPagination;
+  const pageEvents = getPaginatedItems(events, page, pageSize);
 
-    if (!state.projectFields[project.id]) {
-      state.projectFields[project.id] = getDefaultFields();
+  // Group the page's events by day
+  const days = [];
+  pageEvents.forEach(event => {
+    const label = getActivityDayLabel(event.created_at);
+    if (days.length === 0 || days[days.length - 1].label !== label) {
+      days.push({ label, events: [] });
     }
-    state.projectFields[project.id][fieldKey] = isChecked;
-    renderProjectDetail(projectSlug);
+    days[days.length - 1].events.push(event);
   });
-}
 
-function showAssigneeFilterDropdown(buttonElement, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
-
-  const allTasks = state.tasks.filter(t => t.project_id === project.id);
-  const assigneeIds = [...new Set(allTasks.map(t => t.assignee_id).filter(Boolean))];
-  const projectMembers = assigneeIds.map(id => getUserById(id)).filter(Boolean);
-  projectMembers.sort((a, b) => a.name.localeCompare(b.name));
-
-  const selectedAssignees = state.assigneeFilter[project.id] || [];
-  const hasUnassignedTasks = allTasks.some(t => !t.assignee_id);
-
-  const dropdown = createDropdown({
-    id: 'assignee-filter-dropdown',
-    anchor: buttonElement,
-    className: 'assignee-filter-dropdown',
-    content: `
-      <div class="dropdown-header label-uppercase">Filter by Assignee</div>
-      <div class="dropdown-search">
-        <input type="text" class="dropdown-search-input" placeholder="Search members...">
+  return `
+    <div class="card activity-container">
+      <div class="view-toolbar view-toolbar--card">
+        <div class="toolbar-filters">
+          <span class="toolbar-count">${events.length} Events</span>
+        </div>
       </div>
-      <div class="dropdown-checkbox-list">
-        ${hasUnassignedTasks ? `
-          <label class="dropdown-checkbox-item" data-assignee-id="unassigned">
-            <input type="checkbox" data-assignee="unassigned" ${selectedAssignees.includes('unassigned') ? 'checked' : ''}>
-            <div class="dropdown-checkbox-avatar unassigned">${icons.x}</div>
-            <span class="dropdown-checkbox-label">Unassigned</span>
-          </label>
-        ` : ''}
-        ${projectMembers.map(member => `
-          <label class="dropdown-checkbox-item" data-assignee-id="${member.id}">
-            <input type="checkbox" data-assignee="${member.id}" ${selectedAssignees.includes(member.id) ? 'checked' : ''}>
-            <div class="dropdown-checkbox-avatar" style="background: ${stringToColor(member.name)}">${getInitials(member.name)}</div>
-            <span class="dropdown-checkbox-label">${escapeHtml(member.name)}</span>
-          </label>
+      <div class="activity-feed">
+        ${days.map(day => `
+          <div class="activity-day">
+            <div class="activity-day-label label-uppercase">${escapeHtml(day.label)}</div>
+            ${day.events.map(event => renderActivityFeedItem(event, project)).join('')}
+          </div>
         `).join('')}
       </div>
-      <div class="dropdown-footer" ${selectedAssignees.length === 0 ? 'style="display: none;"' : ''}>
-        <button class="dropdown-clear-btn" data-action="clear-assignee-filter">Clear filter</button>
+      ${renderPagination({
+        totalItems: events.length,
+        currentPage: page,
+        pageSize: pageSize,
+        itemLabel: 'events',
+        paginationType: 'activity'
+      })}
+    </div>
+  `;
+}
+
+function renderActivityFeedItem(event, project) {
+  const actor = event.actor_id ? getUserById(event.actor_id) : null;
+  const task = getTaskById(event.task_id);
+  const taskKey = task ? `${project.identifier}-${task.sequence_id}` : '';
+  const description = describeActivity(event).replace('this task', 'task');
+
+  return `
+    <div class="activity-item">
+      <div class="activity-avatar" style="background: ${actor ? stringToColor(actor.name) : FALLBACK_COLOR}">
+        ${actor ? getInitials(actor.name) : getActivityIcon(event)}
+      </div>
+      <div class="activity-content">
+        <div class="activity-text">
+          ${actor
+            ? `<strong>${escapeHtml(actor.name)}</strong> ${description}`
+            : (event.action === 'created' ? 'Created task' : `Someone ${description}`)
+          }
+          ${task ? `
+            <button class="activity-task-link" data-action="open-activity-task" data-task-id="${task.id}">
+              <span class="activity-task-key">${escapeHtml(taskKey)}</span> ${escapeHtml(task.title)}
+            </button>
+          ` : ''}
+        </div>
+        <div class="activity-time" title="${formatDateTime(event.created_at)}">${formatRelativeTime(event.created_at)}</div>
       </div>
-    `
-  });
-
-  if (!dropdown) return;
+    </div>
+  `;
+}
 
-  const dropdownFooter = dropdown.querySelector('.dropdown-footer');
+function attachActivityEventListeners(slug) {
+  const signal = getViewSignal();
 
-  // Handle search
-  const searchInput = dropdown.querySelector('.dropdown-search-input');
-  searchInput.addEventListener('input', (e) => {
-    const query = e.target.value.toLowerCase().trim();
-    dropdown.querySelectorAll('.dropdown-checkbox-item').forEach(item => {
-      const label = item.querySelector('.dropdown-checkbox-label').textContent.toLowerCase();
-      item.style.display = label.includes(query) ? '' : 'none';
-    });
+  document.querySelectorAll('[data-action="open-activity-task"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      openTaskPanel(btn.dataset.taskId, slug);
+    }, { signal });
   });
 
-  // Handle checkbox changes
-  addListeners(dropdown, 'input[data-assignee]', 'change', (checkbox, e) => {
-    const assigneeId = e.target.dataset.assignee;
-    const isChecked = e.target.checked;
+  // Pagination controls
+  const pagination = document.querySelector('[data-pagination-type="activity"]');
+  if (pagination) {
+    pagination.querySelector('[data-action="prev-page"]')?.addEventListener('click', () => {
+      if (state.activityPagination.page > 1) {
+        state.activityPagination.page--;
+        renderProjectDetail(slug);
+      }
+    }, { signal });
 
-    if (!state.assigneeFilter[project.id]) {
-      state.assigneeFilter[project.id] = [];
-    }
+    pagination.querySelector('[data-action="next-page"]')?.addEventListener('click', () => {
+      state.activityPagination.page++;
+      renderProjectDetail(slug);
+    }, { signal });
 
-    if (isChecked) {
-      if (!state.assigneeFilter[project.id].includes(assigneeId)) {
-        state.assigneeFilter[project.id].push(assigneeId);
-      }
-    } else {
-      state.assigneeFilter[project.id] = state.assigneeFilter[project.id].filter(id => id !== assigneeId);
-    }
+    pagination.querySelector('[data-action="change-page-size"]')?.addEventListener('change', (e) => {
+      state.activityPagination.pageSize = parseInt(e.target.value);
+      state.activityPagination.page = 1; // Reset to first page
+      renderProjectDetail(slug);
+    }, { signal });
+  }
+}
 
-    // Show/hide clear filter button based on selection count
-    dropdownFooter.style.display = state.assigneeFilter[project.id].length > 0 ? '' : 'none';
+// ==========================================================================
+// Task Comments
+// ==========================================================================
 
-    renderProjectDetail(projectSlug);
-  });
+let mentionDropdownState = {
+  textarea: null,
+  users: [],
+  focusedIndex: 0,
+  queryStart: -1,
+};
 
-  // Handle clear filter button
-  const clearBtn = dropdown.querySelector('[data-action="clear-assignee-filter"]');
-  if (clearBtn) {
-    clearBtn.addEventListener('click', () => {
-      state.assigneeFilter[project.id] = [];
-      closeDropdown();
-      renderProjectDetail(projectSlug);
-    });
+/**
+ * Pattern for @mentions of known users. Longer names come first so "@Ann Lee"
+ * wins over "@Ann", and a name must end at a word boundary, so "@Ann" does
+ * not match the start of "@Annabel".
+ */
+function getMentionPattern() {
+  const names = state.users
+    .map(user => user.name)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (names.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}_])@(${names.join('|')})(?![\\p{L}\\p{N}_])`, 'gu');
+}
+
+/**
+ * Render comment text, highlighting @mentions of known users
+ */
+function renderCommentContent(content) {
+  const pattern = getMentionPattern();
+  let html = '';
+  let last = 0;
+  if (pattern) {
+    for (const match of content.matchAll(pattern)) {
+      html += escapeHtml(content.slice(last, match.index));
+      html += `<span class="comment-mention">${escapeHtml(match[0])}</span>`;
+      last = match.index + match[0].length;
+    }
   }
+  html += escapeHtml(content.slice(last));
+  return html.replace(/\n/g, '<br>');
+}
 
-  searchInput.focus();
+function getMentionedUserIds(content) {
+  const pattern = getMentionPattern();
+  if (!pattern) return [];
+  const names = new Set([...content.matchAll(pattern)].map(match => match[1]));
+  return state.users
+    .filter(user => names.has(user.name))
+    .map(user => user.id);
 }
 
-function showPriorityDropdown(taskId, buttonElement, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+function renderTaskComment(comment) {
+  const author = getUserById(comment.created_by);
+  const isOwn = comment.created_by === getCurrentUser()?.id;
+  const isEditing = state.editingCommentId === comment.id;
+  const isEdited = comment.updated_at && comment.updated_at !== comment.created_at;
 
-  const priorities = state.priorities;
+  return `
+    <div class="task-panel-comment" data-comment-id="${comment.id}">
+      <div class="task-panel-comment-avatar" style="background: ${stringToColor(author?.name || 'User')}">
+        ${getInitials(author?.name || '?')}
+      </div>
+      <div class="task-panel-comment-body">
+        <div class="task-panel-comment-header">
+          <span class="task-panel-comment-author">${escapeHtml(author?.name || 'Unknown user')}</span>
+          <span class="task-panel-comment-time" title="${formatDateTime(comment.created_at)}">
+            ${formatRelativeTime(comment.created_at)}${isEdited ? ' (edited)' : ''}
+          </span>
+          ${isOwn && !isEditing ? `
+            <span class="task-panel-comment-actions">
+              <button class="task-panel-comment-action" data-action="edit-comment" data-comment-id="${comment.id}" title="Edit">
+                ${icons.edit}
+              </button>
+              <button class="task-panel-comment-action" data-action="delete-comment" data-comment-id="${comment.id}" title="Delete">
+                ${icons.trash}
+              </button>
+            </span>
+          ` : ''}
+        </div>
+        ${isEditing ? `
+          <div class="task-panel-comment-compose">
+            <textarea class="task-panel-comment-input" data-action="comment-edit-input" rows="2">${escapeHtml(comment.content)}</textarea>
+            <div class="task-panel-comment-compose-actions">
+              <button class="btn-secondary btn-sm" data-action="cancel-edit-comment">Cancel</button>
+              <button class="btn-primary btn-sm" data-action="save-comment" data-comment-id="${comment.id}">Save</button>
+            </div>
+          </div>
+        ` : `
+          <div class="task-panel-comment-content">${renderCommentContent(comment.content)}</div>
+        `}
+      </div>
+    </div>
+  `;
+}
 
-  const dropdown = createDropdown({
-    id: 'priority-dropdown',
-    anchor: buttonElement,
-    toggle: false,
-    content: `
-      <button class="dropdown-item ${!task.priority_id ? 'active' : ''}" data-priority-id="">
-        <span class="dropdown-item-dot" style="background: #9ca3af"></span>
-        None
-      </button>
-      ${priorities.map(p => `
-        <button class="dropdown-item ${p.id === task.priority_id ? 'active' : ''}"
-                data-priority-id="${p.id}">
-          <span class="dropdown-item-dot" style="background: ${p.color}"></span>
-          ${escapeHtml(p.name)}
-        </button>
-      `).join('')}
-    `
-  });
+function rerenderTaskPanel(taskId, projectSlug) {
+  const task = getTaskById(taskId);
+  if (task) {
+    renderTaskPanel(task, projectSlug);
+  }
+}
 
-  if (!dropdown) return;
+function addTaskComment(taskId, content, projectSlug) {
+  const text = content.trim();
+  if (!text) return;
+
+  const now = new Date().toISOString();
+  const comment = {
+    id: generateId('comment'),
+    task_id: taskId,
+    page_id: null,
+    content: text,
+    mentioned_user_ids: getMentionedUserIds(text),
+    created_by: getCurrentUser()?.id || null,
+    created_at: now,
+    updated_at: now,
+  };
 
-  addListeners(dropdown, '[data-priority-id]', 'click', (item) => {
-    const newPriorityId = item.dataset.priorityId || null;
-    updateTaskPriority(taskId, newPriorityId, projectSlug);
-  });
+  state.comments.push(comment);
+  persistRecords('comments', comment);
+  const task = getTaskById(taskId);
+  if (task) {
+    recordActivity(task, 'commented');
+  }
+  rerenderTaskPanel(taskId, projectSlug);
 }
 
-function updateTaskPriority(taskId, newPriorityId, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+function updateTaskComment(commentId, content, projectSlug) {
+  const comment = getCommentById(commentId);
+  const text = content.trim();
+  if (!comment || !text) return;
 
-  const oldPriority = task.priority_id ? getPriorityById(task.priority_id) : null;
-  const newPriority = newPriorityId ? getPriorityById(newPriorityId) : null;
+  if (comment.content !== text) {
+    comment.content = text;
+    comment.mentioned_user_ids = getMentionedUserIds(text);
+    comment.updated_at = new Date().toISOString();
+    persistRecords('comments', comment);
+  }
 
-  task.priority_id = newPriorityId;
-  task.updated_at = new Date().toISOString();
+  state.editingCommentId = null;
+  rerenderTaskPanel(comment.task_id, projectSlug);
+}
 
-  closeDropdown();
-  renderProjectDetail(projectSlug);
+function deleteTaskComment(commentId, projectSlug) {
+  const comment = getCommentById(commentId);
+  if (!comment) return;
 
-  const message = newPriority
-    ? `Priority set to ${newPriority.name}`
-    : 'Priority removed';
-  showToast(message, 'success');
+  state.comments = state.comments.filter(c => c.id !== commentId);
+  removeRecords('comments', commentId);
+  showToast('Comment deleted', 'success');
+  rerenderTaskPanel(comment.task_id, projectSlug);
 }
 
-function showDueDatePicker(taskId, buttonElement, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+function attachTaskCommentListeners(panel, taskId, projectSlug) {
+  const commentInput = panel.querySelector('[data-action="comment-input"]');
+  const postBtn = panel.querySelector('[data-action="post-comment"]');
 
-  closeDropdown();
+  if (commentInput) {
+    attachMentionAutocomplete(commentInput);
+    commentInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey && !e.defaultPrevented) {
+        e.preventDefault();
+        addTaskComment(taskId, commentInput.value, projectSlug);
+      }
+    });
+  }
 
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const nextWeek = new Date(today);
-  nextWeek.setDate(nextWeek.getDate() + 7);
-  const nextMonth = new Date(today);
-  nextMonth.setMonth(nextMonth.getMonth() + 1);
+  postBtn?.addEventListener('click', () => {
+    addTaskComment(taskId, commentInput?.value || '', projectSlug);
+  });
 
-  const formatDateValue = (date) => date.toISOString().split('T')[0];
+  panel.querySelectorAll('[data-action="edit-comment"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.editingCommentId = btn.dataset.commentId;
+      rerenderTaskPanel(taskId, projectSlug);
+      const editInput = document.querySelector('#task-panel-content [data-action="comment-edit-input"]');
+      if (editInput) {
+        editInput.focus();
+        editInput.setSelectionRange(editInput.value.length, editInput.value.length);
+      }
+    });
+  });
 
-  const picker = document.createElement('div');
-  picker.className = 'dropdown-menu date-picker open';
-  picker.id = 'date-picker';
-  picker.innerHTML = `
-    <div class="date-picker-presets">
-      <button class="dropdown-item" data-date="${formatDateValue(today)}">
-        ${icons.calendar} Today
-      </button>
-      <button class="dropdown-item" data-date="${formatDateValue(tomorrow)}">
-        ${icons.calendar} Tomorrow
-      </button>
-      <button class="dropdown-item" data-date="${formatDateValue(nextWeek)}">
-        ${icons.calendar} Next week
-      </button>
-      <button class="dropdown-item" data-date="${formatDateValue(nextMonth)}">
-        ${icons.calendar} Next month
-      </button>
-      ${task.due_date ? `
-        <button class="dropdown-item text-error" data-date="">
-          ${icons.x} Remove date
-        </button>
-      ` : ''}
-    </div>
-    <div class="date-picker-divider"></div>
-    <div class="date-picker-custom">
-      <label class="date-picker-label">Custom date</label>
-      <input type="date" class="date-picker-input" value="${task.due_date || ''}">
-    </div>
-  `;
+  panel.querySelectorAll('[data-action="delete-comment"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (confirm('Delete this comment?')) {
+        deleteTaskComment(btn.dataset.commentId, projectSlug);
+      }
+    });
+  });
 
-  const rect = buttonElement.getBoundingClientRect();
-  picker.style.position = 'fixed';
-  picker.style.top = `${rect.bottom + 4}px`;
-  picker.style.left = `${rect.left}px`;
+  const editInput = panel.querySelector('[data-action="comment-edit-input"]');
+  if (editInput) {
+    attachMentionAutocomplete(editInput);
+    editInput.addEventListener('keydown', (e) => {
+      if (e.defaultPrevented) return;
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        updateTaskComment(state.editingCommentId, editInput.value, projectSlug);
+      } else if (e.key === 'Escape') {
+        // Cancel the edit without closing the panel
+        e.stopPropagation();
+        state.editingCommentId = null;
+        rerenderTaskPanel(taskId, projectSlug);
+      }
+    });
+  }
 
-  document.body.appendChild(picker);
-  state.activeDropdown = 'date-picker';
+  panel.querySelector('[data-action="save-comment"]')?.addEventListener('click', (e) => {
+    updateTaskComment(e.currentTarget.dataset.commentId, editInput?.value || '', projectSlug);
+  });
 
-  // Handle preset clicks
-  picker.querySelectorAll('[data-date]').forEach(item => {
-    item.addEventListener('click', () => {
-      const newDate = item.dataset.date || null;
-      updateTaskDueDate(taskId, newDate, projectSlug);
-    });
+  panel.querySelector('[data-action="cancel-edit-comment"]')?.addEventListener('click', () => {
+    state.editingCommentId = null;
+    rerenderTaskPanel(taskId, projectSlug);
   });
+}
 
-  // Handle custom date input
-  const dateInput = picker.querySelector('.date-picker-input');
-  dateInput.addEventListener('change', () => {
-    updateTaskDueDate(taskId, dateInput.value || null, projectSlug);
+// ==========================================================================
+// @Mention Autocomplete
+// ==========================================================================
+
+/**
+ * Show a user dropdown while typing "@name" in a textarea, and insert the
+ * selected user's full name. Keyboard handling mirrors the searchable
+ * user dropdown (arrows, Enter/Tab to select, Escape to close).
+ */
+function attachMentionAutocomplete(textarea) {
+  textarea.addEventListener('input', () => {
+    const beforeCaret = textarea.value.slice(0, textarea.selectionStart);
+    const match = beforeCaret.match(/(?:^|\s)@([^\s@]*)$/);
+
+    if (!match) {
+      closeMentionDropdown();
+      return;
+    }
+
+    const query = match[1].toLowerCase();
+    const users = state.users.filter(user =>
+      user.name.toLowerCase().includes(query) || user.email.toLowerCase().startsWith(query)
+    );
+
+    if (users.length === 0) {
+      closeMentionDropdown();
+      return;
+    }
+
+    showMentionDropdown(textarea, users, beforeCaret.length - match[1].length - 1);
   });
 
-  setTimeout(() => {
-    document.addEventListener('click', handleDropdownOutsideClick);
-  }, 10);
-}
+  textarea.addEventListener('keydown', (e) => {
+    if (mentionDropdownState.textarea !== textarea) return;
+    const count = mentionDropdownState.users.length;
 
-function updateTaskDueDate(taskId, newDate, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        mentionDropdownState.focusedIndex = (mentionDropdownState.focusedIndex + 1) % count;
+        updateFocusedMention();
+        break;
 
-  task.due_date = newDate;
-  task.updated_at = new Date().toISOString();
+      case 'ArrowUp':
+        e.preventDefault();
+        mentionDropdownState.focusedIndex = (mentionDropdownState.focusedIndex - 1 + count) % count;
+        updateFocusedMention();
+        break;
 
-  closeDropdown();
-  renderProjectDetail(projectSlug);
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault();
+        selectMention(mentionDropdownState.users[mentionDropdownState.focusedIndex]);
+        break;
+
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        closeMentionDropdown();
+        break;
+    }
+  });
 
-  const message = newDate
-    ? `Due date set to ${formatDate(newDate)}`
-    : 'Due date removed';
-  showToast(message, 'success');
+  textarea.addEventListener('blur', () => {
+    // Delay so a click on a dropdown item can register first
+    setTimeout(() => {
+      if (mentionDropdownState.textarea === textarea) closeMentionDropdown();
+    }, 150);
+  });
 }
 
-function showLabelPicker(taskId, buttonElement, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+function showMentionDropdown(textarea, users, queryStart) {
+  let dropdown = document.getElementById('mention-dropdown');
+  if (!dropdown) {
+    dropdown = document.createElement('div');
+    dropdown.id = 'mention-dropdown';
+    dropdown.className = 'searchable-dropdown mention-dropdown open';
+    document.body.appendChild(dropdown);
 
-  const labels = state.labels;
-  const taskLabelIds = task.label_ids || [];
+    dropdown.addEventListener('mousedown', (e) => {
+      // Keep focus in the textarea
+      e.preventDefault();
+      const item = e.target.closest('.searchable-dropdown-item');
+      if (item) {
+        selectMention(getUserById(item.dataset.userId));
+      }
+    });
+  }
 
-  closeDropdown();
+  mentionDropdownState = { textarea, users, focusedIndex: 0, queryStart };
 
-  const picker = document.createElement('div');
-  picker.className = 'dropdown-menu label-picker open';
-  picker.id = 'label-picker';
-  picker.innerHTML = `
-    <div class="label-picker-header">
-      <span class="label-uppercase">Labels</span>
-    </div>
-    <div class="label-picker-list">
-      ${labels.map(label => `
-        <label class="label-picker-item">
-          <input type="checkbox" ${taskLabelIds.includes(label.id) ? 'checked' : ''} data-label-id="${label.id}">
-          <span class="label-picker-name">${escapeHtml(label.name)}</span>
-        </label>
+  dropdown.innerHTML = `
+    <div class="searchable-dropdown-list">
+      ${users.map((user, index) => `
+        <button class="searchable-dropdown-item ${index === 0 ? 'focused' : ''}" data-user-id="${user.id}">
+          <div class="searchable-dropdown-item-avatar" style="background: ${stringToColor(user.name)}">
+            ${getInitials(user.name)}
+          </div>
+          <div class="searchable-dropdown-item-info">
+            <div class="searchable-dropdown-item-name">${escapeHtml(user.name)}</div>
+            <div class="searchable-dropdown-item-meta">${escapeHtml(user.job_title || user.email)}</div>
+          </div>
+        </button>
       `).join('')}
     </div>
   `;
 
-  const rect = buttonElement.getBoundingClientRect();
-  picker.style.position = 'fixed';
-  picker.style.top = `${rect.bottom + 4}px`;
-  picker.style.left = `${rect.left}px`;
-
-  document.body.appendChild(picker);
-  state.activeDropdown = 'label-picker';
+  // Open above the textarea, which sits near the bottom of the panel
+  const rect = textarea.getBoundingClientRect();
+  dropdown.style.left = `${rect.left}px`;
+  dropdown.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+}
 
-  // Handle checkbox changes
-  picker.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-    checkbox.addEventListener('change', () => {
-      const labelId = checkbox.dataset.labelId;
-      toggleTaskLabel(taskId, labelId, projectSlug);
-    });
+function updateFocusedMention() {
+  document.querySelectorAll('#mention-dropdown .searchable-dropdown-item').forEach((item, index) => {
+    item.classList.toggle('focused', index === mentionDropdownState.focusedIndex);
   });
+}
 
-  setTimeout(() => {
-    document.addEventListener('click', handleDropdownOutsideClick);
-  }, 10);
+function selectMention(user) {
+  const { textarea, queryStart } = mentionDropdownState;
+  if (!user || !textarea) return;
+
+  const before = textarea.value.slice(0, queryStart);
+  const after = textarea.value.slice(textarea.selectionStart);
+  const mention = `@${user.name} `;
+
+  textarea.value = before + mention + after;
+  const caret = before.length + mention.length;
+  textarea.setSelectionRange(caret, caret);
+  textarea.focus();
+
+  closeMentionDropdown();
 }
 
-function toggleTaskLabel(taskId, labelId, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+function closeMentionDropdown() {
+  document.getElementById('mention-dropdown')?.remove();
+  mentionDropdownState = { textarea: null, users: [], focusedIndex: 0, queryStart: -1 };
+}
 
-  if (!task.label_ids) {
-    task.label_ids = [];
-  }
+// ==========================================================================
+// Render Functions - Wiki
+// ==========================================================================
 
-  const index = task.label_ids.indexOf(labelId);
-  const label = getLabelById(labelId);
+// Task references in wiki content, e.g. [[CON-12]]
+const WIKI_TASK_REFERENCE_PATTERN = /\[\[([A-Za-z0-9]+-\d+)\]\]/g;
 
-  if (index === -1) {
-    task.label_ids.push(labelId);
-    showToast(`Added "${label?.name}" label`, 'success');
-  } else {
-    task.label_ids.splice(index, 1);
-    showToast(`Removed "${label?.name}" label`, 'success');
+function getWikiPageHref(project, page) {
+  return `#/wiki/${project.slug}/${encodeURIComponent(page.slug)}`;
+}
+
+function getUniqueWikiSlug(projectId, title, excludePageId = null) {
+  const base = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '') || 'page';
+  const taken = new Set(state.wikiPages
+    .filter(p => p.project_id === projectId && p.id !== excludePageId)
+    .map(p => p.slug));
+
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
   }
+  return slug;
+}
 
-  task.updated_at = new Date().toISOString();
-  renderProjectDetail(projectSlug);
+/**
+ * Nest pages by parent_id. Pages whose parent no longer exists become roots.
+ * @param {Array} pages - Pages of one project, already in sort order
+ * @returns {Array} Root nodes of shape { page, children }
+ */
+function buildWikiTree(pages) {
+  const nodes = new Map(pages.map(page => [page.id, { page, children: [] }]));
+  const roots = [];
 
-  // Re-render panel if open and re-open the label picker
-  const panelAddLabel = document.querySelector('.task-panel [data-action="add-label"]');
-  if (panelAddLabel && state.openTaskId === taskId) {
-    const updatedTask = getTaskById(taskId);
-    renderTaskPanel(updatedTask, projectSlug);
-    attachTaskPanelEventListeners(taskId, projectSlug);
-    const newAddLabelBtn = document.querySelector('.task-panel [data-action="add-label"]');
-    if (newAddLabelBtn) {
-      setTimeout(() => showLabelPicker(taskId, newAddLabelBtn, projectSlug), 50);
-    }
+  nodes.forEach(node => {
+    const parent = node.page.parent_id ? nodes.get(node.page.parent_id) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+}
+
+function getWikiLinkedTasks(pageId) {
+  return state.wikiPageTaskLinks
+    .filter(l => l.page_id === pageId)
+    .map(l => getTaskById(l.task_id))
+    .filter(Boolean);
+}
+
+/**
+ * Render the wiki route: #/wiki, #/wiki/<project-slug> or
+ * #/wiki/<project-slug>/<page-slug>. Without a page slug the first root page
+ * of the project is shown.
+ */
+function renderWiki(projectSlug, pageSlug) {
+  // Clean up previous event listeners to prevent memory leaks
+  cleanupViewListeners();
+
+  if (!projectSlug) {
+    renderWikiLanding();
     return;
   }
 
-  // Re-open the label picker for task row to continue editing
-  const labelsEl = document.querySelector(`.task-row[data-task-id="${taskId}"] .task-labels`);
-  if (labelsEl) {
-    setTimeout(() => showLabelPicker(taskId, labelsEl, projectSlug), 50);
+  const project = getProjectBySlug(projectSlug);
+  if (!project) {
+    renderNotFound();
+    return;
   }
-}
 
-function handleDropdownOutsideClick(e) {
-  if (!state.activeDropdown) return;
+  const pages = getWikiPagesForProject(project.id);
+  const page = pageSlug
+    ? pages.find(p => p.slug === pageSlug)
+    : buildWikiTree(pages)[0]?.page;
 
-  const dropdown = document.getElementById(state.activeDropdown);
-  if (dropdown && dropdown.contains(e.target)) {
-    return; // Click is inside dropdown, don't close
+  if (state.wikiEditingPageId && state.wikiEditingPageId !== page?.id) {
+    state.wikiEditingPageId = null;
   }
 
-  closeDropdown();
-}
+  updateBreadcrumb([
+    { label: 'Wiki', href: '#/wiki' },
+    { label: project.name, href: `#/wiki/${project.slug}` },
+    ...(page ? [{ label: page.title, href: getWikiPageHref(project, page) }] : []),
+  ]);
 
-function closeDropdown() {
-  if (state.activeDropdown) {
-    const dropdown = document.getElementById(state.activeDropdown);
-    if (dropdown) {
-      dropdown.remove();
-    }
-  }
+  const projectOptions = state.projects.filter(p => !p.is_archived || p.id === project.id);
 
-  state.activeDropdown = null;
-  document.removeEventListener('click', handleDropdownOutsideClick);
+  const mainContent = document.getElementById('main-content');
+  mainContent.innerHTML = `
+    <div class="page-header">
+      <h1 class="page-title">${escapeHtml(project.name)} Wiki</h1>
+      <div class="page-actions">
+        <select class="form-select wiki-project-select" data-action="switch-wiki-project" aria-label="Project">
+          ${projectOptions.map(p => `
+            <option value="${p.slug}" ${p.id === project.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>
+          `).join('')}
+        </select>
+        <button class="btn-primary" data-action="create-wiki-page">
+          ${icons.plus} New Page
+        </button>
+      </div>
+    </div>
+
+    <div class="wiki-layout">
+      <aside class="card wiki-sidebar">
+        <div class="wiki-search">
+          ${icons.search}
+          <input type="search"
+                 class="wiki-search-input"
+                 placeholder="Search pages..."
+                 value="${escapeHtml(state.wikiSearch)}"
+                 aria-label="Search wiki pages">
+        </div>
+        <nav class="wiki-tree" aria-label="Wiki pages">
+          ${renderWikiTree(project, pages, page?.id)}
+        </nav>
+      </aside>
+
+      <section class="card wiki-content">
+        ${page
+          ? (state.wikiEditingPageId === page.id ? renderWikiEditor(project, page) : renderWikiPageView(project, page))
+          : renderWikiEmptyState(Boolean(pageSlug))
+        }
+      </section>
+    </div>
+  `;
+
+  attachWikiEventListeners(project, page);
 }
 
-function updateTaskStatus(taskId, newStatusId, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+function renderWikiLanding() {
+  updateBreadcrumb([{ label: 'Wiki', href: '#/wiki' }]);
 
-  const oldStatus = getStatusById(task.status_id);
-  const newStatus = getStatusById(newStatusId);
+  const projects = state.projects.filter(p => !p.is_archived);
+  const mainContent = document.getElementById('main-content');
 
-  task.status_id = newStatusId;
-  task.updated_at = new Date().toISOString();
+  mainContent.innerHTML = `
+    <div class="page-header">
+      <h1 class="page-title">Wiki</h1>
+    </div>
 
-  closeDropdown();
-  showToast(`Task moved to "${newStatus?.name || 'Unknown'}"`, 'success');
-  renderProjectDetail(projectSlug);
+    ${projects.length === 0 ? renderEmptyState() : `
+      <div class="wiki-project-list">
+        ${projects.map(project => {
+          const pageCount = getWikiPagesForProject(project.id).length;
+          return `
+            <a href="#/wiki/${project.slug}" class="wiki-project-card">
+              <span class="wiki-project-swatch" style="background: ${project.color || FALLBACK_COLOR}"></span>
+              <span class="wiki-project-name">${escapeHtml(project.name)}</span>
+              <span class="wiki-project-meta">${pageCount} ${pageCount === 1 ? 'page' : 'pages'}</span>
+            </a>
+          `;
+        }).join('')}
+      </div>
+    `}
+  `;
+}
+
+function renderWikiEmptyState(pageMissing) {
+  return `
+    <div class="empty-state">
+      <div class="empty-state-icon">${icons.file}</div>
+      <h2 class="empty-state-title">${pageMissing ? 'Page not found' : 'No pages yet'}</h2>
+      <p class="empty-state-description">
+        ${pageMissing
+          ? 'This page may have been renamed or deleted.'
+          : 'Document decisions, processes and notes for this project.'}
+      </p>
+      <button class="btn-primary" data-action="create-wiki-page">${icons.plus} New Page</button>
+    </div>
+  `;
 }
 
 // ==========================================================================
-// Quick Add Task (Inline)
+// Wiki Sidebar
 // ==========================================================================
 
-function showQuickAddTask(groupId, groupType, projectSlug) {
-  state.quickAddStatus = groupId;
-  state.quickAddGroupType = groupType;
-  renderProjectDetail(projectSlug);
+function renderWikiTree(project, pages, activePageId) {
+  const query = state.wikiSearch.trim().toLowerCase();
 
-  // Focus the input after render
-  setTimeout(() => {
-    const input = document.querySelector('.quick-add-input input');
-    if (input) input.focus();
-  }, 50);
-}
+  if (query) {
+    const matches = pages.filter(p =>
+      p.title.toLowerCase().includes(query) || (p.content || '').toLowerCase().includes(query)
+    );
+    if (matches.length === 0) {
+      return `<div class="wiki-tree-empty">No pages match "${escapeHtml(state.wikiSearch.trim())}"</div>`;
+    }
+    return matches.map(page => renderWikiTreeItem(project, page, { activePageId, query })).join('');
+  }
 
-function hideQuickAddTask(projectSlug) {
-  state.quickAddStatus = null;
-  state.quickAddGroupType = null;
-  renderProjectDetail(projectSlug);
+  if (pages.length === 0) {
+    return '<div class="wiki-tree-empty">No pages yet</div>';
+  }
+
+  const renderNodes = (nodes, depth) => nodes.map(node => {
+    const hasChildren = node.children.length > 0;
+    const collapsed = state.collapsedWikiPages.has(node.page.id);
+    return renderWikiTreeItem(project, node.page, { activePageId, depth, hasChildren, collapsed })
+      + (hasChildren && !collapsed ? renderNodes(node.children, depth + 1) : '');
+  }).join('');
+
+  return renderNodes(buildWikiTree(pages), 0);
 }
 
-function handleQuickAddTask(groupId, groupType, projectSlug) {
-  const input = document.querySelector('.quick-add-input input');
-  const title = input?.value?.trim();
+function renderWikiTreeItem(project, page, { activePageId, depth = 0, hasChildren = false, collapsed = false, query = '' }) {
+  const snippet = query ? getWikiSearchSnippet(page.content, query) : '';
 
-  if (!title) {
-    hideQuickAddTask(projectSlug);
-    return;
-  }
+  return `
+    <div class="wiki-tree-item ${page.id === activePageId ? 'active' : ''}" style="padding-left: calc(var(--spacing-2) + ${depth * 16}px)">
+      ${hasChildren ? `
+        <button class="wiki-tree-toggle ${collapsed ? 'collapsed' : ''}"
+                data-action="toggle-wiki-node"
+                data-page-id="${page.id}"
+                aria-label="${collapsed ? 'Expand' : 'Collapse'}"
+                aria-expanded="${!collapsed}">
+          ${icons.chevronDown}
+        </button>
+      ` : '<span class="wiki-tree-toggle-spacer"></span>'}
+      <a href="${getWikiPageHref(project, page)}" class="wiki-tree-link" ${page.id === activePageId ? 'aria-current="page"' : ''}>
+        <span class="wiki-tree-icon">${page.icon ? escapeHtml(page.icon) : icons.file}</span>
+        <span class="wiki-tree-text">
+          <span class="wiki-tree-title">${query ? highlightSearchMatch(page.title, query) : escapeHtml(page.title)}</span>
+          ${snippet ? `<span class="wiki-tree-snippet">${snippet}</span>` : ''}
+        </span>
+        ${page.is_locked ? `<span class="wiki-tree-lock" title="Locked">${icons.lock}</span>` : ''}
+      </a>
+    </div>
+  `;
+}
 
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+/**
+ * Excerpt of the page content around the first match of the query
+ */
+function getWikiSearchSnippet(content, query) {
+  const text = (content || '').replace(/[#>*`_~]|\[\[|\]\]/g, '').replace(/\s+/g, ' ').trim();
+  const index = text.toLowerCase().indexOf(query);
+  if (index === -1) return '';
 
-  const projectTasks = getTasksForProject(project.id);
-  const maxSeq = projectTasks.reduce((max, t) => Math.max(max, t.sequence_id || 0), 0);
+  const start = Math.max(0, index - 30);
+  const end = Math.min(text.length, index + query.length + 40);
+  const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  return highlightSearchMatch(excerpt, query);
+}
 
-  // Determine task fields based on group type
-  let statusId = null;
-  let priorityId = null;
-  let assigneeId = null;
+// ==========================================================================
+// Wiki Page View & Editor
+// ==========================================================================
 
-  const statuses = getStatusesForProject(project.id);
-  const defaultStatus = statuses.find(s => s.category === 'todo') || statuses[0];
+function renderWikiPageView(project, page) {
+  const editor = getUserById(page.updated_by || page.created_by);
+  const linkedTasks = getWikiLinkedTasks(page.id);
+  const lockedAttrs = page.is_locked ? 'disabled title="Unlock the page to change it"' : '';
 
-  if (groupType === 'status') {
-    statusId = groupId;
-  } else if (groupType === 'priority') {
-    statusId = defaultStatus?.id;
-    priorityId = groupId === 'priority-none' ? null : groupId;
-  } else if (groupType === 'assignee') {
-    statusId = defaultStatus?.id;
-    assigneeId = groupId === 'unassigned' ? null : groupId.replace('assignee-', '');
-  } else {
-    statusId = defaultStatus?.id;
-  }
+  return `
+    <div class="wiki-page-header">
+      <div class="wiki-page-heading">
+        ${page.icon ? `<span class="wiki-page-icon">${escapeHtml(page.icon)}</span>` : ''}
+        <h2 class="wiki-page-title">${escapeHtml(page.title)}</h2>
+        ${page.is_locked ? `<span class="wiki-lock-badge">${icons.lock} Locked</span>` : ''}
+      </div>
+      <div class="wiki-page-actions">
+        <button class="btn-secondary btn-sm" data-action="create-wiki-subpage">
+          ${icons.plus} Subpage
+        </button>
+        <button class="btn-secondary btn-sm" data-action="toggle-wiki-lock">
+          ${page.is_locked ? `${icons.unlock} Unlock` : `${icons.lock} Lock`}
+        </button>
+        <button class="btn-primary btn-sm" data-action="edit-wiki-page" ${lockedAttrs}>
+          ${icons.edit} Edit
+        </button>
+        <button class="btn-danger-ghost btn-sm" data-action="delete-wiki-page" ${lockedAttrs} aria-label="Delete page">
+          ${icons.trash}
+        </button>
+      </div>
+    </div>
+    <div class="wiki-page-meta">
+      Last edited ${editor ? `by ${escapeHtml(editor.name)} ` : ''}${formatRelativeTime(page.updated_at || page.created_at)}
+    </div>
 
-  const newTask = {
-    id: generateId('task'),
-    project_id: project.id,
-    sequence_id: maxSeq + 1,
-    title: title,
-    description: '',
-    status_id: statusId,
-    priority_id: priorityId,
-    assignee_id: assigneeId,
-    due_date: null,
-    start_date: null,
-    label_ids: [],
-    is_archived: false,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
-  };
+    <article class="wiki-markdown">
+      ${page.content?.trim() ? renderMarkdown(page.content) : '<p class="wiki-placeholder">This page is empty.</p>'}
+    </article>
+
+    ${linkedTasks.length > 0 ? `
+      <div class="wiki-linked-tasks">
+        <div class="panel-section-header label-uppercase">
+          Linked Tasks
+          <span class="task-panel-section-count">${linkedTasks.length}</span>
+        </div>
+        <div class="wiki-linked-task-list">
+          ${linkedTasks.map(task => renderWikiTaskChip(task)).join('')}
+        </div>
+      </div>
+    ` : ''}
+  `;
+}
 
-  state.tasks.push(newTask);
-  state.quickAddStatus = null;
-  state.quickAddGroupType = null;
-  showToast(`Task "${title}" created`, 'success');
-  renderProjectDetail(projectSlug);
+function renderWikiEditor(project, page) {
+  return `
+    <div class="wiki-editor">
+      <div class="wiki-editor-header">
+        <input type="text"
+               class="form-input wiki-editor-icon"
+               value="${escapeHtml(page.icon || '')}"
+               maxlength="8"
+               placeholder="📄"
+               aria-label="Page icon">
+        <input type="text"
+               class="form-input wiki-editor-title"
+               value="${escapeHtml(page.title)}"
+               placeholder="Page title"
+               aria-label="Page title">
+        <div class="wiki-page-actions">
+          <button class="btn-secondary btn-sm" data-action="cancel-wiki-edit">Cancel</button>
+          <button class="btn-primary btn-sm" data-action="save-wiki-page">Save</button>
+        </div>
+      </div>
+      <div class="wiki-editor-panes">
+        <textarea class="wiki-editor-input"
+                  placeholder="Write in Markdown..."
+                  aria-label="Page content">${escapeHtml(page.content || '')}</textarea>
+        <div class="wiki-markdown wiki-editor-preview" aria-live="polite">${renderMarkdown(page.content)}</div>
+      </div>
+      <div class="wiki-editor-hint">
+        Markdown: # headings, **bold**, *italic*, \`code\`, lists, &gt; quotes and [links](https://…).
+        Reference a task with [[${escapeHtml(project.identifier)}-1]]. Ctrl+S to save.
+      </div>
+    </div>
+  `;
 }
 
-// ==========================================================================
-// Task Selection
-// ==========================================================================
+/**
+ * Clickable chip for a task, used for [[KEY-N]] references and linked tasks
+ */
+function renderWikiTaskChip(task) {
+  const project = getProjectById(task.project_id);
+  const status = getStatusById(task.status_id);
+  const key = `${project?.identifier || ''}-${task.sequence_id}`;
 
-function toggleTaskSelection(taskId, projectSlug) {
-  if (state.selectedTasks.has(taskId)) {
-    state.selectedTasks.delete(taskId);
-  } else {
-    state.selectedTasks.add(taskId);
-  }
-  renderProjectDetail(projectSlug);
+  // Kept on one line since it is rendered inline within Markdown paragraphs
+  return `<button type="button" class="wiki-task-ref ${status?.category === 'done' ? 'done' : ''}" data-action="open-task-ref" data-task-id="${task.id}" title="${escapeHtml(status?.name || '')}">`
+    + `<span class="wiki-task-ref-dot" style="background: ${status?.color || FALLBACK_COLOR}"></span>`
+    + `<span class="wiki-task-ref-key">${escapeHtml(key)}</span>`
+    + `<span class="wiki-task-ref-title">${escapeHtml(task.title)}</span>`
+    + '</button>';
 }
 
 // ==========================================================================
-// Task Detail Side Panel
+// Markdown
 // ==========================================================================
 
-function renderTaskPanelContainer() {
-  // Only create if doesn't exist
-  if (document.getElementById('task-panel-overlay')) return;
+/**
+ * Render the Markdown subset supported by the wiki: headings, paragraphs,
+ * bullet/numbered/check lists, block quotes, fenced code, rules, and inline
+ * bold, italic, strikethrough, code, links and [[KEY-N]] task references.
+ * All text is escaped; only http(s), mailto, relative and hash links are kept.
+ */
+function renderMarkdown(markdown) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${renderInlineMarkdown(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      blocks.push(`<${list.type}>${list.items.join('')}</${list.type}>`);
+      list = null;
+    }
+  };
 
-  const panelOverlay = document.createElement('div');
-  panelOverlay.id = 'task-panel-overlay';
-  panelOverlay.className = 'panel-overlay';
-  panelOverlay.innerHTML = '<div class="side-panel task-panel" id="task-panel-content"></div>';
-  document.body.appendChild(panelOverlay);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
 
-  // Close on overlay click (but not panel click)
-  panelOverlay.addEventListener('click', (e) => {
-    if (e.target === panelOverlay) {
-      closeTaskPanel();
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i]);
+      }
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
     }
-  });
 
-  // Close on Escape
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && state.openTaskId) {
-      closeTaskPanel();
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+      continue;
     }
-  });
-}
 
-function openTaskPanel(taskId, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      flushList();
+      blocks.push('<hr>');
+      continue;
+    }
 
-  state.openTaskId = taskId;
-  state.openTaskProjectSlug = projectSlug;
+    if (/^>/.test(line)) {
+      flushParagraph();
+      flushList();
+      const quote = [];
+      for (; i < lines.length && /^>/.test(lines[i]); i++) {
+        quote.push(lines[i].replace(/^>\s?/, ''));
+      }
+      i--;
+      blocks.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+      continue;
+    }
 
-  renderTaskPanelContainer();
-  renderTaskPanel(task, projectSlug);
-  attachTaskPanelEventListeners(taskId, projectSlug);
+    const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      const type = item[1] ? 'ul' : 'ol';
+      if (list && list.type !== type) flushList();
+      if (!list) list = { type, items: [] };
+
+      const check = item[2].match(/^\[([ xX])\]\s+(.*)$/);
+      list.items.push(check
+        ? `<li class="wiki-check-item"><input type="checkbox" disabled ${check[1] === ' ' ? '' : 'checked'}> ${renderInlineMarkdown(check[2])}</li>`
+        : `<li>${renderInlineMarkdown(item[2])}</li>`);
+      continue;
+    }
 
-  const overlay = document.getElementById('task-panel-overlay');
-  if (overlay) {
-    // Force reflow before adding class for animation
-    overlay.offsetHeight;
-    overlay.classList.add('open');
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line.trim());
   }
+
+  flushParagraph();
+  flushList();
+  return blocks.join('\n');
 }
 
-function closeTaskPanel() {
-  state.openTaskId = null;
-  state.openTaskProjectSlug = null;
+function isSafeMarkdownUrl(url) {
+  return /^(https?:\/\/|mailto:|#|\/)/i.test(url) && !/["'<>\s]/.test(url);
+}
 
-  const overlay = document.getElementById('task-panel-overlay');
-  if (overlay) {
-    overlay.classList.remove('open');
-  }
+function renderInlineMarkdown(text) {
+  // Code spans and task references are swapped out first so the other rules leave them alone
+  const tokens = [];
+  const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  const html = escapeHtml(text.replace(/\u0000/g, ''))
+    .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${code}</code>`))
+    .replace(WIKI_TASK_REFERENCE_PATTERN, (match, key) => {
+      const task = getTaskByKey(key);
+      return stash(task
+        ? renderWikiTaskChip(task)
+        : `<span class="wiki-task-ref missing" title="No task with this key">${key}</span>`);
+    })
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      if (!isSafeMarkdownUrl(url)) return label;
+      const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+      return stash(`<a href="${url}"${external}>${label}</a>`);
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
 }
 
 // ==========================================================================
-// File Preview Panel
+// Wiki Mutations
 // ==========================================================================
 
-function renderFilePreviewPanelContainer() {
-  // Only create if doesn't exist
-  if (document.getElementById('file-preview-overlay')) return;
+function createWikiPage(project, parentId = null) {
+  const currentUser = getCurrentUser();
+  const now = new Date().toISOString();
+  const siblings = getWikiPagesForProject(project.id).filter(p => (p.parent_id || null) === parentId);
 
-  const panelOverlay = document.createElement('div');
-  panelOverlay.id = 'file-preview-overlay';
-  panelOverlay.className = 'panel-overlay';
-  panelOverlay.innerHTML = '<div class="side-panel file-preview-panel" id="file-preview-content"></div>';
-  document.body.appendChild(panelOverlay);
+  const page = {
+    id: generateId('wiki'),
+    project_id: project.id,
+    parent_id: parentId,
+    title: 'Untitled',
+    slug: getUniqueWikiSlug(project.id, 'Untitled'),
+    content: '',
+    icon: '',
+    is_locked: false,
+    sort_order: siblings.reduce((max, p) => Math.max(max, p.sort_order || 0), 0) + 1,
+    created_by: currentUser?.id || null,
+    updated_by: currentUser?.id || null,
+    created_at: now,
+    updated_at: now,
+  };
 
-  // Close on overlay click (but not panel click)
-  panelOverlay.addEventListener('click', (e) => {
-    if (e.target === panelOverlay) {
-      closeFilePreview();
-    }
-  });
+  state.wikiPages.push(page);
+  persistRecords('wikiPages', page);
 
-  // Close on Escape
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && state.openFileId) {
-      closeFilePreview();
-    }
-  });
+  if (parentId) {
+    state.collapsedWikiPages.delete(parentId);
+  }
+  state.wikiEditingPageId = page.id;
+  state.wikiSearch = '';
+  navigate(getWikiPageHref(project, page));
 }
 
-function openFilePreview(fileId, projectSlug) {
-  const file = getFileById(fileId);
-  if (!file) return;
-
-  state.openFileId = fileId;
-  state.openFileProjectSlug = projectSlug;
-
-  renderFilePreviewPanelContainer();
-  renderFilePreviewPanel(file, projectSlug);
-
-  const overlay = document.getElementById('file-preview-overlay');
-  if (overlay) {
-    // Force reflow before adding class for animation
-    overlay.offsetHeight;
-    overlay.classList.add('open');
+function saveWikiPage(project, page, { title, icon, content }) {
+  if (page.is_locked) {
+    showToast('This page is locked', 'error');
+    return;
   }
-}
 
-function closeFilePreview() {
-  state.openFileId = null;
-  state.openFileProjectSlug = null;
+  const newTitle = title.trim();
+  if (!newTitle) {
+    showToast('Page title is required', 'error');
+    return;
+  }
 
-  const overlay = document.getElementById('file-preview-overlay');
-  if (overlay) {
-    overlay.classList.remove('open');
+  if (newTitle !== page.title) {
+    page.slug = getUniqueWikiSlug(project.id, newTitle, page.id);
   }
-}
+  page.title = newTitle;
+  page.icon = icon.trim();
+  page.content = content;
+  page.updated_by = getCurrentUser()?.id || null;
+  page.updated_at = new Date().toISOString();
 
-function renderFilePreviewPanel(file, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project || !file) return;
+  persistRecords('wikiPages', page);
+  syncWikiTaskLinks(page);
 
-  const uploader = file.uploaded_by ? getUserById(file.uploaded_by) : null;
-  const linkedTask = file.task_id ? getTaskById(file.task_id) : null;
-  const taskKey = linkedTask ? `${project.identifier}-${linkedTask.sequence_id}` : null;
+  state.wikiEditingPageId = null;
+  showToast('Page saved', 'success');
 
-  const fileTypeIcons = {
-    pdf: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><polyline points="10 9 9 9 8 9"/></svg>',
-    image: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg>',
-    document: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/></svg>',
-    spreadsheet: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="3" y1="9" x2="21" y2="9"/><line x1="3" y1="15" x2="21" y2="15"/><line x1="9" y1="3" x2="9" y2="21"/><line x1="15" y1="3" x2="15" y2="21"/></svg>',
-    archive: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="21 8 21 21 3 21 3 8"/><rect x="1" y="3" width="22" height="5"/><line x1="10" y1="12" x2="14" y2="12"/></svg>',
-    cad: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="12 2 2 7 12 12 22 7 12 2"/><polyline points="2 17 12 22 22 17"/><polyline points="2 12 12 17 22 12"/></svg>'
-  };
+  const href = getWikiPageHref(project, page);
+  if (window.location.hash === href) {
+    renderWiki(project.slug, page.slug);
+  } else {
+    navigate(href);
+  }
+}
 
-  const placeholderIcon = '<svg class="file-preview-placeholder-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="3" y1="9" x2="21" y2="9"/><circle cx="9" cy="6" r="1"/><circle cx="12" cy="6" r="1"/></svg>';
+/**
+ * Bring the page's WikiPageTaskLinks in line with the [[KEY-N]] references
+ * in its content. References to unknown keys are ignored.
+ */
+function syncWikiTaskLinks(page) {
+  const referencedIds = new Set();
+  for (const match of (page.content || '').matchAll(WIKI_TASK_REFERENCE_PATTERN)) {
+    const task = getTaskByKey(match[1]);
+    if (task) referencedIds.add(task.id);
+  }
 
-  const panelContent = document.getElementById('file-preview-content');
-  if (!panelContent) return;
+  const existing = state.wikiPageTaskLinks.filter(l => l.page_id === page.id);
+  const staleLinks = existing.filter(l => !referencedIds.has(l.task_id));
+  const linkedIds = new Set(existing.map(l => l.task_id));
+  const newLinks = [...referencedIds]
+    .filter(taskId => !linkedIds.has(taskId))
+    .map(taskId => ({
+      id: generateId('wikilink'),
+      page_id: page.id,
+      task_id: taskId,
+      created_by: page.updated_by,
+      created_at: page.updated_at,
+    }));
 
-  panelContent.innerHTML = `
-    <div class="file-preview-header">
-      <div class="file-preview-header-left">
-        <div class="file-preview-icon ${file.file_type}">
-          ${fileTypeIcons[file.file_type] || fileTypeIcons.document}
-        </div>
-        <div class="file-preview-title">
-          <div class="file-preview-name" title="${escapeHtml(file.name)}">${escapeHtml(file.name)}</div>
-          <div class="file-preview-meta">${formatFileSize(file.size_bytes)}</div>
-        </div>
-      </div>
-      <div class="file-preview-actions">
-        <button class="file-preview-action-btn" data-action="download-file" data-file-id="${file.id}" title="Download">
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-            <polyline points="7 10 12 15 17 10"/>
-            <line x1="12" y1="15" x2="12" y2="3"/>
-          </svg>
-        </button>
-        <button class="file-preview-action-btn" data-action="close-file-preview" title="Close">
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <line x1="18" y1="6" x2="6" y2="18"/>
-            <line x1="6" y1="6" x2="18" y2="18"/>
-          </svg>
-        </button>
-      </div>
-    </div>
+  state.wikiPageTaskLinks = state.wikiPageTaskLinks
+    .filter(l => !staleLinks.includes(l))
+    .concat(newLinks);
+  removeRecords('wikiPageTaskLinks', staleLinks.map(l => l.id));
+  persistRecords('wikiPageTaskLinks', newLinks);
+}
 
-    <div class="file-preview-body">
-      <!-- Preview Section -->
-      <div class="panel-section">
-        <div class="panel-section-header label-uppercase">Preview</div>
-        <div class="file-preview-content">
-          ${placeholderIcon}
-          <div class="file-preview-placeholder-text">Preview not available</div>
-          <div class="file-preview-placeholder-hint">Download the file to view its contents</div>
-        </div>
-      </div>
+function toggleWikiPageLock(project, page) {
+  page.is_locked = !page.is_locked;
+  persistRecords('wikiPages', page);
+  showToast(page.is_locked ? 'Page locked' : 'Page unlocked', 'success');
+  renderWiki(project.slug, page.slug);
+}
 
-      <!-- Details Section -->
-      <div class="panel-section">
-        <div class="panel-section-header label-uppercase">Details</div>
-        <div class="file-preview-details-grid">
-          <span class="file-preview-details-label">Name</span>
-          <span class="file-preview-details-value">${escapeHtml(file.name)}</span>
+function deleteWikiPage(project, page) {
+  if (page.is_locked) return;
 
-          <span class="file-preview-details-label">Type</span>
-          <span class="file-preview-details-value">${file.file_type.charAt(0).toUpperCase() + file.file_type.slice(1)}</span>
+  const children = state.wikiPages.filter(p => p.parent_id === page.id);
+  const message = children.length > 0
+    ? `Delete "${page.title}"? Its ${children.length} subpage(s) will move up one level.`
+    : `Delete "${page.title}"?`;
+  if (!confirm(message)) return;
 
-          <span class="file-preview-details-label">Size</span>
-          <span class="file-preview-details-value">${formatFileSize(file.size_bytes)}</span>
+  children.forEach(child => {
+    child.parent_id = page.parent_id || null;
+  });
+  persistRecords('wikiPages', children);
 
-          <span class="file-preview-details-label">Uploaded</span>
-          <span class="file-preview-details-value">${formatDateTime(file.uploaded_at)}</span>
+  const links = state.wikiPageTaskLinks.filter(l => l.page_id === page.id);
+  removeRecords('wikiPageTaskLinks', links.map(l => l.id));
+  state.wikiPageTaskLinks = state.wikiPageTaskLinks.filter(l => l.page_id !== page.id);
 
-          <span class="file-preview-details-label">Uploaded by</span>
-          <span class="file-preview-details-value">
-            ${uploader ? `
-              <div class="file-preview-uploader">
-                <div class="file-preview-uploader-avatar" style="background: ${stringToColor(uploader.name)}">${getInitials(uploader.name)}</div>
-                <span>${escapeHtml(uploader.name)}</span>
-              </div>
-            ` : '<span style="color: var(--color-text-muted)">Unknown</span>'}
-          </span>
+  state.wikiPages = state.wikiPages.filter(p => p.id !== page.id);
+  removeRecords('wikiPages', page.id);
+  showToast('Page deleted', 'success');
 
-          <span class="file-preview-details-label">Linked task</span>
-          <span class="file-preview-details-value">
-            ${linkedTask ? `<a href="#/projects/${projectSlug}/tasks?task=${taskKey}" data-action="open-linked-task" data-task-id="${linkedTask.id}">${escapeHtml(taskKey)}: ${escapeHtml(linkedTask.title)}</a>` : '<span style="color: var(--color-text-muted)">None</span>'}
-          </span>
-        </div>
-      </div>
-    </div>
+  const parent = page.parent_id ? getWikiPageById(page.parent_id) : null;
+  navigate(parent ? getWikiPageHref(project, parent) : `#/wiki/${project.slug}`);
+}
 
-    <div class="file-preview-footer">
-      <button class="btn-secondary" data-action="close-file-preview">Close</button>
-      <button class="btn-primary" data-action="download-file" data-file-id="${file.id}">
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-          <polyline points="7 10 12 15 17 10"/>
-          <line x1="12" y1="15" x2="12" y2="3"/>
-        </svg>
-        Download
-      </button>
-    </div>
-  `;
+/**
+ * Open a referenced task in its project, which may differ from the wiki's
+ */
+function openWikiTaskReference(taskId) {
+  const task = getTaskById(taskId);
+  const project = task ? getProjectById(task.project_id) : null;
+  if (!project) return;
 
-  // Attach event listeners
-  attachFilePreviewEventListeners(projectSlug);
+  navigateToProject(project.slug, null, () => openTaskPanel(task.id, project.slug));
 }
 
-function attachFilePreviewEventListeners(projectSlug) {
-  // Close button
-  document.querySelectorAll('[data-action="close-file-preview"]').forEach(btn => {
-    btn.addEventListener('click', closeFilePreview);
-  });
+// ==========================================================================
+// Wiki Event Listeners
+// ==========================================================================
 
-  // Download button
-  document.querySelectorAll('[data-action="download-file"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const fileId = btn.dataset.fileId;
-      const file = getFileById(fileId);
-      if (file) {
-        showToast(`Downloading "${file.name}" (demo only)`, 'info');
-      }
-    });
-  });
+function attachWikiEventListeners(project, page) {
+  const signal = getViewSignal();
+  const mainContent = document.getElementById('main-content');
 
-  // Open linked task
-  document.querySelectorAll('[data-action="open-linked-task"]').forEach(link => {
-    link.addEventListener('click', (e) => {
-      e.preventDefault();
-      const taskId = link.dataset.taskId;
-      closeFilePreview();
-      openTaskPanel(taskId, projectSlug);
-    });
+  mainContent.querySelector('[data-action="switch-wiki-project"]')?.addEventListener('change', (e) => {
+    state.wikiSearch = '';
+    navigate(`#/wiki/${e.target.value}`);
+  }, { signal });
+
+  mainContent.querySelectorAll('[data-action="create-wiki-page"]').forEach(btn => {
+    btn.addEventListener('click', () => createWikiPage(project), { signal });
   });
-}
 
-function renderTaskPanel(task, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project || !task) return;
+  // Sidebar search re-renders only the tree so the input keeps focus
+  const tree = mainContent.querySelector('.wiki-tree');
+  const pages = getWikiPagesForProject(project.id);
 
-  const status = getStatusById(task.status_id);
-  const priority = task.priority_id ? getPriorityById(task.priority_id) : null;
-  const assignee = task.assignee_id ? getUserById(task.assignee_id) : null;
-  const taskLabels = (task.label_ids || []).map(id => getLabelById(id)).filter(Boolean);
-  const taskKey = `${project.identifier}-${task.sequence_id}`;
+  mainContent.querySelector('.wiki-search-input')?.addEventListener('input', (e) => {
+    state.wikiSearch = e.target.value;
+    tree.innerHTML = renderWikiTree(project, pages, page?.id);
+  }, { signal });
 
-  // Get files attached to this task
-  const taskFiles = state.files.filter(f => f.task_id === task.id);
+  tree?.addEventListener('click', (e) => {
+    const toggle = e.target.closest('[data-action="toggle-wiki-node"]');
+    if (!toggle) return;
 
-  const statusBg = status ? hexToRgba(status.color, 0.15) : '';
-  const statusDot = status?.color || FALLBACK_COLOR;
-  const priorityBg = priority ? hexToRgba(priority.color, 0.15) : '';
+    const pageId = toggle.dataset.pageId;
+    if (state.collapsedWikiPages.has(pageId)) {
+      state.collapsedWikiPages.delete(pageId);
+    } else {
+      state.collapsedWikiPages.add(pageId);
+    }
+    tree.innerHTML = renderWikiTree(project, pages, page?.id);
+  }, { signal });
 
-  const panelContent = document.getElementById('task-panel-content');
-  if (!panelContent) return;
+  const content = mainContent.querySelector('.wiki-content');
+  content?.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    if (!target || target.disabled) return;
 
-  panelContent.innerHTML = `
-    <div class="task-panel-header">
-      <div class="task-panel-header-left">
-        <span class="task-panel-key">${escapeHtml(taskKey)}</span>
-      </div>
-      <div class="task-panel-actions">
-        <button class="task-panel-action-btn" data-action="copy-link" data-task-key="${escapeHtml(taskKey)}" title="Copy link">
-          ${icons.link}
-        </button>
-        <button class="task-panel-action-btn" title="More options">
-          ${icons.moreHorizontal}
-        </button>
-        <button class="task-panel-action-btn close" data-action="close-panel" title="Close">
-          ${icons.x}
-        </button>
-      </div>
-    </div>
+    switch (target.dataset.action) {
+      case 'open-task-ref':
+        openWikiTaskReference(target.dataset.taskId);
+        break;
+      case 'create-wiki-subpage':
+        createWikiPage(project, page.id);
+        break;
+      case 'toggle-wiki-lock':
+        toggleWikiPageLock(project, page);
+        break;
+      case 'edit-wiki-page':
+        state.wikiEditingPageId = page.id;
+        renderWiki(project.slug, page.slug);
+        document.querySelector('.wiki-editor-input')?.focus();
+        break;
+      case 'delete-wiki-page':
+        deleteWikiPage(project, page);
+        break;
+    }
+  }, { signal });
 
-    <div class="task-panel-body">
-      <input type="text"
-             class="task-panel-title-input"
-             value="${escapeHtml(task.title)}"
-             data-field="title"
-             placeholder="Task title...">
+  const editor = content?.querySelector('.wiki-editor');
+  if (!editor) return;
 
-      <div class="task-panel-meta">
-        <div class="panel-section-header label-uppercase">Details</div>
-        <!-- Status -->
-        <div class="task-panel-field">
-          <span class="task-panel-field-label">Status</span>
-          <div class="task-panel-field-value">
-            <span class="task-panel-status-badge"
-                  style="background: ${statusBg}; color: var(--color-text-secondary)"
-                  data-action="change-status">
-              <span class="task-panel-status-dot" style="background: ${statusDot}"></span>
-              ${escapeHtml(status?.name || 'No status')}
-            </span>
-          </div>
-        </div>
+  const titleInput = editor.querySelector('.wiki-editor-title');
+  const iconInput = editor.querySelector('.wiki-editor-icon');
+  const textarea = editor.querySelector('.wiki-editor-input');
+  const preview = editor.querySelector('.wiki-editor-preview');
 
-        <!-- Priority -->
-        <div class="task-panel-field">
-          <span class="task-panel-field-label">Priority</span>
-          <div class="task-panel-field-value">
-            <span class="task-panel-priority-badge ${priority ? '' : 'empty'}"
-                  style="background: ${priorityBg}; color: var(--color-text-secondary)"
-                  data-action="change-priority">
-              ${priority ? `${getPriorityIcon(priority.name)} ${escapeHtml(priority.name)}` : 'Set priority'}
-            </span>
-          </div>
-        </div>
+  const submitEditor = () => {
+    saveWikiPage(project, page, {
+      title: titleInput.value,
+      icon: iconInput.value,
+      content: textarea.value,
+    });
+  };
 
-        <!-- Assignee -->
-        <div class="task-panel-field">
-          <span class="task-panel-field-label">Assignee</span>
-          <div class="task-panel-field-value">
-            <div class="task-panel-assignee ${assignee ? '' : 'empty'}" data-action="change-assignee">
-              ${assignee
-                ? `<div class="task-panel-assignee-avatar" style="background: ${stringToColor(assignee.name)}">
-                    ${getInitials(assignee.name)}
-                  </div>
-                  <span class="task-panel-assignee-name">${escapeHtml(assignee.name)}</span>`
-                : `<div class="task-panel-assignee-avatar">+</div>
-                  <span class="task-panel-assignee-name">Assign someone</span>`
-              }
-            </div>
-          </div>
-        </div>
+  const cancelEditor = () => {
+    const changed = titleInput.value !== page.title
+      || iconInput.value !== (page.icon || '')
+      || textarea.value !== (page.content || '');
+    if (changed && !confirm('Discard unsaved changes?')) return;
 
-        <!-- Due Date -->
-        <div class="task-panel-field">
-          <span class="task-panel-field-label">Due Date</span>
-          <div class="task-panel-field-value">
-            <input type="date"
-                   class="task-panel-date-input"
-                   value="${task.due_date || ''}"
-                   data-field="due_date">
-          </div>
-        </div>
+    state.wikiEditingPageId = null;
+    renderWiki(project.slug, page.slug);
+  };
 
-        <!-- Start Date -->
-        <div class="task-panel-field">
-          <span class="task-panel-field-label">Start Date</span>
-          <div class="task-panel-field-value">
-            <input type="date"
-                   class="task-panel-date-input"
-                   value="${task.start_date || ''}"
-                   data-field="start_date">
-          </div>
-        </div>
+  editor.querySelector('[data-action="save-wiki-page"]').addEventListener('click', submitEditor, { signal });
+  editor.querySelector('[data-action="cancel-wiki-edit"]').addEventListener('click', cancelEditor, { signal });
 
-        <!-- Labels -->
-        <div class="task-panel-field">
-          <span class="task-panel-field-label">Labels</span>
-          <div class="task-panel-field-value">
-            <div class="task-panel-labels">
-              ${taskLabels.map(label => `
-                <span class="task-label">${escapeHtml(label.name)}</span>
-              `).join('')}
-              <button class="task-panel-add-label" data-action="add-label">
-                ${icons.plus} Add
-              </button>
-            </div>
-          </div>
-        </div>
+  textarea.addEventListener('input', () => {
+    preview.innerHTML = renderMarkdown(textarea.value);
+  }, { signal });
 
-        <!-- Description -->
-        <div class="task-panel-field task-panel-field--description">
-          <span class="task-panel-field-label">Description</span>
-          <div class="task-panel-field-value">
-            <textarea class="task-panel-description-input"
-                      data-field="description"
-                      placeholder="Add a description...">${escapeHtml(task.description || '')}</textarea>
-          </div>
-        </div>
-      </div>
+  editor.addEventListener('keydown', (e) => {
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 's') {
+      e.preventDefault();
+      submitEditor();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      cancelEditor();
+    }
+  }, { signal });
+}
 
-      <!-- Attachments Section -->
-      <div class="panel-section task-panel-section">
-        <div class="panel-section-header label-uppercase">
-          Attachments
-          <span class="task-panel-section-count">${taskFiles.length}</span>
-        </div>
-        <div class="task-panel-attachments">
-          ${taskFiles.length > 0 ? taskFiles.map(file => `
-            <div class="task-panel-attachment" data-file-id="${file.id}">
-              <div class="task-panel-attachment-icon">
-                ${getFileIcon(file.file_type)}
-              </div>
-              <div class="task-panel-attachment-info">
-                <span class="task-panel-attachment-name">${escapeHtml(file.name)}</span>
-                <span class="task-panel-attachment-meta">${formatFileSize(file.size_bytes)}</span>
-              </div>
-              <button class="task-panel-attachment-action" title="Download">
-                ${icons.download}
-              </button>
-            </div>
-          `).join('') : `
-            <div class="task-panel-empty-state">
-              <span>No attachments yet</span>
-            </div>
-          `}
-          <button class="task-panel-add-btn" data-action="add-attachment">
-            ${icons.plus} Add attachment
-          </button>
-          <input type="file" id="task-panel-file-input" class="files-input" multiple hidden>
-        </div>
+// ==========================================================================
+// Searchable User Dropdown
+// ==========================================================================
+
+let searchableDropdownState = {
+  focusedIndex: -1,
+  filteredUsers: [],
+  onSelect: null
+};
+
+function showSearchableUserDropdown(buttonElement, currentUserId, onSelect) {
+  closeSearchableDropdown();
+
+  const users = state.users;
+  searchableDropdownState.filteredUsers = users;
+  searchableDropdownState.focusedIndex = -1;
+  searchableDropdownState.onSelect = onSelect;
+
+  const dropdown = document.createElement('div');
+  dropdown.className = 'searchable-dropdown';
+  dropdown.id = 'searchable-dropdown';
+
+  dropdown.innerHTML = `
+    <div class="searchable-dropdown-search">
+      <div class="searchable-dropdown-search-wrapper">
+        <span class="searchable-dropdown-search-icon">${icons.search}</span>
+        <input type="text"
+               class="searchable-dropdown-input"
+               placeholder="Search team members..."
+               autocomplete="off">
       </div>
+    </div>
+    <div class="searchable-dropdown-list" id="searchable-dropdown-list">
+      ${renderUserDropdownItems(users, currentUserId)}
+    </div>
+  `;
+
+  // Position dropdown
+  const rect = buttonElement.getBoundingClientRect();
+  dropdown.style.top = `${rect.bottom + 4}px`;
+  dropdown.style.left = `${rect.left}px`;
+
+  // Ensure dropdown doesn't go off screen
+  document.body.appendChild(dropdown);
+
+  // Check if dropdown goes off right edge
+  const dropdownRect = dropdown.getBoundingClientRect();
+  if (dropdownRect.right > window.innerWidth - 16) {
+    dropdown.style.left = 'auto';
+    dropdown.style.right = '16px';
+  }
 
-      <!-- Activity Section -->
-      <div class="panel-section task-panel-section">
-        <div class="panel-section-header label-uppercase">
-          Activity
-        </div>
-        <div class="task-panel-activity">
-          <div class="task-panel-activity-item">
-            <div class="task-panel-activity-icon">
-              ${icons.plus}
-            </div>
-            <div class="task-panel-activity-content">
-              <span class="task-panel-activity-text">
-                <strong>${escapeHtml(getCurrentUser()?.name || 'Someone')}</strong> created this task
-              </span>
-              <span class="task-panel-activity-time">${formatDateTime(task.created_at)}</span>
-            </div>
-          </div>
-          ${task.updated_at !== task.created_at ? `
-            <div class="task-panel-activity-item">
-              <div class="task-panel-activity-icon">
-                ${icons.edit || icons.file}
-              </div>
-              <div class="task-panel-activity-content">
-                <span class="task-panel-activity-text">Task was updated</span>
-                <span class="task-panel-activity-time">${formatDateTime(task.updated_at)}</span>
-              </div>
-            </div>
-          ` : ''}
-        </div>
-      </div>
+  // Check if dropdown goes off bottom edge
+  if (dropdownRect.bottom > window.innerHeight - 16) {
+    dropdown.style.top = 'auto';
+    dropdown.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+  }
 
-      <!-- Comments Section -->
-      <div class="panel-section task-panel-section">
-        <div class="panel-section-header label-uppercase">
-          Comments
-          <span class="task-panel-section-count">0</span>
-        </div>
-        <div class="task-panel-comments">
-          <div class="task-panel-comment-input-wrapper">
-            <div class="task-panel-comment-avatar" style="background: ${stringToColor(getCurrentUser()?.name || 'User')}">
-              ${getInitials(getCurrentUser()?.name || 'U')}
-            </div>
-            <input type="text"
-                   class="task-panel-comment-input"
-                   placeholder="Add a comment..."
-                   disabled>
-          </div>
-          <div class="task-panel-empty-state">
-            <span>No comments yet. Be the first to comment!</span>
-          </div>
-        </div>
+  // Show dropdown with animation
+  requestAnimationFrame(() => {
+    dropdown.classList.add('open');
+  });
+
+  // Focus search input
+  const searchInput = dropdown.querySelector('.searchable-dropdown-input');
+  setTimeout(() => searchInput?.focus(), 50);
+
+  // Attach event listeners
+  attachSearchableDropdownListeners(dropdown, currentUserId);
+}
+
+function renderUserDropdownItems(users, currentUserId) {
+  if (users.length === 0) {
+    return `
+      <div class="searchable-dropdown-empty">
+        <div class="searchable-dropdown-empty-icon">${icons.users}</div>
+        No users found
       </div>
-    </div>
+    `;
+  }
 
-    <div class="task-panel-footer">
-      <div class="task-panel-footer-left">
-        <span class="task-panel-footer-info">
-          ${task.estimate_hours ? `${icons.clock} ${task.estimate_hours}h estimated` : ''}
-        </span>
+  return `
+    <button class="searchable-dropdown-item unassigned ${!currentUserId ? 'active' : ''}"
+            data-user-id="">
+      <div class="searchable-dropdown-item-avatar">
+        ${icons.x}
       </div>
-      <div class="task-panel-footer-right">
-        <button class="btn-danger-ghost" data-action="archive-task">
-          ${icons.archive || icons.trash} Archive
-        </button>
+      <div class="searchable-dropdown-item-info">
+        <div class="searchable-dropdown-item-name">Unassigned</div>
+        <div class="searchable-dropdown-item-meta">Remove assignee</div>
       </div>
-    </div>
+      <span class="searchable-dropdown-item-check">${icons.check}</span>
+    </button>
+    <div class="searchable-dropdown-divider"></div>
+    ${users.map(user => `
+      <button class="searchable-dropdown-item ${user.id === currentUserId ? 'active' : ''}"
+              data-user-id="${user.id}">
+        <div class="searchable-dropdown-item-avatar" style="background: ${stringToColor(user.name)}">
+          ${getInitials(user.name)}
+        </div>
+        <div class="searchable-dropdown-item-info">
+          <div class="searchable-dropdown-item-name">${escapeHtml(user.name)}</div>
+          <div class="searchable-dropdown-item-meta">${escapeHtml(user.job_title || user.email)}</div>
+        </div>
+        <span class="searchable-dropdown-item-check">${icons.check}</span>
+      </button>
+    `).join('')}
   `;
-
-  // Attach event listeners
-  attachTaskPanelEventListeners(task.id, projectSlug);
 }
 
-function attachTaskPanelEventListeners(taskId, projectSlug) {
-  const panel = document.getElementById('task-panel-content');
-  if (!panel) return;
+function attachSearchableDropdownListeners(dropdown, currentUserId) {
+  const searchInput = dropdown.querySelector('.searchable-dropdown-input');
+  const list = dropdown.querySelector('#searchable-dropdown-list');
 
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+  // Search input handler
+  searchInput?.addEventListener('input', (e) => {
+    const query = e.target.value.toLowerCase().trim();
+    filterUserDropdown(query, currentUserId);
+  });
 
-  // Close button
-  panel.querySelectorAll('[data-action="close-panel"]').forEach(btn => {
-    btn.addEventListener('click', closeTaskPanel);
+  // Keyboard navigation
+  searchInput?.addEventListener('keydown', (e) => {
+    const items = dropdown.querySelectorAll('.searchable-dropdown-item');
+    const itemCount = items.length;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        searchableDropdownState.focusedIndex = Math.min(
+          searchableDropdownState.focusedIndex + 1,
+          itemCount - 1
+        );
+        updateFocusedItem(dropdown);
+        break;
+
+      case 'ArrowUp':
+        e.preventDefault();
+        searchableDropdownState.focusedIndex = Math.max(
+          searchableDropdownState.focusedIndex - 1,
+          0
+        );
+        updateFocusedItem(dropdown);
+        break;
+
+      case 'Enter':
+        e.preventDefault();
+        if (searchableDropdownState.focusedIndex >= 0) {
+          const focusedItem = items[searchableDropdownState.focusedIndex];
+          if (focusedItem) {
+            selectUserFromDropdown(focusedItem.dataset.userId);
+          }
+        }
+        break;
+
+      case 'Escape':
+        e.preventDefault();
+        closeSearchableDropdown();
+        break;
+    }
   });
 
-  // Copy link button
-  panel.querySelectorAll('[data-action="copy-link"]').forEach(btn => {
-    btn.addEventListener('click', async () => {
-      const taskKey = btn.dataset.taskKey;
-      const url = `${window.location.origin}${window.location.pathname}#/projects/${projectSlug}/task/${taskKey}`;
-      try {
-        await navigator.clipboard.writeText(url);
-        showToast('Link copied to clipboard', 'success');
-      } catch (err) {
-        showToast('Failed to copy link', 'error');
-      }
-    });
+  // Click handlers for items
+  list?.addEventListener('click', (e) => {
+    const item = e.target.closest('.searchable-dropdown-item');
+    if (item) {
+      selectUserFromDropdown(item.dataset.userId);
+    }
   });
 
-  // Title input - auto-save on blur
-  const titleInput = panel.querySelector('[data-field="title"]');
-  if (titleInput) {
-    titleInput.addEventListener('blur', () => {
-      const newTitle = titleInput.value.trim();
-      if (newTitle) {
-        updateTaskField(taskId, 'title', newTitle, projectSlug);
-      }
-    });
-    titleInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        titleInput.blur();
-      }
+  // Close on outside click
+  setTimeout(() => {
+    document.addEventListener('click', handleSearchableDropdownOutsideClick);
+  }, 10);
+}
+
+function filterUserDropdown(query, currentUserId) {
+  const users = state.users;
+
+  if (!query) {
+    searchableDropdownState.filteredUsers = users;
+  } else {
+    searchableDropdownState.filteredUsers = users.filter(user => {
+      const nameMatch = user.name.toLowerCase().includes(query);
+      const emailMatch = user.email.toLowerCase().includes(query);
+      const titleMatch = user.job_title?.toLowerCase().includes(query);
+      return nameMatch || emailMatch || titleMatch;
     });
   }
 
-  // Description input - auto-save on blur
-  const descInput = panel.querySelector('[data-field="description"]');
-  if (descInput) {
-    descInput.addEventListener('blur', () => {
-      updateTaskField(taskId, 'description', descInput.value, projectSlug);
-    });
+  searchableDropdownState.focusedIndex = -1;
+
+  const list = document.getElementById('searchable-dropdown-list');
+  if (list) {
+    list.innerHTML = renderUserDropdownItems(searchableDropdownState.filteredUsers, currentUserId);
+  }
+}
+
+function updateFocusedItem(dropdown) {
+  const items = dropdown.querySelectorAll('.searchable-dropdown-item');
+  items.forEach((item, index) => {
+    item.classList.toggle('focused', index === searchableDropdownState.focusedIndex);
+  });
+
+  // Scroll focused item into view
+  const focusedItem = items[searchableDropdownState.focusedIndex];
+  if (focusedItem) {
+    focusedItem.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function selectUserFromDropdown(userId) {
+  const newAssigneeId = userId || null;
+  closeSearchableDropdown();
+
+  if (searchableDropdownState.onSelect) {
+    searchableDropdownState.onSelect(newAssigneeId);
+  }
+}
+
+function handleSearchableDropdownOutsideClick(e) {
+  const dropdown = document.getElementById('searchable-dropdown');
+  if (dropdown && !dropdown.contains(e.target)) {
+    closeSearchableDropdown();
+  }
+}
+
+function closeSearchableDropdown() {
+  const dropdown = document.getElementById('searchable-dropdown');
+  if (dropdown) {
+    dropdown.classList.remove('open');
+    setTimeout(() => dropdown.remove(), 150);
   }
+  document.removeEventListener('click', handleSearchableDropdownOutsideClick);
+  searchableDropdownState.focusedIndex = -1;
+  searchableDropdownState.filteredUsers = [];
+  searchableDropdownState.onSelect = null;
+}
+
+// ==========================================================================
+// Drag and Drop
+// ==========================================================================
+
+let dragState = {
+  draggingTaskId: null,
+  sourceStatusId: null,
+  dragElement: null,
+  currentProjectSlug: null
+};
 
-  // Date inputs
-  panel.querySelectorAll('[data-field="due_date"], [data-field="start_date"]').forEach(input => {
-    input.addEventListener('change', () => {
-      const field = input.dataset.field;
-      updateTaskField(taskId, field, input.value || null, projectSlug);
-    });
-  });
+function initDragAndDrop(projectSlug) {
+  dragState.currentProjectSlug = projectSlug;
 
-  // Status change
-  panel.querySelectorAll('[data-action="change-status"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      showPanelStatusDropdown(taskId, btn, projectSlug);
-    });
+  // Task list view - task rows
+  document.querySelectorAll('.task-row[draggable="true"]').forEach(row => {
+    row.addEventListener('dragstart', handleDragStart);
+    row.addEventListener('dragend', handleDragEnd);
+    row.addEventListener('dragover', handleTaskDragOver);
+    row.addEventListener('dragleave', handleDragLeave);
+    row.addEventListener('drop', handleTaskDrop);
   });
 
-  // Priority change
-  panel.querySelectorAll('[data-action="change-priority"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      showPanelPriorityDropdown(taskId, btn, projectSlug);
-    });
+  // Task list view - task groups (status sections)
+  document.querySelectorAll('.task-list').forEach(list => {
+    list.addEventListener('dragover', handleListDragOver);
+    list.addEventListener('dragleave', handleDragLeave);
+    list.addEventListener('drop', handleListDrop);
   });
 
-  // Assignee change
-  panel.querySelectorAll('[data-action="change-assignee"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      showPanelAssigneeDropdown(taskId, btn, projectSlug);
-    });
+  // Board view - board cards
+  document.querySelectorAll('.board-card[draggable="true"]').forEach(card => {
+    card.addEventListener('dragstart', handleDragStart);
+    card.addEventListener('dragend', handleDragEnd);
+    card.addEventListener('dragover', handleCardDragOver);
+    card.addEventListener('dragleave', handleDragLeave);
+    card.addEventListener('drop', handleCardDrop);
   });
 
-  // Archive task
-  panel.querySelectorAll('[data-action="archive-task"]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      if (confirm('Archive this task?')) {
-        archiveTask(taskId, projectSlug);
-      }
-    });
+  // Board view - column content areas
+  document.querySelectorAll('.board-column-content').forEach(content => {
+    content.addEventListener('dragover', handleColumnDragOver);
+    content.addEventListener('dragleave', handleDragLeave);
+    content.addEventListener('drop', handleColumnDrop);
   });
+}
 
-  // Add label - reuse existing label picker
-  panel.querySelectorAll('[data-action="add-label"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      showLabelPicker(taskId, btn, projectSlug);
-    });
-  });
+function handleDragStart(e) {
+  const element = e.target.closest('.task-row, .board-card');
+  if (!element) return;
 
-  // Add attachment
-  const addAttachmentBtn = panel.querySelector('[data-action="add-attachment"]');
-  const taskFileInput = panel.querySelector('#task-panel-file-input');
+  const taskId = element.dataset.taskId;
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  if (addAttachmentBtn && taskFileInput) {
-    addAttachmentBtn.addEventListener('click', () => {
-      taskFileInput.click();
-    });
+  dragState.draggingTaskId = taskId;
+  dragState.sourceStatusId = task.status_id;
+  dragState.dragElement = element;
 
-    taskFileInput.addEventListener('change', (e) => {
-      if (e.target.files.length > 0) {
-        const task = getTaskById(taskId);
-        if (task) {
-          handleFileUpload(e.target.files, task.project_id, taskId);
-        }
-        e.target.value = '';
-      }
-    });
-  }
+  element.classList.add('dragging');
+
+  // Dim the Board columns the workflow does not let this task move into
+  document.querySelectorAll('.board-column[data-group-type="status"]').forEach(column => {
+    column.classList.toggle('transition-blocked', Boolean(getTransitionError(task.status_id, column.dataset.groupId)));
+  });
+
+  // Set drag data
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', taskId);
+
+  // Create custom drag image (optional enhancement)
+  const dragImage = element.cloneNode(true);
+  dragImage.style.width = `${element.offsetWidth}px`;
+  dragImage.style.position = 'absolute';
+  dragImage.style.top = '-1000px';
+  dragImage.classList.add('drag-ghost');
+  document.body.appendChild(dragImage);
+  e.dataTransfer.setDragImage(dragImage, 20, 20);
+  setTimeout(() => dragImage.remove(), 0);
 }
 
-function updateTaskField(taskId, field, value, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+function handleDragEnd(e) {
+  const element = e.target.closest('.task-row, .board-card');
+  if (element) {
+    element.classList.remove('dragging');
+  }
 
-  const oldValue = task[field];
-  if (oldValue === value) return; // No change
+  // Clear all drag-over states
+  document.querySelectorAll('.drag-over, .drag-over-above, .drag-over-below').forEach(el => {
+    el.classList.remove('drag-over', 'drag-over-above', 'drag-over-below');
+  });
+  document.querySelectorAll('.board-column.transition-blocked').forEach(column => {
+    column.classList.remove('transition-blocked');
+  });
 
-  task[field] = value;
-  task.updated_at = new Date().toISOString();
+  dragState.draggingTaskId = null;
+  dragState.sourceStatusId = null;
+  dragState.dragElement = null;
+}
 
-  // Re-render the main view to reflect changes
-  renderProjectDetail(projectSlug);
+function handleDragLeave(e) {
+  const element = e.target.closest('.task-row, .board-card, .task-list, .board-column-content, .task-group, .board-column');
+  if (element) {
+    element.classList.remove('drag-over', 'drag-over-above', 'drag-over-below');
+  }
 }
 
-function archiveTask(taskId, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+// Task List View - Drag over a task row
+function handleTaskDragOver(e) {
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
 
-  task.is_archived = true;
-  task.updated_at = new Date().toISOString();
+  const targetRow = e.target.closest('.task-row');
+  if (!targetRow || targetRow.dataset.taskId === dragState.draggingTaskId) return;
 
-  closeTaskPanel();
-  showToast('Task archived', 'success');
-  renderProjectDetail(projectSlug);
+  // Clear previous indicators
+  document.querySelectorAll('.task-row.drag-over-above, .task-row.drag-over-below').forEach(el => {
+    if (el !== targetRow) el.classList.remove('drag-over-above', 'drag-over-below');
+  });
+
+  // Determine if dropping above or below based on mouse position
+  const rect = targetRow.getBoundingClientRect();
+  const midpoint = rect.top + rect.height / 2;
+  const isAbove = e.clientY < midpoint;
+
+  targetRow.classList.remove('drag-over-above', 'drag-over-below');
+  targetRow.classList.add(isAbove ? 'drag-over-above' : 'drag-over-below');
 }
 
-function showPanelStatusDropdown(taskId, buttonElement, projectSlug) {
-  const project = getProjectBySlug(projectSlug);
-  if (!project) return;
+// Task List View - Drop on a task row
+function handleTaskDrop(e) {
+  e.preventDefault();
+  e.stopPropagation();
 
-  const task = getTaskById(taskId);
-  if (!task) return;
+  const targetRow = e.target.closest('.task-row');
+  if (!targetRow) return;
 
-  const statuses = getStatusesForProject(project.id);
+  const targetTaskId = targetRow.dataset.taskId;
+  if (targetTaskId === dragState.draggingTaskId) return;
 
-  // Remove any existing dropdown
-  closePanelDropdown();
+  const targetTask = getTaskById(targetTaskId);
+  if (!targetTask) return;
 
-  const dropdown = document.createElement('div');
-  dropdown.className = 'dropdown-menu open';
-  dropdown.id = 'panel-dropdown';
-  dropdown.innerHTML = statuses.map(status => `
-    <button class="dropdown-item ${status.id === task.status_id ? 'active' : ''}"
-            data-value="${status.id}">
-      <span class="dropdown-item-dot" style="background: ${status.color}"></span>
-      ${escapeHtml(status.name)}
-    </button>
-  `).join('');
+  // Determine drop position
+  const rect = targetRow.getBoundingClientRect();
+  const isAbove = e.clientY < rect.top + rect.height / 2;
 
-  positionDropdown(dropdown, buttonElement);
-  document.body.appendChild(dropdown);
+  // Get target group info from the task group
+  const taskGroup = targetRow.closest('.task-group');
+  const groupId = taskGroup?.dataset.groupId;
+  const groupType = taskGroup?.dataset.groupType || 'status';
 
-  dropdown.querySelectorAll('[data-value]').forEach(item => {
-    item.addEventListener('click', () => {
-      const newStatusId = item.dataset.value;
-      updateTaskField(taskId, 'status_id', newStatusId, projectSlug);
-      closePanelDropdown();
-      // Re-render panel to show updated status
-      const updatedTask = getTaskById(taskId);
-      renderTaskPanel(updatedTask, projectSlug);
-      showToast('Status updated', 'success');
-    });
-  });
+  moveTask(dragState.draggingTaskId, groupId, groupType, targetTaskId, isAbove);
+}
 
-  setTimeout(() => {
-    document.addEventListener('click', handlePanelDropdownOutsideClick);
-  }, 10);
+// Task List View - Drag over the task list container (empty area)
+function handleListDragOver(e) {
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
+
+  const taskList = e.target.closest('.task-list');
+  if (taskList) {
+    taskList.classList.add('drag-over');
+  }
 }
 
-function showPanelPriorityDropdown(taskId, buttonElement, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+// Task List View - Drop on empty task list area
+function handleListDrop(e) {
+  e.preventDefault();
 
-  const priorities = state.priorities;
+  const taskList = e.target.closest('.task-list');
+  const taskGroup = taskList?.closest('.task-group');
+  const groupId = taskGroup?.dataset.groupId;
+  const groupType = taskGroup?.dataset.groupType || 'status';
 
-  closePanelDropdown();
+  if (groupId) {
+    moveTask(dragState.draggingTaskId, groupId, groupType, null, false);
+  }
+}
 
-  const dropdown = document.createElement('div');
-  dropdown.className = 'dropdown-menu open';
-  dropdown.id = 'panel-dropdown';
-  dropdown.innerHTML = `
-    <button class="dropdown-item ${!task.priority_id ? 'active' : ''}" data-value="">
-      <span class="dropdown-item-dot" style="background: #9ca3af"></span>
-      None
-    </button>
-    ${priorities.map(p => `
-      <button class="dropdown-item ${p.id === task.priority_id ? 'active' : ''}"
-              data-value="${p.id}">
-        <span class="dropdown-item-dot" style="background: ${p.color}"></span>
-        ${escapeHtml(p.name)}
-      </button>
-    `).join('')}
-  `;
+// Board View - Drag over a board card
+function handleCardDragOver(e) {
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
 
-  positionDropdown(dropdown, buttonElement);
-  document.body.appendChild(dropdown);
+  const targetCard = e.target.closest('.board-card');
+  if (!targetCard || targetCard.dataset.taskId === dragState.draggingTaskId) return;
 
-  dropdown.querySelectorAll('[data-value]').forEach(item => {
-    item.addEventListener('click', () => {
-      const newPriorityId = item.dataset.value || null;
-      updateTaskField(taskId, 'priority_id', newPriorityId, projectSlug);
-      closePanelDropdown();
-      const updatedTask = getTaskById(taskId);
-      renderTaskPanel(updatedTask, projectSlug);
-      showToast('Priority updated', 'success');
-    });
+  // Clear previous indicators
+  document.querySelectorAll('.board-card.drag-over-above, .board-card.drag-over-below').forEach(el => {
+    if (el !== targetCard) el.classList.remove('drag-over-above', 'drag-over-below');
   });
 
-  setTimeout(() => {
-    document.addEventListener('click', handlePanelDropdownOutsideClick);
-  }, 10);
+  // Determine if dropping above or below
+  const rect = targetCard.getBoundingClientRect();
+  const midpoint = rect.top + rect.height / 2;
+  const isAbove = e.clientY < midpoint;
+
+  targetCard.classList.remove('drag-over-above', 'drag-over-below');
+  targetCard.classList.add(isAbove ? 'drag-over-above' : 'drag-over-below');
 }
 
-function showPanelAssigneeDropdown(taskId, buttonElement, projectSlug) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+// Board View - Drop on a board card
+function handleCardDrop(e) {
+  e.preventDefault();
+  e.stopPropagation();
 
-  showSearchableUserDropdown(buttonElement, task.assignee_id, (newAssigneeId) => {
-    updateTaskField(taskId, 'assignee_id', newAssigneeId, projectSlug);
-    const updatedTask = getTaskById(taskId);
-    renderTaskPanel(updatedTask, projectSlug);
-    showToast('Assignee updated', 'success');
-  });
-}
+  const targetCard = e.target.closest('.board-card');
+  if (!targetCard) return;
 
-function positionDropdown(dropdown, buttonElement) {
-  const rect = buttonElement.getBoundingClientRect();
-  dropdown.style.position = 'fixed';
-  dropdown.style.top = `${rect.bottom + 4}px`;
-  dropdown.style.left = `${rect.left}px`;
-  dropdown.style.minWidth = '200px';
-}
+  const targetTaskId = targetCard.dataset.taskId;
+  if (targetTaskId === dragState.draggingTaskId) return;
 
-function handlePanelDropdownOutsideClick(e) {
-  const dropdown = document.getElementById('panel-dropdown');
-  if (dropdown && !dropdown.contains(e.target)) {
-    closePanelDropdown();
-  }
-}
+  const targetTask = getTaskById(targetTaskId);
+  if (!targetTask) return;
 
-function closePanelDropdown() {
-  const dropdown = document.getElementById('panel-dropdown');
-  if (dropdown) {
-    dropdown.remove();
-  }
-  document.removeEventListener('click', handlePanelDropdownOutsideClick);
+  // Determine drop position
+  const rect = targetCard.getBoundingClientRect();
+  const isAbove = e.clientY < rect.top + rect.height / 2;
+
+  // Get target group info from the column
+  const column = targetCard.closest('.board-column');
+  const groupId = column?.dataset.groupId;
+  const groupType = column?.dataset.groupType || 'status';
+
+  moveTask(dragState.draggingTaskId, groupId, groupType, targetTaskId, isAbove);
 }
 
-// ==========================================================================
-// Searchable User Dropdown
-// ==========================================================================
+// Board View - Drag over column content area
+function handleColumnDragOver(e) {
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
 
-let searchableDropdownState = {
-  focusedIndex: -1,
-  filteredUsers: [],
-  onSelect: null
-};
+  const columnContent = e.target.closest('.board-column-content');
+  if (columnContent) {
+    columnContent.classList.add('drag-over');
+  }
+}
 
-function showSearchableUserDropdown(buttonElement, currentUserId, onSelect) {
-  closeSearchableDropdown();
+// Board View - Drop on column content (empty area or end of column)
+function handleColumnDrop(e) {
+  e.preventDefault();
 
-  const users = state.users;
-  searchableDropdownState.filteredUsers = users;
-  searchableDropdownState.focusedIndex = -1;
-  searchableDropdownState.onSelect = onSelect;
+  const columnContent = e.target.closest('.board-column-content');
+  const column = columnContent?.closest('.board-column');
+  const groupId = column?.dataset.groupId;
+  const groupType = column?.dataset.groupType || 'status';
 
-  const dropdown = document.createElement('div');
-  dropdown.className = 'searchable-dropdown';
-  dropdown.id = 'searchable-dropdown';
+  if (groupId) {
+    moveTask(dragState.draggingTaskId, groupId, groupType, null, false);
+  }
+}
 
-  dropdown.innerHTML = `
-    <div class="searchable-dropdown-search">
-      <div class="searchable-dropdown-search-wrapper">
-        <span class="searchable-dropdown-search-icon">${icons.search}</span>
-        <input type="text"
-               class="searchable-dropdown-input"
-               placeholder="Search team members..."
-               autocomplete="off">
-      </div>
-    </div>
-    <div class="searchable-dropdown-list" id="searchable-dropdown-list">
-      ${renderUserDropdownItems(users, currentUserId)}
-    </div>
-  `;
+// Core function to move a task
+function moveTask(taskId, groupId, groupType, relativeToTaskId, insertBefore) {
+  const task = getTaskById(taskId);
+  if (!task) return;
 
-  // Position dropdown
-  const rect = buttonElement.getBoundingClientRect();
-  dropdown.style.top = `${rect.bottom + 4}px`;
-  dropdown.style.left = `${rect.left}px`;
+  const project = getProjectBySlug(dragState.currentProjectSlug);
+  if (!project) return;
 
-  // Ensure dropdown doesn't go off screen
-  document.body.appendChild(dropdown);
+  let fieldChanged = false;
+  let feedbackMessage = '';
+  const oldStatusId = task.status_id;
 
-  // Check if dropdown goes off right edge
-  const dropdownRect = dropdown.getBoundingClientRect();
-  if (dropdownRect.right > window.innerWidth - 16) {
-    dropdown.style.left = 'auto';
-    dropdown.style.right = '16px';
+  // Update the appropriate task field based on group type
+  if (groupType === 'status') {
+    if (!canEnterStatus(task, groupId)) {
+      renderProjectDetail(dragState.currentProjectSlug);
+      return;
+    }
+    if (task.status_id !== groupId) {
+      recordActivity(task, 'updated', 'status_id', task.status_id, groupId);
+      task.status_id = groupId;
+      task.updated_at = new Date().toISOString();
+      syncStatusTimestamps(task, oldStatusId);
+      fieldChanged = true;
+      const newStatus = getStatusById(groupId);
+      feedbackMessage = `Task moved to ${newStatus?.name || 'new status'}`;
+    }
+  } else if (groupType === 'priority') {
+    // groupId is like 'priority-high', 'priority-medium', 'priority-low', 'priority-none'
+    const newPriorityId = groupId === 'priority-none' ? null : groupId;
+    if (task.priority_id !== newPriorityId) {
+      recordActivity(task, 'updated', 'priority_id', task.priority_id, newPriorityId);
+      task.priority_id = newPriorityId;
+      task.updated_at = new Date().toISOString();
+      fieldChanged = true;
+      const priority = getPriorityById(newPriorityId);
+      feedbackMessage = `Task priority changed to ${priority?.name || 'No Priority'}`;
+    }
+  } else if (groupType === 'assignee') {
+    // groupId is like 'unassigned' or 'assignee-user-001'
+    const newAssigneeId = groupId === 'unassigned' ? null : groupId.replace('assignee-', '');
+    if (task.assignee_id !== newAssigneeId) {
+      recordActivity(task, 'updated', 'assignee_id', task.assignee_id, newAssigneeId);
+      task.assignee_id = newAssigneeId;
+      task.updated_at = new Date().toISOString();
+      fieldChanged = true;
+      const assignee = getUserById(newAssigneeId);
+      feedbackMessage = `Task assigned to ${assignee?.name || 'Unassigned'}`;
+    }
+  } else if (groupType === 'custom') {
+    // A multi select task sits in several groups, so dropping it only reorders
+    const field = getCustomFieldForKey(state.projectGroupBy[project.id]);
+    if (field && field.type !== 'multi_select' && setTaskCustomValue(task, field, getCustomGroupValue(field, groupId))) {
+      fieldChanged = true;
+      feedbackMessage = `${field.name} set to ${formatCustomValue(field, getTaskCustomValue(task, field)) || 'none'}`;
+    }
   }
 
-  // Check if dropdown goes off bottom edge
-  if (dropdownRect.bottom > window.innerHeight - 16) {
-    dropdown.style.top = 'auto';
-    dropdown.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+  // Get all tasks in the target group for reordering
+  // For now, we use sort_order within the status (simplest approach)
+  const targetTasks = state.tasks
+    .filter(t => t.project_id === project.id && t.status_id === task.status_id && !t.is_archived)
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+
+  // Remove the dragged task from the array if it's already there
+  const taskIndex = targetTasks.findIndex(t => t.id === taskId);
+  if (taskIndex !== -1) {
+    targetTasks.splice(taskIndex, 1);
   }
 
-  // Show dropdown with animation
-  requestAnimationFrame(() => {
-    dropdown.classList.add('open');
-  });
+  // Find insertion index
+  let insertIndex = targetTasks.length; // Default to end
 
-  // Focus search input
-  const searchInput = dropdown.querySelector('.searchable-dropdown-input');
-  setTimeout(() => searchInput?.focus(), 50);
+  if (relativeToTaskId) {
+    const relativeIndex = targetTasks.findIndex(t => t.id === relativeToTaskId);
+    if (relativeIndex !== -1) {
+      insertIndex = insertBefore ? relativeIndex : relativeIndex + 1;
+    }
+  }
 
-  // Attach event listeners
-  attachSearchableDropdownListeners(dropdown, currentUserId);
-}
+  // Insert task at new position
+  targetTasks.splice(insertIndex, 0, task);
 
-function renderUserDropdownItems(users, currentUserId) {
-  if (users.length === 0) {
-    return `
-      <div class="searchable-dropdown-empty">
-        <div class="searchable-dropdown-empty-icon">${icons.users}</div>
-        No users found
-      </div>
-    `;
-  }
+  // Update sort_order for all tasks in this status
+  targetTasks.forEach((t, index) => {
+    t.sort_order = index + 1;
+  });
+  persistRecords('tasks', targetTasks);
 
-  return `
-    <button class="searchable-dropdown-item unassigned ${!currentUserId ? 'active' : ''}"
-            data-user-id="">
-      <div class="searchable-dropdown-item-avatar">
-        ${icons.x}
-      </div>
-      <div class="searchable-dropdown-item-info">
-        <div class="searchable-dropdown-item-name">Unassigned</div>
-        <div class="searchable-dropdown-item-meta">Remove assignee</div>
-      </div>
-      <span class="searchable-dropdown-item-check">${icons.check}</span>
-    </button>
-    <div class="searchable-dropdown-divider"></div>
-    ${users.map(user => `
-      <button class="searchable-dropdown-item ${user.id === currentUserId ? 'active' : ''}"
-              data-user-id="${user.id}">
-        <div class="searchable-dropdown-item-avatar" style="background: ${stringToColor(user.name)}">
-          ${getInitials(user.name)}
-        </div>
-        <div class="searchable-dropdown-item-info">
-          <div class="searchable-dropdown-item-name">${escapeHtml(user.name)}</div>
-          <div class="searchable-dropdown-item-meta">${escapeHtml(user.job_title || user.email)}</div>
-        </div>
-        <span class="searchable-dropdown-item-check">${icons.check}</span>
-      </button>
-    `).join('')}
-  `;
+  // Show feedback
+  if (fieldChanged && feedbackMessage) {
+    showToast(feedbackMessage, 'success');
+  }
+  if (task.status_id !== oldStatusId) applyStatusChangeEffects(task, oldStatusId);
+
+  // Re-render the view
+  renderProjectDetail(dragState.currentProjectSlug);
 }
 
-function attachSearchableDropdownListeners(dropdown, currentUserId) {
-  const searchInput = dropdown.querySelector('.searchable-dropdown-input');
-  const list = dropdown.querySelector('#searchable-dropdown-list');
+// ==========================================================================
+// Global Search
+// ==========================================================================
 
-  // Search input handler
-  searchInput?.addEventListener('input', (e) => {
-    const query = e.target.value.toLowerCase().trim();
-    filterUserDropdown(query, currentUserId);
-  });
+const SEARCH_RESULT_LIMIT = 12;
 
-  // Keyboard navigation
-  searchInput?.addEventListener('keydown', (e) => {
-    const items = dropdown.querySelectorAll('.searchable-dropdown-item');
-    const itemCount = items.length;
+// Match scores per field, highest wins for each query term
+const SEARCH_FIELD_WEIGHTS = {
+  key: 100,
+  title: 60,
+  label: 25,
+  project: 15,
+  description: 10,
+};
 
-    switch (e.key) {
-      case 'ArrowDown':
-        e.preventDefault();
-        searchableDropdownState.focusedIndex = Math.min(
-          searchableDropdownState.focusedIndex + 1,
-          itemCount - 1
-        );
-        updateFocusedItem(dropdown);
-        break;
+// Lazily built index over projects, tasks, files and wiki pages. Reset by invalidateSearchIndex()
+let searchIndex = null;
 
-      case 'ArrowUp':
-        e.preventDefault();
-        searchableDropdownState.focusedIndex = Math.max(
-          searchableDropdownState.focusedIndex - 1,
-          0
-        );
-        updateFocusedItem(dropdown);
-        break;
+let globalSearchState = {
+  results: [],
+  focusedIndex: -1,
+};
 
-      case 'Enter':
-        e.preventDefault();
-        if (searchableDropdownState.focusedIndex >= 0) {
-          const focusedItem = items[searchableDropdownState.focusedIndex];
-          if (focusedItem) {
-            selectUserFromDropdown(focusedItem.dataset.userId);
-          }
-        }
-        break;
+function invalidateSearchIndex() {
+  searchIndex = null;
+}
 
-      case 'Escape':
-        e.preventDefault();
-        closeSearchableDropdown();
-        break;
-    }
+/**
+ * Build the in-memory search index. Each entry keeps the lowercased fields
+ * it can be matched on, keyed by SEARCH_FIELD_WEIGHTS.
+ */
+function buildSearchIndex() {
+  const entries = [];
+
+  state.projects.forEach(project => {
+    entries.push({
+      type: 'project',
+      id: project.id,
+      project,
+      title: project.name,
+      meta: project.identifier,
+      fields: {
+        key: (project.identifier || '').toLowerCase(),
+        title: project.name.toLowerCase(),
+        description: (project.description || '').toLowerCase(),
+      },
+    });
   });
 
-  // Click handlers for items
-  list?.addEventListener('click', (e) => {
-    const item = e.target.closest('.searchable-dropdown-item');
-    if (item) {
-      selectUserFromDropdown(item.dataset.userId);
-    }
+  state.tasks.forEach(task => {
+    const project = getProjectById(task.project_id);
+    if (!project) return;
+
+    const key = `${project.identifier}-${task.sequence_id}`;
+    const labels = (task.label_ids || []).map(id => getLabelById(id)?.name).filter(Boolean);
+    entries.push({
+      type: 'task',
+      id: task.id,
+      project,
+      title: task.title,
+      meta: `${key} · ${project.name}`,
+      isArchived: task.is_archived,
+      fields: {
+        key: key.toLowerCase(),
+        title: task.title.toLowerCase(),
+        label: labels.join(' ').toLowerCase(),
+        project: project.name.toLowerCase(),
+        description: (task.description || '').toLowerCase(),
+      },
+    });
   });
 
-  // Close on outside click
-  setTimeout(() => {
-    document.addEventListener('click', handleSearchableDropdownOutsideClick);
-  }, 10);
-}
-
-function filterUserDropdown(query, currentUserId) {
-  const users = state.users;
+  state.files.forEach(file => {
+    const project = getProjectById(file.project_id);
+    if (!project) return;
+
+    entries.push({
+      type: 'file',
+      id: file.id,
+      project,
+      title: file.name,
+      meta: `File · ${project.name}`,
+      fields: {
+        title: file.name.toLowerCase(),
+        project: project.name.toLowerCase(),
+      },
+    });
+  });
 
-  if (!query) {
-    searchableDropdownState.filteredUsers = users;
-  } else {
-    searchableDropdownState.filteredUsers = users.filter(user => {
-      const nameMatch = user.name.toLowerCase().includes(query);
-      const emailMatch = user.email.toLowerCase().includes(query);
-      const titleMatch = user.job_title?.toLowerCase().includes(query);
-      return nameMatch || emailMatch || titleMatch;
+  state.wikiPages.forEach(page => {
+    const project = getProjectById(page.project_id);
+    if (!project) return;
+
+    entries.push({
+      type: 'page',
+      id: page.id,
+      project,
+      title: page.title,
+      meta: `Wiki · ${project.name}`,
+      fields: {
+        title: page.title.toLowerCase(),
+        project: project.name.toLowerCase(),
+        description: (page.content || '').toLowerCase(),
+      },
     });
-  }
+  });
 
-  searchableDropdownState.focusedIndex = -1;
+  return entries;
+}
 
-  const list = document.getElementById('searchable-dropdown-list');
-  if (list) {
-    list.innerHTML = renderUserDropdownItems(searchableDropdownState.filteredUsers, currentUserId);
+function getSearchIndex() {
+  if (!searchIndex) {
+    searchIndex = buildSearchIndex();
   }
+  return searchIndex;
+}
+
+function scoreSearchTerm(fields, term) {
+  let best = 0;
+  Object.entries(fields).forEach(([field, value]) => {
+    if (!value) return;
+    const weight = SEARCH_FIELD_WEIGHTS[field];
+    let score = 0;
+    if (value === term) {
+      score = weight * 2;
+    } else if (value.startsWith(term)) {
+      score = weight * 1.5;
+    } else if (value.includes(` ${term}`) || value.includes(`-${term}`)) {
+      score = weight * 1.2;
+    } else if (value.includes(term)) {
+      score = weight;
+    }
+    best = Math.max(best, score);
+  });
+  return best;
 }
 
-function updateFocusedItem(dropdown) {
-  const items = dropdown.querySelectorAll('.searchable-dropdown-item');
-  items.forEach((item, index) => {
-    item.classList.toggle('focused', index === searchableDropdownState.focusedIndex);
+/**
+ * Search projects, tasks, files and wiki pages. Every term of the query must match
+ * at least one field; results are ranked by the summed field scores.
+ * @param {string} query
+ * @returns {Array} Matching index entries, best first
+ */
+function searchAll(query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const fullQuery = terms.join(' ');
+  const results = [];
+
+  getSearchIndex().forEach(entry => {
+    let score = 0;
+    for (const term of terms) {
+      const termScore = scoreSearchTerm(entry.fields, term);
+      if (termScore === 0) return;
+      score += termScore;
+    }
+    // Reward the whole query matching a key or title, e.g. "con-3" or "site survey"
+    if (terms.length > 1 && entry.fields.title.includes(fullQuery)) score += SEARCH_FIELD_WEIGHTS.title;
+    if (entry.fields.key === fullQuery) score += SEARCH_FIELD_WEIGHTS.key;
+    if (entry.isArchived) score *= 0.5;
+    results.push({ entry, score });
   });
 
-  // Scroll focused item into view
-  const focusedItem = items[searchableDropdownState.focusedIndex];
-  if (focusedItem) {
-    focusedItem.scrollIntoView({ block: 'nearest' });
-  }
+  return results
+    .sort((a, b) => b.score - a.score || a.entry.title.localeCompare(b.entry.title))
+    .slice(0, SEARCH_RESULT_LIMIT)
+    .map(result => result.entry);
 }
 
-function selectUserFromDropdown(userId) {
-  const newAssigneeId = userId || null;
-  closeSearchableDropdown();
+function highlightSearchMatch(text, query) {
+  const terms = query.trim().split(/\s+/).filter(Boolean)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (terms.length === 0) return escapeHtml(text);
 
-  if (searchableDropdownState.onSelect) {
-    searchableDropdownState.onSelect(newAssigneeId);
-  }
+  const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+  return text.split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
 }
 
-function handleSearchableDropdownOutsideClick(e) {
-  const dropdown = document.getElementById('searchable-dropdown');
-  if (dropdown && !dropdown.contains(e.target)) {
-    closeSearchableDropdown();
+function getSearchResultIcon(entry) {
+  if (entry.type === 'project') {
+    return `<span class="search-result-swatch" style="background: ${entry.project.color || FALLBACK_COLOR}"></span>`;
   }
-}
-
-function closeSearchableDropdown() {
-  const dropdown = document.getElementById('searchable-dropdown');
-  if (dropdown) {
-    dropdown.classList.remove('open');
-    setTimeout(() => dropdown.remove(), 150);
+  if (entry.type === 'file') {
+    return getFileIcon(getFileById(entry.id)?.file_type);
   }
-  document.removeEventListener('click', handleSearchableDropdownOutsideClick);
-  searchableDropdownState.focusedIndex = -1;
-  searchableDropdownState.filteredUsers = [];
-  searchableDropdownState.onSelect = null;
+  if (entry.type === 'page') {
+    return icons.file;
+  }
+  return icons.tasks;
 }
 
-// ==========================================================================
-// Drag and Drop
-// ==========================================================================
+function renderSearchResults(query) {
+  const container = document.getElementById('search-container');
+  const input = document.getElementById('search-input');
+  if (!container || !input) return;
 
-let dragState = {
-  draggingTaskId: null,
-  sourceStatusId: null,
-  dragElement: null,
-  currentProjectSlug: null
-};
+  let resultsEl = document.getElementById('search-results');
+  if (!query.trim()) {
+    hideSearchResults();
+    return;
+  }
 
-function initDragAndDrop(projectSlug) {
-  dragState.currentProjectSlug = projectSlug;
+  if (!resultsEl) {
+    resultsEl = document.createElement('div');
+    resultsEl.id = 'search-results';
+    resultsEl.className = 'search-results';
+    resultsEl.setAttribute('role', 'listbox');
+    container.appendChild(resultsEl);
 
-  // Task list view - task rows
-  document.querySelectorAll('.task-row[draggable="true"]').forEach(row => {
-    row.addEventListener('dragstart', handleDragStart);
-    row.addEventListener('dragend', handleDragEnd);
-    row.addEventListener('dragover', handleTaskDragOver);
-    row.addEventListener('dragleave', handleDragLeave);
-    row.addEventListener('drop', handleTaskDrop);
-  });
+    resultsEl.addEventListener('mousedown', (e) => {
+      // Keep focus in the input while clicking a result
+      e.preventDefault();
+    });
+    resultsEl.addEventListener('click', (e) => {
+      const item = e.target.closest('.search-result-item');
+      if (item) {
+        selectSearchResult(Number(item.dataset.index));
+      }
+    });
+  }
 
-  // Task list view - task groups (status sections)
-  document.querySelectorAll('.task-list').forEach(list => {
-    list.addEventListener('dragover', handleListDragOver);
-    list.addEventListener('dragleave', handleDragLeave);
-    list.addEventListener('drop', handleListDrop);
-  });
+  globalSearchState.results = searchAll(query);
+  globalSearchState.focusedIndex = globalSearchState.results.length > 0 ? 0 : -1;
 
-  // Board view - board cards
-  document.querySelectorAll('.board-card[draggable="true"]').forEach(card => {
-    card.addEventListener('dragstart', handleDragStart);
-    card.addEventListener('dragend', handleDragEnd);
-    card.addEventListener('dragover', handleCardDragOver);
-    card.addEventListener('dragleave', handleDragLeave);
-    card.addEventListener('drop', handleCardDrop);
-  });
+  if (globalSearchState.results.length === 0) {
+    resultsEl.innerHTML = `<div class="search-results-empty">No results for "${escapeHtml(query.trim())}"</div>`;
+  } else {
+    resultsEl.innerHTML = globalSearchState.results.map((entry, index) => `
+      <button class="search-result-item" id="search-result-${index}" role="option" data-index="${index}">
+        <span class="search-result-icon">${getSearchResultIcon(entry)}</span>
+        <span class="search-result-info">
+          <span class="search-result-title">${highlightSearchMatch(entry.title, query)}</span>
+          <span class="search-result-meta">${escapeHtml(entry.meta)}${entry.isArchived ? ' · Archived' : ''}</span>
+        </span>
+        <span class="search-result-type">${entry.type}</span>
+      </button>
+    `).join('');
+  }
 
-  // Board view - column content areas
-  document.querySelectorAll('.board-column-content').forEach(content => {
-    content.addEventListener('dragover', handleColumnDragOver);
-    content.addEventListener('dragleave', handleDragLeave);
-    content.addEventListener('drop', handleColumnDrop);
-  });
+  input.setAttribute('aria-expanded', 'true');
+  updateFocusedSearchResult();
 }
 
-function handleDragStart(e) {
-  const element = e.target.closest('.task-row, .board-card');
-  if (!element) return;
-
-  const taskId = element.dataset.taskId;
-  const task = getTaskById(taskId);
-  if (!task) return;
+function updateFocusedSearchResult() {
+  const input = document.getElementById('search-input');
+  const items = document.querySelectorAll('#search-results .search-result-item');
 
-  dragState.draggingTaskId = taskId;
-  dragState.sourceStatusId = task.status_id;
-  dragState.dragElement = element;
+  items.forEach((item, index) => {
+    const isFocused = index === globalSearchState.focusedIndex;
+    item.classList.toggle('focused', isFocused);
+    item.setAttribute('aria-selected', isFocused ? 'true' : 'false');
+    if (isFocused) {
+      item.scrollIntoView({ block: 'nearest' });
+    }
+  });
 
-  element.classList.add('dragging');
+  if (globalSearchState.focusedIndex >= 0) {
+    input?.setAttribute('aria-activedescendant', `search-result-${globalSearchState.focusedIndex}`);
+  } else {
+    input?.removeAttribute('aria-activedescendant');
+  }
+}
 
-  // Set drag data
-  e.dataTransfer.effectAllowed = 'move';
-  e.dataTransfer.setData('text/plain', taskId);
+function hideSearchResults() {
+  document.getElementById('search-results')?.remove();
+  globalSearchState.results = [];
+  globalSearchState.focusedIndex = -1;
 
-  // Create custom drag image (optional enhancement)
-  const dragImage = element.cloneNode(true);
-  dragImage.style.width = `${element.offsetWidth}px`;
-  dragImage.style.position = 'absolute';
-  dragImage.style.top = '-1000px';
-  dragImage.classList.add('drag-ghost');
-  document.body.appendChild(dragImage);
-  e.dataTransfer.setDragImage(dragImage, 20, 20);
-  setTimeout(() => dragImage.remove(), 0);
+  const input = document.getElementById('search-input');
+  input?.setAttribute('aria-expanded', 'false');
+  input?.removeAttribute('aria-activedescendant');
 }
 
-function handleDragEnd(e) {
-  const element = e.target.closest('.task-row, .board-card');
-  if (element) {
-    element.classList.remove('dragging');
+/**
+ * Navigate to a project, optionally switching tab first, and run a callback
+ * once the project view has rendered
+ */
+function navigateToProject(slug, tab = null, onRendered = null) {
+  if (tab) {
+    state.currentProjectTab = tab;
   }
 
-  // Clear all drag-over states
-  document.querySelectorAll('.drag-over, .drag-over-above, .drag-over-below').forEach(el => {
-    el.classList.remove('drag-over', 'drag-over-above', 'drag-over-below');
-  });
-
-  dragState.draggingTaskId = null;
-  dragState.sourceStatusId = null;
-  dragState.dragElement = null;
-}
-
-function handleDragLeave(e) {
-  const element = e.target.closest('.task-row, .board-card, .task-list, .board-column-content, .task-group, .board-column');
-  if (element) {
-    element.classList.remove('drag-over', 'drag-over-above', 'drag-over-below');
+  const target = `#/projects/${slug}`;
+  if (window.location.hash === target) {
+    renderProjectDetail(slug);
+    onRendered?.();
+  } else {
+    if (onRendered) {
+      window.addEventListener('hashchange', () => onRendered(), { once: true });
+    }
+    navigate(target);
   }
 }
 
-// Task List View - Drag over a task row
-function handleTaskDragOver(e) {
-  e.preventDefault();
-  e.dataTransfer.dropEffect = 'move';
+function selectSearchResult(index) {
+  const entry = globalSearchState.results[index];
+  if (!entry) return;
 
-  const targetRow = e.target.closest('.task-row');
-  if (!targetRow || targetRow.dataset.taskId === dragState.draggingTaskId) return;
+  const slug = entry.project.slug;
+  closeSearch();
 
-  // Clear previous indicators
-  document.querySelectorAll('.task-row.drag-over-above, .task-row.drag-over-below').forEach(el => {
-    if (el !== targetRow) el.classList.remove('drag-over-above', 'drag-over-below');
-  });
+  switch (entry.type) {
+    case 'project':
+      navigateToProject(slug);
+      break;
+    case 'task':
+      navigateToProject(slug, null, () => openTaskPanel(entry.id, slug));
+      break;
+    case 'file':
+      navigateToProject(slug, 'files', () => openFilePreview(entry.id, slug));
+      break;
+    case 'page':
+      navigate(`#/wiki/${slug}/${getWikiPageById(entry.id)?.slug || ''}`);
+      break;
+  }
+}
 
-  // Determine if dropping above or below based on mouse position
-  const rect = targetRow.getBoundingClientRect();
-  const midpoint = rect.top + rect.height / 2;
-  const isAbove = e.clientY < midpoint;
+function closeSearch() {
+  const searchContainer = document.getElementById('search-container');
+  const searchInput = document.getElementById('search-input');
 
-  targetRow.classList.remove('drag-over-above', 'drag-over-below');
-  targetRow.classList.add(isAbove ? 'drag-over-above' : 'drag-over-below');
+  searchContainer?.classList.remove('expanded');
+  if (searchInput) {
+    searchInput.value = '';
+    searchInput.blur();
+  }
+  hideSearchResults();
 }
 
-// Task List View - Drop on a task row
-function handleTaskDrop(e) {
-  e.preventDefault();
-  e.stopPropagation();
+// ==========================================================================
+// Command Palette
+// ==========================================================================
 
-  const targetRow = e.target.closest('.task-row');
-  if (!targetRow) return;
+const COMMAND_PALETTE_LIMIT = 50;
 
-  const targetTaskId = targetRow.dataset.taskId;
-  if (targetTaskId === dragState.draggingTaskId) return;
+let commandPaletteState = {
+  commands: [],
+  results: [],
+  focusedIndex: 0,
+};
 
-  const targetTask = getTaskById(targetTaskId);
-  if (!targetTask) return;
+/**
+ * Fuzzy match a query against text. Every query character must appear in
+ * order; consecutive characters and word starts score higher.
+ * @returns {{score: number, indices: number[]}|null} Null when not matched.
+ *   Indices count code points, as highlightFuzzyMatch() does, so emoji in a
+ *   title don't shift the highlight.
+ */
+function fuzzyMatch(query, text) {
+  const needle = [...query.toLowerCase().replace(/\s+/g, '')];
+  const haystack = [...text].map(char => char.toLowerCase());
+  if (needle.length === 0) return { score: 0, indices: [] };
+
+  const indices = [];
+  let score = 0;
+  let previous = -2;
+  let qi = 0;
+
+  for (let ti = 0; ti < haystack.length && qi < needle.length; ti++) {
+    if (haystack[ti] !== needle[qi]) continue;
+
+    let charScore = 1;
+    if (ti === previous + 1) charScore += 5;
+    if (ti === 0 || /[\s\-:/›]/.test(haystack[ti - 1])) charScore += 8;
+
+    score += charScore;
+    indices.push(ti);
+    previous = ti;
+    qi++;
+  }
 
-  // Determine drop position
-  const rect = targetRow.getBoundingClientRect();
-  const isAbove = e.clientY < rect.top + rect.height / 2;
+  if (qi < needle.length) return null;
 
-  // Get target group info from the task group
-  const taskGroup = targetRow.closest('.task-group');
-  const groupId = taskGroup?.dataset.groupId;
-  const groupType = taskGroup?.dataset.groupType || 'status';
+  // Prefer shorter titles when scores tie
+  return { score: score - haystack.length * 0.01, indices };
+}
 
-  moveTask(dragState.draggingTaskId, groupId, groupType, targetTaskId, isAbove);
+function highlightFuzzyMatch(text, indices) {
+  if (!indices.length) return escapeHtml(text);
+  const matched = new Set(indices);
+  return [...text].map((char, i) => (matched.has(i) ? `<mark>${escapeHtml(char)}</mark>` : escapeHtml(char))).join('');
 }
 
-// Task List View - Drag over the task list container (empty area)
-function handleListDragOver(e) {
-  e.preventDefault();
-  e.dataTransfer.dropEffect = 'move';
+function getCurrentProjectSlug() {
+  const route = parseRoute();
+  return route.page === 'projects' && route.param ? route.param : null;
+}
 
-  const taskList = e.target.closest('.task-list');
-  if (taskList) {
-    taskList.classList.add('drag-over');
+/**
+ * Re-render the task panel if it is open, after a change made outside it
+ */
+function refreshOpenTaskPanel() {
+  if (!state.openTaskId) return;
+  const task = getTaskById(state.openTaskId);
+  if (task) {
+    renderTaskPanel(task, state.openTaskProjectSlug);
   }
 }
 
-// Task List View - Drop on empty task list area
-function handleListDrop(e) {
-  e.preventDefault();
+function getOpenTaskCommands() {
+  const task = state.openTaskId ? getTaskById(state.openTaskId) : null;
+  const slug = state.openTaskProjectSlug;
+  const project = slug ? getProjectBySlug(slug) : null;
+  if (!task || !project) return [];
+
+  const section = `${project.identifier}-${task.sequence_id}`;
+  const commands = [];
+
+  getStatusesForProject(project.id)
+    .filter(status => status.id !== task.status_id)
+    .forEach(status => {
+      commands.push({
+        section,
+        title: `Change status to ${status.name}`,
+        run: () => {
+          updateTaskStatus(task.id, status.id, slug);
+          refreshOpenTaskPanel();
+        },
+      });
+    });
 
-  const taskList = e.target.closest('.task-list');
-  const taskGroup = taskList?.closest('.task-group');
-  const groupId = taskGroup?.dataset.groupId;
-  const groupType = taskGroup?.dataset.groupType || 'status';
+  [...state.priorities, null]
+    .filter(priority => (priority?.id || null) !== task.priority_id)
+    .forEach(priority => {
+      commands.push({
+        section,
+        title: priority ? `Set priority to ${priority.name}` : 'Remove priority',
+        run: () => {
+          updateTaskPriority(task.id, priority?.id || null, slug);
+          refreshOpenTaskPanel();
+        },
+      });
+    });
 
-  if (groupId) {
-    moveTask(dragState.draggingTaskId, groupId, groupType, null, false);
-  }
+  [...state.users, null]
+    .filter(user => (user?.id || null) !== task.assignee_id)
+    .forEach(user => {
+      commands.push({
+        section,
+        title: user ? `Assign to ${user.name}` : 'Unassign',
+        run: () => {
+          updateTaskField(task.id, 'assignee_id', user?.id || null, slug);
+          refreshOpenTaskPanel();
+          showToast('Assignee updated', 'success');
+        },
+      });
+    });
+
+  return commands;
 }
 
-// Board View - Drag over a board card
-function handleCardDragOver(e) {
-  e.preventDefault();
-  e.dataTransfer.dropEffect = 'move';
+function getProjectActionCommands(slug) {
+  const project = getProjectBySlug(slug);
+  if (!project) return [];
 
-  const targetCard = e.target.closest('.board-card');
-  if (!targetCard || targetCard.dataset.taskId === dragState.draggingTaskId) return;
+  const section = project.name;
+  const showArchived = state.showArchivedTasks[project.id] || false;
 
-  // Clear previous indicators
-  document.querySelectorAll('.board-card.drag-over-above, .board-card.drag-over-below').forEach(el => {
-    if (el !== targetCard) el.classList.remove('drag-over-above', 'drag-over-below');
-  });
+  const commands = [
+    {
+      section,
+      title: 'Create task',
+      run: () => showCreateTaskModal(slug),
+    },
+    {
+      section,
+      title: showArchived ? 'Hide archived tasks' : 'Show archived tasks',
+      run: () => {
+        state.showArchivedTasks[project.id] = !showArchived;
+        renderProjectDetail(slug);
+      },
+    },
+  ];
 
-  // Determine if dropping above or below
-  const rect = targetCard.getBoundingClientRect();
-  const midpoint = rect.top + rect.height / 2;
-  const isAbove = e.clientY < midpoint;
+  ['week', 'month', 'quarter', 'year'].forEach(scale => {
+    commands.push({
+      section,
+      title: `Roadmap: ${scale.charAt(0).toUpperCase() + scale.slice(1)} scale`,
+      run: () => {
+        state.roadmapScale = scale;
+        state.roadmapOffset = 0;
+        navigateToProject(slug, 'roadmap');
+      },
+    });
+  });
 
-  targetCard.classList.remove('drag-over-above', 'drag-over-below');
-  targetCard.classList.add(isAbove ? 'drag-over-above' : 'drag-over-below');
+  return commands;
 }
 
-// Board View - Drop on a board card
-function handleCardDrop(e) {
-  e.preventDefault();
-  e.stopPropagation();
-
-  const targetCard = e.target.closest('.board-card');
-  if (!targetCard) return;
-
-  const targetTaskId = targetCard.dataset.taskId;
-  if (targetTaskId === dragState.draggingTaskId) return;
-
-  const targetTask = getTaskById(targetTaskId);
-  if (!targetTask) return;
+function getNavigationCommands() {
+  const commands = [
+    { section: 'Navigation', title: 'Go to Projects', run: () => navigate('#/projects') },
+    { section: 'Navigation', title: 'Go to Reports', run: () => navigate('#/reports') },
+    { section: 'Navigation', title: 'Go to Wiki', run: () => navigate('#/wiki') },
+  ];
 
-  // Determine drop position
-  const rect = targetCard.getBoundingClientRect();
-  const isAbove = e.clientY < rect.top + rect.height / 2;
+  state.projects.forEach(project => {
+    PROJECT_TABS.forEach(tab => {
+      commands.push({
+        section: 'Navigation',
+        title: `${project.name} › ${tab.label}`,
+        run: () => navigateToProject(project.slug, tab.id),
+      });
+    });
+  });
 
-  // Get target group info from the column
-  const column = targetCard.closest('.board-column');
-  const groupId = column?.dataset.groupId;
-  const groupType = column?.dataset.groupType || 'status';
+  return commands;
+}
 
-  moveTask(dragState.draggingTaskId, groupId, groupType, targetTaskId, isAbove);
+/**
+ * Collect the commands available in the current context: actions for the
+ * open task first, then the current project, then navigation
+ */
+function getPaletteCommands() {
+  const slug = getCurrentProjectSlug();
+  return [
+    ...getOpenTaskCommands(),
+    ...(slug ? getProjectActionCommands(slug) : []),
+    ...getNavigationCommands(),
+  ];
 }
 
-// Board View - Drag over column content area
-function handleColumnDragOver(e) {
-  e.preventDefault();
-  e.dataTransfer.dropEffect = 'move';
+function filterPaletteCommands(query) {
+  const matches = [];
+  commandPaletteState.commands.forEach((command, order) => {
+    const match = fuzzyMatch(query, command.title);
+    if (match) {
+      matches.push({ command, order, ...match });
+    }
+  });
 
-  const columnContent = e.target.closest('.board-column-content');
-  if (columnContent) {
-    columnContent.classList.add('drag-over');
+  if (query.trim()) {
+    matches.sort((a, b) => b.score - a.score || a.order - b.order);
   }
+  return matches.slice(0, COMMAND_PALETTE_LIMIT);
 }
 
-// Board View - Drop on column content (empty area or end of column)
-function handleColumnDrop(e) {
-  e.preventDefault();
+function renderCommandPaletteResults(query) {
+  const list = document.getElementById('command-palette-list');
+  if (!list) return;
 
-  const columnContent = e.target.closest('.board-column-content');
-  const column = columnContent?.closest('.board-column');
-  const groupId = column?.dataset.groupId;
-  const groupType = column?.dataset.groupType || 'status';
+  commandPaletteState.results = filterPaletteCommands(query);
+  commandPaletteState.focusedIndex = 0;
 
-  if (groupId) {
-    moveTask(dragState.draggingTaskId, groupId, groupType, null, false);
+  if (commandPaletteState.results.length === 0) {
+    list.innerHTML = '<div class="command-palette-empty">No matching commands</div>';
+    return;
   }
+
+  list.innerHTML = commandPaletteState.results.map((result, index) => `
+    <button class="command-palette-item ${index === 0 ? 'focused' : ''}" role="option" data-index="${index}">
+      <span class="command-palette-item-title">${highlightFuzzyMatch(result.command.title, result.indices)}</span>
+      <span class="command-palette-item-section">${escapeHtml(result.command.section)}</span>
+    </button>
+  `).join('');
 }
 
-// Core function to move a task
-function moveTask(taskId, groupId, groupType, relativeToTaskId, insertBefore) {
-  const task = getTaskById(taskId);
-  if (!task) return;
+function updateFocusedPaletteItem() {
+  document.querySelectorAll('#command-palette-list .command-palette-item').forEach((item, index) => {
+    const isFocused = index === commandPaletteState.focusedIndex;
+    item.classList.toggle('focused', isFocused);
+    if (isFocused) {
+      item.scrollIntoView({ block: 'nearest' });
+    }
+  });
+}
 
-  const project = getProjectBySlug(dragState.currentProjectSlug);
-  if (!project) return;
+function runPaletteCommand(index) {
+  const result = commandPaletteState.results[index];
+  if (!result) return;
+  closeCommandPalette();
+  result.command.run();
+}
 
-  let fieldChanged = false;
-  let feedbackMessage = '';
+function openCommandPalette() {
+  if (document.getElementById('command-palette-overlay')) return;
 
-  // Update the appropriate task field based on group type
-  if (groupType === 'status') {
-    if (task.status_id !== groupId) {
-      task.status_id = groupId;
-      task.updated_at = new Date().toISOString();
-      fieldChanged = true;
-      const newStatus = getStatusById(groupId);
-      feedbackMessage = `Task moved to ${newStatus?.name || 'new status'}`;
-    }
-  } else if (groupType === 'priority') {
-    // groupId is like 'priority-high', 'priority-medium', 'priority-low', 'priority-none'
-    const newPriorityId = groupId === 'priority-none' ? null : groupId;
-    if (task.priority_id !== newPriorityId) {
-      task.priority_id = newPriorityId;
-      task.updated_at = new Date().toISOString();
-      fieldChanged = true;
-      const priority = getPriorityById(newPriorityId);
-      feedbackMessage = `Task priority changed to ${priority?.name || 'No Priority'}`;
-    }
-  } else if (groupType === 'assignee') {
-    // groupId is like 'unassigned' or 'assignee-user-001'
-    const newAssigneeId = groupId === 'unassigned' ? null : groupId.replace('assignee-', '');
-    if (task.assignee_id !== newAssigneeId) {
-      task.assignee_id = newAssigneeId;
-      task.updated_at = new Date().toISOString();
-      fieldChanged = true;
-      const assignee = getUserById(newAssigneeId);
-      feedbackMessage = `Task assigned to ${assignee?.name || 'Unassigned'}`;
-    }
-  }
+  closeDropdown();
+  commandPaletteState.commands = getPaletteCommands();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'command-palette-overlay';
+  overlay.className = 'command-palette-overlay';
+  overlay.innerHTML = `
+    <div class="command-palette" role="dialog" aria-label="Command palette">
+      <div class="command-palette-search">
+        <span class="command-palette-search-icon">${icons.search}</span>
+        <input type="text"
+               class="command-palette-input"
+               id="command-palette-input"
+               placeholder="Type a command or search..."
+               autocomplete="off"
+               aria-controls="command-palette-list">
+        <kbd class="command-palette-kbd">Esc</kbd>
+      </div>
+      <div class="command-palette-list" id="command-palette-list" role="listbox"></div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
 
-  // Get all tasks in the target group for reordering
-  // For now, we use sort_order within the status (simplest approach)
-  const targetTasks = state.tasks
-    .filter(t => t.project_id === project.id && t.status_id === task.status_id && !t.is_archived)
-    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+  const input = overlay.querySelector('#command-palette-input');
+  const list = overlay.querySelector('#command-palette-list');
+  renderCommandPaletteResults('');
 
-  // Remove the dragged task from the array if it's already there
-  const taskIndex = targetTasks.findIndex(t => t.id === taskId);
-  if (taskIndex !== -1) {
-    targetTasks.splice(taskIndex, 1);
-  }
+  input.addEventListener('input', () => {
+    renderCommandPaletteResults(input.value);
+  });
 
-  // Find insertion index
-  let insertIndex = targetTasks.length; // Default to end
+  input.addEventListener('keydown', (e) => {
+    const count = commandPaletteState.results.length;
 
-  if (relativeToTaskId) {
-    const relativeIndex = targetTasks.findIndex(t => t.id === relativeToTaskId);
-    if (relativeIndex !== -1) {
-      insertIndex = insertBefore ? relativeIndex : relativeIndex + 1;
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (count === 0) return;
+        commandPaletteState.focusedIndex = (commandPaletteState.focusedIndex + 1) % count;
+        updateFocusedPaletteItem();
+        break;
+
+      case 'ArrowUp':
+        e.preventDefault();
+        if (count === 0) return;
+        commandPaletteState.focusedIndex = (commandPaletteState.focusedIndex - 1 + count) % count;
+        updateFocusedPaletteItem();
+        break;
+
+      case 'Enter':
+        e.preventDefault();
+        runPaletteCommand(commandPaletteState.focusedIndex);
+        break;
+
+      case 'Escape':
+        // Keep Escape from also closing the task panel underneath
+        e.stopPropagation();
+        closeCommandPalette();
+        break;
     }
-  }
+  });
 
-  // Insert task at new position
-  targetTasks.splice(insertIndex, 0, task);
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('.command-palette-item');
+    if (item) {
+      runPaletteCommand(Number(item.dataset.index));
+    }
+  });
 
-  // Update sort_order for all tasks in this status
-  targetTasks.forEach((t, index) => {
-    t.sort_order = index + 1;
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      closeCommandPalette();
+    }
   });
 
-  // Show feedback
-  if (fieldChanged && feedbackMessage) {
-    showToast(feedbackMessage, 'success');
-  }
+  input.focus();
+}
 
-  // Re-render the view
-  renderProjectDetail(dragState.currentProjectSlug);
+function closeCommandPalette() {
+  document.getElementById('command-palette-overlay')?.remove();
+  commandPaletteState.commands = [];
+  commandPaletteState.results = [];
+}
+
+function initCommandPalette() {
+  document.addEventListener('keydown', (e) => {
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      if (document.getElementById('command-palette-overlay')) {
+        closeCommandPalette();
+      } else {
+        openCommandPalette();
+      }
+    }
+  });
 }
 
 // ==========================================================================
@@ -7046,21 +16050,59 @@ function initSearch() {
 
   if (!searchContainer || !searchToggle || !searchInput || !searchClose) return;
 
+  searchInput.setAttribute('role', 'combobox');
+  searchInput.setAttribute('aria-autocomplete', 'list');
+  searchInput.setAttribute('aria-controls', 'search-results');
+  searchInput.setAttribute('aria-expanded', 'false');
+
   searchToggle.addEventListener('click', () => {
     searchContainer.classList.add('expanded');
     searchInput.focus();
   });
 
   searchClose.addEventListener('click', () => {
-    searchContainer.classList.remove('expanded');
-    searchInput.value = '';
+    closeSearch();
   });
 
-  // Close on Escape
+  searchInput.addEventListener('input', () => {
+    renderSearchResults(searchInput.value);
+  });
+
+  searchInput.addEventListener('focus', () => {
+    if (searchInput.value.trim()) {
+      renderSearchResults(searchInput.value);
+    }
+  });
+
+  // Keyboard navigation through results, close on Escape
   searchInput.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
-      searchContainer.classList.remove('expanded');
-      searchInput.value = '';
+    const resultCount = globalSearchState.results.length;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        if (resultCount === 0) return;
+        e.preventDefault();
+        globalSearchState.focusedIndex = (globalSearchState.focusedIndex + 1) % resultCount;
+        updateFocusedSearchResult();
+        break;
+
+      case 'ArrowUp':
+        if (resultCount === 0) return;
+        e.preventDefault();
+        globalSearchState.focusedIndex = (globalSearchState.focusedIndex - 1 + resultCount) % resultCount;
+        updateFocusedSearchResult();
+        break;
+
+      case 'Enter':
+        e.preventDefault();
+        if (globalSearchState.focusedIndex >= 0) {
+          selectSearchResult(globalSearchState.focusedIndex);
+        }
+        break;
+
+      case 'Escape':
+        closeSearch();
+        break;
     }
   });
 
@@ -7068,6 +16110,7 @@ function initSearch() {
   document.addEventListener('click', (e) => {
     if (!searchContainer.contains(e.target) && searchContainer.classList.contains('expanded')) {
       searchContainer.classList.remove('expanded');
+      hideSearchResults();
     }
   });
 }
@@ -7083,6 +16126,12 @@ async function init() {
   // Initialize search
   initSearch();
 
+  // Initialize command palette (Cmd/Ctrl+K)
+  initCommandPalette();
+
+  // Start recording changes for undo/redo (Cmd/Ctrl+Z, Cmd/Ctrl+Shift+Z)
+  initHistory();
+
   // Set up routing
   window.addEventListener('hashchange', handleRouteChange);
 
@@ -0,0 +1,399 @@
+/**
+ * Task Canvas - Reference REST Server
+ * Serves the static app and the REST API described in documentation/api.md,
+ * persisting every entity back to the JSON files in the data directory.
+ *
+ * Usage: node server/server.js
+ * Environment:
+ *   PORT     - Port to listen on (default 3000)
+ *   DATA_DIR - Directory holding the *.json files (default ./data)
+ *
+ * No dependencies - requires Node.js 18 or newer.
+ */
+
+const http = require('node:http');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(ROOT_DIR, 'data'));
+const PORT = Number(process.env.PORT) || 3000;
+const API_PREFIX = '/api';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// List collections exposed under /api/<collection>, mapped to their data file
+const COLLECTIONS = {
+  projects: 'projects.json',
+  tasks: 'tasks.json',
+  statuses: 'statuses.json',
+  users: 'users.json',
+  priorities: 'priorities.json',
+  labels: 'labels.json',
+  files: 'files.json',
+  comments: 'comments.json',
+  activities: 'activities.json',
+  wikiPages: 'wiki-pages.json',
+  wikiPageTaskLinks: 'wiki-page-task-links.json',
+  views: 'views.json',
+  taskLinks: 'task-links.json',
+  canvasFrames: 'canvas-frames.json',
+  checklists: 'checklists.json',
+  checklistItems: 'checklist-items.json',
+  timeEntries: 'time-entries.json',
+  customFields: 'custom-fields.json',
+};
+const WORKSPACE_FILE = 'workspace.json';
+
+// Singular prefixes used when the server has to generate an id
+const ID_PREFIXES = {
+  projects: 'proj',
+  tasks: 'task',
+  statuses: 'status',
+  users: 'user',
+  priorities: 'priority',
+  labels: 'label',
+  files: 'file',
+  comments: 'comment',
+  activities: 'activity',
+  wikiPages: 'wiki',
+  wikiPageTaskLinks: 'wikilink',
+  views: 'view',
+  taskLinks: 'link',
+  canvasFrames: 'frame',
+  checklists: 'checklist',
+  checklistItems: 'checkitem',
+  timeEntries: 'time',
+  customFields: 'field',
+};
+
+// Files and directories of the app that may be served; everything else in the
+// project root (server code, data files, .git, ...) stays private
+const STATIC_FILES = ['/index.html'];
+const STATIC_DIRS = ['/js/', '/css/', '/assets/'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+};
+
+// ==========================================================================
+// Errors
+// ==========================================================================
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// ==========================================================================
+// Data Store
+// ==========================================================================
+
+const store = {
+  workspace: null,
+  collections: {},
+};
+
+// Pending write per file, so concurrent saves of one file never interleave
+const writeQueues = new Map();
+
+async function readJSONFile(filename, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(DATA_DIR, filename), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+async function loadStore() {
+  store.workspace = await readJSONFile(WORKSPACE_FILE, null);
+  for (const [name, filename] of Object.entries(COLLECTIONS)) {
+    store.collections[name] = await readJSONFile(filename, []);
+  }
+}
+
+/**
+ * Write a file atomically (temp file + rename), queued behind earlier writes
+ */
+function writeJSONFile(filename, data) {
+  const target = path.join(DATA_DIR, filename);
+  const previous = writeQueues.get(target) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2) + '\n');
+    await fs.rename(tempFile, target);
+  });
+
+  writeQueues.set(target, next);
+  return next;
+}
+
+function saveCollection(name) {
+  return writeJSONFile(COLLECTIONS[name], store.collections[name]);
+}
+
+function generateId(collection) {
+  return `${ID_PREFIXES[collection]}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// ==========================================================================
+// HTTP Helpers
+// ==========================================================================
+
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(data));
+}
+
+function sendError(res, error) {
+  const status = error instanceof HttpError ? error.status : 500;
+  const code = error instanceof HttpError ? error.code : 'internal_error';
+  if (status === 500) console.error(error);
+  sendJSON(res, status, { error: { code, message: error.message } });
+}
+
+/**
+ * Decode a URL path (segment), rejecting malformed percent-encoding
+ */
+function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, 'invalid_path', 'Malformed URL path');
+  }
+}
+
+/**
+ * Parse the request target against a fixed base, so a bad Host header can't
+ * break it; only the path and query are used
+ */
+function parseRequestUrl(value) {
+  try {
+    return new URL(value, 'http://localhost');
+  } catch {
+    throw new HttpError(400, 'invalid_path', 'Malformed URL path');
+  }
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'payload_too_large', 'Request body is too large');
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null');
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error();
+    return body;
+  } catch {
+    throw new HttpError(400, 'invalid_body', 'Request body must be a JSON object');
+  }
+}
+
+// ==========================================================================
+// API Routes
+// ==========================================================================
+
+async function handleWorkspace(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return sendJSON(res, 200, store.workspace);
+    case 'PUT':
+    case 'PATCH': {
+      const body = await readBody(req);
+      store.workspace = req.method === 'PUT'
+        ? { ...body, id: store.workspace?.id || body.id }
+        : { ...store.workspace, ...body, id: store.workspace?.id };
+      await writeJSONFile(WORKSPACE_FILE, store.workspace);
+      return sendJSON(res, 200, store.workspace);
+    }
+    default:
+      throw new HttpError(405, 'method_not_allowed', `${req.method} is not supported on /workspace`);
+  }
+}
+
+async function handleCollection(req, res, name, searchParams) {
+  const records = store.collections[name];
+
+  switch (req.method) {
+    case 'GET': {
+      // Every query parameter is an exact-match filter, e.g. ?project_id=proj-001
+      const filters = [...searchParams.entries()];
+      const result = records.filter(record =>
+        filters.every(([field, value]) => String(record[field]) === value)
+      );
+      return sendJSON(res, 200, result);
+    }
+    case 'POST': {
+      const body = await readBody(req);
+      const id = body.id || generateId(name);
+      if (records.some(r => r.id === id)) {
+        throw new HttpError(409, 'conflict', `${name}/${id} already exists`);
+      }
+      const record = { ...body, id };
+      records.push(record);
+      await saveCollection(name);
+      return sendJSON(res, 201, record);
+    }
+    default:
+      throw new HttpError(405, 'method_not_allowed', `${req.method} is not supported on /${name}`);
+  }
+}
+
+async function handleRecord(req, res, name, id) {
+  const records = store.collections[name];
+  // Look the record up only after any await, since other requests may have
+  // added or removed records (and shifted the array) while the body was read
+  const findIndex = () => records.findIndex(r => r.id === id);
+
+  switch (req.method) {
+    case 'GET': {
+      const index = findIndex();
+      if (index === -1) throw new HttpError(404, 'not_found', `${name}/${id} not found`);
+      return sendJSON(res, 200, records[index]);
+    }
+    case 'PUT': {
+      // Create or replace
+      const record = { ...(await readBody(req)), id };
+      const index = findIndex();
+      if (index === -1) {
+        records.push(record);
+      } else {
+        records[index] = record;
+      }
+      await saveCollection(name);
+      return sendJSON(res, index === -1 ? 201 : 200, record);
+    }
+    case 'PATCH': {
+      const body = await readBody(req);
+      const index = findIndex();
+      if (index === -1) throw new HttpError(404, 'not_found', `${name}/${id} not found`);
+      records[index] = { ...records[index], ...body, id };
+      await saveCollection(name);
+      return sendJSON(res, 200, records[index]);
+    }
+    case 'DELETE': {
+      const index = findIndex();
+      if (index === -1) throw new HttpError(404, 'not_found', `${name}/${id} not found`);
+      records.splice(index, 1);
+      await saveCollection(name);
+      res.writeHead(204);
+      return res.end();
+    }
+    default:
+      throw new HttpError(405, 'method_not_allowed', `${req.method} is not supported on /${name}/:id`);
+  }
+}
+
+async function handleApi(req, res, url) {
+  const segments = url.pathname.slice(API_PREFIX.length).split('/').filter(Boolean).map(decodePath);
+  const [name, id, ...rest] = segments;
+
+  if (name === 'workspace' && !id) {
+    return handleWorkspace(req, res);
+  }
+  if (!name || !COLLECTIONS[name] || rest.length > 0) {
+    throw new HttpError(404, 'not_found', `Unknown resource ${url.pathname}`);
+  }
+  return id
+    ? handleRecord(req, res, name, id)
+    : handleCollection(req, res, name, url.searchParams);
+}
+
+// ==========================================================================
+// Static Files
+// ==========================================================================
+
+async function serveStatic(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    throw new HttpError(405, 'method_not_allowed', `${req.method} is not supported`);
+  }
+
+  const pathname = decodePath(url.pathname === '/' ? '/index.html' : url.pathname);
+  const segments = pathname.split('/').slice(1);
+
+  // Only serve the app itself, and never dot-segments (.., .git, .env, ...)
+  const allowed = STATIC_FILES.includes(pathname) || STATIC_DIRS.some(dir => pathname.startsWith(dir));
+  if (!allowed || pathname.includes('\\') || segments.some(segment => segment === '' || segment.startsWith('.'))) {
+    throw new HttpError(404, 'not_found', 'Not found');
+  }
+  const filePath = path.join(ROOT_DIR, pathname);
+
+  let content;
+  try {
+    content = await fs.readFile(filePath);
+  } catch {
+    throw new HttpError(404, 'not_found', 'Not found');
+  }
+
+  // Point the app at this server's API instead of the bundled JSON files
+  if (pathname === '/index.html') {
+    content = content.toString('utf8').replace(
+      /<meta name="task-canvas-api" content="[^"]*">/,
+      `<meta name="task-canvas-api" content="${API_PREFIX}">`
+    );
+  }
+
+  const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  res.writeHead(200, { 'Content-Type': type });
+  res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+// ==========================================================================
+// Server
+// ==========================================================================
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = parseRequestUrl(req.url);
+    if (url.pathname === API_PREFIX || url.pathname.startsWith(`${API_PREFIX}/`)) {
+      setCorsHeaders(res);
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+      }
+      await handleApi(req, res, url);
+    } else {
+      await serveStatic(req, res, url);
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+loadStore()
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Task Canvas running at http://localhost:${PORT}`);
+      console.log(`API available at http://localhost:${PORT}${API_PREFIX} (data: ${DATA_DIR})`);
+    });
+  })
+  .catch(error => {
+    console.error('Failed to load data:', error);
+    process.exit(1);
+  });